@@ -0,0 +1,52 @@
+import { NextResponse } from 'next/server';
+import { getAgentSigner } from '@/web3/utils/agentSigner';
+import supabaseServer from '@/utils/supabase-server';
+import { authenticateWallet, findAgentSmartWallet } from '@/utils/walletAuth';
+
+/**
+ * Tells the signed-in wallet which of its smart wallets the agent can pay from, if any. Payments
+ * from there go through /api/ai/execute-transaction; anything else the wallet signs itself.
+ * @param {Request} req - The request object, with walletAddress and useTestnet
+ * @returns {Promise<Response>} - The response object, with { smartWalletAddress, agentAddress };
+ *   both are null when the server has no agent key
+ */
+export async function POST(req) {
+  try {
+    const body = await req.json();
+    const { useTestnet = false } = body;
+
+    const { data: auth, error: authError, status: authStatus } = await authenticateWallet(req, body.walletAddress);
+    if (authError) {
+      return NextResponse.json(
+        { error: authError.message },
+        { status: authStatus }
+      );
+    }
+
+    const signer = getAgentSigner({ useTestnet });
+    if (!signer) {
+      return NextResponse.json({ success: true, smartWalletAddress: null, agentAddress: null });
+    }
+
+    const { data: smartWalletAddress, error } = await findAgentSmartWallet(supabaseServer, {
+      walletAddress: auth.walletAddress,
+      signer
+    });
+
+    if (error) {
+      console.error('Error finding the agent\'s smart wallet:', error);
+      return NextResponse.json(
+        { error: 'Failed to look up smart wallets' },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json({ success: true, smartWalletAddress, agentAddress: signer.address });
+  } catch (error) {
+    console.error('Error in agent wallet API route:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -1,19 +1,91 @@
 import { NextResponse } from 'next/server';
 import { createTransactionAgent } from '@/web3/utils/agentKit';
+import { getAgentSigner } from '@/web3/utils/agentSigner';
 import { resolveBaseName, lookupBaseName as lookupBaseNameService } from '@/web3/utils/baseNameService';
 import { isAddress } from 'viem';
 import supabaseServer from '@/utils/supabase-server';
+import { listContacts } from '@/utils/contacts';
+import { BASE_MAINNET, BASE_SEPOLIA } from '@/web3/config/networks';
+import { getToken } from '@/web3/config/tokens';
+import { quoteFiatAmount } from '@/web3/utils/prices';
+import { resolveSplitAllocations, validateSplitAllocations } from '@/web3/utils/splits';
+import { combineSimulations, formatSimulation } from '@/web3/utils/simulation';
+import { recordTransaction, legsFromResults, findRetryableLegs, recordLegRetries } from '@/utils/transactionRecords';
+import { IDEMPOTENCY_KEY_HEADER, runIdempotent } from '@/utils/idempotency';
+import { authenticateWallet, verifySmartWalletOwner } from '@/utils/walletAuth';
 
 /**
- * Execute a transaction that was previously processed
+ * Execute a transaction that was previously processed. A payment must carry an Idempotency-Key
+ * header, and is sent once however many times the request arrives; replays get the first response.
+ * Previews don't need one.
+ * The agent's key signs for the wallet the caller signed in with (or the wallet a worker names with
+ * CRON_SECRET), never for one the body merely names.
  * @param {Request} req - The request object
  * @returns {Promise<Response>} - The response object
  */
 export async function POST(req) {
+  let body;
   try {
-    // Parse the request body
-    const body = await req.json();
-    const { transaction, walletAddress, useTestnet = false } = body;
+    body = await req.json();
+  } catch (error) {
+    return NextResponse.json(
+      { error: 'Invalid JSON body' },
+      { status: 400 }
+    );
+  }
+
+  const { data: auth, error: authError, status: authStatus } = await authenticateWallet(req, body.walletAddress);
+  if (authError) {
+    return NextResponse.json(
+      { error: authError.message },
+      { status: authStatus }
+    );
+  }
+  body = { ...body, walletAddress: auth.walletAddress };
+
+  // Previews send nothing, so only a payment being sent claims its key
+  if (body.simulate) {
+    return executeTransaction(body);
+  }
+
+  const idempotencyKey = req.headers.get(IDEMPOTENCY_KEY_HEADER);
+  if (!idempotencyKey) {
+    return NextResponse.json(
+      { error: `A payment needs an ${IDEMPOTENCY_KEY_HEADER} header, so it is only sent once` },
+      { status: 400 }
+    );
+  }
+
+  return runIdempotent(
+    supabaseServer,
+    { key: idempotencyKey, scope: 'ai/execute-transaction', walletAddress: body.walletAddress, body },
+    () => executeTransaction(body)
+  );
+}
+
+/**
+ * Simulates or sends a transaction
+ * @param {object} body - Request body: { transaction, walletAddress, smartWalletAddress, useTestnet, simulate,
+ *   transactionId }, or { retryTransactionId, walletAddress, useTestnet } to retry a split's failed payments
+ * @returns {Promise<Response>} - The response object
+ */
+async function executeTransaction(body) {
+  try {
+    // With simulate set, the payment is only simulated: the response previews its cost and outcome.
+    // transactionId is the draft /api/chat stored for the payment; the sent transaction is recorded on it.
+    const { walletAddress, smartWalletAddress, useTestnet = false, simulate = false, transactionId = null, retryTransactionId = null } = body;
+    let { transaction } = body;
+
+    // A split whose payments didn't all go through has the failed ones sent again
+    if (retryTransactionId) {
+      if (!walletAddress) {
+        return NextResponse.json(
+          { error: 'Wallet address is required' },
+          { status: 400 }
+        );
+      }
+      return retrySplit({ walletAddress, useTestnet, transactionId: retryTransactionId });
+    }
 
     if (!transaction) {
       return NextResponse.json(
@@ -29,12 +101,70 @@ export async function POST(req) {
       );
     }
 
+    // The smart wallet must be one the user linked to their account; the agent then checks on chain
+    // that they own it and that it authorized the agent
+    if (smartWalletAddress) {
+      const { error: ownerError, status: ownerStatus } = await verifySmartWalletOwner(supabaseServer, { walletAddress, smartWalletAddress });
+      if (ownerError) {
+        return NextResponse.json(
+          { error: ownerError.message },
+          { status: ownerStatus }
+        );
+      }
+    }
+
     console.log('Executing transaction:', transaction);
     console.log('Wallet address:', walletAddress);
     console.log('Using testnet:', useTestnet);
 
-    // Create an agent for handling the transaction
-    const agent = createTransactionAgent({ useTestnet, walletAddress });
+    // Make sure the requested token exists on this network before doing any work
+    const network = useTestnet ? BASE_SEPOLIA : BASE_MAINNET;
+    const tokenConfig = getToken(transaction.token || 'ETH', network);
+
+    if (!tokenConfig) {
+      return NextResponse.json(
+        { error: `Token ${transaction.token} is not supported on ${network.name}` },
+        { status: 400 }
+      );
+    }
+
+    // Convert fiat-denominated amounts that the client didn't already quote
+    if (transaction.fiat_amount && !transaction.amount) {
+      try {
+        const quote = await quoteFiatAmount({
+          fiatAmount: transaction.fiat_amount,
+          currency: transaction.fiat_currency,
+          token: tokenConfig.symbol
+        });
+        console.log('Converted fiat amount:', quote);
+        transaction = { ...transaction, amount: quote.amount, price_quote: quote };
+      } catch (priceError) {
+        console.error('Error converting fiat amount:', priceError);
+        return NextResponse.json(
+          { error: 'Could not convert fiat amount: ' + priceError.message },
+          { status: 502 }
+        );
+      }
+    }
+
+    // Payments are signed on the server with the agent's key; without one nothing can be sent
+    const signer = getAgentSigner({ useTestnet });
+    if (!signer) {
+      return NextResponse.json(
+        { error: 'Server-side signing is not configured (set AGENT_PRIVATE_KEY)' },
+        { status: 503 }
+      );
+    }
+
+    // Recipients are looked up in the sender's contacts before Base Names, so "@mom" is whoever they saved
+    const { data: contacts, error: contactsError } = await listContacts(supabaseServer, walletAddress);
+    if (contactsError) {
+      console.error('Error loading contacts:', contactsError);
+    }
+    const resolveOptions = { contacts: contacts || [] };
+
+    // Create an agent for handling the transaction (paying from the smart wallet when one is given)
+    const agent = createTransactionAgent({ useTestnet, walletAddress, smartWalletAddress, signer });
 
     // Try to initialize the real AgentKit
     try {
@@ -66,7 +196,7 @@ export async function POST(req) {
           console.warn(`Recipient was in format "0xaddress.base.eth". Using address part: ${resolvedRecipient}`);
         } else {
           // If it's not a valid address, try to resolve it as a basename
-          resolvedRecipient = await resolveBaseName(recipient, useTestnet);
+          resolvedRecipient = await resolveBaseName(recipient, useTestnet, resolveOptions);
         }
       } else if (isAddress(recipient)) {
         // If it's already a valid address, use it directly
@@ -84,7 +214,7 @@ export async function POST(req) {
         }
       } else {
         // Otherwise, try to resolve it as a basename
-        resolvedRecipient = await resolveBaseName(recipient, useTestnet);
+        resolvedRecipient = await resolveBaseName(recipient, useTestnet, resolveOptions);
       }
 
       if (!resolvedRecipient) {
@@ -94,14 +224,44 @@ export async function POST(req) {
         );
       }
 
-      // Use the agent's sendTransaction capability
+      const sendDetails = {
+        type: 'send',
+        from: smartWalletAddress || walletAddress,
+        to: resolvedRecipient,
+        amount: transaction.amount,
+        token: tokenConfig.symbol,
+        priceQuote: transaction.price_quote || null,
+        network: useTestnet ? 'Base Sepolia' : 'Base Mainnet',
+      };
+
+      // Simulate the payment first, so a revert is reported before anything is signed
+      const simulation = formatSimulation(await agent.capabilities.simulateTransaction.handler({
+        to: resolvedRecipient,
+        amount: transaction.amount,
+        token: tokenConfig.symbol,
+        note: transaction.note || '',
+      }));
+
+      if (simulate) {
+        return NextResponse.json({ success: simulation.success, simulated: true, simulation, details: sendDetails });
+      }
+
+      if (!simulation.success) {
+        return NextResponse.json(
+          { error: `The payment would fail: ${simulation.error}`, simulation, details: sendDetails },
+          { status: 422 }
+        );
+      }
+
+      // Use the agent's sendTransaction capability, which signs and sends the payment
       const result = await agent.capabilities.sendTransaction.handler({
         to: resolvedRecipient,
         amount: transaction.amount,
-        token: transaction.token || 'ETH',
+        token: tokenConfig.symbol,
+        note: transaction.note || '',
       });
 
-      // Store the transaction in the database
+      // Record the transaction as submitted, on its draft if there is one
       try {
         // First check if the user exists
         const { data: user } = await supabaseServer
@@ -111,24 +271,28 @@ export async function POST(req) {
           .single();
 
         if (user) {
-          // Store the transaction
-          await supabaseServer
-            .from('transactions')
-            .insert([
-              {
-                user_id: user.id,
-                transaction_hash: result.hash || 'mock-tx-hash-' + Date.now(),
-                transaction_type: 'send',
-                amount: transaction.amount,
-                token: transaction.token || 'ETH',
-                recipient_address: resolvedRecipient,
-                status: 'pending',
-                note: transaction.note || '',
-                created_at: new Date().toISOString(),
-                updated_at: new Date().toISOString(),
-                metadata: transaction
+          const { error: recordError } = await recordTransaction(supabaseServer, {
+            transactionId,
+            userId: user.id,
+            transaction: {
+              transaction_hash: result.hash,
+              transaction_type: 'send',
+              amount: transaction.amount,
+              token: tokenConfig.symbol,
+              recipient_address: resolvedRecipient,
+              status: 'submitted',
+              note: transaction.note || '',
+              chain_id: await signer.getChainId(),
+              metadata: {
+                ...transaction,
+                token_address: result.tokenAddress,
+                decimals: result.decimals,
+                signer_address: result.from,
+                nonce: result.nonce
               }
-            ]);
+            }
+          });
+          if (recordError) throw recordError;
         }
       } catch (dbError) {
         console.error('Error storing transaction in database:', dbError);
@@ -137,20 +301,34 @@ export async function POST(req) {
 
       return NextResponse.json({
         success: true,
-        transactionHash: result.hash || 'mock-tx-hash-' + Date.now(),
-        details: {
-          type: 'send',
-          from: walletAddress,
-          to: resolvedRecipient,
-          amount: transaction.amount,
-          token: transaction.token || 'ETH',
-          network: useTestnet ? 'Base Sepolia' : 'Base Mainnet',
-        },
+        transactionHash: result.hash,
+        simulation,
+        details: { ...sendDetails, tokenAddress: result.tokenAddress },
       });
     } else if (transaction.type === 'split') {
-      // Resolve all recipient addresses with the same logic as above
+      const hasAllocations = transaction.allocations?.length > 0 && transaction.split_type !== 'equal';
+      const splitDetails = {
+        amount: transaction.amount,
+        recipients: transaction.recipients || [],
+        splitType: hasAllocations ? transaction.split_type : 'equal',
+        allocations: hasAllocations ? transaction.allocations : null,
+        token: tokenConfig
+      };
+
+      // Check the shares add up before resolving anything
+      const validation = validateSplitAllocations(splitDetails);
+      if (!validation.valid) {
+        return NextResponse.json(
+          { error: validation.error },
+          { status: 400 }
+        );
+      }
+
+      // Resolve all recipient addresses with the same logic as above. With shares, the recipients are
+      // the allocations', in their order, so each leg's address is the one at its own position.
+      const splitRecipients = hasAllocations ? splitDetails.allocations.map(allocation => allocation.recipient) : splitDetails.recipients;
       const resolvedRecipients = await Promise.all(
-        transaction.recipients.map(async (recipient) => {
+        splitRecipients.map(async (recipient) => {
           // Handle the case where the recipient looks like an address but has a .base or .eth suffix
           if (recipient.startsWith('0x') && (recipient.includes('.base') || recipient.includes('.eth'))) {
             console.log(`Split recipient appears to be an address with basename format: ${recipient}`);
@@ -165,7 +343,7 @@ export async function POST(req) {
           }
 
           // Otherwise try to resolve as a basename or use directly if it's an address
-          const resolved = await resolveBaseName(recipient, useTestnet);
+          const resolved = await resolveBaseName(recipient, useTestnet, resolveOptions);
           return resolved || null;
         })
       );
@@ -180,36 +358,73 @@ export async function POST(req) {
         );
       }
 
+      // Percentage and custom shares belong to specific people, so every recipient must resolve
+      const unresolved = splitRecipients.filter((recipient, index) => !resolvedRecipients[index]);
+      if (hasAllocations && unresolved.length > 0) {
+        return NextResponse.json(
+          { error: `Could not resolve recipient addresses: ${unresolved.join(', ')}` },
+          { status: 400 }
+        );
+      }
+
+      // Work out each recipient's amount; equal splits are shared between the recipients that resolved
+      const legs = hasAllocations
+        ? resolveSplitAllocations(splitDetails).map((leg, index) => ({
+          ...leg,
+          to: resolvedRecipients[index]
+        }))
+        : resolveSplitAllocations({ ...splitDetails, recipients: validRecipients }).map(leg => ({
+          ...leg,
+          to: leg.recipient
+        }));
+
       // Calculate the amount per recipient
       const amountPerRecipient = transaction.amount / validRecipients.length;
 
-      // Execute a transaction for each recipient
-      const results = await Promise.all(
-        validRecipients.map(async (recipient) => {
-          try {
-            const result = await agent.capabilities.sendTransaction.handler({
-              to: recipient,
-              amount: amountPerRecipient,
-              token: transaction.token || 'ETH',
-            });
-
-            return {
-              success: true,
-              recipient,
-              hash: result.hash || 'mock-tx-hash-' + Date.now() + '-' + recipient.substring(0, 6),
-            };
-          } catch (error) {
-            console.error(`Error sending to ${recipient}:`, error);
-            return {
-              success: false,
-              recipient,
-              error: error.message,
-            };
-          }
-        })
-      );
+      // ETH splits from a LucraWallet go out as one batchSendEther call, so every leg is paid or none is
+      const batched = tokenConfig.native && !!smartWalletAddress && await signer.isContract(smartWalletAddress);
+
+      const splitResponseDetails = {
+        type: 'split',
+        batched,
+        from: smartWalletAddress || walletAddress,
+        recipients: validRecipients,
+        totalAmount: transaction.amount,
+        amountPerRecipient: hasAllocations ? null : amountPerRecipient,
+        splitType: splitDetails.splitType,
+        legs: legs.map(({ to, amount, percentage }) => ({ to, amount, percentage })),
+        token: tokenConfig.symbol,
+        priceQuote: transaction.price_quote || null,
+        network: useTestnet ? 'Base Sepolia' : 'Base Mainnet',
+      };
+
+      // Simulate the split first
+      const payments = legs.map(({ to, amount }) => ({ to, amount }));
+      const simulation = await simulateSplitLegs(agent, { payments, token: tokenConfig.symbol, note: transaction.note || '', batched });
+
+      if (simulate) {
+        return NextResponse.json({ success: simulation.success, simulated: true, simulation, details: splitResponseDetails });
+      }
 
-      // Store the transaction in the database
+      if (!simulation.success) {
+        return NextResponse.json(
+          { error: `The split would fail: ${simulation.error}`, simulation, details: splitResponseDetails },
+          { status: 422 }
+        );
+      }
+
+      const results = await sendSplitLegs(agent, { payments, token: tokenConfig.symbol, note: transaction.note || '', batched });
+
+      // Nothing to record if no leg was sent
+      const sentLegs = results.filter(result => result.success);
+      if (sentLegs.length === 0) {
+        return NextResponse.json(
+          { error: 'Failed to send the split: ' + results[0].error, transactions: results },
+          { status: 502 }
+        );
+      }
+
+      // Record the split as submitted, on its draft if there is one
       try {
         // First check if the user exists
         const { data: user } = await supabaseServer
@@ -219,27 +434,31 @@ export async function POST(req) {
           .single();
 
         if (user) {
-          // Store the transaction
-          await supabaseServer
-            .from('transactions')
-            .insert([
-              {
-                user_id: user.id,
-                transaction_hash: results[0].hash,
-                transaction_type: 'split',
-                amount: transaction.amount,
-                token: transaction.token || 'ETH',
-                recipient_address: validRecipients.join(','),
-                status: 'pending',
-                note: transaction.note || '',
-                created_at: new Date().toISOString(),
-                updated_at: new Date().toISOString(),
-                metadata: {
-                  ...transaction,
-                  results
-                }
+          const { error: recordError } = await recordTransaction(supabaseServer, {
+            transactionId,
+            userId: user.id,
+            // One split with a leg per recipient; a batched split's legs share its hash
+            legs: legsFromResults(results, { token: tokenConfig.symbol }),
+            transaction: {
+              transaction_hash: sentLegs[0].hash,
+              transaction_type: 'split',
+              amount: transaction.amount,
+              token: tokenConfig.symbol,
+              recipient_address: validRecipients.join(','),
+              status: 'submitted',
+              note: transaction.note || '',
+              chain_id: await signer.getChainId(),
+              metadata: {
+                ...transaction,
+                token_address: tokenConfig.native ? null : tokenConfig.address,
+                decimals: tokenConfig.decimals,
+                batched,
+                smart_wallet_address: smartWalletAddress || null,
+                signer_address: signer.address
               }
-            ]);
+            }
+          });
+          if (recordError) throw recordError;
         }
       } catch (dbError) {
         console.error('Error storing transaction in database:', dbError);
@@ -248,16 +467,10 @@ export async function POST(req) {
 
       return NextResponse.json({
         success: true,
+        transactionHash: sentLegs[0].hash,
         transactions: results,
-        details: {
-          type: 'split',
-          from: walletAddress,
-          recipients: validRecipients,
-          totalAmount: transaction.amount,
-          amountPerRecipient,
-          token: transaction.token || 'ETH',
-          network: useTestnet ? 'Base Sepolia' : 'Base Mainnet',
-        },
+        simulation,
+        details: splitResponseDetails,
       });
     } else {
       return NextResponse.json(
@@ -273,3 +486,201 @@ export async function POST(req) {
     );
   }
 }
+
+/**
+ * Simulates the legs of a split: the batch as a whole, or each leg with the funds checked against all of them
+ * @param {object} agent - Transaction agent
+ * @param {object} params - Split details
+ * @param {Array} params.payments - One { to, amount } per leg
+ * @param {string} params.token - Token symbol
+ * @param {string} params.note - Note for the payments
+ * @param {boolean} params.batched - Whether the legs go out as one batchSendEther call
+ * @returns {Promise<object>} - Formatted simulation of the whole split
+ */
+async function simulateSplitLegs(agent, { payments, token, note, batched }) {
+  if (batched) {
+    return formatSimulation(await agent.capabilities.simulateBatch.handler({ payments, token, note }));
+  }
+
+  const legSimulations = [];
+  for (const payment of payments) {
+    legSimulations.push(await agent.capabilities.simulateTransaction.handler({ ...payment, token, note }));
+  }
+  return formatSimulation(combineSimulations(legSimulations));
+}
+
+/**
+ * Sends the legs of a split. ETH splits from a LucraWallet go out as one batchSendEther call, so every
+ * leg is paid or none is; plain accounts pay each recipient in turn, with consecutive nonces.
+ * @param {object} agent - Transaction agent
+ * @param {object} params - Same as simulateSplitLegs
+ * @returns {Promise<Array>} - One result per leg, in order: { success, recipient, amount, hash, nonce }
+ *   or { success: false, recipient, amount, error }
+ */
+async function sendSplitLegs(agent, { payments, token, note, batched }) {
+  if (batched) {
+    try {
+      const batch = await agent.capabilities.batchSendTransaction.handler({ payments, token, note });
+
+      return payments.map(({ to: recipient, amount }) => ({
+        success: true,
+        recipient,
+        amount,
+        hash: batch.hash,
+        nonce: batch.nonce,
+      }));
+    } catch (error) {
+      console.error('Error sending the split as a batch:', error);
+      return payments.map(({ to: recipient, amount }) => ({
+        success: false,
+        recipient,
+        amount,
+        error: error.message,
+      }));
+    }
+  }
+
+  const results = [];
+  for (const { to: recipient, amount } of payments) {
+    try {
+      const result = await agent.capabilities.sendTransaction.handler({ to: recipient, amount, token, note });
+
+      results.push({
+        success: true,
+        recipient,
+        amount,
+        hash: result.hash,
+        nonce: result.nonce,
+      });
+    } catch (error) {
+      console.error(`Error sending to ${recipient}:`, error);
+      results.push({
+        success: false,
+        recipient,
+        amount,
+        error: error.message,
+      });
+    }
+  }
+  return results;
+}
+
+/**
+ * Sends the failed and dropped legs of a split again, from the wallet the split was paid from
+ * @param {object} params - Retry details
+ * @param {string} params.walletAddress - The user's wallet address
+ * @param {boolean} params.useTestnet - Whether to use Base Sepolia
+ * @param {string} params.transactionId - ID of the split
+ * @returns {Promise<Response>} - The response object, with a result per leg sent and all the split's legs
+ */
+async function retrySplit({ walletAddress, useTestnet, transactionId }) {
+  const { data: user, error: userError } = await supabaseServer
+    .from('users')
+    .select('id')
+    .eq('wallet_address', walletAddress.toLowerCase())
+    .maybeSingle();
+
+  if (userError) {
+    console.error('Error checking for user:', userError);
+    return NextResponse.json(
+      { error: 'Database error: ' + userError.message },
+      { status: 500 }
+    );
+  }
+  if (!user) {
+    return NextResponse.json(
+      { error: 'Transaction not found' },
+      { status: 404 }
+    );
+  }
+
+  const { data: retry, error: retryError, status: retryStatus } = await findRetryableLegs(supabaseServer, { transactionId, userId: user.id });
+  if (retryError) {
+    return NextResponse.json(
+      { error: retryError.message },
+      { status: retryStatus }
+    );
+  }
+
+  // The agent can only pay from where it paid the rest; a split the user's wallet sent is retried from it
+  const { transaction: split, legs } = retry;
+  if (!split.metadata?.signer_address) {
+    return NextResponse.json(
+      { error: 'This split was sent from your wallet, so its payments have to be retried from it' },
+      { status: 409 }
+    );
+  }
+
+  const network = useTestnet ? BASE_SEPOLIA : BASE_MAINNET;
+  const tokenConfig = getToken(split.token || 'ETH', network);
+  if (!tokenConfig) {
+    return NextResponse.json(
+      { error: `Token ${split.token} is not supported on ${network.name}` },
+      { status: 400 }
+    );
+  }
+
+  const signer = getAgentSigner({ useTestnet });
+  if (!signer) {
+    return NextResponse.json(
+      { error: 'Server-side signing is not configured (set AGENT_PRIVATE_KEY)' },
+      { status: 503 }
+    );
+  }
+
+  if (split.chain_id && split.chain_id !== await signer.getChainId()) {
+    return NextResponse.json(
+      { error: 'This split was sent on another network' },
+      { status: 409 }
+    );
+  }
+
+  // Pay from the same smart wallet as the rest of the split
+  const smartWalletAddress = split.metadata?.smart_wallet_address || null;
+  const agent = createTransactionAgent({ useTestnet, walletAddress, smartWalletAddress, signer });
+  try {
+    await agent.initialize();
+  } catch (initError) {
+    console.error('Failed to initialize real AgentKit for the retry:', initError);
+  }
+
+  const batched = tokenConfig.native && !!smartWalletAddress && await signer.isContract(smartWalletAddress);
+  const payments = legs.map(leg => ({ to: leg.recipient_address, amount: String(leg.amount) }));
+  const note = split.note || '';
+
+  const simulation = await simulateSplitLegs(agent, { payments, token: tokenConfig.symbol, note, batched });
+  if (!simulation.success) {
+    return NextResponse.json(
+      { error: `The retry would fail: ${simulation.error}`, simulation },
+      { status: 422 }
+    );
+  }
+
+  console.log(`Retrying ${legs.length} payments of split ${split.id}`);
+  const results = await sendSplitLegs(agent, { payments, token: tokenConfig.symbol, note, batched });
+
+  const { data: recorded, error: recordError } = await recordLegRetries(supabaseServer, {
+    transactionId: split.id,
+    userId: user.id,
+    results: results.map((result, index) => ({ ...result, legIndex: legs[index].leg_index }))
+  });
+  if (recordError) {
+    console.error('Error recording the retried payments:', recordError);
+  }
+
+  const sentLegs = results.filter(result => result.success);
+  if (sentLegs.length === 0) {
+    return NextResponse.json(
+      { error: 'Failed to retry the split: ' + results[0].error, transactions: results },
+      { status: 502 }
+    );
+  }
+
+  return NextResponse.json({
+    success: sentLegs.length === results.length,
+    transactionHash: sentLegs[0].hash,
+    transactions: results,
+    legs: recorded?.legs || null,
+    simulation,
+  });
+}
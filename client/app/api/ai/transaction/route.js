@@ -1,9 +1,7 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { processTransactionRequest, extractTransactionDetails } from '../../../../../web3/utils/agentKit';
+import { processTransactionRequest } from '@/web3/utils/agentKit';
 import { NextResponse } from 'next/server';
-
-// Initialize the Google Generative AI client
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+import { getLLMProvider, LLM_TASKS } from '@/lib/llm';
+import { parseIntent } from '@/lib/intent';
 
 /**
  * Process a transaction request using AI
@@ -23,12 +21,12 @@ export async function POST(req) {
       );
     }
 
-    // First, try to extract transaction details directly
-    const extractedDetails = await extractTransactionDetails(message);
+    // Parse the message with the shared intent engine (the model, falling back to rules)
+    const llm = getLLMProvider();
+    const details = await parseIntent(message, { llm });
 
-    // If we could extract transaction details, process them
-    if (extractedDetails) {
-      // Process the transaction request using AgentKit
+    // If the message is a transaction request, process it with AgentKit
+    if (details.intent !== 'conversation' && details.intent !== 'unknown') {
       const transactionResponse = await processTransactionRequest({
         message,
         useTestnet,
@@ -37,78 +35,22 @@ export async function POST(req) {
 
       return NextResponse.json({
         type: 'transaction',
-        details: extractedDetails,
+        details,
         agentResponse: transactionResponse,
       });
     }
 
-    // If not a transaction, use Gemini to process the message
-    const model = genAI.getGenerativeModel({ model: 'gemini-pro' });
-
-    // Create a prompt that includes context about LucraAI and crypto transactions
-    const prompt = `
-      You are LucraAI, a personal onchain CFO that uses natural language to help users send, split, track payments and manage wallets.
-      
-      User message: ${message}
-      
-      If this appears to be a transaction request, respond with a JSON object with the following structure:
-      {
-        "isTransaction": true,
-        "type": "send" or "split",
-        "amount": the amount to send,
-        "token": the token to send (ALWAYS default to ETH if not specified),
-        "recipient": the recipient address or name (for send),
-        "recipients": array of recipient addresses or names (for split)
-      }
-      
-      If this is not a transaction request, respond with a JSON object with the following structure:
-      {
-        "isTransaction": false,
-        "response": your helpful response about crypto, wallets, or general information
-      }
-      
-      Only respond with the JSON object, nothing else.
-    `;
-
-    // Generate a response from Gemini
-    const result = await model.generateContent(prompt);
-    const response = result.response;
-    const text = response.text();
-
-    // Parse the JSON response
-    try {
-      const parsedResponse = JSON.parse(text);
-
-      // If Gemini identified this as a transaction, process it with AgentKit
-      if (parsedResponse.isTransaction) {
-        // Process the transaction request using AgentKit
-        const transactionResponse = await processTransactionRequest({
-          message,
-          useTestnet,
-          walletAddress,
-        });
-
-        return NextResponse.json({
-          type: 'transaction',
-          details: parsedResponse,
-          agentResponse: transactionResponse,
-        });
-      }
-
-      // If not a transaction, return the Gemini response
-      return NextResponse.json({
-        type: 'conversation',
-        response: parsedResponse.response,
-      });
-    } catch (jsonError) {
-      console.error('Error parsing Gemini response:', jsonError);
-      
-      // If we can't parse the JSON, just return the text
-      return NextResponse.json({
-        type: 'conversation',
-        response: text,
-      });
-    }
+    // If not a transaction, ask the model for a plain text answer
+    const text = await llm.generate({
+      prompt: `You are LucraAI, a personal onchain CFO. Reply helpfully to this message: ${message}`,
+      task: LLM_TASKS.CONVERSATION,
+      input: message
+    });
+
+    return NextResponse.json({
+      type: 'conversation',
+      response: text,
+    });
   } catch (error) {
     console.error('Error processing transaction request:', error);
     return NextResponse.json(
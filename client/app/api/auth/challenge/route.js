@@ -0,0 +1,39 @@
+import { createSignInChallenge } from '@/utils/walletAuth';
+
+/**
+ * API route to start a wallet sign-in: returns the message the wallet signs (see utils/walletAuth.js)
+ */
+export async function POST(req) {
+  try {
+    const body = await req.json();
+    const { walletAddress } = body;
+
+    const { data, error, status } = await createSignInChallenge(walletAddress);
+    if (error) {
+      return new Response(
+        JSON.stringify({ error: error.message }),
+        {
+          status,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ success: true, message: data.message, expiresAt: data.expiresAt }),
+      {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  } catch (error) {
+    console.error('Error in sign-in challenge API:', error);
+    return new Response(
+      JSON.stringify({ error: 'Internal server error' }),
+      {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  }
+}
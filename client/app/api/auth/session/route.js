@@ -0,0 +1,98 @@
+import { createPublicClient, http } from 'viem';
+import supabaseServer from '@/utils/supabase-server';
+import { BASE_MAINNET, BASE_SEPOLIA } from '@/web3/config/networks';
+import { createSession, readSession, recordSignIn, serializeSessionCookie, verifySignIn } from '@/utils/walletAuth';
+
+/**
+ * API route to sign in with a signed challenge from /api/auth/challenge. The session is kept in an
+ * HttpOnly cookie, which the routes that act for a wallet read (see utils/walletAuth.js).
+ */
+export async function POST(req) {
+  try {
+    const body = await req.json();
+    const { message, signature, useTestnet = false } = body;
+
+    // Smart wallets' signatures are checked by the wallet contract on its network
+    const network = useTestnet ? BASE_SEPOLIA : BASE_MAINNET;
+    const publicClient = createPublicClient({ transport: http(network.rpcUrls.default) });
+
+    const { data: signIn, error: signInError, status: signInStatus } = await verifySignIn({ message, signature }, { publicClient });
+    if (signInError) {
+      return new Response(
+        JSON.stringify({ error: signInError.message }),
+        {
+          status: signInStatus,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const { error: recordError, status: recordStatus } = await recordSignIn(supabaseServer, { ...signIn, message, signature });
+    if (recordError) {
+      console.error('Error recording sign-in:', recordError);
+      return new Response(
+        JSON.stringify({ error: recordStatus === 500 ? 'Failed to sign in' : recordError.message }),
+        {
+          status: recordStatus,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const { data: session, error: sessionError, status: sessionStatus } = await createSession(signIn.walletAddress);
+    if (sessionError) {
+      return new Response(
+        JSON.stringify({ error: sessionError.message }),
+        {
+          status: sessionStatus,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ success: true, walletAddress: signIn.walletAddress, expiresAt: session.expiresAt }),
+      {
+        status: 200,
+        headers: { 'Content-Type': 'application/json', 'Set-Cookie': session.cookie }
+      }
+    );
+  } catch (error) {
+    console.error('Error in sign-in API:', error);
+    return new Response(
+      JSON.stringify({ error: 'Internal server error' }),
+      {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  }
+}
+
+/**
+ * API route to get the wallet the current session is for
+ */
+export async function GET(req) {
+  const walletAddress = await readSession(req);
+
+  return new Response(
+    JSON.stringify({ success: true, walletAddress }),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    }
+  );
+}
+
+/**
+ * API route to sign out
+ */
+export async function DELETE() {
+  return new Response(
+    JSON.stringify({ success: true }),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', 'Set-Cookie': serializeSessionCookie('', 0) }
+    }
+  );
+}
@@ -0,0 +1,54 @@
+import supabaseServer from '@/utils/supabase-server';
+import { createContact } from '@/utils/contacts';
+
+export async function POST(req) {
+  try {
+    // Parse the request body
+    const body = await req.json();
+    const { walletAddress, contact } = body;
+
+    // Validate required fields
+    if (!walletAddress || !contact) {
+      return new Response(
+        JSON.stringify({ error: 'Missing required fields' }),
+        {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const result = await createContact(supabaseServer, {
+      walletAddress,
+      contact
+    });
+
+    if (result.error) {
+      console.error('Error creating contact:', result.error);
+      return new Response(
+        JSON.stringify({ error: result.error.message }),
+        {
+          status: result.status,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ success: true, data: result.data }),
+      {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  } catch (error) {
+    console.error('Error in contact create API:', error);
+    return new Response(
+      JSON.stringify({ error: 'Internal server error' }),
+      {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  }
+}
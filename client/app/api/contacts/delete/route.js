@@ -0,0 +1,54 @@
+import supabaseServer from '@/utils/supabase-server';
+import { deleteContact } from '@/utils/contacts';
+
+export async function POST(req) {
+  try {
+    // Parse the request body
+    const body = await req.json();
+    const { contactId, walletAddress } = body;
+
+    if (!contactId || !walletAddress) {
+      return new Response(
+        JSON.stringify({ error: 'Missing required fields' }),
+        {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    // Only the owner can delete a contact
+    const result = await deleteContact(supabaseServer, {
+      contactId,
+      walletAddress
+    });
+
+    if (result.error) {
+      console.error('Error deleting contact:', result.error);
+      return new Response(
+        JSON.stringify({ error: result.error.message }),
+        {
+          status: result.status,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ success: true, data: result.data }),
+      {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  } catch (error) {
+    console.error('Error in contact delete API:', error);
+    return new Response(
+      JSON.stringify({ error: 'Internal server error' }),
+      {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  }
+}
@@ -0,0 +1,50 @@
+import supabaseServer from '@/utils/supabase-server';
+import { listContacts } from '@/utils/contacts';
+
+export async function POST(req) {
+  try {
+    // Parse the request body
+    const body = await req.json();
+    const { walletAddress } = body;
+
+    if (!walletAddress) {
+      return new Response(
+        JSON.stringify({ error: 'Missing wallet address' }),
+        {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const { data, error } = await listContacts(supabaseServer, walletAddress);
+
+    if (error) {
+      console.error('Error listing contacts:', error);
+      return new Response(
+        JSON.stringify({ error: 'Failed to retrieve contacts' }),
+        {
+          status: 500,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ success: true, data: data || [] }),
+      {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  } catch (error) {
+    console.error('Error in contact list API:', error);
+    return new Response(
+      JSON.stringify({ error: 'Internal server error' }),
+      {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  }
+}
@@ -0,0 +1,55 @@
+import supabaseServer from '@/utils/supabase-server';
+import { updateContact } from '@/utils/contacts';
+
+export async function POST(req) {
+  try {
+    // Parse the request body
+    const body = await req.json();
+    const { contactId, walletAddress, changes } = body;
+
+    if (!contactId || !walletAddress || !changes) {
+      return new Response(
+        JSON.stringify({ error: 'Missing required fields' }),
+        {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    // Only the owner can change a contact
+    const result = await updateContact(supabaseServer, {
+      contactId,
+      walletAddress,
+      changes
+    });
+
+    if (result.error) {
+      console.error('Error updating contact:', result.error);
+      return new Response(
+        JSON.stringify({ error: result.error.message }),
+        {
+          status: result.status,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ success: true, data: result.data }),
+      {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  } catch (error) {
+    console.error('Error in contact update API:', error);
+    return new Response(
+      JSON.stringify({ error: 'Internal server error' }),
+      {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  }
+}
@@ -1,11 +1,17 @@
 import supabaseServer from '@/utils/supabase-server';
 import { formatDistanceToNow, format } from 'date-fns';
+import { describeHistoryFilter, queryTransactionHistory, sanitizeHistoryFilter } from '@/utils/historyFilters';
+import { attachTransactionLegs } from '@/utils/transactionRecords';
+import { resolveCounterpartyAddresses } from '@/utils/contacts';
 
 export async function POST(req) {
   try {
     // Parse the request body
     const body = await req.json();
-    const { walletAddress, type = 'all', limit = 10 } = body;
+    const { walletAddress, limit = 10 } = body;
+    // A filter only applies to transactions, so it narrows the history to them
+    const filter = sanitizeHistoryFilter(body.filter);
+    const type = filter ? 'transactions' : body.type || 'all';
 
     if (!walletAddress) {
       return new Response(
@@ -17,12 +23,16 @@ export async function POST(req) {
       );
     }
 
-    // Call the get_history stored procedure
-    const { data, error: historyError } = await supabaseServer.rpc('get_history', {
-      p_wallet_address: walletAddress,
-      p_type: type,
-      p_limit: limit
-    });
+    // Call the get_history stored procedure, or query the transactions directly when filtered
+    const { data, error: historyError } = filter
+      ? await queryTransactionHistory(supabaseServer, walletAddress, filter, limit, {
+        counterpartyAddresses: await resolveCounterpartyAddresses(supabaseServer, walletAddress, filter.counterparty),
+      })
+      : await supabaseServer.rpc('get_history', {
+        p_wallet_address: walletAddress,
+        p_type: type,
+        p_limit: limit
+      });
 
     if (historyError) {
       console.error('Error fetching history:', historyError);
@@ -40,7 +50,9 @@ export async function POST(req) {
         JSON.stringify({
           success: true,
           data: [],
-          formattedResponse: `No ${type === 'transactions' ? 'transaction' : type === 'chat' ? 'chat' : ''} history found.`
+          formattedResponse: filter
+            ? `No ${describeHistoryFilter(filter)} found.`
+            : `No ${type === 'transactions' ? 'transaction' : type === 'chat' ? 'chat' : ''} history found.`
         }),
         {
           status: 200,
@@ -51,8 +63,8 @@ export async function POST(req) {
 
     let formattedResponse = '';
 
-    // Separate transactions and chat messages
-    const transactions = data.filter(item => item.transaction_type);
+    // Separate transactions (splits with their legs) and chat messages
+    const transactions = await attachTransactionLegs(supabaseServer, data.filter(item => item.transaction_type));
     const messages = data.filter(item => item.is_user !== undefined);
 
     // Format transaction data for AI response
@@ -60,11 +72,15 @@ export async function POST(req) {
       formattedResponse += "## Transaction History\n\n";
       transactions.forEach((tx, index) => {
         const date = new Date(tx.created_at);
-        formattedResponse += `${index + 1}. **${tx.transaction_type.toUpperCase()}**: ${tx.amount} ${tx.token} to ${tx.recipient_address}\n`;
+        formattedResponse += `${index + 1}. **${tx.transaction_type.toUpperCase()}**: ${tx.amount} ${tx.token} to ${tx.recipient_address || 'several recipients'}\n`;
         formattedResponse += `   - **Status**: ${tx.status}\n`;
         formattedResponse += `   - **Date**: ${format(date, 'PPP')} (${formatDistanceToNow(date, { addSuffix: true })})\n`;
         if (tx.note) formattedResponse += `   - **Note**: ${tx.note}\n`;
         if (tx.transaction_hash) formattedResponse += `   - **Hash**: ${tx.transaction_hash}\n`;
+        (tx.legs || []).forEach(leg => {
+          formattedResponse += `   - **Payment**: ${leg.amount} ${leg.token} to ${leg.recipient_address}, ${leg.status}`;
+          formattedResponse += `${leg.error ? ` (${leg.error})` : ''}${leg.transaction_hash && leg.transaction_hash !== tx.transaction_hash ? `, hash ${leg.transaction_hash}` : ''}\n`;
+        });
         formattedResponse += '\n';
       });
     } else if (type === 'transactions') {
@@ -0,0 +1,51 @@
+import { NextResponse } from 'next/server';
+import { getToken } from '@/web3/config/tokens';
+import {
+  DEFAULT_FIAT_CURRENCY,
+  getPriceProvider,
+  normalizeFiatCurrency,
+  quoteFiatAmount
+} from '@/web3/utils/prices';
+
+/**
+ * API route to get a token price in a fiat currency
+ * Pass amount to also convert that fiat amount into token units
+ * @param {Request} req - The request object (?token=ETH&currency=USD&amount=25)
+ * @returns {Promise<Response>} - The response object
+ */
+export async function GET(req) {
+  try {
+    const { searchParams } = new URL(req.url);
+    const token = searchParams.get('token') || 'ETH';
+    const currency = normalizeFiatCurrency(searchParams.get('currency') || DEFAULT_FIAT_CURRENCY);
+    const amount = searchParams.get('amount');
+
+    if (!getToken(token)) {
+      return NextResponse.json(
+        { error: `Unsupported token: ${token}` },
+        { status: 400 }
+      );
+    }
+
+    if (!currency) {
+      return NextResponse.json(
+        { error: `Unsupported currency: ${searchParams.get('currency')}` },
+        { status: 400 }
+      );
+    }
+
+    if (amount) {
+      const conversion = await quoteFiatAmount({ fiatAmount: amount, currency, token });
+      return NextResponse.json({ conversion });
+    }
+
+    const quote = await getPriceProvider().getPrice(token, currency);
+    return NextResponse.json({ quote });
+  } catch (error) {
+    console.error('Error fetching price:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch price: ' + error.message },
+      { status: 502 }
+    );
+  }
+}
@@ -0,0 +1,74 @@
+import supabaseServer from '@/utils/supabase-server';
+import { authenticateWallet } from '@/utils/walletAuth';
+import { normalizeTokenSymbol, DEFAULT_TOKEN } from '@/web3/config/tokens';
+import { createPaymentRequests } from '@/utils/paymentRequests';
+
+export async function POST(req) {
+  try {
+    // Parse the request body
+    const body = await req.json();
+
+    // Payment requests are only read and changed for the wallet the caller signed in with
+    const { data: auth, error: authError, status: authStatus } = await authenticateWallet(req, body.walletAddress);
+    if (authError) {
+      return new Response(
+        JSON.stringify({ error: authError.message }),
+        {
+          status: authStatus,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const { walletAddress } = auth;
+    const { payers, amount, token, note, conversationId } = body;
+
+    // Validate required fields
+    if (!Array.isArray(payers) || payers.length === 0 || !(parseFloat(amount) > 0)) {
+      return new Response(
+        JSON.stringify({ error: 'Missing required fields' }),
+        {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const result = await createPaymentRequests(supabaseServer, {
+      walletAddress,
+      payers,
+      amount: parseFloat(amount),
+      token: normalizeTokenSymbol(token) || DEFAULT_TOKEN,
+      note: note || null,
+      conversationId: conversationId || null
+    });
+
+    if (result.error) {
+      console.error('Error creating payment requests:', result.error);
+      return new Response(
+        JSON.stringify({ error: 'Failed to create payment request: ' + result.error.message }),
+        {
+          status: result.status,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ success: true, data: result.data }),
+      {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  } catch (error) {
+    console.error('Error in payment request create API:', error);
+    return new Response(
+      JSON.stringify({ error: 'Internal server error' }),
+      {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  }
+}
@@ -0,0 +1,56 @@
+import supabaseServer from '@/utils/supabase-server';
+import { authenticateWallet } from '@/utils/walletAuth';
+import { listPaymentRequests } from '@/utils/paymentRequests';
+
+export async function POST(req) {
+  try {
+    // Parse the request body
+    const body = await req.json();
+
+    // Payment requests are only read and changed for the wallet the caller signed in with
+    const { data: auth, error: authError, status: authStatus } = await authenticateWallet(req, body.walletAddress);
+    if (authError) {
+      return new Response(
+        JSON.stringify({ error: authError.message }),
+        {
+          status: authStatus,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const { walletAddress } = auth;
+    const { status } = body;
+
+    // Expired requests are marked as such before the lists are read
+    const { data, error } = await listPaymentRequests(supabaseServer, walletAddress, { status });
+
+    if (error) {
+      console.error('Error listing payment requests:', error);
+      return new Response(
+        JSON.stringify({ error: 'Failed to retrieve payment requests' }),
+        {
+          status: 500,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ success: true, ...data }),
+      {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  } catch (error) {
+    console.error('Error in payment request list API:', error);
+    return new Response(
+      JSON.stringify({ error: 'Internal server error' }),
+      {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  }
+}
@@ -0,0 +1,72 @@
+import supabaseServer from '@/utils/supabase-server';
+import { authenticateWallet } from '@/utils/walletAuth';
+import { updatePaymentRequestStatus } from '@/utils/paymentRequests';
+
+export async function POST(req) {
+  try {
+    // Parse the request body
+    const body = await req.json();
+
+    // Payment requests are only read and changed for the wallet the caller signed in with
+    const { data: auth, error: authError, status: authStatus } = await authenticateWallet(req, body.walletAddress);
+    if (authError) {
+      return new Response(
+        JSON.stringify({ error: authError.message }),
+        {
+          status: authStatus,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const { walletAddress } = auth;
+    const { requestId, status, transactionHash } = body;
+
+    if (!requestId || !status) {
+      return new Response(
+        JSON.stringify({ error: 'Missing required fields' }),
+        {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    // Only the payer can pay or decline, and only while the request is open; paying needs a
+    // confirmed transaction the chain shows paying the requester
+    const result = await updatePaymentRequestStatus(supabaseServer, {
+      requestId,
+      walletAddress,
+      status,
+      transactionHash
+    });
+
+    if (result.error) {
+      console.error('Error updating payment request:', result.error);
+      return new Response(
+        JSON.stringify({ error: result.error.message }),
+        {
+          status: result.status,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ success: true, data: result.data }),
+      {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  } catch (error) {
+    console.error('Error in payment request update API:', error);
+    return new Response(
+      JSON.stringify({ error: 'Internal server error' }),
+      {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  }
+}
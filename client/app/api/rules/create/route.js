@@ -0,0 +1,70 @@
+import supabaseServer from '@/utils/supabase-server';
+import { authenticateWallet } from '@/utils/walletAuth';
+import { createPaymentRule } from '@/utils/paymentRules';
+
+export async function POST(req) {
+  try {
+    // Parse the request body
+    const body = await req.json();
+
+    // Payment rules are only read and changed for the wallet the caller signed in with
+    const { data: auth, error: authError, status: authStatus } = await authenticateWallet(req, body.walletAddress);
+    if (authError) {
+      return new Response(
+        JSON.stringify({ error: authError.message }),
+        {
+          status: authStatus,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const { walletAddress } = auth;
+    const { rule, useTestnet = false } = body;
+
+    // Validate required fields
+    if (!walletAddress || !rule) {
+      return new Response(
+        JSON.stringify({ error: 'Missing required fields' }),
+        {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const result = await createPaymentRule(supabaseServer, {
+      walletAddress,
+      rule,
+      useTestnet
+    });
+
+    if (result.error) {
+      console.error('Error creating payment rule:', result.error);
+      return new Response(
+        JSON.stringify({ error: 'Failed to create rule: ' + result.error.message }),
+        {
+          status: result.status,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ success: true, data: result.data }),
+      {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  } catch (error) {
+    console.error('Error in payment rule create API:', error);
+    return new Response(
+      JSON.stringify({ error: 'Internal server error' }),
+      {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  }
+}
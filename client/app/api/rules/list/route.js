@@ -0,0 +1,65 @@
+import supabaseServer from '@/utils/supabase-server';
+import { authenticateWallet } from '@/utils/walletAuth';
+import { listPaymentRules } from '@/utils/paymentRules';
+
+export async function POST(req) {
+  try {
+    // Parse the request body
+    const body = await req.json();
+
+    // Payment rules are only read and changed for the wallet the caller signed in with
+    const { data: auth, error: authError, status: authStatus } = await authenticateWallet(req, body.walletAddress);
+    if (authError) {
+      return new Response(
+        JSON.stringify({ error: authError.message }),
+        {
+          status: authStatus,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const { walletAddress } = auth;
+    const { status } = body;
+
+    if (!walletAddress) {
+      return new Response(
+        JSON.stringify({ error: 'Missing wallet address' }),
+        {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const { data, error } = await listPaymentRules(supabaseServer, walletAddress, { status });
+
+    if (error) {
+      console.error('Error listing payment rules:', error);
+      return new Response(
+        JSON.stringify({ error: 'Failed to retrieve payment rules' }),
+        {
+          status: 500,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ success: true, data: data || [] }),
+      {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  } catch (error) {
+    console.error('Error in payment rule list API:', error);
+    return new Response(
+      JSON.stringify({ error: 'Internal server error' }),
+      {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  }
+}
@@ -0,0 +1,68 @@
+import supabaseServer from '@/utils/supabase-server';
+import { systemClock } from '@/lib/schedules';
+import { createRuleEngine, createSupabaseRuleStore, createAgentRuleActions } from '@/lib/rules';
+import { authorizeCron } from '@/utils/walletAuth';
+
+/**
+ * Checks balance rules and runs every date rule that is due. Meant to be called by a cron job every
+ * few minutes; the call must carry CRON_SECRET as a bearer token, and without CRON_SECRET set
+ * nothing runs.
+ * @param {Request} req - The request object
+ * @returns {Promise<Response>} - The response object
+ */
+export async function POST(req) {
+  try {
+    if (!process.env.CRON_SECRET) {
+      console.error('Refusing to run payment rules: CRON_SECRET is not set');
+      return new Response(
+        JSON.stringify({ error: 'Payment rules are not configured (set CRON_SECRET)' }),
+        {
+          status: 500,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    if (!authorizeCron(req)) {
+      return new Response(
+        JSON.stringify({ error: 'Unauthorized' }),
+        {
+          status: 401,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const engine = createRuleEngine({
+      store: createSupabaseRuleStore(supabaseServer),
+      actions: createAgentRuleActions(),
+      clock: systemClock
+    });
+
+    const results = [
+      ...await engine.checkBalances(),
+      ...await engine.runDue()
+    ];
+    console.log(`Fired ${results.length} payment rules`);
+
+    return new Response(
+      JSON.stringify({ success: true, results }),
+      {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  } catch (error) {
+    console.error('Error running payment rules:', error);
+    return new Response(
+      JSON.stringify({ error: 'Internal server error' }),
+      {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  }
+}
+
+// Vercel Cron calls with GET
+export const GET = POST;
@@ -0,0 +1,119 @@
+import supabaseServer from '@/utils/supabase-server';
+import { authenticateWallet, findAgentSmartWallet } from '@/utils/walletAuth';
+import { getAgentSigner } from '@/web3/utils/agentSigner';
+import { toScheduledPayment } from '@/lib/schedules';
+import { createScheduledPayment } from '@/utils/scheduledPayments';
+
+export async function POST(req) {
+  try {
+    // Parse the request body
+    const body = await req.json();
+
+    // Scheduled payments are only read and changed for the wallet the caller signed in with
+    const { data: auth, error: authError, status: authStatus } = await authenticateWallet(req, body.walletAddress);
+    if (authError) {
+      return new Response(
+        JSON.stringify({ error: authError.message }),
+        {
+          status: authStatus,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const { walletAddress } = auth;
+    const { intent, schedule, useTestnet = false } = body;
+
+    // Validate required fields
+    if (!walletAddress || !intent || !schedule) {
+      return new Response(
+        JSON.stringify({ error: 'Missing required fields' }),
+        {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    // Store the payment the way the execution route takes it, so every run goes through it unchanged
+    const payment = toScheduledPayment(intent);
+    if (!payment) {
+      return new Response(
+        JSON.stringify({ error: 'Only a send or split with recipients and an amount can be scheduled' }),
+        {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    // Each run is paid by the agent, so the payer needs a smart wallet that authorized it
+    const signer = getAgentSigner({ useTestnet });
+    if (!signer) {
+      return new Response(
+        JSON.stringify({ error: 'Scheduled payments need server-side signing (set AGENT_PRIVATE_KEY)' }),
+        {
+          status: 503,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const { data: smartWalletAddress, error: smartWalletError } = await findAgentSmartWallet(supabaseServer, { walletAddress, signer });
+    if (smartWalletError) {
+      console.error('Error finding the agent\'s smart wallet:', smartWalletError);
+      return new Response(
+        JSON.stringify({ error: 'Failed to look up smart wallets' }),
+        {
+          status: 500,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+    if (!smartWalletAddress) {
+      return new Response(
+        JSON.stringify({ error: `Scheduled payments are paid by the agent from your smart wallet: link a LucraWallet and authorize the agent (${signer.address}) on it first` }),
+        {
+          status: 409,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const result = await createScheduledPayment(supabaseServer, {
+      walletAddress,
+      smartWalletAddress,
+      payment,
+      schedule,
+      useTestnet
+    });
+
+    if (result.error) {
+      console.error('Error creating scheduled payment:', result.error);
+      return new Response(
+        JSON.stringify({ error: 'Failed to schedule payment: ' + result.error.message }),
+        {
+          status: result.status,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ success: true, data: result.data }),
+      {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  } catch (error) {
+    console.error('Error in scheduled payment create API:', error);
+    return new Response(
+      JSON.stringify({ error: 'Internal server error' }),
+      {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  }
+}
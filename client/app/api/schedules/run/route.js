@@ -0,0 +1,68 @@
+import supabaseServer from '@/utils/supabase-server';
+import {
+  createScheduleWorker,
+  createSupabaseScheduleStore,
+  createExecuteTransactionExecutor,
+  systemClock
+} from '@/lib/schedules';
+import { authorizeCron } from '@/utils/walletAuth';
+
+/**
+ * Runs every scheduled payment that is due. Meant to be called by a cron job every few minutes;
+ * the call must carry CRON_SECRET as a bearer token, and without CRON_SECRET set nothing runs.
+ * @param {Request} req - The request object
+ * @returns {Promise<Response>} - The response object
+ */
+export async function POST(req) {
+  try {
+    if (!process.env.CRON_SECRET) {
+      console.error('Refusing to run scheduled payments: CRON_SECRET is not set');
+      return new Response(
+        JSON.stringify({ error: 'Scheduled payments are not configured (set CRON_SECRET)' }),
+        {
+          status: 500,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    if (!authorizeCron(req)) {
+      return new Response(
+        JSON.stringify({ error: 'Unauthorized' }),
+        {
+          status: 401,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const worker = createScheduleWorker({
+      store: createSupabaseScheduleStore(supabaseServer),
+      execute: createExecuteTransactionExecutor(),
+      clock: systemClock
+    });
+
+    const results = await worker.runDue();
+    console.log(`Ran ${results.length} scheduled payments`);
+
+    return new Response(
+      JSON.stringify({ success: true, results }),
+      {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  } catch (error) {
+    console.error('Error running scheduled payments:', error);
+    return new Response(
+      JSON.stringify({ error: 'Internal server error' }),
+      {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  }
+}
+
+// Vercel Cron calls with GET
+export const GET = POST;
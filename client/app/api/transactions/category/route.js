@@ -0,0 +1,55 @@
+import supabaseServer from '@/utils/supabase-server';
+import { setTransactionCategory } from '@/utils/spendingInsights';
+
+export async function POST(req) {
+  try {
+    // Parse the request body
+    const body = await req.json();
+    const { transactionId, walletAddress, category } = body;
+
+    if (!transactionId || !walletAddress || !category) {
+      return new Response(
+        JSON.stringify({ error: 'Missing required fields' }),
+        {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    // Only the sender can correct a payment's category
+    const result = await setTransactionCategory(supabaseServer, {
+      transactionId,
+      walletAddress,
+      category
+    });
+
+    if (result.error) {
+      console.error('Error setting transaction category:', result.error);
+      return new Response(
+        JSON.stringify({ error: result.error.message }),
+        {
+          status: result.status,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ success: true, data: result.data }),
+      {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  } catch (error) {
+    console.error('Error in transaction category API:', error);
+    return new Response(
+      JSON.stringify({ error: 'Internal server error' }),
+      {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  }
+}
@@ -0,0 +1,60 @@
+import supabaseServer from '@/utils/supabase-server';
+import {
+  createReceiptPoller,
+  createSupabaseReceiptStore,
+  createUpdateRouteReporter,
+  createReceiptClients
+} from '@/lib/receipts';
+import { systemClock } from '@/lib/schedules';
+
+/**
+ * Checks the receipts of submitted transactions and records the ones that were mined or dropped.
+ * Meant to be called by a cron job every minute or so; when CRON_SECRET is set the call must carry
+ * it as a bearer token.
+ * @param {Request} req - The request object
+ * @returns {Promise<Response>} - The response object
+ */
+export async function POST(req) {
+  try {
+    const secret = process.env.CRON_SECRET;
+    if (secret && req.headers.get('authorization') !== `Bearer ${secret}`) {
+      return new Response(
+        JSON.stringify({ error: 'Unauthorized' }),
+        {
+          status: 401,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    const poller = createReceiptPoller({
+      store: createSupabaseReceiptStore(supabaseServer),
+      getClient: createReceiptClients(),
+      report: createUpdateRouteReporter(),
+      clock: systemClock
+    });
+
+    const results = await poller.pollOnce();
+    console.log(`Checked ${results.length} submitted transactions, ${results.filter(result => result.changed).length} changed`);
+
+    return new Response(
+      JSON.stringify({ success: true, results }),
+      {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  } catch (error) {
+    console.error('Error polling transaction receipts:', error);
+    return new Response(
+      JSON.stringify({ error: 'Internal server error' }),
+      {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  }
+}
+
+// Vercel Cron calls with GET
+export const GET = POST;
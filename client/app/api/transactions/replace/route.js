@@ -0,0 +1,95 @@
+import supabaseServer from '@/utils/supabase-server';
+import { recordReplacement } from '@/utils/transactionRecords';
+
+/**
+ * Records a transaction the user's wallet sent to speed up or cancel one of its pending transactions
+ * @param {Request} req - The request object, with walletAddress, transactionId or transactionHash of the
+ *   pending transaction, replacementHash, kind ('speed_up' or 'cancel') and chainId
+ * @returns {Promise<Response>} - The response object, with { original, replacement }
+ */
+export async function POST(req) {
+  try {
+    // Parse the request body
+    const body = await req.json();
+    const { transactionId, transactionHash, replacementHash, kind, walletAddress, chainId } = body;
+
+    if (!(transactionId || transactionHash) || !replacementHash || !kind || !walletAddress) {
+      return new Response(
+        JSON.stringify({ error: 'Missing required fields' }),
+        {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    // Normalize the wallet address to lowercase
+    const normalizedAddress = walletAddress.toLowerCase();
+
+    const { data: user, error: userError } = await supabaseServer
+      .from('users')
+      .select('id')
+      .eq('wallet_address', normalizedAddress)
+      .maybeSingle();
+
+    if (userError) {
+      console.error('Error checking for user:', userError);
+      return new Response(
+        JSON.stringify({ error: 'Database error: ' + userError.message }),
+        {
+          status: 500,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    if (!user) {
+      return new Response(
+        JSON.stringify({ error: 'Transaction not found' }),
+        {
+          status: 404,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    // Only the sender can replace a transaction, and only while it's pending
+    const result = await recordReplacement(supabaseServer, {
+      transactionId: transactionId || null,
+      transactionHash: transactionHash || null,
+      userId: user.id,
+      walletAddress: normalizedAddress,
+      replacementHash,
+      kind,
+      chainId: chainId ? Number(chainId) : null
+    });
+
+    if (result.error) {
+      console.error('Error recording transaction replacement:', result.error);
+      return new Response(
+        JSON.stringify({ error: result.error.message }),
+        {
+          status: result.status,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ success: true, data: result.data }),
+      {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  } catch (error) {
+    console.error('Error in transaction replace API:', error);
+    return new Response(
+      JSON.stringify({ error: 'Internal server error' }),
+      {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  }
+}
@@ -1,9 +1,56 @@
 import supabaseServer from '@/utils/supabase-server';
+import { updatePaymentRequestStatus } from '@/utils/paymentRequests';
+import { categorizeNewTransaction } from '@/utils/spendingInsights';
+import { recordTransaction, legsFromResults } from '@/utils/transactionRecords';
+import { IDEMPOTENCY_KEY_HEADER, runIdempotent } from '@/utils/idempotency';
 
+/**
+ * Stores a transaction. The request must carry an Idempotency-Key header: it is stored once (and marks
+ * a payment request paid once) however many times it arrives; replays get the first response.
+ * The recipient's incoming payment rules don't fire from here: they fire when a sync reads the
+ * payment from the chain (see lib/sync), so a stored row can't make them pay.
+ * @param {Request} req - The request object
+ * @returns {Promise<Response>} - The response object
+ */
 export async function POST(req) {
+  let body;
+  try {
+    body = await req.json();
+  } catch (error) {
+    return new Response(
+      JSON.stringify({ error: 'Invalid JSON body' }),
+      {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  }
+
+  const idempotencyKey = req.headers.get(IDEMPOTENCY_KEY_HEADER);
+  if (!idempotencyKey) {
+    return new Response(
+      JSON.stringify({ error: `Storing a transaction needs an ${IDEMPOTENCY_KEY_HEADER} header, so it is only stored once` }),
+      {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+  }
+
+  return runIdempotent(
+    supabaseServer,
+    { key: idempotencyKey, scope: 'transactions/store', walletAddress: body.walletAddress, body },
+    () => storeTransaction(body)
+  );
+}
+
+/**
+ * Stores a transaction, or moves on the row already recorded for it
+ * @param {object} body - Request body
+ * @returns {Promise<Response>} - The response object
+ */
+async function storeTransaction(body) {
   try {
-    // Parse the request body
-    const body = await req.json();
     const {
       transactionHash,
       recipientAddress,
@@ -12,7 +59,11 @@ export async function POST(req) {
       walletAddress,
       transactionType,
       status,
-      note
+      note,
+      paymentRequestId,
+      transactionId,
+      chainId,
+      receipt
     } = body;
 
     // Validate required fields
@@ -96,39 +147,69 @@ export async function POST(req) {
       userData = existingUser;
     }
 
-    // Store the transaction
-    const { data, error } = await supabaseServer
-      .from('transactions')
-      .insert([
-        {
-          user_id: user.id,
-          transaction_hash: transactionHash,
-          transaction_type: transactionType || 'send',
-          amount,
-          token: token || 'ETH',
-          recipient_address: recipientAddress,
-          status: status || 'pending',
-          note: note || '',
-          created_at: new Date().toISOString(),
-          updated_at: new Date().toISOString(),
-          metadata: {
-            network: body.network || 'base',
-            explorer_url: body.explorerUrl || `https://basescan.org/tx/${transactionHash}`
-          }
+    // Put the payment in a spending category; it is stored without one if that fails
+    let category = {};
+    try {
+      category = await categorizeNewTransaction(supabaseServer, userData.id, {
+        transaction_type: transactionType || 'send',
+        recipient_address: recipientAddress,
+        note
+      });
+    } catch (categoryError) {
+      console.error('Error categorizing transaction:', categoryError);
+    }
+
+    // Store the transaction, or move on the one drafted for it (or already stored with this hash)
+    const { data, error, status: storeStatus } = await recordTransaction(supabaseServer, {
+      transactionId: transactionId || null,
+      userId: userData.id,
+      // A split is one row with a leg per recipient, each with its amount and hash
+      legs: Array.isArray(body.legs) ? legsFromResults(body.legs, { token: token || 'ETH' }) : null,
+      transaction: {
+        transaction_hash: transactionHash,
+        transaction_type: transactionType || 'send',
+        amount,
+        token: token || 'ETH',
+        recipient_address: recipientAddress,
+        status: status || 'submitted',
+        note: note || '',
+        payment_request_id: paymentRequestId || null,
+        chain_id: chainId ? Number(chainId) : null,
+        ...category,
+        metadata: {
+          network: body.network || 'base',
+          explorer_url: body.explorerUrl || `https://basescan.org/tx/${transactionHash}`
         }
-      ]);
+      },
+      receipt: receipt || null
+    });
 
     if (error) {
       console.error('Error storing transaction:', error);
       return new Response(
-        JSON.stringify({ error: 'Failed to store transaction' }),
+        JSON.stringify({ error: storeStatus === 500 ? 'Failed to store transaction' : error.message }),
         {
-          status: 500,
+          status: storeStatus,
           headers: { 'Content-Type': 'application/json' }
         }
       );
     }
 
+    // A confirmed payment of a request marks the request paid (the row above already points to it),
+    // once the chain shows it paying the requester in full
+    if (paymentRequestId && ['confirmed', 'completed'].includes(status)) {
+      const result = await updatePaymentRequestStatus(supabaseServer, {
+        requestId: paymentRequestId,
+        walletAddress: normalizedAddress,
+        status: 'paid',
+        transactionHash
+      });
+
+      if (result.error) {
+        console.error('Error marking payment request as paid:', result.error);
+      }
+    }
+
     return new Response(
       JSON.stringify({ success: true, data }),
       {
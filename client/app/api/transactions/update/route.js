@@ -1,12 +1,14 @@
 import supabaseServer from '@/utils/supabase-server';
+import { updateTransactionStatus } from '@/utils/transactionRecords';
 
 export async function POST(req) {
   try {
     // Parse the request body
     const body = await req.json();
-    const { transactionId, transactionHash, status, walletAddress } = body;
+    const { transactionId, transactionHash, status, walletAddress, chainId, receipt } = body;
 
-    if (!transactionId || !status || !walletAddress) {
+    // The transaction is found by its ID, or by its hash among the sender's transactions
+    if (!(transactionId || transactionHash) || !status || !walletAddress) {
       return new Response(
         JSON.stringify({ error: 'Missing required fields' }),
         {
@@ -86,30 +88,29 @@ export async function POST(req) {
       userData = existingUser;
     }
 
-    // Update the transaction
-    const { data, error } = await supabaseServer
-      .from('transactions')
-      .update({
-        transaction_hash: transactionHash,
-        status,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', transactionId)
-      .eq('user_id', user.id);
+    // Only the sender can move the transaction on, and only along the allowed status changes
+    const result = await updateTransactionStatus(supabaseServer, {
+      transactionId: transactionId || null,
+      transactionHash: transactionHash || null,
+      userId: userData.id,
+      status,
+      chainId: chainId ? Number(chainId) : null,
+      receipt: receipt || null
+    });
 
-    if (error) {
-      console.error('Error updating transaction:', error);
+    if (result.error) {
+      console.error('Error updating transaction:', result.error);
       return new Response(
-        JSON.stringify({ error: 'Failed to update transaction' }),
+        JSON.stringify({ error: result.error.message }),
         {
-          status: 500,
+          status: result.status,
           headers: { 'Content-Type': 'application/json' }
         }
       );
     }
 
     return new Response(
-      JSON.stringify({ success: true, data }),
+      JSON.stringify({ success: true, data: result.data }),
       {
         status: 200,
         headers: { 'Content-Type': 'application/json' }
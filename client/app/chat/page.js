@@ -1,6 +1,6 @@
 "use client"
 
-import { useState, useRef, useEffect } from "react"
+import { useState, useRef, useEffect, useCallback } from "react"
 import { Send, Mic, Wallet, ArrowUpRight, Menu, History, X, MessageSquare, Settings } from "lucide-react"
 import { Button } from "@/components/ui/button"
 import { Card } from "@/components/ui/card"
@@ -9,14 +9,18 @@ import { useChat } from "ai/react"
 import { cn } from "@/lib/utils"
 import { Input } from "@/components/ui/input"
 import { motion, AnimatePresence } from "framer-motion"
-import { ConnectWallet, AccountInfo, TransactionUI, SmartWalletUI, useWalletConnection } from "@/web3"
+import { ConnectWallet, AccountInfo, TransactionUI, SmartWalletUI, PaymentRequestCard, RuleCard, useWalletConnection } from "@/web3"
 import { useAccount } from "wagmi"
-import { storeWalletAddress, createConversation, addMessageToConversation, getConversationMessages, getUserByWalletAddress } from "@/utils/supabase"
+import { storeWalletAddress, createConversation, addMessageToConversation, getConversationMessages, getUserByWalletAddress, getPaymentRequests } from "@/utils/supabase"
 import ChatHistory from "@/components/ChatHistory"
 import TransactionHistory from "@/components/TransactionHistory"
+import ScheduledPayments from "@/components/ScheduledPayments"
+import PaymentRules from "@/components/PaymentRules"
+import Contacts from "@/components/Contacts"
 import { useWalletBalance } from "@/web3/hooks/useWalletBalance"
 import { formatTokenAmount } from "@/web3/utils/balanceUtils"
 import { useAITransactions } from "@/hooks/useAITransactions"
+import { getChatParts, partsFromMetadata, partsToMetadata, stripLegacyBalanceSentinel } from "@/lib/chatParts"
 import { useSearchParams } from "next/navigation"
 
 const fadeIn = {
@@ -59,6 +63,8 @@ export default function ChatInterface() {
   const { address, isConnected } = useAccount()
   const { isConnected: isWalletConnected } = useWalletConnection()
   const [activeTab, setActiveTab] = useState('chat') // 'chat', 'history', 'transactions'
+  const [historyFilter, setHistoryFilter] = useState(null) // Filter from a history question in chat
+  const [incomingRequests, setIncomingRequests] = useState([]) // Open payment requests others sent this wallet
   const searchParams = useSearchParams()
   const conversationId = searchParams.get('conversation')
   const [currentConversationId, setCurrentConversationId] = useState(null)
@@ -147,6 +153,22 @@ export default function ChatInterface() {
     }
   }, [conversationId, isConnected, address])
 
+  // Load the open payment requests this wallet was asked to pay, shown as cards at the top of the chat
+  const loadIncomingRequests = useCallback(() => {
+    if (!isConnected || !address) {
+      setIncomingRequests([])
+      return
+    }
+
+    getPaymentRequests(address, 'open')
+      .then(({ incoming }) => setIncomingRequests(incoming))
+      .catch(err => console.error('Error loading payment requests:', err))
+  }, [isConnected, address])
+
+  useEffect(() => {
+    loadIncomingRequests()
+  }, [loadIncomingRequests])
+
   // Load initial messages for conversation
   const [initialMessages, setInitialMessages] = useState([])
 
@@ -157,28 +179,15 @@ export default function ChatInterface() {
         .then(messages => {
           if (messages && messages.length > 0) {
             // Convert to the format expected by useChat
-            const formattedMessages = messages.map(msg => {
-              let parsedData = msg.metadata || undefined;
-              // Normalize parsedData: if it exists but is missing intent, try to infer
-              if (parsedData && !parsedData.intent) {
-                // Try to infer intent from content or structure
-                if (parsedData.type === 'send' || parsedData.type === 'split') {
-                  parsedData.intent = parsedData.type;
-                } else if (msg.content && msg.content.toLowerCase().includes('send')) {
-                  parsedData.intent = 'send';
-                } else if (msg.content && msg.content.toLowerCase().includes('split')) {
-                  parsedData.intent = 'split';
-                }
-              }
-              return {
-                id: msg.id.toString(),
-                role: msg.is_user ? 'user' : 'assistant',
-                content: msg.message,
-                createdAt: new Date(msg.created_at),
-                metadata: msg.metadata,
-                parsedData
-              }
-            })
+            const formattedMessages = messages.map(msg => ({
+              id: msg.id.toString(),
+              role: msg.is_user ? 'user' : 'assistant',
+              content: stripLegacyBalanceSentinel(msg.message),
+              createdAt: new Date(msg.created_at),
+              metadata: msg.metadata,
+              // Typed parts (intent, balance, transaction proposal) are rebuilt from the stored metadata
+              annotations: msg.is_user ? undefined : partsFromMetadata(msg.metadata, msg.message)
+            }))
 
             // Set initial messages
             setInitialMessages(formattedMessages)
@@ -191,7 +200,7 @@ export default function ChatInterface() {
     }
   }, [currentConversationId, isConnected])
 
-  const { messages, input, handleInputChange, handleSubmit, isLoading, setInput, setMessages } = useChat({
+  const { messages, input, handleInputChange, handleSubmit, append, isLoading, setInput, setMessages } = useChat({
     api: '/api/chat',
     id: currentConversationId ? `conversation-${currentConversationId}` : 'lucra-chat',
     initialMessages: initialMessages,
@@ -207,170 +216,42 @@ export default function ChatInterface() {
       // This is called when the API response is received
       if (response.ok) {
         console.log('Chat response received');
-
-        // Log all headers for debugging
-        const headers = {};
-        response.headers.forEach((value, key) => {
-          headers[key] = value;
-        });
-        console.log('Response headers:', headers);
-
-        // Get the parsed data from the custom header
-        const parsedDataHeader = response.headers.get('X-Parsed-Data');
-        if (parsedDataHeader) {
-          try {
-            const parsedData = JSON.parse(parsedDataHeader);
-            console.log('Parsed data from header:', parsedData);
-
-            // Check if this is a balance check request
-            if (parsedData.intent === 'check_balance' || parsedData.action === 'check_balance' || parsedData.type === 'check_balance') {
-              console.log('Balance check request detected in response header, refreshing balance');
-              // Refresh the balance immediately
-              refreshBalances().then(() => {
-                console.log('Balance refreshed from response handler');
-              }).catch(err => {
-                console.error('Error refreshing balance:', err);
-              });
-            }
-
-            // Store the parsed data to be used in the UI
-            window.__lastParsedData = parsedData;
-            
-            // Attach parsedData to the last message immediately (don't wait for onFinish)
-            // Find the last assistant message in the messages array
-            setTimeout(() => {
-              const lastMessageIndex = messages.length - 1;
-              if (lastMessageIndex >= 0 && messages[lastMessageIndex].role === 'assistant') {
-                console.log('Attaching parsed data to message index:', lastMessageIndex);
-                setMessages(prevMessages => {
-                  const updatedMessages = [...prevMessages];
-                  updatedMessages[lastMessageIndex] = {
-                    ...updatedMessages[lastMessageIndex],
-                    parsedData
-                  };
-                  return updatedMessages;
-                });
-              }
-            }, 500); // Small delay to ensure message is in the array
-          } catch (err) {
-            console.error('Error parsing X-Parsed-Data header:', err);
-          }
-        }
       } else {
         console.error('Error in chat response:', response.statusText);
       }
     },
     onFinish: (message) => {
-      // This is called when the API response is complete
+      // This is called when the API response is complete; the typed parts arrive as message annotations
       console.log('Message finished:', message);
+      const { balance } = getChatParts(message)
 
-      // Check if this is a balance check request
-      if (message.content && message.content.includes && message.content.includes('__FETCH_BALANCE__')) {
-        console.log('Balance check message detected in onFinish, refreshing balance');
-
-        // Extract wallet type if specified
-        let walletType = 'both';
-        const walletTypeMatch = message.content.match(/__FETCH_BALANCE__:(\w+)__/);
-        if (walletTypeMatch && walletTypeMatch[1]) {
-          walletType = walletTypeMatch[1];
-        }
-
-        console.log(`Balance check for wallet type: ${walletType}`);
-
-        // Find the message element and update it to show loading state
-        const messageEl = document.querySelector(`[data-message-id="${message.id}"]`);
-        if (messageEl) {
-          const messageContent = messageEl.querySelector('.message-content');
-          if (messageContent) {
-            messageContent.innerHTML = `<p>Fetching your ${walletType === 'smart' ? 'smart wallet' : walletType === 'main' ? 'main wallet' : 'wallet'} balance...</p>`;
-          }
-        }
-
-        // Refresh the balance with the specified wallet type
-        refreshBalances(true, walletType).then((result) => {
+      // Balance replies show the live balance, so fetch it for the wallet the reply asked for
+      if (balance) {
+        console.log(`Balance check for wallet type: ${balance.wallet}`);
+        refreshBalances(true, balance.wallet).then((result) => {
           console.log('Balance refreshed from onFinish handler, result:', result);
-
-          // Determine which balance to display based on wallet type
-          let displayBalance = nativeDisplayBalance || '0 ETH';
-
-          // Get smart wallet balance if available and requested
-          const smartWalletBalance = result?.balances?.agent?.balance || '0';
-
-          // Generate appropriate balance text based on wallet type
-          let balanceText = '';
-          if (!isConnected) {
-            balanceText = 'Please connect your wallet to check your balance.';
-          } else if (walletType === 'smart') {
-            balanceText = `Your smart wallet balance is ${parseFloat(smartWalletBalance).toFixed(2)} ETH.`;
-          } else if (walletType === 'main') {
-            balanceText = `Your main wallet balance is ${parseFloat(displayBalance).toFixed(2)}.`;
-          } else {
-            // Both wallets
-            balanceText = `Your main wallet balance is ${parseFloat(displayBalance).toFixed(2)}. Your smart wallet balance is ${parseFloat(smartWalletBalance).toFixed(2)} ETH.`;
-          }
-
-          // Update the DOM element
-          setTimeout(() => {
-            const messageEl = document.querySelector(`[data-message-id="${message.id}"]`);
-            if (messageEl) {
-              const messageContent = messageEl.querySelector('.message-content');
-              if (messageContent) {
-                messageContent.innerHTML = `<p>${balanceText}</p>`;
-              }
-            }
-
-            // Also update the message object in the messages array
-            const messageIndex = messages.findIndex(m => m.id === message.id);
-            if (messageIndex !== -1) {
-              const updatedMessages = [...messages];
-              updatedMessages[messageIndex] = {
-                ...updatedMessages[messageIndex],
-                content: balanceText
-              };
-              setMessages(updatedMessages);
-            }
-          }, 1000);
         }).catch(err => {
           console.error('Error refreshing balance:', err);
-
-          // Show error message
-          const messageEl = document.querySelector(`[data-message-id="${message.id}"]`);
-          if (messageEl) {
-            const messageContent = messageEl.querySelector('.message-content');
-            if (messageContent) {
-              messageContent.innerHTML = `<p>Error fetching balance: ${err.message || 'Unknown error'}</p>`;
-            }
-          }
         });
       }
 
-      // Attach the parsed data from the header to the message
-      if (window.__lastParsedData && message.role === 'assistant') {
-        setMessages(prevMessages => prevMessages.map(m =>
-          m.id === message.id ? { ...m, parsedData: window.__lastParsedData } : m
-        ));
-      }
-
       // Save AI response to conversation if we have a conversation ID
       if (currentConversationId && userId) {
-        // Check if the message is a balance check placeholder
-        const messageContent = message.content === '__FETCH_BALANCE__'
-          ? `Your current balance is ${nativeDisplayBalance || '0 ETH'}.`
-          : message.content;
+        const metadata = partsToMetadata(message.annotations)
 
         console.log('Saving message to conversation:', {
           conversationId: currentConversationId,
           userId,
-          content: messageContent,
-          metadata: window.__lastParsedData
+          content: message.content,
+          metadata
         });
 
         addMessageToConversation(
           currentConversationId,
           userId,
-          messageContent,
+          message.content,
           false,
-          window.__lastParsedData
+          metadata
         ).catch(error => {
           console.error('Error saving AI message to conversation:', error);
         });
@@ -378,9 +259,7 @@ export default function ChatInterface() {
     },
     onError: (error) => {
       console.error('Chat error:', error);
-    },
-    // Use text protocol for compatibility with our API
-    streamProtocol: 'text'
+    }
   })
   const [isRecording, setIsRecording] = useState(false)
   const messagesEndRef = useRef(null)
@@ -542,17 +421,20 @@ export default function ChatInterface() {
     error: aiError
   } = useAITransactions();
 
-  // Custom submit handler to ensure proper form submission
-  const customSubmit = async (e) => {
+  // Custom submit handler to ensure proper form submission; a quick reply passes its text instead of the input
+  const customSubmit = async (e, replyText) => {
     if (e && e.preventDefault) {
       e.preventDefault();
     }
 
-    if (input.trim() === '') {
+    const userMessage = (replyText ?? input).trim();
+
+    if (userMessage === '') {
       return;
     }
 
-    const userMessage = input.trim();
+    // Track the conversation ID locally since state updates won't be visible until the next render
+    let activeConversationId = currentConversationId;
 
     // Create a new conversation if this is the first message and we're not in an existing conversation
     if (!currentConversationId && messages.length === 0 && isConnected && userId) {
@@ -565,6 +447,7 @@ export default function ChatInterface() {
         const newConversationId = await createConversation(address, title);
 
         if (newConversationId) {
+          activeConversationId = newConversationId;
           setCurrentConversationId(newConversationId);
           setConversationTitle(title);
           console.log('Created new conversation:', newConversationId);
@@ -578,10 +461,10 @@ export default function ChatInterface() {
     if (isConnected && isTransactionRequest(userMessage)) {
       try {
         // Process the message with our AI transaction handler
-        const result = await processMessage(userMessage);
+        const result = await processMessage(userMessage, activeConversationId);
 
-        // If this was processed as a transaction, add it to the chat
-        if (result.type === 'transaction') {
+        // If this was processed as a transaction or a follow-up question, add it to the chat
+        if (result.type === 'transaction' || result.type === 'clarification') {
           // Add the user message to the chat
           const userMessageObj = {
             id: Date.now().toString(),
@@ -589,12 +472,12 @@ export default function ChatInterface() {
             content: userMessage,
           };
 
-          // Add the AI response to the chat, with parsedData for TransactionUI
+          // Add the AI response to the chat, with the streamed parts (the proposal renders TransactionUI)
           const aiResponseObj = {
             id: (Date.now() + 1).toString(),
             role: 'assistant',
             content: result.agentResponse.response || 'Transaction processed successfully.',
-            parsedData: result.details // Attach parsedData for TransactionUI
+            annotations: result.annotations
           };
 
           // Clear the input
@@ -604,10 +487,10 @@ export default function ChatInterface() {
           setMessages((prev) => [...prev, userMessageObj, aiResponseObj]);
 
           // Save messages to conversation if we have a conversation ID
-          if (currentConversationId && userId) {
+          if (activeConversationId && userId) {
             // Save user message
             await addMessageToConversation(
-              currentConversationId,
+              activeConversationId,
               userId,
               userMessage,
               true
@@ -615,11 +498,11 @@ export default function ChatInterface() {
 
             // Save AI response
             await addMessageToConversation(
-              currentConversationId,
+              activeConversationId,
               userId,
               aiResponseObj.content,
               false,
-              { transaction: result.details }
+              partsToMetadata(result.annotations)
             );
           }
 
@@ -632,7 +515,9 @@ export default function ChatInterface() {
     }
 
     // Call the handleSubmit function from useChat for non-transaction messages
-    const originalHandleSubmit = handleSubmit(e);
+    const originalHandleSubmit = replyText === undefined
+      ? handleSubmit(e)
+      : append({ role: 'user', content: userMessage });
 
     // Save messages to conversation if we have a conversation ID
     if (currentConversationId && userId) {
@@ -863,10 +748,26 @@ export default function ChatInterface() {
                   )}
                 </AnimatePresence>
 
+                {/* Payment requests waiting on this wallet */}
+                {incomingRequests.length > 0 && (
+                  <div className="mb-6">
+                    {incomingRequests.map((request) => (
+                      <PaymentRequestCard
+                        key={request.id}
+                        request={request}
+                        role="payer"
+                        onUpdate={loadIncomingRequests}
+                      />
+                    ))}
+                  </div>
+                )}
+
                 {/* Messages */}
                 <div className="flex-1 space-y-6 chat-messages">
-                    {messages.map((message) => {
+                    {messages.map((message, index) => {
                       console.log('Rendering message:', message);
+                      const parts = getChatParts(message)
+                      const isLatest = index === messages.length - 1
                       return (
                         <div
                           key={message.id}
@@ -902,33 +803,71 @@ export default function ChatInterface() {
                                   : "bg-white/10 text-white/90 backdrop-blur-sm border border-white/10"
                               )}
                             >
-                              {message.content && message.content.includes && message.content.includes("__FETCH_BALANCE__")
-                                ? (isWalletBalanceLoading || isAgentLoading || isRefreshing
-                                  ? "Fetching your wallet balance..."
-                                  : message.content.match(/__FETCH_BALANCE__:(\w+)__/)
-                                    ? (() => {
-                                        const walletType = message.content.match(/__FETCH_BALANCE__:(\w+)__/)[1];
-                                        if (!isConnected) return "Please connect your wallet to check your balance.";
-                                        if (walletType === 'smart') return `Your smart wallet balance is ${balances?.agent?.balance || '0'} ETH.`;
-                                        if (walletType === 'main') return `Your main wallet balance is ${nativeDisplayBalance}.`;
-                                        return `Your main wallet balance is ${nativeDisplayBalance}. Your smart wallet balance is ${balances?.agent?.balance || '0'} ETH.`;
-                                      })()
-                                    : `Your current balance is ${nativeDisplayBalance || '0 ETH'}.`)
-                                : message.content}
-
-                              {message.role === "assistant" &&
-                                message.parsedData && (
-                                  (message.parsedData.intent && 
-                                    (message.parsedData.intent === "send" || message.parsedData.intent === "split")) ||
-                                  (message.parsedData.type && 
-                                    (message.parsedData.type === "send" || message.parsedData.type === "split"))
-                                ) && (
-                                  <TransactionUI 
-                                    parsedData={message.parsedData} 
-                                    transactionId={message.id} 
-                                  />
-                                )
-                              }
+                              {message.content}
+
+                              {message.role === "assistant" && parts.balance && (
+                                <p className="mt-2">
+                                  {!isConnected
+                                    ? "Please connect your wallet to check your balance."
+                                    : isWalletBalanceLoading || isAgentLoading || isRefreshing
+                                      ? "Fetching your wallet balance..."
+                                      : parts.balance.wallet === 'smart'
+                                        ? `Your smart wallet balance is ${balances?.agent?.balance || '0'} ETH.`
+                                        : parts.balance.wallet === 'main'
+                                          ? `Your main wallet balance is ${nativeDisplayBalance}.`
+                                          : `Your main wallet balance is ${nativeDisplayBalance}. Your smart wallet balance is ${balances?.agent?.balance || '0'} ETH.`}
+                                </p>
+                              )}
+
+                              {message.role === "assistant" && parts.proposal && (
+                                <TransactionUI 
+                                  parsedData={parts.proposal} 
+                                />
+                              )}
+
+                              {message.role === "assistant" && parts.paymentRequests.map((request) => (
+                                <PaymentRequestCard
+                                  key={request.id}
+                                  request={request}
+                                  role="requester"
+                                />
+                              ))}
+
+                              {message.role === "assistant" && parts.ruleProposal && (
+                                <RuleCard rule={parts.ruleProposal} />
+                              )}
+
+                              {message.role === "assistant" && parts.historyFilter && (
+                                <button
+                                  onClick={() => {
+                                    setHistoryFilter(parts.historyFilter)
+                                    setActiveTab("transactions")
+                                  }}
+                                  className="mt-3 text-xs text-purple-400 hover:text-purple-300 flex items-center"
+                                >
+                                  Show these transactions
+                                  <ArrowUpRight className="h-3 w-3 ml-1" />
+                                </button>
+                              )}
+
+                              {/* "Did you mean" chips answer the question for the user; only the latest question is open */}
+                              {message.role === "assistant" && isLatest && parts.suggestions?.options.length > 0 && (
+                                <div className="mt-3 flex flex-wrap gap-2">
+                                  {parts.suggestions.options.map((option) => (
+                                    <Button
+                                      key={option.reply}
+                                      type="button"
+                                      variant="outline"
+                                      size="sm"
+                                      disabled={isLoading || isAIProcessing}
+                                      className="bg-purple-500/20 border-purple-500/30 text-white hover:bg-purple-500/30 hover:border-purple-500/40"
+                                      onClick={() => customSubmit(null, option.reply)}
+                                    >
+                                      {option.label}
+                                    </Button>
+                                  ))}
+                                </div>
+                              )}
                             </div>
                           </div>
                         </div>
@@ -1031,7 +970,13 @@ export default function ChatInterface() {
                 exit={{ opacity: 0 }}
                 className="flex-1"
               >
-                <TransactionHistory />
+                {!historyFilter && <ScheduledPayments />}
+                {!historyFilter && <PaymentRules />}
+                {!historyFilter && <Contacts />}
+                <TransactionHistory
+                  filter={historyFilter}
+                  onClearFilter={() => setHistoryFilter(null)}
+                />
               </motion.div>
             )}
           </AnimatePresence>
@@ -0,0 +1,224 @@
+"use client"
+
+import { useState, useEffect, useCallback } from 'react'
+import { useAccount } from 'wagmi'
+import { isAddress } from 'viem'
+import { getContacts, createContact, updateContact, deleteContact } from '@/utils/supabase'
+import { motion } from 'framer-motion'
+import { BookUser, Pencil, Trash2, Plus, AlertCircle } from 'lucide-react'
+import { Input } from '@/components/ui/input'
+import { Button } from '@/components/ui/button'
+import { formatAddressOrName } from '@/web3/utils/baseNameService'
+import { SUPPORTED_TOKEN_SYMBOLS } from '@/web3/config/tokens'
+
+const EMPTY_FORM = { alias: '', recipient: '', default_token: '', notes: '' }
+
+/**
+ * Turns the form into the contact fields the API takes; the recipient box holds either an
+ * address or a Base Name
+ * @param {Object} form - Form values
+ * @returns {Object} - { alias, address, basename, notes, default_token }
+ */
+function toContact(form) {
+  const recipient = form.recipient.trim()
+  return {
+    alias: form.alias,
+    address: isAddress(recipient) ? recipient : null,
+    basename: isAddress(recipient) ? null : recipient,
+    notes: form.notes,
+    default_token: form.default_token || null
+  }
+}
+
+export default function Contacts() {
+  const { address, isConnected } = useAccount()
+  const [contacts, setContacts] = useState([])
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [editingId, setEditingId] = useState(null)
+  const [isFormOpen, setIsFormOpen] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const loadContacts = useCallback(async () => {
+    if (!isConnected || !address) {
+      setContacts([])
+      return
+    }
+
+    setContacts(await getContacts(address))
+  }, [address, isConnected])
+
+  useEffect(() => {
+    loadContacts()
+  }, [loadContacts])
+
+  const openForm = (contact = null) => {
+    setError(null)
+    setEditingId(contact?.id || null)
+    setForm(contact
+      ? {
+        alias: contact.alias,
+        recipient: contact.address || contact.basename,
+        default_token: contact.default_token || '',
+        notes: contact.notes || ''
+      }
+      : EMPTY_FORM)
+    setIsFormOpen(true)
+  }
+
+  const closeForm = () => {
+    setIsFormOpen(false)
+    setEditingId(null)
+    setForm(EMPTY_FORM)
+  }
+
+  const saveContact = async (event) => {
+    event.preventDefault()
+    setError(null)
+    setIsSaving(true)
+
+    const result = editingId
+      ? await updateContact(editingId, address, toContact(form))
+      : await createContact(address, toContact(form))
+    setIsSaving(false)
+
+    if (result.error) {
+      setError(result.error)
+      return
+    }
+
+    closeForm()
+    loadContacts()
+  }
+
+  const removeContact = async (contact) => {
+    setError(null)
+
+    const result = await deleteContact(contact.id, address)
+    if (result.error) {
+      setError(result.error)
+      return
+    }
+
+    loadContacts()
+  }
+
+  if (!isConnected) return null
+
+  return (
+    <div className="space-y-3 p-2 mb-4">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-white">Contacts</h2>
+        {!isFormOpen && (
+          <button
+            onClick={() => openForm()}
+            className="text-xs text-purple-400 hover:text-purple-300 flex items-center"
+          >
+            <Plus className="h-3 w-3 mr-1" />
+            Add contact
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="text-xs text-red-400 flex items-center gap-1">
+          <AlertCircle className="h-3 w-3" />
+          {error}
+        </div>
+      )}
+
+      {isFormOpen && (
+        <form onSubmit={saveContact} className="bg-white/5 rounded-lg p-4 border border-white/10 space-y-3">
+          <div className="grid grid-cols-2 gap-3">
+            <Input
+              value={form.alias}
+              onChange={(e) => setForm({ ...form, alias: e.target.value })}
+              placeholder="Alias, e.g. mom"
+              className="h-10"
+            />
+            <Input
+              value={form.recipient}
+              onChange={(e) => setForm({ ...form, recipient: e.target.value })}
+              placeholder="Address or Base Name"
+              className="h-10"
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <select
+              value={form.default_token}
+              onChange={(e) => setForm({ ...form, default_token: e.target.value })}
+              className="h-10 rounded-xl bg-white/5 px-4 text-sm text-white border border-white/10"
+            >
+              <option value="">No default token</option>
+              {SUPPORTED_TOKEN_SYMBOLS.map(symbol => (
+                <option key={symbol} value={symbol}>{symbol}</option>
+              ))}
+            </select>
+            <Input
+              value={form.notes}
+              onChange={(e) => setForm({ ...form, notes: e.target.value })}
+              placeholder="Notes"
+              className="h-10"
+            />
+          </div>
+          <div className="flex gap-2 justify-end">
+            <Button type="button" variant="ghost" onClick={closeForm} disabled={isSaving}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              disabled={isSaving || !form.alias.trim() || !form.recipient.trim()}
+              className="bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-700 hover:to-blue-700"
+            >
+              {isSaving ? 'Saving...' : editingId ? 'Save changes' : 'Add contact'}
+            </Button>
+          </div>
+        </form>
+      )}
+
+      {contacts.map((contact) => (
+        <motion.div
+          key={contact.id}
+          initial={{ opacity: 0, y: 10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="bg-white/5 rounded-lg p-4 border border-white/10"
+        >
+          <div className="flex justify-between items-center">
+            <div className="flex items-center">
+              <div className="bg-purple-500/20 p-2 rounded-full mr-3">
+                <BookUser className="h-5 w-5 text-purple-500" />
+              </div>
+              <div>
+                <p className="font-medium text-white">
+                  @{contact.alias}
+                  <span className="text-white/60 font-normal"> → {formatAddressOrName(contact.address || contact.basename)}</span>
+                </p>
+                {(contact.default_token || contact.notes) && (
+                  <p className="text-sm text-white/60 mt-1">
+                    {[contact.default_token && `Paid in ${contact.default_token}`, contact.notes].filter(Boolean).join(' · ')}
+                  </p>
+                )}
+              </div>
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => openForm(contact)}
+                className="text-xs text-purple-400 hover:text-purple-300 flex items-center"
+              >
+                <Pencil className="h-3 w-3 mr-1" />
+                Edit
+              </button>
+              <button
+                onClick={() => removeContact(contact)}
+                className="text-xs text-white/60 hover:text-white flex items-center"
+              >
+                <Trash2 className="h-3 w-3 mr-1" />
+                Delete
+              </button>
+            </div>
+          </div>
+        </motion.div>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,129 @@
+"use client"
+
+import { useState, useEffect, useCallback } from 'react'
+import { useAccount } from 'wagmi'
+import { getPaymentRules, updatePaymentRule } from '@/utils/supabase'
+import { motion } from 'framer-motion'
+import { format } from 'date-fns'
+import { Workflow, Pause, Play, Trash2, AlertCircle } from 'lucide-react'
+import { describeRule } from '@/lib/rules'
+
+const STATUS_COLORS = {
+  active: 'text-green-400',
+  paused: 'text-yellow-400',
+}
+
+export default function PaymentRules() {
+  const { address, isConnected } = useAccount()
+  const [rules, setRules] = useState([])
+  const [updatingId, setUpdatingId] = useState(null)
+  const [error, setError] = useState(null)
+
+  const loadRules = useCallback(async () => {
+    if (!isConnected || !address) {
+      setRules([])
+      return
+    }
+
+    setRules(await getPaymentRules(address))
+  }, [address, isConnected])
+
+  useEffect(() => {
+    loadRules()
+  }, [loadRules])
+
+  const changeRule = async (rule, action) => {
+    setError(null)
+    setUpdatingId(rule.id)
+
+    const result = await updatePaymentRule(rule.id, address, action)
+    setUpdatingId(null)
+
+    if (result.error) {
+      setError(result.error)
+      return
+    }
+
+    loadRules()
+  }
+
+  if (rules.length === 0) return null
+
+  return (
+    <div className="space-y-3 p-2 mb-4">
+      <h2 className="text-xl font-semibold text-white mb-4">Payment Rules</h2>
+
+      {error && (
+        <div className="text-xs text-red-400 flex items-center gap-1">
+          <AlertCircle className="h-3 w-3" />
+          {error}
+        </div>
+      )}
+
+      {rules.map((rule) => (
+        <motion.div
+          key={rule.id}
+          initial={{ opacity: 0, y: 10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="bg-white/5 rounded-lg p-4 border border-white/10"
+        >
+          <div className="flex justify-between items-center">
+            <div className="flex items-center">
+              <div className="bg-purple-500/20 p-2 rounded-full mr-3">
+                <Workflow className="h-5 w-5 text-purple-500" />
+              </div>
+              <div>
+                <p className="font-medium text-white">
+                  {describeRule(rule)}
+                </p>
+                {rule.last_run_at && (
+                  <p className="text-sm text-white/60 mt-1">
+                    Last fired: {format(new Date(rule.last_run_at), 'PPp')} ({rule.run_count} {rule.run_count === 1 ? 'time' : 'times'} in all)
+                  </p>
+                )}
+                {rule.last_error && (
+                  <p className="text-sm text-red-400 mt-1">Last payment failed: {rule.last_error}</p>
+                )}
+              </div>
+            </div>
+            <div className="text-right">
+              <p className={`text-sm ${STATUS_COLORS[rule.status] || 'text-white/60'}`}>
+                {rule.status.charAt(0).toUpperCase() + rule.status.slice(1)}
+              </p>
+              <div className="flex gap-2 mt-2 justify-end">
+                {rule.status === 'active' && (
+                  <button
+                    onClick={() => changeRule(rule, 'pause')}
+                    disabled={updatingId === rule.id}
+                    className="text-xs text-purple-400 hover:text-purple-300 flex items-center"
+                  >
+                    <Pause className="h-3 w-3 mr-1" />
+                    Pause
+                  </button>
+                )}
+                {rule.status === 'paused' && (
+                  <button
+                    onClick={() => changeRule(rule, 'resume')}
+                    disabled={updatingId === rule.id}
+                    className="text-xs text-purple-400 hover:text-purple-300 flex items-center"
+                  >
+                    <Play className="h-3 w-3 mr-1" />
+                    Resume
+                  </button>
+                )}
+                <button
+                  onClick={() => changeRule(rule, 'delete')}
+                  disabled={updatingId === rule.id}
+                  className="text-xs text-white/60 hover:text-white flex items-center"
+                >
+                  <Trash2 className="h-3 w-3 mr-1" />
+                  Delete
+                </button>
+              </div>
+            </div>
+          </div>
+        </motion.div>
+      ))}
+    </div>
+  )
+}
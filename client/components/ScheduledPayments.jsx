@@ -0,0 +1,140 @@
+"use client"
+
+import { useState, useEffect, useCallback } from 'react'
+import { useAccount } from 'wagmi'
+import { getScheduledPayments, updateScheduledPayment } from '@/utils/supabase'
+import { motion } from 'framer-motion'
+import { format } from 'date-fns'
+import { CalendarClock, Pause, Play, X, AlertCircle } from 'lucide-react'
+import { describeSchedule, getRowSchedule } from '@/lib/schedules'
+import { describeScheduledPayment, SCHEDULE_TRANSITIONS } from '@/utils/scheduledPayments'
+
+const STATUS_COLORS = {
+  active: 'text-green-400',
+  paused: 'text-yellow-400',
+  failed: 'text-red-400',
+}
+
+// Finished schedules are left out of the list
+const LISTED_STATUSES = ['active', 'paused']
+
+export default function ScheduledPayments() {
+  const { address, isConnected } = useAccount()
+  const [schedules, setSchedules] = useState([])
+  const [updatingId, setUpdatingId] = useState(null)
+  const [error, setError] = useState(null)
+
+  const loadSchedules = useCallback(async () => {
+    if (!isConnected || !address) {
+      setSchedules([])
+      return
+    }
+
+    const data = await getScheduledPayments(address)
+    setSchedules(data.filter(schedule => LISTED_STATUSES.includes(schedule.status)))
+  }, [address, isConnected])
+
+  useEffect(() => {
+    loadSchedules()
+  }, [loadSchedules])
+
+  const changeSchedule = async (schedule, action) => {
+    setError(null)
+    setUpdatingId(schedule.id)
+
+    const result = await updateScheduledPayment(schedule.id, address, action)
+    setUpdatingId(null)
+
+    if (result.error) {
+      setError(result.error)
+      return
+    }
+
+    loadSchedules()
+  }
+
+  if (schedules.length === 0) return null
+
+  return (
+    <div className="space-y-3 p-2 mb-4">
+      <h2 className="text-xl font-semibold text-white mb-4">Scheduled Payments</h2>
+
+      {error && (
+        <div className="text-xs text-red-400 flex items-center gap-1">
+          <AlertCircle className="h-3 w-3" />
+          {error}
+        </div>
+      )}
+
+      {schedules.map((schedule) => (
+        <motion.div
+          key={schedule.id}
+          initial={{ opacity: 0, y: 10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="bg-white/5 rounded-lg p-4 border border-white/10"
+        >
+          <div className="flex justify-between items-center">
+            <div className="flex items-center">
+              <div className="bg-purple-500/20 p-2 rounded-full mr-3">
+                <CalendarClock className="h-5 w-5 text-purple-500" />
+              </div>
+              <div>
+                <p className="font-medium text-white">
+                  {describeScheduledPayment(schedule.payment)}
+                </p>
+                <p className="text-sm text-white/60">
+                  {describeSchedule(getRowSchedule(schedule))}
+                </p>
+                {schedule.status === 'active' && schedule.next_run_at && (
+                  <p className="text-sm text-white/80 mt-1">
+                    Next payment: {format(new Date(schedule.next_run_at), 'PPp')}
+                  </p>
+                )}
+                {schedule.last_error && (
+                  <p className="text-sm text-red-400 mt-1">Last payment failed: {schedule.last_error}</p>
+                )}
+              </div>
+            </div>
+            <div className="text-right">
+              <p className={`text-sm ${STATUS_COLORS[schedule.status] || 'text-white/60'}`}>
+                {schedule.status.charAt(0).toUpperCase() + schedule.status.slice(1)}
+              </p>
+              <div className="flex gap-2 mt-2 justify-end">
+                {schedule.status === 'active' && (
+                  <button
+                    onClick={() => changeSchedule(schedule, 'pause')}
+                    disabled={updatingId === schedule.id}
+                    className="text-xs text-purple-400 hover:text-purple-300 flex items-center"
+                  >
+                    <Pause className="h-3 w-3 mr-1" />
+                    Pause
+                  </button>
+                )}
+                {schedule.status === 'paused' && (
+                  <button
+                    onClick={() => changeSchedule(schedule, 'resume')}
+                    disabled={updatingId === schedule.id}
+                    className="text-xs text-purple-400 hover:text-purple-300 flex items-center"
+                  >
+                    <Play className="h-3 w-3 mr-1" />
+                    Resume
+                  </button>
+                )}
+                {SCHEDULE_TRANSITIONS[schedule.status]?.includes('cancelled') && (
+                  <button
+                    onClick={() => changeSchedule(schedule, 'cancel')}
+                    disabled={updatingId === schedule.id}
+                    className="text-xs text-white/60 hover:text-white flex items-center"
+                  >
+                    <X className="h-3 w-3 mr-1" />
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        </motion.div>
+      ))}
+    </div>
+  )
+}
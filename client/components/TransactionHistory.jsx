@@ -2,16 +2,71 @@
 
 import { useState, useEffect } from 'react'
 import { useAccount } from 'wagmi'
-import { getTransactionHistory } from '@/utils/supabase'
+import { getTransactionHistory, retrySplitPayments, setTransactionCategory, syncTransactionHistory } from '@/utils/supabase'
 import { motion } from 'framer-motion'
 import { formatDistanceToNow } from 'date-fns'
-import { ArrowUpRight, ArrowDownLeft, Loader2 } from 'lucide-react'
+import { ArrowUpRight, ArrowDownLeft, Loader2, RotateCw, X, Zap } from 'lucide-react'
+import { describeHistoryFilter } from '@/utils/historyFilters'
+import { SPENDING_CATEGORIES } from '@/lib/insights/categories'
+import { useTransactions } from '@/web3/hooks/useTransactions'
+import { BASE_SEPOLIA } from '@/web3/config/networks'
+import { RETRYABLE_LEG_STATUSES, summarizeLegs } from '@/utils/transactionRecords'
 
-export default function TransactionHistory() {
-  const { address, isConnected } = useAccount()
+const STATUS_COLORS = {
+  confirmed: 'text-green-400',
+  failed: 'text-red-400',
+  dropped: 'text-red-400',
+  replaced: 'text-white/60',
+  drafted: 'text-white/60',
+}
+
+const STATUS_LABELS = {
+  awaiting_signature: 'Awaiting signature',
+}
+
+const TYPE_LABELS = {
+  send: 'Sent',
+  split: 'Split',
+  receive: 'Received',
+}
+
+/**
+ * Shortens an address for display, e.g. 0x1234...abcd
+ * @param {string} address - Address
+ * @returns {string} - Shortened address
+ */
+function shortAddress(address) {
+  return `${address.slice(0, 6)}...${address.slice(-4)}`
+}
+
+/**
+ * Checks whether a transaction can still be sped up or cancelled from this wallet: it's pending on
+ * the connected chain, nothing replaced it yet, and the wallet sent it rather than the agent's signer
+ * @param {Object} tx - Transaction row
+ * @param {number} chainId - Connected chain ID
+ * @returns {boolean} - True if the speed up and cancel actions apply
+ */
+function isReplaceable(tx, chainId) {
+  return tx.status === 'submitted' &&
+    !tx.replaced_by &&
+    !!tx.transaction_hash &&
+    ['send', 'split', 'cancel'].includes(tx.transaction_type) &&
+    (!tx.chain_id || tx.chain_id === chainId) &&
+    !tx.metadata?.signer_address
+}
+
+export default function TransactionHistory({ filter = null, onClearFilter }) {
+  const { address, isConnected, chainId } = useAccount()
   const [transactions, setTransactions] = useState([])
+  const [reloadedAt, setReloadedAt] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  const [categoryError, setCategoryError] = useState(null)
+  const [replacing, setReplacing] = useState(null)
+  const [replaceError, setReplaceError] = useState(null)
+  const [retrying, setRetrying] = useState(null)
+  const [retryError, setRetryError] = useState(null)
+  const { replaceTransaction } = useTransactions()
 
   useEffect(() => {
     const fetchTransactions = async () => {
@@ -23,7 +78,7 @@ export default function TransactionHistory() {
 
       try {
         setLoading(true)
-        const data = await getTransactionHistory(address)
+        const data = await getTransactionHistory(address, 50, filter)
         setTransactions(data)
         setError(null)
       } catch (err) {
@@ -35,7 +90,64 @@ export default function TransactionHistory() {
     }
 
     fetchTransactions()
-  }, [address, isConnected])
+  }, [address, isConnected, filter, reloadedAt])
+
+  // Imports transfers made outside the app, then reloads the list if there were any
+  useEffect(() => {
+    if (!isConnected || !address) return
+
+    let cancelled = false
+    syncTransactionHistory(address, chainId).then(result => {
+      if (!cancelled && result?.imported > 0) setReloadedAt(Date.now())
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [address, isConnected, chainId])
+
+  // The user's correction replaces the category picked for the payment
+  const changeCategory = async (tx, category) => {
+    setCategoryError(null)
+
+    const result = await setTransactionCategory(tx.id, address, category)
+    if (result.error) {
+      setCategoryError(result.error)
+      return
+    }
+
+    setTransactions(current => current.map(row => (row.id === tx.id ? { ...row, ...result.data } : row)))
+  }
+
+  // Sends a speed up or cancel of a pending transaction, then reloads the list to show both
+  const replace = async (tx, kind) => {
+    setReplaceError(null)
+    setReplacing(tx.id)
+
+    const result = await replaceTransaction({ hash: tx.transaction_hash, kind, transactionId: tx.id })
+    setReplacing(null)
+    if (!result.success) {
+      setReplaceError(result.error)
+      return
+    }
+
+    setReloadedAt(Date.now())
+  }
+
+  // Sends a split's failed payments again; the agent pays them from where it paid the rest
+  const retrySplit = async (tx) => {
+    setRetryError(null)
+    setRetrying(tx.id)
+
+    const legIndexes = tx.legs.filter(leg => RETRYABLE_LEG_STATUSES.includes(leg.status)).map(leg => leg.leg_index)
+    const result = await retrySplitPayments(address, tx.id, legIndexes, chainId === BASE_SEPOLIA.id)
+    setRetrying(null)
+    if (result.error) {
+      setRetryError(result.error)
+    }
+
+    setReloadedAt(Date.now())
+  }
 
   if (!isConnected) {
     return (
@@ -61,17 +173,47 @@ export default function TransactionHistory() {
     )
   }
 
+  // Shown above the list when it comes from a history question in chat
+  const filterBanner = filter && (
+    <div className="flex items-center justify-between bg-purple-500/10 border border-purple-500/30 rounded-lg px-3 py-2 mb-4">
+      <p className="text-sm text-white/80">
+        Showing {describeHistoryFilter(filter)}
+      </p>
+      {onClearFilter && (
+        <button
+          onClick={onClearFilter}
+          className="text-xs text-purple-400 hover:text-purple-300 flex items-center"
+        >
+          <X className="h-3 w-3 mr-1" />
+          Show all
+        </button>
+      )}
+    </div>
+  )
+
   if (transactions.length === 0) {
     return (
-      <div className="p-4 text-center text-white/60">
-        No transactions found
+      <div className="p-2">
+        {filterBanner}
+        <div className="p-4 text-center text-white/60">
+          No transactions found
+        </div>
       </div>
     )
   }
 
+  // How each split's payments went, by transaction ID
+  const legSummaries = Object.fromEntries(transactions
+    .filter(tx => tx.legs?.length > 0)
+    .map(tx => [tx.id, summarizeLegs(tx.legs)]))
+
   return (
     <div className="space-y-4 p-2">
       <h2 className="text-xl font-semibold text-white mb-4">Transaction History</h2>
+      {filterBanner}
+      {categoryError && <p className="text-sm text-red-400 mb-2">{categoryError}</p>}
+      {replaceError && <p className="text-sm text-red-400 mb-2">{replaceError}</p>}
+      {retryError && <p className="text-sm text-red-400 mb-2">{retryError}</p>}
       
       <div className="space-y-3">
         {transactions.map((tx) => (
@@ -83,7 +225,7 @@ export default function TransactionHistory() {
           >
             <div className="flex justify-between items-center">
               <div className="flex items-center">
-                {tx.transaction_type === 'send' ? (
+                {['send', 'split'].includes(tx.transaction_type) ? (
                   <div className="bg-purple-500/20 p-2 rounded-full mr-3">
                     <ArrowUpRight className="h-5 w-5 text-purple-500" />
                   </div>
@@ -94,24 +236,87 @@ export default function TransactionHistory() {
                 )}
                 <div>
                   <p className="font-medium text-white">
-                    {tx.transaction_type === 'send' ? 'Sent' : 'Received'} {tx.amount} {tx.token}
+                    {tx.transaction_type === 'cancel'
+                      ? 'Cancelled a pending payment'
+                      : <>{TYPE_LABELS[tx.transaction_type] || 'Received'} {tx.amount} {tx.token}</>}
                   </p>
                   <p className="text-sm text-white/60">
-                    {tx.recipient_address.slice(0, 6)}...{tx.recipient_address.slice(-4)}
+                    {tx.legs?.length > 0
+                      ? `Between ${tx.legs.length} recipients`
+                      : tx.recipient_address
+                        ? shortAddress(tx.recipient_address)
+                        : `Between ${tx.metadata?.recipients?.length || 'several'} recipients`}
                   </p>
                   {tx.note && <p className="text-sm text-white/80 mt-1">Note: {tx.note}</p>}
+                  {tx.replaced_by && (
+                    <p className="text-xs text-white/60 mt-1">
+                      {{ cancel: 'Cancelled', speed_up: 'Sped up' }[transactions.find(row => row.id === tx.replaced_by)?.metadata?.replacement] || 'Replaced'} by another transaction
+                    </p>
+                  )}
+                  {['send', 'split'].includes(tx.transaction_type) && (
+                    <select
+                      value={tx.category || ''}
+                      onChange={(e) => changeCategory(tx, e.target.value)}
+                      className="mt-1 rounded-md bg-white/5 px-2 py-1 text-xs text-white/80 border border-white/10"
+                      aria-label="Spending category"
+                    >
+                      {!tx.category && <option value="" disabled>Uncategorized</option>}
+                      {SPENDING_CATEGORIES.map(category => (
+                        <option key={category} value={category}>
+                          {category.charAt(0).toUpperCase() + category.slice(1)}
+                        </option>
+                      ))}
+                    </select>
+                  )}
                 </div>
               </div>
               <div className="text-right">
+                {legSummaries[tx.id]?.partial && (
+                  <p className="text-xs text-yellow-400">Partly paid</p>
+                )}
                 <p className="text-sm text-white/60">
                   {tx.created_at ? formatDistanceToNow(new Date(tx.created_at), { addSuffix: true }) : 'Unknown date'}
                 </p>
-                <p className={`text-sm ${tx.status === 'completed' ? 'text-green-400' : 'text-yellow-400'}`}>
-                  {tx.status.charAt(0).toUpperCase() + tx.status.slice(1)}
+                <p className={`text-sm ${STATUS_COLORS[tx.status] || 'text-yellow-400'}`}>
+                  {STATUS_LABELS[tx.status] || tx.status.charAt(0).toUpperCase() + tx.status.slice(1)}
                 </p>
               </div>
             </div>
             
+            {tx.legs?.length > 0 && (
+              <div className="mt-2 pt-2 border-t border-white/10">
+                <ul className="space-y-1 text-xs">
+                  {tx.legs.map(leg => (
+                    <li key={leg.id} className="flex justify-between gap-2">
+                      <span className="text-white/80">
+                        {leg.amount} {leg.token} to {shortAddress(leg.recipient_address)}
+                        {leg.error && leg.status !== 'confirmed' && (
+                          <span className="block text-red-400/80">{leg.error}</span>
+                        )}
+                      </span>
+                      <span className={STATUS_COLORS[leg.status] || 'text-yellow-400'}>
+                        {leg.status.charAt(0).toUpperCase() + leg.status.slice(1)}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+                {legSummaries[tx.id].unpaid > 0 && tx.metadata?.signer_address && (
+                  <button
+                    onClick={() => retrySplit(tx)}
+                    disabled={!!retrying}
+                    className="mt-2 text-xs text-purple-400 hover:text-purple-300 flex items-center disabled:opacity-50"
+                  >
+                    <RotateCw className="h-3 w-3 mr-1" />
+                    {retrying === tx.id
+                      ? 'Retrying...'
+                      : legSummaries[tx.id].unpaid === 1
+                        ? 'Retry the failed payment'
+                        : `Retry ${legSummaries[tx.id].unpaid} failed payments`}
+                  </button>
+                )}
+              </div>
+            )}
+
             {tx.transaction_hash && (
               <div className="mt-2 pt-2 border-t border-white/10">
                 <a 
@@ -123,6 +328,28 @@ export default function TransactionHistory() {
                   View on Basescan
                   <ArrowUpRight className="h-3 w-3 ml-1" />
                 </a>
+                {isReplaceable(tx, chainId) && (
+                  <div className="mt-2 flex items-center gap-3">
+                    <button
+                      onClick={() => replace(tx, 'speed_up')}
+                      disabled={!!replacing}
+                      className="text-xs text-purple-400 hover:text-purple-300 flex items-center disabled:opacity-50"
+                    >
+                      <Zap className="h-3 w-3 mr-1" />
+                      {replacing === tx.id ? 'Sending...' : 'Speed up'}
+                    </button>
+                    {tx.transaction_type !== 'cancel' && (
+                      <button
+                        onClick={() => replace(tx, 'cancel')}
+                        disabled={!!replacing}
+                        className="text-xs text-white/60 hover:text-white/80 flex items-center disabled:opacity-50"
+                      >
+                        <X className="h-3 w-3 mr-1" />
+                        Cancel
+                      </button>
+                    )}
+                  </div>
+                )}
               </div>
             )}
           </motion.div>
@@ -4,6 +4,10 @@ import { useState, useCallback } from 'react';
 import { useAccount, useChainId } from 'wagmi';
 import { useTransactions } from '@/web3';
 import { getNetworkByChainId, BASE_SEPOLIA } from '@/web3/config/networks';
+import { quoteFiatAmount } from '@/web3/utils/prices';
+import { isPaymentIntent, parseIntentRules } from '@/lib/intent';
+import { getChatParts } from '@/lib/chatParts';
+import { processDataStream } from 'ai';
 
 /**
  * Custom hook for AI-powered transactions
@@ -12,7 +16,7 @@ import { getNetworkByChainId, BASE_SEPOLIA } from '@/web3/config/networks';
 export function useAITransactions() {
   const { address } = useAccount();
   const chainId = useChainId();
-  const { sendPayment, splitPayment } = useTransactions();
+  const { sendPayment, splitPayment, sendBatch } = useTransactions();
   const [isProcessing, setIsProcessing] = useState(false);
   const [error, setError] = useState(null);
   const [lastResponse, setLastResponse] = useState(null);
@@ -24,9 +28,10 @@ export function useAITransactions() {
   /**
    * Process a message with AI to extract and execute transaction details
    * @param {string} message - User's message
+   * @param {number} conversationId - Optional conversation ID, used to resume incomplete payment intents
    * @returns {Promise<object>} - Processing result
    */
-  const processMessage = useCallback(async (message) => {
+  const processMessage = useCallback(async (message, conversationId = null) => {
     try {
       setIsProcessing(true);
       setError(null);
@@ -49,6 +54,7 @@ export function useAITransactions() {
           messages: [{ role: 'user', content: message }],
           walletAddress: address,
           useTestnet: useTestnet || false,
+          conversationId,
         }),
       });
 
@@ -58,57 +64,48 @@ export function useAITransactions() {
         throw new Error(`Failed to process message: ${response.statusText}`);
       }
 
-      // Get the parsed data from the custom header
-      const parsedDataHeader = response.headers.get('X-Parsed-Data');
-      let data = { type: 'message' };
+      // Read the streamed reply: the text chunk by chunk, and the typed parts as message annotations
+      let responseText = '';
+      const annotations = [];
+      await processDataStream({
+        stream: response.body,
+        onTextPart: (text) => {
+          responseText += text;
+        },
+        onMessageAnnotationsPart: (parts) => {
+          annotations.push(...parts);
+        },
+      });
 
-      // Get the response text first so we don't consume the body twice
-      const responseText = await response.text();
+      const { intent: parsedData, proposal } = getChatParts({ annotations });
+      console.log('Parsed data from response parts:', parsedData);
 
-      if (parsedDataHeader) {
-        try {
-          const parsedData = JSON.parse(parsedDataHeader);
-          console.log('Parsed data from header:', parsedData);
-
-          // If this is a transaction intent, format it properly
-          if (parsedData.intent === 'send' || parsedData.intent === 'split') {
-            data = {
-              type: 'transaction',
-              details: {
-                type: parsedData.intent,
-                amount: parsedData.amount || 0.1,
-                token: parsedData.token || 'ETH',
-                recipient: parsedData.recipients?.[0] || 'unknown',
-                recipients: parsedData.recipients || [],
-                note: parsedData.note
-              },
-              agentResponse: {
-                response: responseText
-              }
-            };
-          } else {
-            // For non-transaction intents
-            data = {
-              type: 'message',
-              agentResponse: {
-                response: responseText
-              }
-            };
+      let data;
+      if (parsedData?.needs_clarification) {
+        // Incomplete intents come back with a follow-up question instead of a transaction
+        data = {
+          type: 'clarification',
+          details: parsedData,
+          annotations,
+          agentResponse: {
+            response: responseText
           }
-        } catch (err) {
-          console.error('Error parsing X-Parsed-Data header:', err);
-          // Use the response text as a regular message
-          data = {
-            type: 'message',
-            agentResponse: {
-              response: responseText
-            }
-          };
-        }
+        };
+      } else if (proposal) {
+        // Transaction intents are passed on in the shared intent schema
+        data = {
+          type: 'transaction',
+          details: parsedData || proposal,
+          annotations,
+          agentResponse: {
+            response: responseText
+          }
+        };
       } else {
-        // No parsed data header, just use the response text
+        // For non-transaction intents
         data = {
           type: 'message',
+          annotations,
           agentResponse: {
             response: responseText
           }
@@ -117,28 +114,40 @@ export function useAITransactions() {
 
       setLastResponse(data);
 
-      // If this is a transaction, execute it
-      if (data.type === 'transaction') {
+      // If this is a transaction, execute it; a scheduled one is only stored once the user confirms
+      // it in TransactionUI, and the schedule worker pays it when it's due
+      if (data.type === 'transaction' && !data.details.schedule) {
         const { details } = data;
 
         try {
           console.log('Executing transaction:', details);
 
-          if (details.type === 'send') {
-            if (!details.recipient || details.recipient === 'unknown') {
+          // Fiat amounts are converted to token units at the current price before sending
+          if (details.fiat_amount) {
+            const quote = await quoteFiatAmount({
+              fiatAmount: details.fiat_amount,
+              currency: details.fiat_currency,
+              token: details.token || 'ETH'
+            });
+            details.amount = quote.amount;
+            details.price_quote = quote;
+          }
+
+          if (details.intent === 'send') {
+            if (details.recipients.length === 0) {
               throw new Error('Invalid recipient address');
             }
 
             await sendPayment({
-              to: details.recipient,
+              to: details.recipients[0],
               amount: details.amount,
               token: details.token || 'ETH',
               note: details.note || ''
             });
 
             console.log('Send payment executed successfully');
-          } else if (details.type === 'split') {
-            if (!details.recipients || details.recipients.length === 0) {
+          } else if (details.intent === 'split') {
+            if (details.recipients.length === 0) {
               throw new Error('No recipients specified for split payment');
             }
 
@@ -147,12 +156,32 @@ export function useAITransactions() {
               details.recipients,
               details.amount,
               details.token || 'ETH',
-              details.note || ''
+              details.note || '',
+              { splitType: details.split_type, allocations: details.allocations }
             );
 
             console.log('Split payment executed successfully');
+          } else if (details.intent === 'batch') {
+            // Each payment of a batch converts its own fiat amount
+            const actions = await Promise.all(details.actions.map(async (action) => {
+              if (!action.fiat_amount) return action;
+
+              const quote = await quoteFiatAmount({
+                fiatAmount: action.fiat_amount,
+                currency: action.fiat_currency,
+                token: action.token || 'ETH'
+              });
+              return { ...action, amount: quote.amount, price_quote: quote };
+            }));
+
+            const result = await sendBatch(actions);
+            if (!result.success) {
+              throw new Error(result.error || 'Failed to send the batch');
+            }
+
+            console.log(`Batch of ${actions.length} payments executed successfully (${result.atomic ? 'atomic' : 'one by one'})`);
           } else {
-            console.warn('Unknown transaction type:', details.type);
+            console.warn('Unknown transaction type:', details.intent);
           }
         } catch (txError) {
           console.error('Error executing transaction:', txError);
@@ -176,26 +205,16 @@ export function useAITransactions() {
     } finally {
       setIsProcessing(false);
     }
-  }, [address, useTestnet, sendPayment, splitPayment]);
+  }, [address, useTestnet, sendPayment, splitPayment, sendBatch]);
 
   /**
-   * Check if a message appears to be a transaction request
+   * Check if a message appears to be a payment request (a send or split).
+   * Balance checks and history lookups go through the regular chat.
    * @param {string} message - User's message
-   * @returns {boolean} - True if the message appears to be a transaction request
+   * @returns {boolean} - True if the message appears to be a payment request
    */
   const isTransactionRequest = useCallback((message) => {
-    const transactionKeywords = [
-      'send',
-      'transfer',
-      'pay',
-      'split',
-      'eth',
-      'ether',
-      'transaction',
-    ];
-
-    const lowerMessage = message.toLowerCase();
-    return transactionKeywords.some(keyword => lowerMessage.includes(keyword));
+    return isPaymentIntent(parseIntentRules(message));
   }, []);
 
   return {
@@ -0,0 +1,211 @@
+/**
+ * Chat response parts
+ * /api/chat answers with the AI SDK data stream protocol: the reply text arrives token by token,
+ * and typed parts travel alongside it as message annotations:
+ *
+ *   { type: 'intent', intent }                     The parsed intent, in the shared schema (lib/intent)
+ *   { type: 'balance', wallet }                    Show the live balance of the 'main', 'smart' or 'both' wallets
+ *   { type: 'transaction_proposal', proposal }     A complete send, split or batch, ready for TransactionUI
+ *                                                  (a send or split with a schedule is stored rather than paid)
+ *   { type: 'history_filter', filter }             The transactions a history answer covers (utils/historyFilters)
+ *   { type: 'payment_request', request }           A payment request the reply created (utils/paymentRequests)
+ *   { type: 'rule_proposal', rule }                A payment rule, ready for RuleCard to create (lib/rules)
+ *   { type: 'suggestions', field, options }        "Did you mean" options for the field a clarification asks
+ *                                                  about (lib/intent/confidence.js), shown as quick replies
+ *
+ * Stored chat_history rows keep the same information in metadata ({ transaction }, { clarification },
+ * { balance }, { history_filter }, { payment_requests } or { rule_proposal }), and partsFromMetadata turns it back into parts when a conversation is loaded.
+ */
+
+import { isPaymentIntent, normalizeIntent, RULE_INTENT } from './intent/schema';
+import { sanitizeHistoryFilter } from '../utils/historyFilters';
+import { sanitizeRule } from './rules/model';
+
+export const CHAT_PART_TYPES = {
+  INTENT: 'intent',
+  BALANCE: 'balance',
+  TRANSACTION_PROPOSAL: 'transaction_proposal',
+  HISTORY_FILTER: 'history_filter',
+  PAYMENT_REQUEST: 'payment_request',
+  RULE_PROPOSAL: 'rule_proposal',
+  SUGGESTIONS: 'suggestions',
+};
+
+export const BALANCE_WALLETS = ['main', 'smart', 'both'];
+
+// Older assistant messages stored this sentinel in place of the balance
+const LEGACY_BALANCE_PATTERN = /__FETCH_BALANCE__(?::(\w+)__)?/;
+
+// Fields of an intent that make up a transaction proposal
+const PROPOSAL_FIELDS = [
+  'intent',
+  'amount',
+  'fiat_amount',
+  'fiat_currency',
+  'token',
+  'recipients',
+  'split_type',
+  'allocations',
+  'note',
+  'actions',
+  'schedule',
+  'raw_message',
+  'transaction_ids',
+];
+
+/**
+ * Picks the fields TransactionUI needs from a complete send, split or batch intent
+ * @param {object} intent - Intent in the shared schema
+ * @returns {object} - Transaction proposal
+ */
+export function buildTransactionProposal(intent) {
+  return Object.fromEntries(
+    PROPOSAL_FIELDS.filter(field => intent[field] !== undefined).map(field => [field, intent[field]])
+  );
+}
+
+/**
+ * Builds the parts sent with a chat response
+ * @param {object} intent - Parsed intent for the user's message
+ * @param {object} options - Extra parts
+ * @param {string} options.balanceWallet - Wallet whose balance the reply shows ('main', 'smart' or 'both')
+ * @param {object[]} options.paymentRequests - Payment requests the reply created
+ * @param {string[]} options.transactionIds - IDs of the drafted transactions, one per payment the
+ *   proposal makes (see getPaymentActions), carried as its transaction_ids
+ * @returns {object[]} - Parts, in the order they are sent
+ */
+export function buildChatParts(intent, { balanceWallet = null, paymentRequests = null, transactionIds = null } = {}) {
+  if (!intent) return [];
+
+  const parts = [{ type: CHAT_PART_TYPES.INTENT, intent }];
+
+  if (balanceWallet) {
+    parts.push({ type: CHAT_PART_TYPES.BALANCE, wallet: balanceWallet });
+  }
+
+  if (isPaymentIntent(intent) && !intent.needs_clarification) {
+    const drafted = transactionIds?.length > 0 ? { ...intent, transaction_ids: transactionIds } : intent;
+    parts.push({ type: CHAT_PART_TYPES.TRANSACTION_PROPOSAL, proposal: buildTransactionProposal(drafted) });
+  }
+
+  if (intent.filter) {
+    parts.push({ type: CHAT_PART_TYPES.HISTORY_FILTER, filter: intent.filter });
+  }
+
+  (paymentRequests || []).forEach(request => {
+    parts.push({ type: CHAT_PART_TYPES.PAYMENT_REQUEST, request });
+  });
+
+  if (intent.intent === RULE_INTENT && intent.rule) {
+    parts.push({ type: CHAT_PART_TYPES.RULE_PROPOSAL, rule: intent.rule });
+  }
+
+  // Only the field being asked about has chips; the others wait for their own question
+  const askedField = intent.needs_clarification ? intent.missing_fields?.[0] : null;
+  const suggestion = askedField ? intent.suggestions?.[askedField] : null;
+  if (suggestion?.options?.length > 0) {
+    parts.push({ type: CHAT_PART_TYPES.SUGGESTIONS, field: askedField, options: suggestion.options });
+  }
+
+  return parts;
+}
+
+/**
+ * Reads the typed parts of a chat message
+ * @param {object} message - useChat message, with the parts in annotations
+ * @returns {object} - { intent, balance, proposal, historyFilter, ruleProposal, suggestions }, each null if
+ *   the message doesn't have one, and paymentRequests (always an array)
+ */
+export function getChatParts(message) {
+  const parts = (message?.annotations || []).filter(part => part && typeof part === 'object');
+  const find = type => parts.find(part => part.type === type) || null;
+
+  const intent = find(CHAT_PART_TYPES.INTENT);
+  const balance = find(CHAT_PART_TYPES.BALANCE);
+  const proposal = find(CHAT_PART_TYPES.TRANSACTION_PROPOSAL);
+  const historyFilter = find(CHAT_PART_TYPES.HISTORY_FILTER);
+  const ruleProposal = find(CHAT_PART_TYPES.RULE_PROPOSAL);
+  const suggestions = find(CHAT_PART_TYPES.SUGGESTIONS);
+
+  return {
+    intent: intent ? normalizeIntent(intent.intent) : null,
+    balance: balance ? { wallet: BALANCE_WALLETS.includes(balance.wallet) ? balance.wallet : 'both' } : null,
+    proposal: proposal ? normalizeIntent(proposal.proposal) : null,
+    historyFilter: historyFilter ? sanitizeHistoryFilter(historyFilter.filter) : null,
+    paymentRequests: parts
+      .filter(part => part.type === CHAT_PART_TYPES.PAYMENT_REQUEST && part.request?.id)
+      .map(part => part.request),
+    ruleProposal: ruleProposal ? sanitizeRule(ruleProposal.rule) : null,
+    suggestions: Array.isArray(suggestions?.options)
+      ? { field: suggestions.field, options: suggestions.options.filter(option => typeof option?.reply === 'string') }
+      : null,
+  };
+}
+
+/**
+ * Builds the chat_history metadata for an assistant reply from its parts
+ * @param {object[]} parts - Parts from buildChatParts
+ * @returns {object|null} - { transaction }, { clarification }, { balance }, { history_filter },
+ *   { payment_requests }, { rule_proposal } or null
+ */
+export function partsToMetadata(parts) {
+  const { intent, balance, proposal, historyFilter, paymentRequests, ruleProposal } = getChatParts({ annotations: parts });
+
+  // The draft IDs only travel with the proposal, and are kept so a reloaded proposal still updates them
+  if (proposal) {
+    const transaction = intent || proposal;
+    return { transaction: proposal.transaction_ids ? { ...transaction, transaction_ids: proposal.transaction_ids } : transaction };
+  }
+  if (intent?.needs_clarification) return { clarification: intent };
+  if (balance) return { balance };
+  if (historyFilter) return { history_filter: historyFilter };
+  if (paymentRequests.length > 0) return { payment_requests: paymentRequests };
+  if (ruleProposal) return { rule_proposal: ruleProposal };
+  return null;
+}
+
+/**
+ * Rebuilds the parts of a stored assistant reply
+ * @param {object} metadata - chat_history.metadata
+ * @param {string} content - Stored message text, checked for the old balance sentinel
+ * @returns {object[]} - Parts
+ */
+export function partsFromMetadata(metadata, content = '') {
+  const legacyBalance = typeof content === 'string' ? content.match(LEGACY_BALANCE_PATTERN) : null;
+  if (metadata?.balance || legacyBalance) {
+    const wallet = metadata?.balance?.wallet || legacyBalance?.[1] || 'both';
+    return buildChatParts(normalizeIntent({ intent: 'check_balance' }), { balanceWallet: wallet });
+  }
+
+  if (metadata?.history_filter) {
+    return buildChatParts(normalizeIntent({
+      intent: 'transaction_history',
+      history_type: 'transactions',
+      filter: metadata.history_filter,
+    }));
+  }
+
+  if (Array.isArray(metadata?.payment_requests)) {
+    return buildChatParts(normalizeIntent({ intent: 'request' }), { paymentRequests: metadata.payment_requests });
+  }
+
+  if (metadata?.rule_proposal) {
+    return buildChatParts(normalizeIntent({ intent: RULE_INTENT, rule: metadata.rule_proposal }));
+  }
+
+  // Older rows stored the intent itself rather than { transaction } or { clarification }
+  const stored = metadata?.transaction || metadata?.clarification || metadata;
+  if (!stored || typeof stored !== 'object' || !(stored.intent || stored.type)) return [];
+
+  return buildChatParts(normalizeIntent(stored));
+}
+
+/**
+ * Replaces the old balance sentinel in a stored message with plain text
+ * @param {string} content - Stored message text
+ * @returns {string} - Message text
+ */
+export function stripLegacyBalanceSentinel(content) {
+  if (typeof content !== 'string' || !LEGACY_BALANCE_PATTERN.test(content)) return content;
+  return content.replace(LEGACY_BALANCE_PATTERN, 'Here is your balance:').trim();
+}
@@ -0,0 +1,123 @@
+/**
+ * Contacts
+ * A user's contact book maps an alias ("mom", typed as @mom) to an address or a Base Name, with
+ * notes and the token the contact is usually paid in:
+ *
+ *   alias          Lower-case name without the @: letters, digits, _ and -, up to 32 characters (no
+ *                  dots, so an alias never looks like a Base Name)
+ *   address        Wallet address (lower-case), or null
+ *   basename       Base Name, e.g. "alice.base", or null; one of address and basename is always set
+ *   notes          Free text, or null
+ *   default_token  Token symbol used when a payment to the contact doesn't name one, or null
+ *
+ * Recipient resolution checks the sender's contacts before Base Names (see resolveBaseName), so
+ * an alias shadows the Base Name with the same label.
+ */
+
+import { isAddress } from 'viem';
+import { normalizeTokenSymbol, SUPPORTED_TOKEN_SYMBOLS } from '../web3/config/tokens';
+import { PAYMENT_INTENTS } from './intent/schema';
+
+export const ALIAS_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+const MAX_NOTES_LENGTH = 280;
+
+/**
+ * Turns a typed alias or recipient into the form aliases are stored in
+ * @param {string} alias - Alias, with or without the @
+ * @returns {string} - Lower-case alias without the @
+ */
+export function normalizeAlias(alias) {
+  return String(alias ?? '').trim().replace(/^@/, '').toLowerCase();
+}
+
+/**
+ * Keeps only the known contact fields, with valid values
+ * @param {object} raw - Contact from an API request: { alias, address, basename, notes, default_token }
+ * @returns {object} - { contact, error }: the contact, or null with why it is invalid
+ */
+export function sanitizeContact(raw) {
+  const alias = normalizeAlias(raw?.alias);
+  if (!ALIAS_PATTERN.test(alias)) {
+    return { contact: null, error: 'An alias can only use letters, numbers, _ and -, up to 32 characters' };
+  }
+
+  const address = raw.address ? String(raw.address).trim() : null;
+  if (address && !isAddress(address)) {
+    return { contact: null, error: `${address} is not a valid address` };
+  }
+
+  const basename = raw.basename ? normalizeAlias(raw.basename) : null;
+  if (basename && !/^[a-z0-9][a-z0-9.-]*$/.test(basename)) {
+    return { contact: null, error: `${raw.basename} is not a valid Base Name` };
+  }
+
+  if (!address && !basename) {
+    return { contact: null, error: 'A contact needs an address or a Base Name' };
+  }
+
+  const defaultToken = raw.default_token ? normalizeTokenSymbol(raw.default_token) : null;
+  if (raw.default_token && !SUPPORTED_TOKEN_SYMBOLS.includes(defaultToken)) {
+    return { contact: null, error: `Token ${raw.default_token} is not supported` };
+  }
+
+  const notes = raw.notes ? String(raw.notes).trim().slice(0, MAX_NOTES_LENGTH) : '';
+
+  return {
+    contact: {
+      alias,
+      address: address ? address.toLowerCase() : null,
+      // "alice" means the Base Name alice.base, as it does when typed as a recipient
+      basename: basename ? (basename.includes('.') ? basename : `${basename}.base`) : null,
+      notes: notes || null,
+      default_token: defaultToken,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Finds the contact a recipient names by alias
+ * @param {object[]} contacts - The sender's contacts
+ * @param {string} recipient - Recipient as typed, e.g. "@mom"
+ * @returns {object|null} - Contact, or null if no alias matches
+ */
+export function findContact(contacts, recipient) {
+  const alias = normalizeAlias(recipient);
+  if (!alias || !Array.isArray(contacts)) return null;
+  return contacts.find(contact => contact.alias === alias) || null;
+}
+
+/**
+ * Checks whether a recipient is already in the contact book, by alias, address or Base Name
+ * @param {object[]} contacts - The sender's contacts
+ * @param {string} recipient - Recipient handle, Base Name or address
+ * @returns {boolean} - True if a contact is (or points at) the recipient
+ */
+export function isSavedRecipient(contacts, recipient) {
+  const name = normalizeAlias(recipient);
+  if (!name) return false;
+
+  const basename = name.startsWith('0x') || name.includes('.') ? name : `${name}.base`;
+  return (contacts || []).some(contact =>
+    contact.alias === name || contact.address === name || contact.basename === basename
+  );
+}
+
+/**
+ * Fills in the token of a send or split that didn't name one from the recipients' contacts: when
+ * every recipient is a contact with the same default token, that token is used
+ * @param {object} intent - Annotated intent
+ * @param {object[]} contacts - The sender's contacts
+ * @returns {object} - The intent, with token and token_specified set when the contacts agree on a token
+ */
+export function applyContactDefaults(intent, contacts) {
+  if (!intent || !PAYMENT_INTENTS.includes(intent.intent) || intent.token_specified !== false) return intent;
+
+  const recipients = intent.recipients || [];
+  const tokens = new Set(recipients.map(recipient => findContact(contacts, recipient)?.default_token || null));
+  const [token] = tokens;
+
+  if (recipients.length === 0 || tokens.size !== 1 || !token) return intent;
+  return { ...intent, token, token_specified: true };
+}
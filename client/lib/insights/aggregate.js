@@ -0,0 +1,141 @@
+/**
+ * Spending aggregates
+ * The database sums spending (get_spending_summary, see the add_transaction_categories migration and
+ * its later versions) and returns one row per group and token:
+ *
+ *   { group_key, token, total, payment_count }
+ *
+ * where group_key is the recipient, the category or 'all'. Amounts in different tokens can't be added
+ * up, so a group keeps a total per token; groups are ranked by their value in USD when a price is
+ * known for every token they hold, otherwise by their total in the token used most, then by how
+ * many payments they had.
+ */
+
+import { describePeriod } from '../../utils/historyFilters';
+
+// Most groups named in an answer
+const MAX_RANKED = 3;
+
+/**
+ * Rounds a total for display
+ * @param {number} amount - Amount
+ * @returns {number} - Amount to six decimals at most
+ */
+function round(amount) {
+  return parseFloat(amount.toFixed(6));
+}
+
+/**
+ * Joins words for an answer: "a", "a and b", "a, b and c"
+ * @param {string[]} items - Words
+ * @returns {string} - Joined words
+ */
+function joinWords(items) {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0] || '';
+}
+
+/**
+ * Describes a group's totals, e.g. "0.35 ETH and 40 USDC"
+ * @param {object} totals - Total per token symbol
+ * @returns {string} - Description
+ */
+export function formatTotals(totals) {
+  return joinWords(Object.entries(totals).map(([token, total]) => `${round(total)} ${token}`));
+}
+
+/**
+ * Turns summary rows into ranked groups
+ * @param {object[]} rows - Rows from get_spending_summary
+ * @param {object} prices - USD price per token symbol, for ranking
+ * @returns {object[]} - Groups, biggest first: { key, totals, count, value } with value in USD or null
+ */
+export function rankSpending(rows, prices = {}) {
+  const groups = new Map();
+
+  (rows || []).forEach(row => {
+    const total = parseFloat(row.total);
+    if (!Number.isFinite(total)) return;
+
+    const key = row.group_key || 'other';
+    const group = groups.get(key) || { key, totals: {}, count: 0 };
+    group.totals[row.token || 'ETH'] = (group.totals[row.token || 'ETH'] || 0) + total;
+    group.count += parseInt(row.payment_count, 10) || 0;
+    groups.set(key, group);
+  });
+
+  const ranked = Array.from(groups.values()).map(group => {
+    const tokens = Object.keys(group.totals);
+    const priced = tokens.every(token => Number.isFinite(prices[token]));
+    return {
+      ...group,
+      value: priced ? tokens.reduce((sum, token) => sum + group.totals[token] * prices[token], 0) : null,
+    };
+  });
+
+  const paymentsByToken = {};
+  (rows || []).forEach(row => {
+    paymentsByToken[row.token || 'ETH'] = (paymentsByToken[row.token || 'ETH'] || 0) + (parseInt(row.payment_count, 10) || 0);
+  });
+  const [mainToken] = Object.entries(paymentsByToken).sort((a, b) => b[1] - a[1])[0] || [];
+  const priced = ranked.every(group => group.value !== null);
+
+  return ranked.sort((a, b) => (priced
+    ? b.value - a.value
+    : (b.totals[mainToken] || 0) - (a.totals[mainToken] || 0)) || b.count - a.count);
+}
+
+/**
+ * Names a recipient group the way the chat shows people
+ * @param {string} key - Recipient as stored
+ * @returns {string} - "@alice.base", or a shortened address
+ */
+function describeCounterparty(key) {
+  return /^0x[a-f0-9]{40}$/i.test(key) ? `${key.slice(0, 6)}...${key.slice(-4)}` : `@${key.replace(/^@/, '')}`;
+}
+
+/**
+ * Counts payments in words
+ * @param {number} count - Number of payments
+ * @returns {string} - "1 payment" or "3 payments"
+ */
+function describeCount(count) {
+  return count === 1 ? '1 payment' : `${count} payments`;
+}
+
+/**
+ * Answers a spending question from its ranked groups
+ * @param {object} insight - { metric, category } from sanitizeInsight
+ * @param {object} filter - The filter the question covers
+ * @param {object[]} groups - Groups from rankSpending
+ * @returns {string} - Answer
+ */
+export function describeInsight(insight, filter, groups) {
+  const period = describePeriod(filter);
+  const scope = [
+    insight.category ? `on ${insight.category}` : '',
+    filter?.counterparty ? `paying @${filter.counterparty}` : '',
+    filter?.token ? `in ${filter.token}` : '',
+    period,
+  ].filter(Boolean).join(' ');
+
+  if (!groups || groups.length === 0) {
+    return `🤖 I couldn't find any spending${scope ? ` ${scope}` : ''}.`;
+  }
+
+  if (insight.metric === 'total') {
+    const [group] = groups;
+    return `🤖 You spent ${formatTotals(group.totals)}${scope ? ` ${scope}` : ''}, over ${describeCount(group.count)}.`;
+  }
+
+  const name = insight.metric === 'by_counterparty' ? describeCounterparty : key => key;
+  const totalValue = groups.every(group => group.value !== null) ? groups.reduce((sum, group) => sum + group.value, 0) : null;
+  const share = group => (totalValue > 0 ? `, ${Math.round((group.value / totalValue) * 100)}% of the total` : '');
+  const [top, ...rest] = groups;
+
+  const lead = insight.metric === 'by_counterparty'
+    ? `🤖 You pay ${name(top.key)} the most${scope ? ` ${scope}` : ''}: ${formatTotals(top.totals)} over ${describeCount(top.count)}${share(top)}.`
+    : `🤖 Most of your spending${scope ? ` ${scope}` : ''} went on ${name(top.key)}: ${formatTotals(top.totals)} over ${describeCount(top.count)}${share(top)}.`;
+
+  const next = rest.slice(0, MAX_RANKED - 1).map(group => `${name(group.key)} (${formatTotals(group.totals)}, ${describeCount(group.count)})`);
+  return next.length > 0 ? `${lead} Next ${next.length === 1 ? 'is' : 'are'} ${joinWords(next)}.` : lead;
+}
@@ -0,0 +1,108 @@
+/**
+ * Spending categories
+ * Every payment the user makes (a send or a split) is put in one of SPENDING_CATEGORIES. Stored
+ * transactions carry it in two columns:
+ *
+ *   category         One of SPENDING_CATEGORIES, or null until the payment is categorized
+ *   category_source  'auto' when categorizeTransaction picked it, 'user' when the user corrected it
+ *
+ * A payment is categorized from, in order: words in its note ("dinner" is food), the category the
+ * user last corrected a payment to the same recipient to, words in the recipient's name (@landlord
+ * pays rent), and the category most of the earlier payments to the recipient got. Anything else is
+ * 'other'.
+ */
+
+export const SPENDING_CATEGORIES = [
+  'food',
+  'rent',
+  'subscriptions',
+  'utilities',
+  'transport',
+  'shopping',
+  'entertainment',
+  'travel',
+  'health',
+  'gifts',
+  'savings',
+  'other',
+];
+
+export const CATEGORY_SOURCES = ['auto', 'user'];
+
+// Words that put a payment in a category, checked in this order
+const CATEGORY_PATTERNS = [
+  ['rent', /\b(rent|landlord|lease|mortgage|housing|apartment)\b/i],
+  ['subscriptions', /\b(subscriptions?|netflix|spotify|hulu|youtube premium|patreon|membership|monthly plan)\b/i],
+  ['utilities', /\b(utilit(y|ies)|electric(ity)?|power bill|water bill|gas bill|internet|wi-?fi|phone bill)\b/i],
+  ['food', /\b(food|dinner|lunch|breakfast|brunch|coffee|groceries|grocery|pizza|sushi|burgers?|restaurant|takeout|meals?|drinks|snacks|bar tab)\b/i],
+  ['transport', /\b(transport|uber|lyft|taxi|cab|rides?|bus|train|metro|subway|fuel|petrol|parking|tolls?)\b/i],
+  ['travel', /\b(travel|flights?|hotel|airbnb|hostel|trip|vacation|holiday)\b/i],
+  ['entertainment', /\b(entertainment|movies?|cinema|concerts?|tickets?|games?|gaming|festival)\b/i],
+  ['shopping', /\b(shopping|clothes|clothing|shoes|amazon|store|shop)\b/i],
+  ['health', /\b(health|doctor|dentist|pharmacy|medicine|meds|gym|therapy|hospital)\b/i],
+  ['gifts', /\b(gifts?|birthday|present|wedding|anniversary|donation|charity)\b/i],
+  ['savings', /\b(savings?|invest(ment|ing)?|emergency fund|piggy bank)\b/i],
+];
+
+/**
+ * Finds the category a piece of text names
+ * @param {string} text - Note, recipient name or question
+ * @returns {string|null} - Category, or null if no category's words appear
+ */
+export function detectCategory(text) {
+  const words = String(text ?? '').replace(/[._-]+/g, ' ');
+  return CATEGORY_PATTERNS.find(([, pattern]) => pattern.test(words))?.[0] || null;
+}
+
+/**
+ * Checks a category from a request or stored row
+ * @param {string} category - Category
+ * @returns {string|null} - Lower-case category, or null if it isn't one of SPENDING_CATEGORIES
+ */
+export function sanitizeCategory(category) {
+  const value = String(category ?? '').trim().toLowerCase();
+  return SPENDING_CATEGORIES.includes(value) ? value : null;
+}
+
+/**
+ * Compares recipients the way they are stored: lower-case, without the @
+ * @param {string} recipient - Recipient handle, Base Name or address
+ * @returns {string} - Comparable recipient
+ */
+function toRecipientKey(recipient) {
+  return String(recipient ?? '').trim().replace(/^@/, '').toLowerCase();
+}
+
+/**
+ * Picks the category of a payment
+ * @param {object} transaction - Transaction row, or the fields of one: { recipient_address, note }
+ * @param {object[]} history - The user's earlier categorized payments, most recent first:
+ *   { recipient_address, category, category_source }
+ * @returns {object} - { category, category_source: 'auto' }
+ */
+export function categorizeTransaction(transaction, history = []) {
+  const recipient = toRecipientKey(transaction?.recipient_address);
+  const earlier = recipient
+    ? history.filter(row => toRecipientKey(row.recipient_address) === recipient && sanitizeCategory(row.category))
+    : [];
+
+  const fromNote = detectCategory(transaction?.note);
+  if (fromNote) return { category: fromNote, category_source: 'auto' };
+
+  // What the user said about this recipient before wins over guessing from the name
+  const corrected = earlier.find(row => row.category_source === 'user');
+  if (corrected) return { category: corrected.category, category_source: 'auto' };
+
+  const fromName = detectCategory(recipient);
+  if (fromName) return { category: fromName, category_source: 'auto' };
+
+  const counts = {};
+  earlier
+    .filter(row => row.category !== 'other')
+    .forEach(row => {
+      counts[row.category] = (counts[row.category] || 0) + 1;
+    });
+  const [usual] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+
+  return { category: usual ? usual[0] : 'other', category_source: 'auto' };
+}
@@ -0,0 +1,18 @@
+/**
+ * Spending insights
+ * Payments are put in spending categories (categories.js) when they are stored, and the user can
+ * correct them. Spending questions in chat ("how much did I spend on food this month?", "who do I
+ * pay the most?") are insights intents (parse.js, model.js), answered from sums the database works
+ * out over the transactions table (aggregate.js, utils/spendingInsights.js).
+ */
+
+export {
+  SPENDING_CATEGORIES,
+  CATEGORY_SOURCES,
+  detectCategory,
+  sanitizeCategory,
+  categorizeTransaction,
+} from './categories';
+export { INSIGHT_METRICS, INSIGHT_FILTER_FIELDS, sanitizeInsight } from './model';
+export { isInsightQuestion, parseInsight } from './parse';
+export { formatTotals, rankSpending, describeInsight } from './aggregate';
@@ -0,0 +1,32 @@
+/**
+ * Insight model
+ * A spending question ("how much did I spend on food this month?", "who do I pay the most?") is an
+ * insights intent holding what to work out:
+ *
+ *   insight   { metric, category }
+ *               metric     'total' (how much was spent), 'by_counterparty' (who was paid the most) or
+ *                          'by_category' (what the money went on)
+ *               category   One of SPENDING_CATEGORIES to narrow the question to, or null
+ *   filter    The date range, counterparty and token asked about, as a history filter
+ *             (utils/historyFilters.js), with category set when the insight has one
+ *
+ * Only payments the user made count as spending: sends and splits that were sent and didn't fail,
+ * and of a split only the recipients whose payments didn't fail.
+ */
+
+import { sanitizeCategory } from './categories';
+
+export const INSIGHT_METRICS = ['total', 'by_counterparty', 'by_category'];
+
+// Filter fields a spending question can narrow by; status and type are fixed by what spending is
+export const INSIGHT_FILTER_FIELDS = ['from', 'to', 'counterparty', 'token', 'category'];
+
+/**
+ * Keeps only the known insight fields, with valid values
+ * @param {object} raw - Insight from a parser or stored metadata
+ * @returns {object|null} - { metric, category }, or null if the metric isn't one of INSIGHT_METRICS
+ */
+export function sanitizeInsight(raw) {
+  if (!raw || typeof raw !== 'object' || !INSIGHT_METRICS.includes(raw.metric)) return null;
+  return { metric: raw.metric, category: sanitizeCategory(raw.category) };
+}
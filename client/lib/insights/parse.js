@@ -0,0 +1,64 @@
+/**
+ * Spending question parser
+ * Reads "how much did I spend on food this month?", "who do I pay the most?" and "what did I spend
+ * the most on last year?" into an insight (model.js) and the filter it covers
+ */
+
+import { detectCategory } from './categories';
+import { INSIGHT_FILTER_FIELDS } from './model';
+import { parseHistoryFilter, sanitizeHistoryFilter } from '../../utils/historyFilters';
+
+const SPENT = '(spend|spent|pay|paid|send|sent|give|gave)';
+
+// "who do I pay the most?", "who did I send the most to last month?", "my top recipients"
+const BY_COUNTERPARTY_PATTERN = new RegExp(
+  `\\bwho\\s+(do|did|have)\\s+I\\s+${SPENT}\\b.*\\b(most|more)\\b|\\bwho\\s+gets\\s+the\\s+most\\b|\\b(top|biggest)\\s+(recipients|payees|counterparties)\\b`,
+  'i'
+);
+// "what do I spend the most on?", "where did my money go?", "spending breakdown this year"
+const BY_CATEGORY_PATTERN = /\bwhat\s+(do|did|have)\s+I\s+(spend|spent)\s+(the\s+)?most\s+on\b|\bwhere\s+(does|did)\s+my\s+money\s+go\b|\bspending\s+(breakdown|by category|insights|summary|report)\b|\bbreak\s*down\s+(of\s+)?my\s+spending\b|\b(top|biggest)\s+(spending\s+)?categories\b/i;
+// "how much did I spend on food this month?", "how much have I paid @bob?", "my rent spending"
+const TOTAL_PATTERN = new RegExp(
+  `\\bhow\\s+much\\s+(do|did|have)\\s+I\\s+${SPENT}\\b|\\b(total|my)\\s+(\\w+\\s+)?spending\\b`,
+  'i'
+);
+
+// Handles aren't read for a category, so @landlord narrows by counterparty rather than by rent
+const HANDLE_PATTERN = /@[\w.-]+|\b0x[a-fA-F0-9]{40}\b/g;
+
+/**
+ * Checks whether a message asks about spending
+ * @param {string} message - User's message
+ * @returns {boolean} - True for spending questions
+ */
+export function isInsightQuestion(message) {
+  const text = String(message ?? '');
+  return BY_COUNTERPARTY_PATTERN.test(text) || BY_CATEGORY_PATTERN.test(text) || TOTAL_PATTERN.test(text);
+}
+
+/**
+ * Reads a spending question
+ * @param {string} message - User's message
+ * @param {Date} now - Current time, for relative dates like "this month"
+ * @returns {object|null} - { insight, filter }, or null if the message isn't a spending question
+ */
+export function parseInsight(message, now = new Date()) {
+  const text = String(message ?? '').trim();
+
+  const metric = BY_COUNTERPARTY_PATTERN.test(text)
+    ? 'by_counterparty'
+    : BY_CATEGORY_PATTERN.test(text)
+      ? 'by_category'
+      : TOTAL_PATTERN.test(text) ? 'total' : null;
+  if (!metric) return null;
+
+  // Asking what the money went on is about every category
+  const category = metric === 'by_category' ? null : detectCategory(text.replace(HANDLE_PATTERN, ' '));
+  const historyFilter = parseHistoryFilter(text, now) || {};
+  const filter = sanitizeHistoryFilter({
+    ...Object.fromEntries(INSIGHT_FILTER_FIELDS.map(field => [field, historyFilter[field]])),
+    category,
+  });
+
+  return { insight: { metric, category }, filter };
+}
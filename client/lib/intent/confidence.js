@@ -0,0 +1,318 @@
+/**
+ * Parse confidence
+ * Payments and requests carry a confidence from 0 to 1 for each field that decides where money goes:
+ *
+ *   confidence    { intent, recipients, amount, token }
+ *
+ * The model reports its own (see prompt.js), but what the text supports caps it: a recipient that is
+ * a near miss for someone the user knows, two amounts where one was expected, or no verb for the
+ * intent scores low whatever the model says. The rule-based parser gets the text's score alone.
+ *
+ * A field below LOW_CONFIDENCE that has something better to offer gets ranked options instead of a
+ * guess, which the chat shows as "did you mean" chips:
+ *
+ *   suggestions   { [field]: { value, options: [{ value, label, reply }] } }
+ *
+ * value is what the parse had (the handle typed, the amount picked, the intent); each option's reply
+ * is the message a chip sends, which answers the question like a typed reply would.
+ */
+
+import { isAddress } from 'viem';
+import { SUPPORTED_TOKEN_SYMBOLS } from '../../web3/config/tokens';
+import { PAYMENT_INTENTS, REQUEST_INTENT } from './schema';
+import { withoutRecipients } from './validate';
+import { NUMBER_SOURCE, parseNumber } from './numbers';
+import { describeAmount } from '../../utils/intentClarification';
+
+// Intents that are scored: the ones that move money or ask for it
+const SCORED_INTENTS = [...PAYMENT_INTENTS, REQUEST_INTENT];
+
+export const CONFIDENCE_FIELDS = ['intent', 'recipients', 'amount', 'token'];
+
+// Fields scoring below this are offered as suggestions when there are any
+export const LOW_CONFIDENCE = 0.7;
+
+// Near misses need at least this similarity to be offered
+const MIN_SIMILARITY = 0.6;
+
+// Most options offered per field
+const MAX_OPTIONS = 3;
+
+// Words that say which intent the user meant
+const INTENT_KEYWORDS = {
+  send: /\b(send|pay|transfer|give|tip)\b/i,
+  split: /\b(split|divide|share)\b/i,
+  request: /\b(request|ask|charge|collect|invoice|owes?)\b/i,
+};
+
+// A number that reads as an amount: at the end, before a token or before a word that links it to the payment
+const AMOUNT_CANDIDATE_PATTERN = new RegExp(
+  `(${NUMBER_SOURCE})(?!\\s*%)(?=\\s*(?:$|[,;!?)]|\\.(?!\\d)|(?:${SUPPORTED_TOKEN_SYMBOLS.join('|')}|ether|or|and|to|from|for|each|please)\\b))`,
+  'gi'
+);
+
+/**
+ * Turns a model-reported confidence into a number from 0 to 1
+ * @param {number|string} value - Reported confidence
+ * @returns {number|null} - Confidence, or null if none was reported
+ */
+function toConfidence(value) {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? Math.min(Math.max(number, 0), 1) : null;
+}
+
+/**
+ * Strips a name down to the part people type: "@Alice.base.eth" → "alice"
+ * @param {string} name - Handle, Base Name, alias or address
+ * @returns {string} - Comparable label
+ */
+function toLabel(name) {
+  const bare = String(name ?? '').trim().replace(/^@/, '').toLowerCase();
+  return isAddress(bare) ? bare : bare.replace(/(\.base)?(\.eth)?$/, '');
+}
+
+/**
+ * Measures how alike two labels are, from 0 to 1 (1 - edit distance / longer length). A typed label
+ * that starts a known one ("alic" for "alice") counts as at least 0.75.
+ * @param {string} typed - Label the user typed
+ * @param {string} known - Label of a contact or counterparty
+ * @returns {number} - Similarity
+ */
+export function labelSimilarity(typed, known) {
+  if (!typed || !known) return 0;
+  if (typed === known) return 1;
+
+  let previous = Array.from({ length: known.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= typed.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= known.length; j++) {
+      const cost = typed[i - 1] === known[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  const similarity = 1 - previous[known.length] / Math.max(typed.length, known.length);
+  return known.startsWith(typed) && typed.length >= 3 ? Math.max(similarity, 0.75) : similarity;
+}
+
+/**
+ * Lists the people a recipient could be checked against: the user's contacts and the people they paid
+ * @param {object} known - { contacts, counterparties }
+ * @returns {object[]} - Candidates: { value, label, key }
+ */
+function listCandidates({ contacts = [], counterparties = [] }) {
+  const candidates = [
+    ...contacts.map(contact => ({ value: contact.alias, label: `@${contact.alias} (contact)`, key: contact.alias })),
+    ...counterparties.map(name => ({
+      value: name,
+      label: isAddress(name) ? `${name.slice(0, 6)}...${name.slice(-4)}` : `@${name}`,
+      key: toLabel(name),
+    })),
+  ];
+
+  const seen = new Set();
+  return candidates.filter(candidate => {
+    if (!candidate.key || seen.has(candidate.value.toLowerCase())) return false;
+    seen.add(candidate.value.toLowerCase());
+    return true;
+  });
+}
+
+/**
+ * Scores one recipient against the people the user knows
+ * @param {string} recipient - Recipient from the parse
+ * @param {object[]} candidates - From listCandidates
+ * @returns {object} - { score, options }: options are the near misses, best first
+ */
+function scoreRecipient(recipient, candidates) {
+  const name = String(recipient).toLowerCase().replace(/^@/, '');
+
+  // Addresses and full Base Names say exactly who is meant
+  if (isAddress(name) || /\.(base|eth)$/.test(name)) return { score: 1, options: [] };
+
+  const label = toLabel(name);
+  if (candidates.some(candidate => candidate.key === label)) return { score: 1, options: [] };
+
+  // Part of an address: offer the addresses it starts
+  const partialAddress = /^0x[0-9a-f]+$/.test(label);
+  const options = candidates
+    .map(candidate => ({
+      ...candidate,
+      similarity: partialAddress
+        ? (candidate.key.startsWith(label) && label.length >= 6 ? 0.9 : 0)
+        : labelSimilarity(label, candidate.key),
+    }))
+    .filter(candidate => candidate.similarity >= MIN_SIMILARITY)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, MAX_OPTIONS)
+    .map(({ value, label: optionLabel }) => ({ value, label: optionLabel, reply: `@${value}` }));
+
+  // A handle nobody matches is read as handle.base; one that nearly matches someone is likely a typo
+  if (options.length > 0) return { score: 0.4, options };
+  return { score: partialAddress ? 0.2 : 0.8, options: [] };
+}
+
+/**
+ * Lists the numbers in a message that read as amounts
+ * @param {string} text - Message text
+ * @returns {number[]} - Distinct amounts, in the order typed
+ */
+function getAmountCandidates(text) {
+  const numbers = Array.from(withoutRecipients(text).matchAll(AMOUNT_CANDIDATE_PATTERN), match => parseNumber(match[1]));
+  return Array.from(new Set(numbers.filter(number => number > 0)));
+}
+
+/**
+ * Describes what an intent would do, for an intent option's chip
+ * @param {string} type - 'send', 'split' or 'request'
+ * @param {object} intent - Intent the option is based on
+ * @returns {string} - e.g. "Request 0.1 ETH from @bob"
+ */
+function describeIntentOption(type, intent) {
+  const amount = describeAmount(intent) || '';
+  const recipients = (intent.recipients || []).map(r => `@${r}`);
+  const text = {
+    send: `Send ${amount} to ${recipients[0]}`,
+    split: `Split ${amount} between ${recipients.join(' and ')}`,
+    request: `Request ${amount} from ${recipients.join(' and ')}`,
+  }[type];
+  return text.replace(/\s+/g, ' ');
+}
+
+/**
+ * Scores what the user wants to do
+ * @param {object} intent - Annotated intent
+ * @returns {object} - { score, options }
+ */
+function scoreIntentType(intent) {
+  const text = intent.raw_message || '';
+  const named = Object.keys(INTENT_KEYWORDS).filter(type => INTENT_KEYWORDS[type].test(text));
+
+  let score = named.includes(intent.intent) ? 1 : named.length > 0 ? 0.3 : 0.5;
+
+  // A custom split typed as "send 0.2 to @a and 0.35 to @b" is still a send of each amount
+  if (intent.intent === 'split' && named.includes('send') && intent.split_type === 'custom') score = 1;
+
+  const recipients = intent.recipients || [];
+  if (score >= LOW_CONFIDENCE || recipients.length === 0 || !describeAmount(intent)) {
+    return { score, options: [] };
+  }
+
+  const types = recipients.length > 1 ? ['split', 'request'] : ['send', 'request'];
+  const ranked = [intent.intent, ...named, ...types].filter((type, index, all) => types.includes(type) && all.indexOf(type) === index);
+
+  return {
+    score,
+    options: ranked.map(type => {
+      const description = describeIntentOption(type, intent);
+      return { value: type, label: description, reply: description };
+    }),
+  };
+}
+
+/**
+ * Scores the amount
+ * @param {object} intent - Annotated intent
+ * @returns {object} - { score, options }
+ */
+function scoreAmount(intent) {
+  if ((intent.unverified_fields || []).includes('amount')) return { score: 0, options: [] };
+  if (intent.fiat_amount) return { score: 0.9, options: [] };
+  if (!(intent.amount > 0)) return { score: 0, options: [] };
+  if ((intent.context_fields || []).includes('amount')) return { score: 0.9, options: [] };
+
+  // Splits with shares and schedules have numbers of their own
+  if (intent.allocations?.length || intent.schedule) return { score: 1, options: [] };
+
+  const candidates = getAmountCandidates(intent.raw_message || '');
+  if (candidates.length <= 1) return { score: 1, options: [] };
+
+  const token = intent.token_specified !== false ? ` ${intent.token}` : '';
+  const ranked = [intent.amount, ...candidates.filter(amount => amount !== intent.amount)].slice(0, MAX_OPTIONS);
+
+  return {
+    score: 0.5,
+    options: ranked.map(amount => ({ value: amount, label: `${amount}${token}`, reply: String(amount) })),
+  };
+}
+
+/**
+ * Scores the token
+ * @param {object} intent - Annotated intent
+ * @param {object[]} contacts - The user's contacts
+ * @returns {object} - { score, options }
+ */
+function scoreToken(intent, contacts) {
+  if (intent.token_specified !== false) {
+    return { score: (intent.unverified_fields || []).includes('token') ? 0.3 : 1, options: [] };
+  }
+  if ((intent.context_fields || []).includes('token')) return { score: 0.9, options: [] };
+
+  // Nothing named: a recipient's usual token first, then the rest
+  const usual = (intent.recipients || [])
+    .map(recipient => contacts.find(contact => contact.alias === toLabel(recipient))?.default_token)
+    .filter(Boolean);
+  const ranked = Array.from(new Set([...usual, intent.token, ...SUPPORTED_TOKEN_SYMBOLS])).filter(Boolean);
+
+  return {
+    score: 0.6,
+    options: ranked.map(token => ({ value: token, label: token, reply: token })),
+  };
+}
+
+/**
+ * Scores a parsed payment or request field by field and, for the fields it isn't sure of, lists
+ * what the user more likely meant
+ * @param {object} intent - Annotated intent
+ * @param {object} known - Who the user knows
+ * @param {object[]} known.contacts - The user's contacts (see lib/contacts.js)
+ * @param {string[]} known.counterparties - Names and addresses the user paid recently
+ * @returns {object} - The intent with confidence and, if any field is unsure, suggestions
+ */
+export function scoreIntent(intent, { contacts = [], counterparties = [] } = {}) {
+  if (!intent || !SCORED_INTENTS.includes(intent.intent)) return intent;
+
+  const reported = intent.confidence && typeof intent.confidence === 'object' ? intent.confidence : {};
+  const candidates = listCandidates({ contacts, counterparties });
+
+  // The least certain recipient decides; only one is asked about at a time
+  const recipientScores = (intent.recipients || []).map(recipient => ({ recipient, ...scoreRecipient(recipient, candidates) }));
+  const unsureRecipient = recipientScores.filter(entry => entry.options.length > 0).sort((a, b) => a.score - b.score)[0];
+  const fromContext = (intent.context_fields || []).includes('recipients');
+
+  const scores = {
+    intent: scoreIntentType(intent),
+    recipients: fromContext
+      ? { score: 0.9, options: [] }
+      : (intent.unverified_fields || []).includes('recipients')
+        ? { score: 0, options: [] }
+        : {
+          score: recipientScores.length > 0 ? Math.min(...recipientScores.map(entry => entry.score)) : 0,
+          options: unsureRecipient?.options || [],
+          value: unsureRecipient?.recipient,
+        },
+    amount: scoreAmount(intent),
+    token: scoreToken(intent, contacts),
+  };
+
+  const confidence = {};
+  const suggestions = {};
+  for (const field of CONFIDENCE_FIELDS) {
+    const modelScore = toConfidence(reported[field]);
+    const score = modelScore === null ? scores[field].score : Math.min(scores[field].score, modelScore);
+    confidence[field] = Math.round(score * 100) / 100;
+
+    if (score < LOW_CONFIDENCE && scores[field].options.length > 0) {
+      suggestions[field] = {
+        value: scores[field].value ?? (field === 'intent' ? intent.intent : intent[field]),
+        options: scores[field].options,
+      };
+    }
+  }
+
+  const scored = { ...intent, confidence };
+  if (Object.keys(suggestions).length > 0) scored.suggestions = suggestions;
+  else delete scored.suggestions;
+  return scored;
+}
@@ -0,0 +1,234 @@
+/**
+ * Intent engine
+ * The one place messages are turned into intents. The chat route, the AI routes, the chat page,
+ * useAITransactions and the AgentKit helpers all parse through here, so they agree on what a
+ * message means and on the shape of the result (documented in schema.js).
+ *
+ * Parsing runs in three steps:
+ *   1. The model (when an LLM provider is passed) or the rule-based parser reads the message
+ *   2. Deterministic annotations are applied to whichever result came back: follow-up references
+ *      are resolved from the conversation context, fiat amounts and per-recipient shares are read
+ *      from the text, and the fields the user actually typed are recorded
+ *   3. A payment or request from the model is checked against the text (validate.js): recipients,
+ *      amounts and tokens the user didn't type are dropped so the user is asked for them, and a
+ *      parse with none of them right is thrown away for the rule-based one
+ *
+ * Transaction history questions keep the filter the model returned, with every field the rule-based
+ * filter parser can read from the text (dates especially) taking its place.
+ *
+ * A send or split made later or repeatedly ("every Friday for 8 weeks") gets its schedule from the
+ * text too, for the same reason.
+ *
+ * Messages with several payments skip the model: the rule-based parser splits them into one
+ * clause per payment, so each action's fields are read from its own part of the message.
+ * Payment rules ("if @bob pays me, forward 10% to savings") skip it too: their trigger, conditions
+ * and action are read by the rule parser (lib/rules/parse.js) alone. So do spending questions ("how
+ * much did I spend on food this month?"), read by lib/insights/parse.js.
+ *
+ * Scoring how sure the parse is (confidence.js) needs the user's contacts and recent counterparties,
+ * so it is left to the caller: the chat route scores fresh payments and requests before asking.
+ *
+ * The web3 package imports the engine from outside the Next app, so this directory and everything
+ * it imports use relative paths rather than the `@/` alias.
+ */
+
+import { BATCH_INTENT, HISTORY_INTENTS, INSIGHTS_INTENT, PAYMENT_INTENTS, RULE_INTENT, normalizeIntent } from './schema';
+import { parseIntentRules } from './rules';
+import { buildIntentPrompt } from './prompt';
+import { validateIntent } from './validate';
+import { LLM_TASKS } from '../llm/tasks';
+import {
+  annotateFiatAmount,
+  annotateSpecifiedFields,
+  annotateSplitAllocations
+} from '../../utils/intentClarification';
+import { applyConversationContext, formatContextForPrompt } from '../../utils/conversationContext';
+import { parseHistoryFilter } from '../../utils/historyFilters';
+import { parseSchedule } from '../schedules/recurrence';
+import { getAllocationTokens } from '../../web3/utils/splits';
+
+export {
+  INTENT_TYPES,
+  PAYMENT_INTENTS,
+  HISTORY_INTENTS,
+  BATCH_INTENT,
+  REQUEST_INTENT,
+  RULE_INTENT,
+  INSIGHTS_INTENT,
+  normalizeIntent,
+  isPaymentIntent,
+  getPaymentActions
+} from './schema';
+export { parseIntentRules, isTransactionRequest, splitPaymentClauses } from './rules';
+export { buildIntentPrompt, delimitUserText } from './prompt';
+export { validateIntent } from './validate';
+export { scoreIntent, labelSimilarity, CONFIDENCE_FIELDS, LOW_CONFIDENCE } from './confidence';
+
+/**
+ * Applies the deterministic annotations to a parsed intent
+ * @param {object} intent - Intent in the shared schema
+ * @param {object} context - Conversation context from buildConversationContext, if any
+ * @returns {object} - Annotated intent
+ */
+export function annotateIntent(intent, context = null) {
+  if (intent?.intent === BATCH_INTENT) {
+    return annotateBatch(intent, context);
+  }
+
+  if (HISTORY_INTENTS.includes(intent?.intent)) {
+    return annotateHistoryFilter(intent);
+  }
+
+  if ([RULE_INTENT, INSIGHTS_INTENT].includes(intent?.intent)) {
+    return intent;
+  }
+
+  // References to earlier payments are resolved before fiat amounts and shares are read
+  const resolved = applyConversationContext(intent, context);
+  const { schedule, text } = readSchedule(resolved);
+  if (!schedule) {
+    const annotated = annotateSpecifiedFields(annotateSplitAllocations(annotateFiatAmount(resolved)));
+
+    // "5 USDC to @bob and 3 DAI to @carol" is two sends; a split pays in a single token.
+    // Only single payments can be scheduled, so a scheduled one is asked about instead.
+    if (getAllocationTokens(annotated.allocations).length > 1) {
+      return normalizeIntent({ intent: BATCH_INTENT, actions: toSends(annotated), parsed_by: annotated.parsed_by }, annotated.raw_message);
+    }
+    return annotated;
+  }
+
+  // The rest is read without the schedule words, so "on the 1st" isn't taken for an amount
+  const annotated = annotateSpecifiedFields(annotateSplitAllocations(annotateFiatAmount({ ...resolved, raw_message: text })));
+  return normalizeIntent({ ...annotated, schedule }, resolved.raw_message);
+}
+
+/**
+ * Annotates each action of a batch. Inside a batch, "send 0.1 to @a and 0.05 to @b" is two
+ * sends rather than the custom split it would be on its own.
+ * @param {object} batch - Batch intent
+ * @param {object} context - Conversation context, if any
+ * @returns {object} - Annotated batch, or its only action if just one is left
+ */
+function annotateBatch(batch, context) {
+  const actions = batch.actions.flatMap(action => {
+    const annotated = annotateIntent(action, context);
+    if (annotated.intent === BATCH_INTENT) return annotated.actions;
+    if (action.intent !== 'send' || annotated.split_type !== 'custom') return [annotated];
+
+    return toSends(annotated);
+  });
+
+  if (actions.length === 1) return actions[0];
+  return normalizeIntent({ ...batch, actions });
+}
+
+/**
+ * Turns a custom split into one send per share, each in the token typed next to its amount
+ * (or the split's token when none was)
+ * @param {object} split - Annotated custom split
+ * @returns {object[]} - Send intents
+ */
+function toSends(split) {
+  return split.allocations.map(({ recipient, amount, token }) => ({
+    ...split,
+    intent: 'send',
+    amount,
+    token: token || split.token,
+    token_specified: token ? true : split.token_specified,
+    recipients: [recipient],
+    split_type: null,
+    allocations: null,
+  }));
+}
+
+/**
+ * Fills in a transaction history filter from the text. Relative dates are worked out here rather
+ * than by the model, which doesn't know today's date reliably.
+ * @param {object} intent - History intent
+ * @returns {object} - History intent with its filter
+ */
+function annotateHistoryFilter(intent) {
+  if (intent.history_type === 'chat' || intent.intent === 'chat_history') return intent;
+
+  const parsed = parseHistoryFilter(intent.raw_message);
+  if (!parsed) return intent;
+
+  return normalizeIntent({ ...intent, filter: { ...intent.filter, ...parsed } });
+}
+
+/**
+ * Reads when a send or split should be made from the text. Like history dates, schedules are
+ * worked out here rather than by the model.
+ * @param {object} intent - Intent in the shared schema
+ * @returns {object} - { schedule, text }: the schedule (null for anything but a scheduled send or
+ *   split) and the message without the schedule words
+ */
+function readSchedule(intent) {
+  if (!PAYMENT_INTENTS.includes(intent?.intent)) return { schedule: null, text: intent?.raw_message };
+
+  const { schedule, remainder } = parseSchedule(intent.raw_message);
+  return { schedule: schedule || intent.schedule || null, text: schedule ? remainder : intent.raw_message };
+}
+
+/**
+ * Asks the model to parse a message
+ * @param {string} message - User's message
+ * @param {object} llm - LLM provider
+ * @param {object} context - Conversation context, if any
+ * @returns {Promise<object>} - Intent in the shared schema
+ */
+async function parseIntentWithModel(message, llm, context) {
+  const parsed = await llm.generateJSON({
+    prompt: buildIntentPrompt(message, formatContextForPrompt(context)),
+    task: LLM_TASKS.PARSE_INTENT,
+    input: message,
+    temperature: 0.1, // Lower temperature for more deterministic outputs
+    topP: 0.8,
+    topK: 40,
+    maxOutputTokens: 1024,
+  });
+
+  return normalizeIntent({ ...parsed, parsed_by: llm.name }, message);
+}
+
+/**
+ * Parses a message into an intent
+ * @param {string} message - User's natural language message
+ * @param {object} options - Parsing options
+ * @param {object} options.llm - LLM provider; without one (or if it fails) the rule-based parser is used
+ * @param {object} options.context - Conversation context from buildConversationContext, for follow-ups
+ * @returns {Promise<object>} - Annotated intent in the shared schema
+ */
+export async function parseIntent(message, { llm = null, context = null } = {}) {
+  const ruleIntent = parseIntentRules(message);
+  let intent = null;
+
+  // Batches, payment rules and spending questions come from the rule-based parser alone
+  if (llm && ![BATCH_INTENT, RULE_INTENT, INSIGHTS_INTENT].includes(ruleIntent.intent)) {
+    try {
+      intent = await parseIntentWithModel(message, llm, context);
+      console.log(`Parsed message (${llm.name}):`, intent);
+    } catch (error) {
+      console.error('Error parsing message with the LLM provider, falling back to rules:', error);
+    }
+  }
+
+  if (!intent) {
+    console.log('Parsed message (rules):', ruleIntent);
+    return annotateIntent(ruleIntent, context);
+  }
+
+  // The model can be steered by what the message says, so its recipients, amounts and tokens
+  // only count if the user typed them
+  const { intent: validated, unverified_fields, rejected } = validateIntent(annotateIntent(intent, context));
+  if (rejected) {
+    console.warn('Rejected model parse that the message does not support, falling back to rules:', validated);
+    return annotateIntent(ruleIntent, context);
+  }
+
+  if (unverified_fields.length > 0) {
+    console.warn('Dropped fields the message does not support:', unverified_fields);
+  }
+
+  return validated;
+}
@@ -0,0 +1,67 @@
+/**
+ * Numbers typed in messages
+ * Every parser that reads an amount from text (the rule-based parser, the checks on the model's
+ * parse, split shares, fiat amounts, rules and history filters) reads it here, so a message means
+ * the same amount wherever it is read:
+ *
+ *   1,250.50   Thousands separators
+ *   .5         No leading zero
+ *   1.5k, 2m   Thousands and millions
+ *   0.1eth     A token or currency straight after the number
+ *
+ * A number run into anything else ("5pm", "1st", "1,5", "1.2.3") isn't read as an amount at all,
+ * rather than cut down to its leading digits; the user is asked for the amount instead.
+ */
+
+import { SUPPORTED_TOKEN_SYMBOLS } from '../../web3/config/tokens';
+
+const MULTIPLIERS = { '': 1, k: 1000, m: 1000000 };
+
+// Words that may follow a number without a space
+const UNITS = [...SUPPORTED_TOKEN_SYMBOLS, 'ether', 'usd', 'dollars?', 'bucks', 'eur', 'euros?', 'gbp', 'pounds?'].join('|');
+
+/**
+ * A number in pattern source, for building larger patterns; they must use the 'i' flag. It matches
+ * the number with its k or m, and nothing when the number runs into other letters or digits.
+ */
+export const NUMBER_SOURCE = [
+  '(?<![\\w.]|\\d,)',
+  '(?:\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?|\\.\\d+)',
+  '(?:[km](?![a-z]))?',
+  `(?=$|(?:${UNITS})\\b|[.,](?!\\d)|[^\\w.,])`,
+].join('');
+
+const NUMBER_PATTERN = new RegExp(NUMBER_SOURCE, 'gi');
+const WHOLE_NUMBER_PATTERN = new RegExp(`^${NUMBER_SOURCE}$`, 'i');
+
+/**
+ * Reads one number, as matched by NUMBER_SOURCE
+ * @param {string|number} value - e.g. "1,000", "1.5k" or 12
+ * @returns {number|null} - The number, or null if it isn't one
+ */
+export function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  const text = String(value ?? '').trim();
+  if (!WHOLE_NUMBER_PATTERN.test(text)) return null;
+
+  const suffix = /[km]$/i.test(text) ? text.slice(-1).toLowerCase() : '';
+  const number = parseFloat(text.slice(0, text.length - suffix.length).replace(/,/g, '')) * MULTIPLIERS[suffix];
+
+  // 1.1k is 1100, not 1100.0000000000002
+  return Number(number.toPrecision(12));
+}
+
+/**
+ * Lists the numbers in a piece of text, in order
+ * @param {string} text - Text to search
+ * @returns {object[]} - [{ value, text, index }]
+ */
+export function findNumbers(text) {
+  if (!text) return [];
+  return Array.from(String(text).matchAll(NUMBER_PATTERN), match => ({
+    value: parseNumber(match[0]),
+    text: match[0],
+    index: match.index,
+  }));
+}
@@ -0,0 +1,261 @@
+/**
+ * Rule-based intent parser
+ * Keyword and pattern matching that works without a model: it is the fallback when the model
+ * fails, and what the browser and the AgentKit helpers use to recognise requests
+ */
+
+import { BATCH_INTENT, INSIGHTS_INTENT, normalizeIntent, REQUEST_INTENT, RULE_INTENT } from './schema';
+import { extractAmount, extractRecipients, extractToken } from '../../utils/intentClarification';
+import { parseHistoryFilter } from '../../utils/historyFilters';
+import { parseSchedule } from '../schedules/recurrence';
+import { parseRule } from '../rules/parse';
+import { parseInsight } from '../insights/parse';
+import { getTypedTokens } from './validate';
+
+const SEND_PATTERN = /\b(send|pay|transfer)\b/i;
+const SPLIT_PATTERN = /\b(split|divide|share)\b/i;
+const EQUAL_SPLIT_PATTERN = /\b(equal|equally|even|evenly)\b/i;
+// "request 20 USDC from @alice", "ask @bob for 5 USDC", "charge @carol 0.1 ETH"
+const REQUEST_PATTERN = /^(please\s+)?(can you\s+)?(request|ask|charge|invoice|bill)\b/i;
+
+// "how do I send ETH?" is a question about sending, not a payment
+const QUESTION_PATTERN = /^(tell me about|explain|describe|what is|what are|who is|how do|how does|how can)\b/i;
+
+const CONVERSATIONAL_PATTERNS = [
+  /^hi\b/i, /^hello\b/i, /^hey\b/i, /^what/i, /^who/i, /^how/i, /^when/i, /^where/i, /^why/i,
+  /^tell me about/i, /^explain/i, /^can you/i, /\?$/, /help me/i, /^thanks/i, /^thank you/i,
+];
+
+const HISTORY_PATTERN = /\bhistory\b|\b(recent|my|past|last)\s+(\d+\s+)?(transactions|payments|transfers)\b/i;
+const CHAT_HISTORY_PATTERN = /\b(chat|conversation|message)s?\b/i;
+
+// "what did I send to @bob last month" asks about past payments rather than making one
+const HISTORY_QUESTION_PATTERN = /\b(did|have)\s+I\s+(send|sent|pay|paid|transfer|transferred|receive|received|get|got|spend|spent|split)\b/i;
+// "payments over 0.5 ETH this year", "show failed transactions since Monday"
+const HISTORY_LISTING_PATTERN = /^(show|list|find|display|view|get|which|any)\b|\b(my|all)\s+(\w+\s+)?(transactions|payments|transfers|splits)\b|^(\w+\s+)?(transactions|payments|transfers|splits)\b/i;
+
+// "send 1 ETH to @bob for dinner" → "dinner"
+const NOTE_PATTERN = /\b(for|note:?)\s+(.+)$/i;
+
+// Where a new payment starts in "send 0.1 ETH to @alice, and split 0.3 between @carol and @dan"
+const PAYMENT_VERB_PATTERN = /\b(send|pay|transfer|split|divide)\b/gi;
+// Joining words left at the end of the previous payment
+const CLAUSE_JOIN_PATTERN = /[\s,;]*(\b(and|then|also|plus)\b[\s,;]*)*$/i;
+
+/**
+ * Checks whether a message asks for the wallet balance
+ * @param {string} lowerText - Lower-cased message
+ * @returns {boolean} - True for balance checks
+ */
+function isBalanceCheck(lowerText) {
+  return (lowerText.includes('balance') && (lowerText.includes('wallet') || lowerText.includes('my'))) ||
+    (lowerText.includes('check') && lowerText.includes('balance')) ||
+    (lowerText.includes('how much') && (lowerText.includes('eth') || lowerText.includes('token') || lowerText.includes('have'))) ||
+    lowerText.includes('show balance');
+}
+
+/**
+ * Returns the payment action a message asks for
+ * @param {string} text - Message text
+ * @returns {string|null} - 'send', 'split' or null
+ */
+function getPaymentAction(text) {
+  if (QUESTION_PATTERN.test(text)) return null;
+  if (SPLIT_PATTERN.test(text)) return 'split';
+  if (SEND_PATTERN.test(text)) return 'send';
+  return null;
+}
+
+/**
+ * Returns the note at the end of a payment request, unless it names recipients
+ * @param {string} text - Message text
+ * @returns {string|null} - Note or null
+ */
+function extractNote(text) {
+  const match = text.match(NOTE_PATTERN);
+  if (!match || match[2].includes('@')) return null;
+  return match[2].trim();
+}
+
+/**
+ * Checks whether a message asks someone else to pay the user
+ * @param {string} text - Message text
+ * @returns {boolean} - True for payment requests that name an amount or someone to ask
+ */
+function isPaymentRequest(text) {
+  return REQUEST_PATTERN.test(text) && (extractAmount(text) !== null || extractRecipients(text).length > 0);
+}
+
+/**
+ * Parses a payment request. In "ask @bob for 5 USDC" the "for" introduces the amount, not a note.
+ * @param {string} text - Message text
+ * @returns {object} - Request intent in the shared schema
+ */
+function parseRequest(text) {
+  const note = extractNote(text);
+  return normalizeIntent({
+    intent: REQUEST_INTENT,
+    amount: extractAmount(text),
+    token: extractToken(text),
+    recipients: extractRecipients(text),
+    note: note && extractAmount(note) === null ? note : null,
+    parsed_by: 'rules',
+  }, text);
+}
+
+/**
+ * Splits a message into one clause per payment. A payment verb only starts a new clause when the
+ * text after it names an amount or a recipient, so "send 1 ETH to @bob to pay for dinner" stays whole.
+ * @param {string} message - User's natural language message
+ * @returns {string[]} - Clauses in the order they were typed (a single clause for one payment)
+ */
+export function splitPaymentClauses(message) {
+  const text = String(message ?? '').trim();
+  const starts = Array.from(text.matchAll(PAYMENT_VERB_PATTERN), match => match.index);
+  const clauses = [];
+  let start = 0;
+
+  starts.forEach((index, position) => {
+    if (position === 0) return;
+
+    const next = text.slice(index, starts[position + 1] ?? text.length);
+    if (extractAmount(next) === null && extractRecipients(next).length === 0) return;
+
+    clauses.push(text.slice(start, index).replace(CLAUSE_JOIN_PATTERN, '').trim());
+    start = index;
+  });
+
+  clauses.push(text.slice(start).trim());
+  return clauses.filter(Boolean);
+}
+
+/**
+ * Parses a single send or split request
+ * @param {string} text - Message text (or one clause of it)
+ * @param {string} action - 'send' or 'split'
+ * @returns {object} - Payment intent in the shared schema
+ */
+function parsePayment(text, action) {
+  return normalizeIntent({
+    intent: action,
+    amount: extractAmount(text),
+    token: extractToken(text),
+    recipients: extractRecipients(text),
+    split_type: action === 'split' && EQUAL_SPLIT_PATTERN.test(text) ? 'equal' : null,
+    note: extractNote(text),
+    parsed_by: 'rules',
+  }, text);
+}
+
+/**
+ * Parses a message with several payments into a batch, one action per clause. A clause that
+ * doesn't name a token pays in the one named before it ("send 0.1 ETH to @a and split 0.3 …");
+ * when the clause before named several ("0.1 ETH to @a and 5 USDC to @b, then split 0.3 …"),
+ * the user is asked which one.
+ * @param {string} text - Message text
+ * @param {string[]} clauses - Clauses from splitPaymentClauses
+ * @returns {object} - Batch intent in the shared schema
+ */
+function parseBatch(text, clauses) {
+  let tokens = [];
+
+  const actions = clauses.map(clause => {
+    const payment = parsePayment(clause, getPaymentAction(clause) || 'send');
+    const typedTokens = Array.from(new Set(getTypedTokens(clause)));
+
+    if (typedTokens.length > 0) {
+      tokens = typedTokens;
+    } else if (tokens.length === 1) {
+      payment.token = tokens[0];
+      payment.token_specified = true;
+    } else if (tokens.length > 1) {
+      payment.token_specified = false;
+    }
+
+    return payment;
+  });
+
+  return normalizeIntent({ intent: BATCH_INTENT, actions, parsed_by: 'rules' }, text);
+}
+
+/**
+ * Parses a message into an intent using keyword and pattern rules
+ * @param {string} message - User's natural language message
+ * @returns {object} - Intent in the shared schema (see schema.js), with parsed_by 'rules'; a message
+ *   with several payments becomes a batch, and a single payment can carry a schedule
+ */
+export function parseIntentRules(message) {
+  const text = String(message ?? '').trim();
+  const lowerText = text.toLowerCase();
+
+  // "when did I pay @bob?" starts like a rule but asks about the past
+  const { rule, error: ruleError } = parseRule(text);
+  if (rule || (ruleError && !/\?$/.test(text) && !HISTORY_QUESTION_PATTERN.test(text))) {
+    return normalizeIntent({ intent: RULE_INTENT, rule, rule_error: ruleError, parsed_by: 'rules' }, text);
+  }
+
+  // "who do I pay the most?" and "how much have I spent?" aren't payments or balance checks
+  const insight = parseInsight(text);
+  if (insight) {
+    return normalizeIntent({ intent: INSIGHTS_INTENT, ...insight, parsed_by: 'rules' }, text);
+  }
+
+  if (isPaymentRequest(text)) {
+    return parseRequest(text);
+  }
+
+  const filter = parseHistoryFilter(text);
+  const isHistoryQuestion = HISTORY_QUESTION_PATTERN.test(text) || (!!filter && HISTORY_LISTING_PATTERN.test(text));
+  const action = isHistoryQuestion ? null : getPaymentAction(text);
+
+  if (!action && !isHistoryQuestion && isBalanceCheck(lowerText)) {
+    return normalizeIntent({ intent: 'check_balance', parsed_by: 'rules' }, text);
+  }
+
+  if (isHistoryQuestion || (!action && HISTORY_PATTERN.test(text))) {
+    const isChat = !isHistoryQuestion && CHAT_HISTORY_PATTERN.test(text);
+    const limit = text.match(/\b(\d+)\s+(?:\w+\s+)?(transactions|payments|transfers|messages)\b/i);
+    return normalizeIntent({
+      intent: isChat ? 'chat_history' : 'transaction_history',
+      history_type: isChat ? 'chat' : 'transactions',
+      // A filtered question gets every match unless the user typed a number
+      limit: limit ? limit[1] : filter && !isChat ? null : 10,
+      filter: isChat ? null : filter,
+      parsed_by: 'rules',
+    }, text);
+  }
+
+  if (!action) {
+    const isConversational = CONVERSATIONAL_PATTERNS.some(pattern => pattern.test(text));
+    return normalizeIntent({
+      intent: isConversational ? 'conversation' : 'unknown',
+      parsed_by: 'rules',
+    }, text);
+  }
+
+  const clauses = splitPaymentClauses(text);
+  if (clauses.length > 1) {
+    return parseBatch(text, clauses);
+  }
+
+  // "every Friday for 8 weeks" is read first and taken out, so it isn't mistaken for a note or an amount
+  const { schedule, remainder } = parseSchedule(text);
+  if (!schedule) {
+    return parsePayment(text, action);
+  }
+
+  return normalizeIntent({ ...parsePayment(remainder, action), schedule }, text);
+}
+
+/**
+ * Checks if a message appears to be a transaction request (a send, split, payment request,
+ * balance check or history lookup) rather than a question or small talk
+ * @param {string} message - User's natural language message
+ * @returns {boolean} - True if the message appears to be a transaction request
+ */
+export function isTransactionRequest(message) {
+  if (!message || typeof message !== 'string') return false;
+
+  const { intent } = parseIntentRules(message);
+  return intent !== 'conversation' && intent !== 'unknown';
+}
@@ -0,0 +1,207 @@
+/**
+ * Intent schema
+ * Every parser in the app (the model-backed parser, the rule-based parser and the AgentKit helpers)
+ * returns intents in this one shape:
+ *
+ *   intent            One of INTENT_TYPES
+ *   amount            Token amount as a number, or null (null when the amount is given in fiat)
+ *   fiat_amount       Fiat amount as a number, with fiat_currency ('USD', 'EUR' or 'GBP'), when the user typed one
+ *   token             Canonical token symbol; DEFAULT_TOKEN when none is named
+ *   recipients        Handles, Base Names or addresses without the @ prefix (always an array); for
+ *                     'request' intents, the people asked to pay
+ *   split_type        'equal', 'percentage' or 'custom' for splits, otherwise null
+ *   allocations       Per-recipient shares for percentage and custom splits, otherwise null:
+ *                     { recipient, percentage } or { recipient, amount }
+ *   note              Reason for the payment, or null
+ *   history_type      'transactions', 'chat' or 'all' for history intents, otherwise null
+ *   limit             Number of history records to return, or null
+ *   filter            For transaction history, the date range, counterparty, token, amount range,
+ *                     status and type asked about (see utils/historyFilters.js), otherwise null
+ *   schedule          For a send or split to make later or repeatedly, when to make it: { start_at, cron,
+ *                     end_at, max_runs } (see lib/schedules/recurrence.js), otherwise null
+ *   rule              For 'rule' intents, the payment rule to create: { trigger, conditions, action }
+ *                     (see lib/rules/model.js), or null with rule_error saying why it couldn't be read
+ *   insight           For 'insights' intents, the spending question: { metric, category } (see
+ *                     lib/insights/model.js), with the period and counterparty asked about in filter
+ *   actions           For 'batch' intents, the payments in the order the user typed them: each is
+ *                     a send or split intent in this same shape, read from its own part of the message
+ *   isConversational  true for questions and small talk, which have intent 'conversation' and the text in query
+ *   raw_message       The user's message
+ *   parsed_by         What produced the intent: the LLM provider name, 'rules' or 'clarification'
+ *
+ * Later steps annotate intents with amount_specified, token_specified, context_fields,
+ * unverified_fields, confidence, suggestions (see confidence.js), needs_clarification, missing_fields
+ * and clarification_turns; normalizeIntent keeps them.
+ */
+
+import { DEFAULT_TOKEN, normalizeTokenSymbol } from '../../web3/config/tokens';
+import { SPLIT_TYPES } from '../../web3/utils/splits';
+import { sanitizeHistoryFilter } from '../../utils/historyFilters';
+import { sanitizeSchedule } from '../schedules/recurrence';
+import { sanitizeRule } from '../rules/model';
+import { sanitizeInsight } from '../insights/model';
+import { parseNumber } from './numbers';
+
+export const INTENT_TYPES = [
+  'send',
+  'split',
+  'batch',
+  'request',
+  'rule',
+  'insights',
+  'check_balance',
+  'transaction_history',
+  'chat_history',
+  'history',
+  'conversation',
+  'unknown',
+];
+
+// Intents that move money
+export const PAYMENT_INTENTS = ['send', 'split'];
+
+// Several payments from one message, proposed and executed together
+export const BATCH_INTENT = 'batch';
+
+// Asks someone else to pay the user ("request 20 USDC from @alice"); moves no money itself
+export const REQUEST_INTENT = 'request';
+
+// Sets up a payment the app makes by itself when something happens ("if @bob pays me, forward 10% to savings")
+export const RULE_INTENT = 'rule';
+
+// Asks about spending ("how much did I spend on food this month?"); answered from aggregates
+export const INSIGHTS_INTENT = 'insights';
+
+export const HISTORY_INTENTS = ['transaction_history', 'chat_history', 'history'];
+
+/**
+ * Turns an amount from a parser or stored metadata into a positive number
+ * @param {number|string} value - Amount
+ * @returns {number|null} - Amount, or null if it isn't a positive number
+ */
+function toAmount(value) {
+  const amount = parseNumber(value);
+  return amount !== null && amount > 0 ? amount : null;
+}
+
+/**
+ * Strips the @ prefix and whitespace from a recipient
+ * @param {string} recipient - Recipient handle, name or address
+ * @returns {string} - Bare recipient
+ */
+function toRecipient(recipient) {
+  return String(recipient ?? '').trim().replace(/^@/, '');
+}
+
+/**
+ * Brings an intent from any parser into the shared schema. Accepts the older field names
+ * (type, action, splitType, recipient) so stored metadata and legacy callers keep working.
+ * @param {object} raw - Intent as returned by a parser, or stored in metadata
+ * @param {string} message - The user's message (defaults to raw.raw_message)
+ * @returns {object} - Intent in the shared schema
+ */
+export function normalizeIntent(raw, message = raw?.raw_message) {
+  const { type, action, splitType, recipient, ...rest } = raw && typeof raw === 'object' ? raw : {};
+  const rawMessage = message ?? null;
+
+  let intent = String(rest.intent || type || action || 'unknown').toLowerCase();
+  if (!INTENT_TYPES.includes(intent)) {
+    intent = 'unknown';
+  }
+
+  if (intent === 'conversation' || rest.isConversational === true) {
+    return {
+      ...rest,
+      intent: 'conversation',
+      isConversational: true,
+      query: rest.query || rawMessage,
+      raw_message: rawMessage,
+    };
+  }
+
+  const listed = rest.recipients ?? recipient;
+  const recipients = Array.from(new Set(
+    (Array.isArray(listed) ? listed : listed ? [listed] : []).map(toRecipient).filter(Boolean)
+  ));
+
+  if (intent === BATCH_INTENT) {
+    return normalizeBatch(rest, rawMessage);
+  }
+
+  const split = rest.split_type || splitType || null;
+  const allocations = Array.isArray(rest.allocations) && rest.allocations.length > 0
+    ? rest.allocations.map(allocation => ({ ...allocation, recipient: toRecipient(allocation.recipient) }))
+    : null;
+
+  return {
+    ...rest,
+    intent,
+    amount: toAmount(rest.amount),
+    token: normalizeTokenSymbol(rest.token) || DEFAULT_TOKEN,
+    recipients,
+    split_type: SPLIT_TYPES.includes(split) ? split : null,
+    allocations,
+    note: rest.note || null,
+    history_type: rest.history_type || null,
+    limit: rest.limit ? parseInt(rest.limit, 10) || null : null,
+    filter: HISTORY_INTENTS.includes(intent) || intent === INSIGHTS_INTENT ? sanitizeHistoryFilter(rest.filter) : null,
+    schedule: PAYMENT_INTENTS.includes(intent) ? sanitizeSchedule(rest.schedule) : null,
+    rule: intent === RULE_INTENT ? sanitizeRule(rest.rule) : null,
+    insight: intent === INSIGHTS_INTENT ? sanitizeInsight(rest.insight) : null,
+    isConversational: false,
+    raw_message: rawMessage,
+  };
+}
+
+/**
+ * Brings a batch intent into the shared schema. Its actions are normalized one by one and
+ * anything other than a send or split is dropped; recipients lists everyone the batch pays.
+ * @param {object} rest - Batch intent without the legacy fields
+ * @param {string} rawMessage - The user's message
+ * @returns {object} - Batch intent in the shared schema
+ */
+function normalizeBatch(rest, rawMessage) {
+  // Only a single send or split can be scheduled; a batch is paid as soon as it's confirmed
+  const actions = (Array.isArray(rest.actions) ? rest.actions : [])
+    .map(action => normalizeIntent({ ...action, schedule: null }))
+    .filter(action => PAYMENT_INTENTS.includes(action.intent));
+
+  return {
+    ...rest,
+    intent: BATCH_INTENT,
+    actions,
+    amount: null,
+    token: actions[0]?.token || DEFAULT_TOKEN,
+    recipients: Array.from(new Set(actions.flatMap(action => action.recipients))),
+    split_type: null,
+    allocations: null,
+    note: rest.note || null,
+    history_type: null,
+    limit: null,
+    filter: null,
+    schedule: null,
+    rule: null,
+    insight: null,
+    isConversational: false,
+    raw_message: rawMessage,
+  };
+}
+
+/**
+ * Checks whether an intent moves money
+ * @param {object} intent - Intent in the shared schema
+ * @returns {boolean} - True for send, split and batch intents
+ */
+export function isPaymentIntent(intent) {
+  return !!intent && (PAYMENT_INTENTS.includes(intent.intent) || intent.intent === BATCH_INTENT);
+}
+
+/**
+ * Lists the payments an intent makes
+ * @param {object} intent - Intent in the shared schema
+ * @returns {object[]} - A batch's actions, the intent itself for a send or split, otherwise nothing
+ */
+export function getPaymentActions(intent) {
+  if (!isPaymentIntent(intent)) return [];
+  return intent.intent === BATCH_INTENT ? intent.actions || [] : [intent];
+}
@@ -0,0 +1,134 @@
+/**
+ * Post-parse validation
+ * The model reads the user's message, but nothing it returns is trusted for money: every
+ * recipient, amount and token of a payment or request must appear in what the user actually typed
+ * (or come from the conversation context, which only holds our own earlier proposals). A message
+ * that talks the model into inventing a recipient or an amount gets that field dropped, so the
+ * clarification flow asks for it; a parse where nothing checks out is rejected.
+ */
+
+import { DEFAULT_TOKEN, normalizeTokenSymbol, SUPPORTED_TOKEN_SYMBOLS } from '../../web3/config/tokens';
+import { PAYMENT_INTENTS, REQUEST_INTENT } from './schema';
+import { findNumbers } from './numbers';
+
+// Intents whose recipients, amounts and tokens are checked against the text
+const VALIDATED_INTENTS = [...PAYMENT_INTENTS, REQUEST_INTENT];
+
+const TOKEN_MENTION_PATTERN = new RegExp(`\\b(${SUPPORTED_TOKEN_SYMBOLS.join('|')}|ether)\\b`, 'gi');
+const ADDRESS_PATTERN = /\b0x[a-fA-F0-9]{40}\b/g;
+const HANDLE_PATTERN = /@[\w.-]+/g;
+
+/**
+ * Removes addresses and handles from a message, so digits inside them aren't read as numbers
+ * @param {string} text - Message text
+ * @returns {string} - Text without recipients
+ */
+export function withoutRecipients(text) {
+  return text.replace(ADDRESS_PATTERN, ' ').replace(HANDLE_PATTERN, ' ');
+}
+
+/**
+ * Lists the numbers typed in a message, leaving out digits inside addresses and handles
+ * @param {string} text - Message text
+ * @returns {number[]} - Numbers
+ */
+function getTypedNumbers(text) {
+  return findNumbers(withoutRecipients(text)).map(number => number.value);
+}
+
+/**
+ * Lists the tokens named in a message
+ * @param {string} text - Message text
+ * @returns {string[]} - Canonical token symbols
+ */
+export function getTypedTokens(text) {
+  return Array.from(text.matchAll(TOKEN_MENTION_PATTERN), match => normalizeTokenSymbol(match[1])).filter(Boolean);
+}
+
+/**
+ * Checks whether a recipient appears in a message. "alice.base.eth" counts for a message that
+ * says "@alice.base", since the model may complete a Base Name the user shortened.
+ * @param {string} lowerText - Lower-cased message text
+ * @param {string} recipient - Recipient from the parse
+ * @returns {boolean} - True if the user typed the recipient
+ */
+function isTypedRecipient(lowerText, recipient) {
+  const name = String(recipient).toLowerCase().replace(/^@/, '');
+  if (!name) return false;
+  if (lowerText.includes(name)) return true;
+
+  const label = name.replace(/(\.base)?(\.eth)?$/, '');
+  return label !== name && new RegExp(`(^|[^\\w.-])@?${label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(\\.base)?\\b`).test(lowerText);
+}
+
+/**
+ * Checks a parsed payment or request against the user's message
+ * @param {object} intent - Annotated intent from the model
+ * @returns {object} - { intent, unverified_fields, rejected }: the intent with the fields that
+ *   didn't check out dropped (and listed in unverified_fields), and rejected when none of the
+ *   recipients or amounts the model returned were typed
+ */
+export function validateIntent(intent) {
+  if (!intent || !VALIDATED_INTENTS.includes(intent.intent)) {
+    return { intent, unverified_fields: [], rejected: false };
+  }
+
+  const text = intent.raw_message || '';
+  const lowerText = text.toLowerCase();
+  const fromContext = intent.context_fields || [];
+  const validated = { ...intent };
+  const unverified = [];
+
+  let checkedRecipients = 0;
+  if (!fromContext.includes('recipients')) {
+    const recipients = intent.recipients || [];
+    validated.recipients = recipients.filter(recipient => isTypedRecipient(lowerText, recipient));
+    checkedRecipients = validated.recipients.length;
+
+    if (validated.recipients.length < recipients.length) {
+      unverified.push('recipients');
+
+      // Shares are read from the text, but drop any that belong to someone who wasn't typed
+      if (validated.allocations) {
+        validated.allocations = validated.allocations.filter(allocation => validated.recipients.includes(allocation.recipient));
+        if (validated.allocations.length === 0) validated.allocations = null;
+      }
+    }
+  }
+
+  let checkedAmount = false;
+  if (!fromContext.includes('amount') && intent.amount !== null && intent.amount !== undefined) {
+    const numbers = getTypedNumbers(text);
+    const allocatedTotal = (intent.allocations || []).reduce((total, allocation) => total + (allocation.amount || 0), 0);
+    const matches = value => Math.abs(value - intent.amount) < 1e-9;
+
+    // A custom split without a stated total adds up the shares the user typed
+    checkedAmount = numbers.some(matches) || (allocatedTotal > 0 && matches(allocatedTotal));
+    if (!checkedAmount) {
+      validated.amount = null;
+      validated.amount_specified = false;
+      unverified.push('amount');
+    }
+  }
+
+  if (!fromContext.includes('token')) {
+    const tokens = getTypedTokens(text);
+    const typed = tokens.length > 0 ? tokens.includes(intent.token) : intent.token === DEFAULT_TOKEN;
+
+    if (!typed) {
+      validated.token = tokens[0] || DEFAULT_TOKEN;
+      unverified.push('token');
+    }
+  }
+
+  // Nothing the model returned for who or how much was in the message
+  const hadRecipients = !fromContext.includes('recipients') && (intent.recipients || []).length > 0;
+  const hadAmount = !fromContext.includes('amount') && intent.amount !== null && intent.amount !== undefined;
+  const rejected = (hadRecipients || hadAmount) && checkedRecipients === 0 && !checkedAmount;
+
+  return {
+    intent: unverified.length > 0 ? { ...validated, unverified_fields: unverified } : validated,
+    unverified_fields: unverified,
+    rejected,
+  };
+}
@@ -0,0 +1,54 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { parseJSONResponse } from './json';
+
+// Default model used when LLM_MODEL isn't set
+export const DEFAULT_GEMINI_MODEL = 'gemini-2.0-flash';
+
+/**
+ * Creates an LLM provider backed by Google Gemini
+ * @param {object} options - Provider options
+ * @param {string} options.apiKey - Google AI API key
+ * @param {string} options.model - Default model name
+ * @returns {object} - LLM provider
+ */
+export function createGeminiProvider({ apiKey, model = DEFAULT_GEMINI_MODEL } = {}) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  // Gemini doesn't support a system role in generateContent, so the system prompt is prepended
+  const buildRequest = ({ prompt, system, temperature, topP, topK, maxOutputTokens = 1024 }, json = false) => ({
+    contents: [{ role: 'user', parts: [{ text: system ? `${system}\n\n${prompt}` : prompt }] }],
+    generationConfig: {
+      temperature,
+      topP,
+      topK,
+      maxOutputTokens,
+      ...(json ? { responseMimeType: 'application/json' } : {}),
+    },
+  });
+
+  const getModel = (options) => genAI.getGenerativeModel({ model: options.model || model });
+
+  return {
+    name: 'gemini',
+    model,
+    configured: !!apiKey,
+
+    async generate(options) {
+      const result = await getModel(options).generateContent(buildRequest(options));
+      return result.response.text();
+    },
+
+    async generateJSON(options) {
+      const result = await getModel(options).generateContent(buildRequest(options, true));
+      return parseJSONResponse(result.response.text());
+    },
+
+    async *stream(options) {
+      const result = await getModel(options).generateContentStream(buildRequest(options));
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) yield text;
+      }
+    },
+  };
+}
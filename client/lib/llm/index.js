@@ -0,0 +1,75 @@
+/**
+ * LLM provider layer
+ * Every model call in the app goes through a provider chosen by configuration:
+ *
+ *   LLM_PROVIDER   'gemini' (default), 'openai' (any OpenAI-compatible API) or 'mock' (offline fixtures)
+ *   LLM_MODEL      Model name for the selected provider
+ *   GOOGLE_API_KEY Gemini API key (GEMINI_API_KEY is accepted too)
+ *   OPENAI_API_KEY / OPENAI_BASE_URL  Credentials and endpoint for the OpenAI-compatible provider
+ *
+ * A provider exposes:
+ *   generate(options): Promise<string>           Plain text completion
+ *   generateJSON(options): Promise<object>       JSON-mode completion, parsed
+ *   stream(options): AsyncIterable<string>       Text completion, chunk by chunk
+ * where options is { prompt, system, task, input, model, temperature, topP, topK, maxOutputTokens }.
+ * task names the kind of call ('parse_intent' or 'conversation') and input is
+ * the raw user text; the mock provider matches fixtures on both.
+ */
+
+import { createGeminiProvider } from './gemini';
+import { createOpenAICompatibleProvider } from './openai';
+import { createMockProvider } from './mock';
+
+export { createGeminiProvider, createOpenAICompatibleProvider, createMockProvider };
+export { parseJSONResponse } from './json';
+export { LLM_TASKS } from './tasks';
+
+let llmProvider = null;
+
+/**
+ * Creates the provider named by LLM_PROVIDER
+ * @returns {object} - LLM provider
+ */
+function createConfiguredProvider() {
+  const name = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const model = process.env.LLM_MODEL || undefined;
+
+  switch (name) {
+    case 'mock':
+      return createMockProvider();
+    case 'openai':
+      return createOpenAICompatibleProvider({
+        apiKey: process.env.OPENAI_API_KEY,
+        baseUrl: process.env.OPENAI_BASE_URL || undefined,
+        model,
+      });
+    case 'gemini':
+      return createGeminiProvider({
+        apiKey: process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY,
+        model,
+      });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER: ${name}`);
+  }
+}
+
+/**
+ * Gets the configured LLM provider
+ * @returns {object} - LLM provider
+ */
+export function getLLMProvider() {
+  if (!llmProvider) {
+    llmProvider = createConfiguredProvider();
+    console.log('LLM provider:', llmProvider.name, 'Model:', llmProvider.model, 'Configured:', llmProvider.configured);
+  }
+
+  return llmProvider;
+}
+
+/**
+ * Overrides the LLM provider (e.g. with a mock provider in tests)
+ * @param {object|null} provider - LLM provider, or null to go back to the configured one
+ */
+export function setLLMProvider(provider) {
+  llmProvider = provider;
+}
@@ -0,0 +1,22 @@
+/**
+ * Parses a JSON object out of a model response
+ * Models sometimes wrap JSON in markdown code fences or add a sentence around it
+ * @param {string} text - Model response text
+ * @returns {object} - Parsed JSON
+ * @throws {Error} - If the response doesn't contain valid JSON
+ */
+export function parseJSONResponse(text) {
+  let cleaned = String(text || '').trim();
+
+  // Remove any markdown code block markers
+  cleaned = cleaned.replace(/```json/g, '').replace(/```/g, '');
+
+  // Extract the outermost JSON object in case the model wrapped it in text
+  const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
+
+  try {
+    return JSON.parse(jsonMatch ? jsonMatch[0] : cleaned);
+  } catch (error) {
+    throw new Error(`Model response is not valid JSON: ${error.message}`);
+  }
+}
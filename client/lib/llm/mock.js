@@ -0,0 +1,66 @@
+import defaultFixtures from './fixtures/default.json';
+
+/**
+ * Creates a deterministic, offline LLM provider backed by fixtures
+ *
+ * A fixture is { task, pattern, response }: the first fixture whose task matches the call's
+ * task and whose pattern (a case-insensitive regex) matches the call's input wins.
+ * JSON calls with no matching fixture throw, so callers exercise their fallback paths;
+ * text calls with no matching fixture return a fixed reply.
+ * @param {object} options - Provider options
+ * @param {object[]} options.fixtures - Fixtures to answer from (defaults to fixtures/default.json)
+ * @returns {object} - LLM provider; every call is recorded in provider.calls
+ */
+export function createMockProvider({ fixtures = defaultFixtures } = {}) {
+  const calls = [];
+
+  const findFixture = ({ task, input, prompt }) => {
+    const text = String(input ?? prompt ?? '').trim();
+    return fixtures.find(fixture =>
+      (!fixture.task || fixture.task === task) &&
+      new RegExp(fixture.pattern, 'i').test(text)
+    );
+  };
+
+  const defaultText = ({ input, prompt }) =>
+    `🤖 This is a mock response to: "${String(input ?? prompt ?? '').trim()}"`;
+
+  const generate = async (options) => {
+    calls.push({ method: 'generate', ...options });
+    const fixture = findFixture(options);
+
+    if (!fixture) return defaultText(options);
+    return typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response);
+  };
+
+  return {
+    name: 'mock',
+    model: 'mock',
+    configured: true,
+    calls,
+
+    generate,
+
+    async generateJSON(options) {
+      calls.push({ method: 'generateJSON', ...options });
+      const fixture = findFixture(options);
+
+      if (!fixture || typeof fixture.response !== 'object') {
+        throw new Error(`No mock fixture for ${options.task || 'request'}: ${options.input ?? ''}`);
+      }
+
+      // Copy so callers can't mutate the fixture
+      return JSON.parse(JSON.stringify(fixture.response));
+    },
+
+    async *stream(options) {
+      const text = await generate(options);
+      calls[calls.length - 1].method = 'stream';
+
+      // Emit word by word so streaming consumers see more than one chunk
+      for (const word of text.match(/\S+\s*/g) || []) {
+        yield word;
+      }
+    },
+  };
+}
@@ -0,0 +1,93 @@
+import { parseJSONResponse } from './json';
+
+// Defaults used when OPENAI_BASE_URL / LLM_MODEL aren't set
+export const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+export const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+
+/**
+ * Creates an LLM provider for any OpenAI-compatible chat completions API
+ * (OpenAI, Azure-style gateways, OpenRouter, Ollama, vLLM, LM Studio, ...)
+ * @param {object} options - Provider options
+ * @param {string} options.apiKey - API key (optional for local servers)
+ * @param {string} options.baseUrl - API base URL, up to and including /v1
+ * @param {string} options.model - Default model name
+ * @param {Function} options.fetchImpl - fetch implementation (defaults to global fetch)
+ * @returns {object} - LLM provider
+ */
+export function createOpenAICompatibleProvider({
+  apiKey,
+  baseUrl = DEFAULT_OPENAI_BASE_URL,
+  model = DEFAULT_OPENAI_MODEL,
+  fetchImpl
+} = {}) {
+  const endpoint = `${baseUrl.replace(/\/$/, '')}/chat/completions`;
+
+  const request = async ({ prompt, system, temperature, topP, maxOutputTokens = 1024, ...options }, extra = {}) => {
+    const response = await (fetchImpl || fetch)(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model: options.model || model,
+        messages: [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          { role: 'user', content: prompt }
+        ],
+        temperature,
+        top_p: topP,
+        max_tokens: maxOutputTokens,
+        ...extra
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`LLM request failed (${response.status}): ${await response.text()}`);
+    }
+
+    return response;
+  };
+
+  return {
+    name: 'openai',
+    model,
+    configured: !!apiKey || !baseUrl.startsWith(DEFAULT_OPENAI_BASE_URL),
+
+    async generate(options) {
+      const data = await (await request(options)).json();
+      return data.choices?.[0]?.message?.content || '';
+    },
+
+    async generateJSON(options) {
+      const data = await (await request(options, { response_format: { type: 'json_object' } })).json();
+      return parseJSONResponse(data.choices?.[0]?.message?.content);
+    },
+
+    async *stream(options) {
+      const response = await request(options, { stream: true });
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      // Server-sent events: one "data: {...}" line per chunk, ending with "data: [DONE]"
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const data = line.replace(/^data:\s*/, '').trim();
+          if (!line.startsWith('data:') || !data) continue;
+          if (data === '[DONE]') return;
+
+          const text = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (text) yield text;
+        }
+      }
+    },
+  };
+}
@@ -0,0 +1,5 @@
+// Kinds of calls the app makes; the mock provider matches fixtures on these
+export const LLM_TASKS = {
+  PARSE_INTENT: 'parse_intent',
+  CONVERSATION: 'conversation',
+};
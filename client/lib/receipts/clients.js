@@ -0,0 +1,31 @@
+import { createPublicClient, http } from 'viem';
+import { base, baseSepolia } from 'viem/chains';
+import { BASE_MAINNET, BASE_SEPOLIA } from '../../web3/config/networks';
+
+const CHAINS = {
+  [BASE_MAINNET.id]: { chain: base, rpcUrl: BASE_MAINNET.rpcUrls.default },
+  [BASE_SEPOLIA.id]: { chain: baseSepolia, rpcUrl: BASE_SEPOLIA.rpcUrls.default },
+};
+
+/**
+ * Creates the poller's getClient, with one public client per chain
+ * @param {object} options - Client options
+ * @param {string} options.localRpcUrl - RPC for any other chain, such as the local node the agent
+ *   sends through in development (defaults to AGENT_RPC_URL)
+ * @returns {Function} - (chainId) => viem public client, or null if there is no RPC for the chain
+ */
+export function createReceiptClients({ localRpcUrl = process.env.AGENT_RPC_URL } = {}) {
+  const clients = {};
+
+  return (chainId) => {
+    if (!clients[chainId]) {
+      const known = CHAINS[chainId];
+      if (!known && !localRpcUrl) return null;
+
+      clients[chainId] = known
+        ? createPublicClient({ chain: known.chain, transport: http(known.rpcUrl) })
+        : createPublicClient({ transport: http(localRpcUrl) });
+    }
+    return clients[chainId];
+  };
+}
@@ -0,0 +1,16 @@
+/**
+ * Receipt polling
+ * A payment is submitted by the agent (/api/ai/execute-transaction) or the user's wallet, and its
+ * row waits as 'submitted' (see utils/transactionRecords.js). The poller (poller.js) looks up the
+ * receipt of each one on the chain it was sent on (clients.js) and reports it confirmed, failed or
+ * dropped through /api/transactions/update (report.js), with its block number, gas used and fee.
+ * A split is followed through each of its legs' hashes, and its row follows the legs.
+ *
+ * /api/transactions/poll drives the poller on the real clock (call it from cron). Tests and scripts
+ * use their own store, report function and clients.
+ */
+
+export { createReceiptPoller, describeReceipt, DROP_AFTER_MS } from './poller';
+export { createSupabaseReceiptStore } from './store';
+export { createUpdateRouteReporter } from './report';
+export { createReceiptClients } from './clients';
@@ -0,0 +1,108 @@
+import { formatEther, TransactionNotFoundError, TransactionReceiptNotFoundError } from 'viem';
+
+// Submitted transactions checked per pollOnce call
+const DEFAULT_BATCH_SIZE = 50;
+
+// How long the network can go without knowing a submitted transaction before it counts as dropped
+export const DROP_AFTER_MS = 30 * 60 * 1000;
+
+/**
+ * Reads what a receipt says about a mined transaction
+ * @param {object} receipt - viem transaction receipt
+ * @returns {object} - { blockNumber, gasUsed, effectiveGasPrice, fee } with the gas price in wei and the
+ *   fee (including the L1 data fee on Base) in ETH, as decimal strings
+ */
+export function describeReceipt(receipt) {
+  const fee = receipt.gasUsed * receipt.effectiveGasPrice + (receipt.l1Fee ?? 0n);
+
+  return {
+    blockNumber: receipt.blockNumber.toString(),
+    gasUsed: receipt.gasUsed.toString(),
+    effectiveGasPrice: receipt.effectiveGasPrice.toString(),
+    fee: formatEther(fee),
+  };
+}
+
+/**
+ * Waits for a lookup that may not find anything
+ * @param {Promise} lookup - viem lookup
+ * @param {Function} NotFoundError - Error class the lookup throws when there's nothing to find
+ * @returns {Promise<object|null>} - What was found, or null
+ */
+async function findOrNull(lookup, NotFoundError) {
+  try {
+    return await lookup;
+  } catch (error) {
+    if (error instanceof NotFoundError) return null;
+    throw error;
+  }
+}
+
+/**
+ * Creates a poller that follows submitted transactions until they're mined
+ *
+ * Each poll looks up the receipt of every submitted transaction. A mined one is reported confirmed
+ * or failed, with its block number, gas used and fee; one the network has never heard of DROP_AFTER_MS
+ * after it was submitted is reported dropped. Anything else is still pending and is left for the
+ * next poll.
+ * @param {object} options - Poller options
+ * @param {object} options.store - Transaction store, e.g. createSupabaseReceiptStore(client)
+ * @param {Function} options.getClient - (chainId) => viem public client for that chain, or null
+ * @param {Function} options.report - async (row, { status, receipt }) that records the new status
+ * @param {object} options.clock - Clock with now(): Date (systemClock or createLocalClock() from lib/schedules)
+ * @param {number} options.batchSize - Most transactions to check per call
+ * @param {number} options.dropAfterMs - How long an unknown transaction has before it's dropped
+ * @returns {object} - Poller with pollOnce()
+ */
+export function createReceiptPoller({ store, getClient, report, clock, batchSize = DEFAULT_BATCH_SIZE, dropAfterMs = DROP_AFTER_MS }) {
+  const checkOne = async (row, now) => {
+    const client = getClient(row.chain_id);
+    if (!client) {
+      return { id: row.id, hash: row.transaction_hash, status: row.status, changed: false, error: `No RPC for chain ${row.chain_id}` };
+    }
+
+    const receipt = await findOrNull(client.getTransactionReceipt({ hash: row.transaction_hash }), TransactionReceiptNotFoundError);
+
+    let update = null;
+    if (receipt) {
+      update = { status: receipt.status === 'success' ? 'confirmed' : 'failed', receipt: describeReceipt(receipt) };
+    } else {
+      const pending = await findOrNull(client.getTransaction({ hash: row.transaction_hash }), TransactionNotFoundError);
+      const submittedAt = new Date(row.submitted_at || row.created_at);
+      if (!pending && now.getTime() - submittedAt.getTime() >= dropAfterMs) {
+        update = { status: 'dropped', receipt: null };
+      }
+    }
+
+    if (!update) {
+      return { id: row.id, hash: row.transaction_hash, status: row.status, changed: false, error: null };
+    }
+
+    await report(row, update);
+    return { id: row.id, hash: row.transaction_hash, status: update.status, changed: true, error: null };
+  };
+
+  return {
+    /**
+     * Checks every submitted transaction once
+     * @returns {Promise<object[]>} - One result per transaction: { id, hash, status, changed, error }
+     */
+    async pollOnce() {
+      const now = clock.now();
+      const submitted = await store.listSubmitted(batchSize);
+      const results = [];
+
+      for (const row of submitted) {
+        try {
+          results.push(await checkOne(row, now));
+        } catch (error) {
+          // One bad lookup or report doesn't hold up the rest
+          console.error(`Error checking transaction ${row.transaction_hash}:`, error);
+          results.push({ id: row.id, hash: row.transaction_hash, status: row.status, changed: false, error: error.message });
+        }
+      }
+
+      return results;
+    },
+  };
+}
@@ -0,0 +1,31 @@
+/**
+ * Creates the poller's report function, which records each new status through the same
+ * /api/transactions/update route the app uses
+ * @param {object} options - Reporter options
+ * @param {string} options.baseUrl - App URL (defaults to NEXT_PUBLIC_APP_URL)
+ * @param {Function} options.fetchImpl - fetch to use
+ * @returns {Function} - async (row, { status, receipt }) that throws if the update is refused
+ */
+export function createUpdateRouteReporter({
+  baseUrl = process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000',
+  fetchImpl = fetch,
+} = {}) {
+  return async (row, { status, receipt }) => {
+    const response = await fetchImpl(`${baseUrl}/api/transactions/update`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        transactionId: row.id,
+        transactionHash: row.transaction_hash,
+        walletAddress: row.wallet_address,
+        status,
+        receipt,
+      }),
+    });
+
+    if (!response.ok) {
+      const result = await response.json().catch(() => ({}));
+      throw new Error(result.error || `Update failed with status ${response.status}`);
+    }
+  };
+}
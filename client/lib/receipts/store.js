@@ -0,0 +1,35 @@
+/**
+ * Creates a receipt store backed by the transactions table
+ * @param {object} client - Supabase client (the server client, since the poller acts for every wallet)
+ * @returns {object} - Store with listSubmitted(limit), whose rows carry the sender's wallet_address;
+ *   throws on database errors
+ */
+export function createSupabaseReceiptStore(client) {
+  return {
+    // Oldest first; rows from before chain IDs were recorded can't be looked up and are skipped.
+    // A split with legs is followed through the hashes of its submitted legs, one row per hash.
+    async listSubmitted(limit) {
+      const { data, error } = await client
+        .from('transactions')
+        .select('*, users(wallet_address), transaction_legs(transaction_hash, status, submitted_at)')
+        .eq('status', 'submitted')
+        .not('transaction_hash', 'is', null)
+        .not('chain_id', 'is', null)
+        .order('submitted_at', { ascending: true })
+        .limit(limit);
+
+      if (error) throw error;
+      return (data || []).flatMap(({ users, transaction_legs: legs, ...row }) => {
+        const transaction = { ...row, wallet_address: users?.wallet_address || null };
+        if (!legs?.length) return [transaction];
+
+        const pending = new Map();
+        legs
+          .filter(leg => leg.status === 'submitted' && leg.transaction_hash)
+          .forEach(leg => pending.set(leg.transaction_hash, leg.submitted_at || row.submitted_at));
+
+        return Array.from(pending, ([hash, submittedAt]) => ({ ...transaction, transaction_hash: hash, submitted_at: submittedAt }));
+      });
+    },
+  };
+}
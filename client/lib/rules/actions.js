@@ -0,0 +1,85 @@
+import { createTransactionAgent } from '../../web3/utils/agentKit';
+
+/**
+ * Returns the address of one of a rule owner's wallets
+ * @param {object} row - payment_rules row
+ * @param {string} wallet - 'main' or 'smart'
+ * @returns {string} - Wallet address
+ */
+function getWalletAddress(row, wallet) {
+  if (wallet !== 'smart') return row.wallet_address;
+  if (!row.smart_wallet_address) {
+    throw new Error('This rule uses your smart wallet, but none is linked to your account');
+  }
+  return row.smart_wallet_address;
+}
+
+/**
+ * Creates the engine's actions on top of the transaction agent: balances come from the agent's
+ * getBalance capability, and payments go through the same /api/ai/execute-transaction route a chat
+ * payment uses
+ * @param {object} options - Action options
+ * @param {string} options.baseUrl - App URL (defaults to NEXT_PUBLIC_APP_URL)
+ * @param {Function} options.fetchImpl - fetch to use
+ * @param {string} options.cronSecret - Bearer token the route lets workers in with (defaults to CRON_SECRET)
+ * @param {Function} options.agentFactory - Creates the agent (defaults to createTransactionAgent)
+ * @returns {object} - Actions with getBalance(row, wallet) and send(row, { amount, token })
+ */
+export function createAgentRuleActions({
+  baseUrl = process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000',
+  fetchImpl = fetch,
+  cronSecret = process.env.CRON_SECRET,
+  agentFactory = createTransactionAgent,
+} = {}) {
+  return {
+    async getBalance(row, wallet) {
+      const agent = agentFactory({
+        useTestnet: row.use_testnet,
+        walletAddress: row.wallet_address,
+        smartWalletAddress: wallet === 'smart' ? getWalletAddress(row, 'smart') : undefined,
+      });
+
+      // The agent reports a failed lookup as a zero balance with an error, which must not fire a rule
+      const result = await agent.capabilities.getBalance.handler();
+      if (result.error) throw new Error(result.error);
+
+      return parseFloat(result.balance);
+    },
+
+    async send(row, { amount, token }) {
+      const { action } = row;
+
+      const response = await fetchImpl(`${baseUrl}/api/ai/execute-transaction`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${cronSecret}`,
+          // One key per firing (run_count moves on after each): a retried request isn't paid twice
+          'Idempotency-Key': `rule:${row.id}:${(row.run_count || 0) + 1}`,
+        },
+        body: JSON.stringify({
+          // Stored in the transaction's metadata, linking the payment back to its rule
+          transaction: {
+            type: 'send',
+            recipient: action.to_wallet ? getWalletAddress(row, action.to_wallet) : action.to,
+            amount,
+            token,
+            note: '',
+            rule_id: row.id,
+          },
+          walletAddress: row.wallet_address,
+          // The agent can only pay from the owner's smart wallet
+          smartWalletAddress: getWalletAddress(row, 'smart'),
+          useTestnet: row.use_testnet,
+        }),
+      });
+
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok || !result.success) {
+        return { success: false, error: result.error || `Payment failed with status ${response.status}` };
+      }
+
+      return { success: true, transactionHash: result.transactionHash || null };
+    },
+  };
+}
@@ -0,0 +1,195 @@
+import { getNextRunAt } from '../schedules/recurrence';
+import { evaluateConditions, matchesIncomingPayment, resolveActionAmount, RULE_TRIGGERS } from './model';
+
+// Date rules handled per runDue call
+const DEFAULT_BATCH_SIZE = 25;
+
+/**
+ * Checks whether a balance is past a balance trigger's threshold
+ * @param {object} trigger - Balance trigger
+ * @param {number} balance - Current balance
+ * @returns {boolean} - True if the balance is above (or below) the threshold
+ */
+function isPastThreshold(trigger, balance) {
+  return trigger.direction === 'above' ? balance > trigger.threshold : balance < trigger.threshold;
+}
+
+/**
+ * Creates the engine that fires payment rules
+ *
+ * Every firing claims the rule before it pays: the claim is guarded on the row as it was read, so
+ * two engines (or an engine and the owner pausing the rule) never act on the same event twice.
+ *
+ *   Incoming payment rules fire from handleIncomingPayment, called when a sync imports a payment the
+ *     user received on chain. trigger_state.transaction_hash remembers the last payment, so reading
+ *     it again doesn't refire.
+ *   Balance rules fire from checkBalances when the balance crosses the threshold, and not again until
+ *     it has gone back: trigger_state.past_threshold remembers which side it was on.
+ *   Date rules fire from runDue when next_run_at passes, which then moves on like a scheduled payment's.
+ *
+ * Conditions are checked after the trigger fires. A rule whose conditions fail still moves on, but
+ * only payments count in run_count and last_run_at.
+ * @param {object} options - Engine options
+ * @param {object} options.store - Rule store, e.g. createSupabaseRuleStore(client)
+ * @param {object} options.actions - Rule actions, e.g. createAgentRuleActions(): getBalance(row, wallet) and send(row, payment)
+ * @param {object} options.clock - Clock with now(): Date (see lib/schedules/worker.js)
+ * @param {number} options.batchSize - Most date rules to run per call
+ * @returns {object} - Engine with handleIncomingPayment(event), checkBalances() and runDue()
+ */
+export function createRuleEngine({ store, actions, clock, batchSize = DEFAULT_BATCH_SIZE }) {
+  const result = (row, fields) => ({
+    id: row.id,
+    success: false,
+    skipped: false,
+    transactionHash: null,
+    error: null,
+    ...fields,
+  });
+
+  // Pays a claimed rule's action for an event, after checking its conditions
+  const runRule = async (row, event, now) => {
+    let context = event;
+    try {
+      // Only look the balance up when a condition needs it; it's the smart wallet's, which pays the rule
+      if (context.balance === undefined && row.conditions?.some(condition => condition.field === 'balance')) {
+        context = { ...context, balance: await actions.getBalance(row, 'smart') };
+      }
+    } catch (error) {
+      await store.update(row.id, { last_error: error.message });
+      return result(row, { error: error.message });
+    }
+
+    if (!evaluateConditions(row.conditions, context)) {
+      return result(row, { skipped: true });
+    }
+
+    const amount = resolveActionAmount(row, context);
+    if (!amount) {
+      return result(row, { skipped: true });
+    }
+
+    let payment;
+    try {
+      payment = await actions.send(row, {
+        amount,
+        // A share of an incoming payment goes out in the token that came in
+        token: row.action.amount_mode === 'percentage' && context.token ? context.token : row.action.token,
+      });
+    } catch (error) {
+      payment = { success: false, error: error.message };
+    }
+
+    const changes = {
+      run_count: (row.run_count || 0) + 1,
+      last_run_at: now.toISOString(),
+      ...(payment.success
+        ? { last_transaction_hash: payment.transactionHash || null, last_error: null }
+        : { last_error: payment.error || 'Payment failed' }),
+    };
+    await store.update(row.id, changes);
+
+    return result(row, {
+      success: Boolean(payment.success),
+      transactionHash: payment.transactionHash || null,
+      error: payment.success ? null : changes.last_error,
+      amount,
+    });
+  };
+
+  return {
+    /**
+     * Fires a user's incoming payment rules for a payment they received
+     * @param {object} event - Incoming payment: { walletAddress, from, amount, token, transactionHash }
+     * @returns {Promise<object[]>} - One result per rule that fired: { id, success, skipped, transactionHash, error }
+     */
+    async handleIncomingPayment(event) {
+      const now = clock.now();
+      const rows = await store.listActive(RULE_TRIGGERS.INCOMING, event.walletAddress);
+      const payment = {
+        from: event.from,
+        amount: parseFloat(event.amount),
+        token: event.token || 'ETH',
+        transaction_hash: event.transactionHash || null,
+      };
+      const results = [];
+
+      for (const row of rows) {
+        if (!matchesIncomingPayment(row.trigger, payment)) continue;
+        if (payment.transaction_hash && row.trigger_state?.transaction_hash === payment.transaction_hash) continue;
+
+        const claimed = await store.claim(row, { trigger_state: { transaction_hash: payment.transaction_hash } });
+        if (!claimed) continue;
+
+        results.push(await runRule(claimed, payment, now));
+      }
+
+      return results;
+    },
+
+    /**
+     * Checks the balance of every wallet with a balance rule and fires the rules whose threshold
+     * was crossed since the last check
+     * @returns {Promise<object[]>} - One result per rule that fired
+     */
+    async checkBalances() {
+      const now = clock.now();
+      const rows = await store.listActive(RULE_TRIGGERS.BALANCE);
+      const results = [];
+
+      for (const row of rows) {
+        let balance;
+        try {
+          balance = await actions.getBalance(row, row.trigger.wallet);
+        } catch (error) {
+          // An unknown balance is neither side of the threshold, so the rule waits for the next check
+          await store.update(row.id, { last_error: error.message });
+          continue;
+        }
+
+        const past = isPastThreshold(row.trigger, balance);
+        const wasPast = Boolean(row.trigger_state?.past_threshold);
+        if (past === wasPast) continue;
+
+        const changes = { trigger_state: { past_threshold: past, balance } };
+        if (!past) {
+          // Back on the near side: the rule can fire on the next crossing
+          await store.claim(row, changes);
+          continue;
+        }
+
+        const claimed = await store.claim(row, changes);
+        if (!claimed) continue;
+
+        results.push(await runRule(claimed, { balance, token: row.trigger.token }, now));
+      }
+
+      return results;
+    },
+
+    /**
+     * Fires every date rule due at the clock's current time
+     * @returns {Promise<object[]>} - One result per rule that fired
+     */
+    async runDue() {
+      const now = clock.now();
+      const due = await store.listDue(now, batchSize);
+      const results = [];
+
+      for (const row of due) {
+        // Every due date counts towards max_runs, paid or not
+        const next = getNextRunAt(row.trigger.schedule, now, (row.trigger_state?.occurrences || 0) + 1);
+
+        const claimed = await store.claim(row, {
+          trigger_state: { occurrences: (row.trigger_state?.occurrences || 0) + 1 },
+          next_run_at: next ? next.toISOString() : null,
+          status: next ? 'active' : 'completed',
+        });
+        if (!claimed) continue;
+
+        results.push(await runRule(claimed, {}, now));
+      }
+
+      return results;
+    },
+  };
+}
@@ -0,0 +1,26 @@
+/**
+ * Payment rules
+ * "when my smart wallet balance goes above 1 ETH, sweep the excess to my main wallet" is a rule
+ * intent (parse.js) holding a trigger, conditions and an action (model.js). Confirming it stores a
+ * payment_rules row; the engine (engine.js) fires stored rules and makes their payments through the
+ * transaction agent (actions.js).
+ *
+ * Incoming payment rules fire when /api/transactions/store records a payment to the user.
+ * /api/rules/run checks balances and runs due date rules (call it from cron). Tests and scripts
+ * use their own store, actions and a local clock from lib/schedules.
+ */
+
+export {
+  RULE_TRIGGERS,
+  CONDITION_FIELDS,
+  CONDITION_OPERATORS,
+  sanitizeRule,
+  evaluateConditions,
+  matchesIncomingPayment,
+  resolveActionAmount,
+  describeRule,
+} from './model';
+export { RULE_PATTERN, isRuleMessage, parseRule } from './parse';
+export { createRuleEngine } from './engine';
+export { createSupabaseRuleStore } from './store';
+export { createAgentRuleActions } from './actions';
@@ -0,0 +1,246 @@
+/**
+ * Rule model
+ * A payment rule makes a payment when its trigger fires and its conditions hold:
+ *
+ *   trigger     What the rule waits for, one of:
+ *                 { type: 'balance_threshold', wallet: 'main' | 'smart', token: 'ETH', direction: 'above' | 'below', threshold }
+ *                   fires when the wallet's balance crosses the threshold (once per crossing)
+ *                 { type: 'incoming_payment', from, token, from_address }
+ *                   fires when someone (from, or anyone if null) pays the user (in token, or any token if null)
+ *                 { type: 'date', schedule }
+ *                   fires on a schedule (see lib/schedules/recurrence.js)
+ *   conditions  Checks on the event that fired it, all of which must pass: { field, operator, value } with
+ *               field 'amount', 'token', 'from' or 'balance' and operator one of CONDITION_OPERATORS
+ *   action      The payment: { type: 'send', to, to_wallet, from_wallet, token, amount_mode, amount_value }
+ *                 to            Recipient handle, Base Name or address, or null when to_wallet is set
+ *                 to_wallet     'main' or 'smart' to pay one of the user's own wallets, otherwise null
+ *                 from_wallet   Always 'smart': the agent makes a rule's payments, and the owner's smart
+ *                               wallet is the only one it can pay from
+ *                 amount_mode   'fixed' (amount_value tokens), 'percentage' (amount_value percent of the
+ *                               incoming amount, or of the balance) or 'excess' (the balance above the threshold)
+ *
+ * An event is { amount, token, from, balance, transaction_hash }, with whichever fields the trigger knows.
+ */
+
+import { normalizeTokenSymbol } from '../../web3/config/tokens';
+import { describeSchedule, sanitizeSchedule } from '../schedules/recurrence';
+import { parseNumber } from '../intent/numbers';
+
+export const RULE_TRIGGERS = {
+  BALANCE: 'balance_threshold',
+  INCOMING: 'incoming_payment',
+  DATE: 'date',
+};
+
+export const CONDITION_FIELDS = ['amount', 'token', 'from', 'balance'];
+
+export const CONDITION_OPERATORS = {
+  eq: (a, b) => String(a).toLowerCase() === String(b).toLowerCase(),
+  neq: (a, b) => String(a).toLowerCase() !== String(b).toLowerCase(),
+  gt: (a, b) => parseFloat(a) > parseFloat(b),
+  gte: (a, b) => parseFloat(a) >= parseFloat(b),
+  lt: (a, b) => parseFloat(a) < parseFloat(b),
+  lte: (a, b) => parseFloat(a) <= parseFloat(b),
+};
+
+const AMOUNT_MODES = ['fixed', 'percentage', 'excess'];
+const WALLETS = ['main', 'smart'];
+
+const OPERATOR_WORDS = {
+  eq: 'is',
+  neq: 'is not',
+  gt: 'is over',
+  gte: 'is at least',
+  lt: 'is under',
+  lte: 'is at most',
+};
+
+/**
+ * Turns a number from a parser or a request into a positive number
+ * @param {number|string} value - Number
+ * @returns {number|null} - Number, or null if it isn't positive
+ */
+function toPositive(value) {
+  const number = parseNumber(value);
+  return number !== null && number > 0 ? number : null;
+}
+
+/**
+ * Strips the @ prefix from a handle
+ * @param {string} value - Handle, Base Name or address
+ * @returns {string|null} - Bare handle, or null if empty
+ */
+function toHandle(value) {
+  const handle = String(value ?? '').trim().replace(/^@/, '');
+  return handle || null;
+}
+
+/**
+ * Keeps only the known trigger fields, with valid values
+ * @param {object} raw - Trigger
+ * @returns {object|null} - Trigger, or null if it is invalid
+ */
+function sanitizeTrigger(raw) {
+  switch (raw?.type) {
+    case RULE_TRIGGERS.BALANCE: {
+      const threshold = toPositive(raw.threshold);
+      if (!threshold || !['above', 'below'].includes(raw.direction)) return null;
+      return {
+        type: RULE_TRIGGERS.BALANCE,
+        wallet: WALLETS.includes(raw.wallet) ? raw.wallet : 'main',
+        // The agent's balance check reads the native balance only
+        token: 'ETH',
+        direction: raw.direction,
+        threshold,
+      };
+    }
+    case RULE_TRIGGERS.INCOMING:
+      return {
+        type: RULE_TRIGGERS.INCOMING,
+        from: toHandle(raw.from),
+        from_address: raw.from_address ? String(raw.from_address).toLowerCase() : null,
+        token: normalizeTokenSymbol(raw.token) || null,
+      };
+    case RULE_TRIGGERS.DATE: {
+      const schedule = sanitizeSchedule(raw.schedule);
+      return schedule ? { type: RULE_TRIGGERS.DATE, schedule } : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Keeps only the known action fields, with valid values
+ * @param {object} raw - Action
+ * @returns {object|null} - Action, or null if it is invalid
+ */
+function sanitizeAction(raw) {
+  if (!raw || raw.type !== 'send') return null;
+
+  const toWallet = WALLETS.includes(raw.to_wallet) ? raw.to_wallet : null;
+  const to = toWallet ? null : toHandle(raw.to);
+  const amountMode = AMOUNT_MODES.includes(raw.amount_mode) ? raw.amount_mode : 'fixed';
+  const amountValue = amountMode === 'excess' ? null : toPositive(raw.amount_value);
+
+  if (!to && !toWallet) return null;
+  if (amountMode !== 'excess' && !amountValue) return null;
+  if (amountMode === 'percentage' && amountValue > 100) return null;
+
+  return {
+    type: 'send',
+    to,
+    to_wallet: toWallet,
+    from_wallet: 'smart',
+    token: normalizeTokenSymbol(raw.token) || 'ETH',
+    amount_mode: amountMode,
+    amount_value: amountValue,
+  };
+}
+
+/**
+ * Keeps only the known rule fields, with valid values. A rule whose action can't work with its
+ * trigger (sweeping an excess without a balance to be in excess of, or of a wallet it doesn't pay
+ * from, paying your own wallet from itself) is invalid.
+ * @param {object} raw - Rule from the parser, stored metadata or an API request
+ * @returns {object|null} - { trigger, conditions, action }, or null if the rule is invalid
+ */
+export function sanitizeRule(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const trigger = sanitizeTrigger(raw.trigger);
+  const action = sanitizeAction(raw.action);
+  if (!trigger || !action) return null;
+
+  if (action.amount_mode === 'excess' && !(trigger.type === RULE_TRIGGERS.BALANCE && trigger.direction === 'above' && trigger.wallet === action.from_wallet)) {
+    return null;
+  }
+  if (action.to_wallet && action.to_wallet === action.from_wallet) return null;
+
+  const conditions = (Array.isArray(raw.conditions) ? raw.conditions : [])
+    .filter(condition => CONDITION_FIELDS.includes(condition?.field) && CONDITION_OPERATORS[condition.operator])
+    .map(({ field, operator, value }) => ({ field, operator, value }));
+
+  return { trigger, conditions, action };
+}
+
+/**
+ * Checks whether an event passes all of a rule's conditions
+ * @param {object[]} conditions - Rule conditions
+ * @param {object} event - Event the rule fired on
+ * @returns {boolean} - True if every condition holds (and true with no conditions)
+ */
+export function evaluateConditions(conditions, event) {
+  return (conditions || []).every(({ field, operator, value }) =>
+    event[field] !== undefined && event[field] !== null && CONDITION_OPERATORS[operator](event[field], value)
+  );
+}
+
+/**
+ * Checks whether an incoming payment is one a rule waits for
+ * @param {object} trigger - Incoming payment trigger
+ * @param {object} event - Incoming payment: { from, token, amount }, with from an address
+ * @returns {boolean} - True if the payment matches the trigger
+ */
+export function matchesIncomingPayment(trigger, event) {
+  if (trigger.token && normalizeTokenSymbol(event.token) !== trigger.token) return false;
+  if (!trigger.from) return true;
+
+  const from = String(event.from || '').toLowerCase();
+  return from === trigger.from_address || from === trigger.from.toLowerCase();
+}
+
+/**
+ * Works out how much a rule pays for an event
+ * @param {object} rule - Rule (or payment_rules row)
+ * @param {object} event - Event the rule fired on
+ * @returns {number|null} - Amount in the action's token, or null if there is nothing to pay
+ */
+export function resolveActionAmount(rule, event) {
+  const { action, trigger } = rule;
+  let amount = null;
+
+  if (action.amount_mode === 'fixed') {
+    amount = action.amount_value;
+  } else if (action.amount_mode === 'percentage') {
+    const base = parseFloat(event.amount ?? event.balance);
+    amount = Number.isFinite(base) ? base * action.amount_value / 100 : null;
+  } else if (action.amount_mode === 'excess') {
+    amount = parseFloat(event.balance) - trigger.threshold;
+  }
+
+  // Keep to 6 decimals so a share of a USDC payment stays a valid USDC amount (rounding away float
+  // error first, so 1.4 - 1 is 0.4 rather than 0.399999)
+  return amount > 0 ? Math.floor(Math.round(amount * 1e9) / 1e3) / 1e6 || null : null;
+}
+
+/**
+ * Describes a rule in words, e.g. "When @bob pays you, send 10% of it to @savings"
+ * @param {object} rule - Rule (or payment_rules row)
+ * @returns {string} - Description
+ */
+export function describeRule(rule) {
+  if (!rule) return '';
+  const { trigger, conditions, action } = rule;
+
+  let when;
+  if (trigger.type === RULE_TRIGGERS.BALANCE) {
+    when = `When your ${trigger.wallet} wallet's ${trigger.token} balance goes ${trigger.direction} ${trigger.threshold} ${trigger.token}`;
+  } else if (trigger.type === RULE_TRIGGERS.INCOMING) {
+    when = `When ${trigger.from ? `@${trigger.from}` : 'anyone'} pays you${trigger.token ? ` in ${trigger.token}` : ''}`;
+  } else {
+    when = describeSchedule(trigger.schedule).replace(/^\w/, c => c.toUpperCase());
+  }
+
+  const checks = (conditions || []).map(({ field, operator, value }) => `the ${field} ${OPERATOR_WORDS[operator]} ${value}`);
+  const condition = checks.length > 0 ? ` and ${checks.join(' and ')}` : '';
+
+  const recipient = action.to_wallet ? `your ${action.to_wallet} wallet` : `@${action.to}`;
+  const amount = action.amount_mode === 'excess'
+    ? `the ${trigger.token} above ${trigger.threshold}`
+    : action.amount_mode === 'percentage'
+      ? `${action.amount_value}% of ${trigger.type === RULE_TRIGGERS.INCOMING ? 'it' : 'your balance'}`
+      : `${action.amount_value} ${action.token}`;
+  // Every rule pays from the smart wallet, whatever an older rule stored
+  return `${when}${condition}, send ${amount} to ${recipient} from your smart wallet`;
+}
@@ -0,0 +1,183 @@
+import { extractAmount, extractRecipients, extractToken } from '../../utils/intentClarification';
+import { parseSchedule } from '../schedules/recurrence';
+import { RULE_TRIGGERS, sanitizeRule } from './model';
+import { NUMBER_SOURCE, parseNumber } from '../intent/numbers';
+
+// "when …", "if …", "whenever …", "every time …"
+export const RULE_PATTERN = /^(please\s+)?(when|whenever|if|every\s*time|each\s+time|once)\b/i;
+
+// Where the action starts: "…, sweep the excess to my main wallet", "… forward 10% to @savings"
+const ACTION_PATTERN = /(?:,\s*|\bthen\s+|\s+)(send|forward|sweep|transfer|move|pay|give)\b/i;
+
+const BALANCE_PATTERN = /\bbalance\b/i;
+const ABOVE_PATTERN = /\b(above|over|exceeds?|more than|higher than|greater than|rises|reaches|hits)\b/i;
+const BELOW_PATTERN = /\b(below|under|less than|lower than|drops|falls)\b/i;
+const SMART_WALLET_PATTERN = /\bsmart\s+wallet\b/i;
+const INCOMING_PATTERN = /\b(pays|paid|sends|sent|transfers|transferred)\s+me\b|\bI\s+(get|receive|am)\s+(paid|a\s+payment|money|funds)\b/i;
+const MINIMUM_PATTERN = /\b(more than|over|above|at least)\b/i;
+const EXCESS_PATTERN = /\b(the\s+)?(excess|extra|surplus|rest|difference|remainder)\b/i;
+const PERCENTAGE_PATTERN = new RegExp(`(${NUMBER_SOURCE})\\s*%`, 'i');
+const TO_WALLET_PATTERN = /\bto\s+my\s+(?:(main|regular|connected|smart)\s+)?wallet\b/i;
+const FROM_WALLET_PATTERN = /\bfrom\s+my\s+(?:(main|regular|connected|smart)\s+)?wallet\b/i;
+const TO_NAME_PATTERN = /\bto\s+([a-z][\w.-]*)\s*$/i;
+const CONDITION_BALANCE_PATTERN = new RegExp(`\\b(?:and|if|only if)\\s+my\\s+balance\\s+is\\s+(above|over|more than|below|under|less than)\\s+(${NUMBER_SOURCE})`, 'i');
+
+/**
+ * Reads the trigger (and any conditions) from the part of a rule before its action
+ * @param {string} text - Trigger text, e.g. "when my smart wallet balance goes above 1 ETH"
+ * @returns {object} - { trigger, conditions, error }
+ */
+function parseTrigger(text) {
+  const conditions = [];
+
+  // "…, if my balance is above 2 ETH" on a date rule
+  const balanceCondition = text.match(CONDITION_BALANCE_PATTERN);
+  let rest = text;
+  if (balanceCondition && !BALANCE_PATTERN.test(text.replace(balanceCondition[0], ' '))) {
+    conditions.push({
+      field: 'balance',
+      operator: BELOW_PATTERN.test(balanceCondition[1]) ? 'lt' : 'gt',
+      value: parseNumber(balanceCondition[2]),
+    });
+    rest = text.replace(balanceCondition[0], ' ');
+  }
+
+  if (BALANCE_PATTERN.test(rest)) {
+    const token = extractToken(rest);
+    if (token && token !== 'ETH') {
+      return { error: 'Balance rules can only watch your ETH balance for now' };
+    }
+
+    return {
+      trigger: {
+        type: RULE_TRIGGERS.BALANCE,
+        wallet: SMART_WALLET_PATTERN.test(rest) ? 'smart' : 'main',
+        token: 'ETH',
+        direction: BELOW_PATTERN.test(rest) && !ABOVE_PATTERN.test(rest) ? 'below' : 'above',
+        threshold: extractAmount(rest),
+      },
+      conditions,
+    };
+  }
+
+  if (INCOMING_PATTERN.test(rest)) {
+    const amount = extractAmount(rest);
+    if (amount !== null) {
+      conditions.push({ field: 'amount', operator: MINIMUM_PATTERN.test(rest) ? 'gt' : 'gte', value: amount });
+    }
+
+    return {
+      trigger: {
+        type: RULE_TRIGGERS.INCOMING,
+        from: extractRecipients(rest)[0] || null,
+        token: extractToken(rest),
+      },
+      conditions,
+    };
+  }
+
+  const { schedule } = parseSchedule(rest);
+  if (schedule) {
+    return { trigger: { type: RULE_TRIGGERS.DATE, schedule }, conditions };
+  }
+
+  return { error: "I couldn't tell what should set the rule off" };
+}
+
+/**
+ * Reads the payment a rule makes
+ * @param {string} text - Action text, e.g. "sweep the excess to my main wallet"
+ * @param {object} trigger - The rule's trigger
+ * @returns {object} - Action (validated later by sanitizeRule)
+ */
+function parseAction(text, trigger) {
+  const toWallet = text.match(TO_WALLET_PATTERN);
+  const fromWallet = text.match(FROM_WALLET_PATTERN);
+  const recipients = extractRecipients(text);
+  const percentage = text.match(PERCENTAGE_PATTERN);
+  const isExcess = EXCESS_PATTERN.test(text) && trigger.type === RULE_TRIGGERS.BALANCE;
+
+  let amountMode = 'fixed';
+  let amountValue = null;
+  if (isExcess) {
+    amountMode = 'excess';
+  } else if (percentage) {
+    amountMode = 'percentage';
+    amountValue = parseNumber(percentage[1]);
+  } else {
+    amountValue = extractAmount(text.replace(TO_WALLET_PATTERN, ' ').replace(FROM_WALLET_PATTERN, ' '));
+  }
+
+  let to = recipients[0] || null;
+  let wallet = null;
+  if (toWallet) {
+    wallet = toWallet[1]?.toLowerCase() === 'smart' ? 'smart' : 'main';
+    to = null;
+  } else if (!to) {
+    // "forward 10% to savings"
+    to = text.match(TO_NAME_PATTERN)?.[1] || null;
+  }
+
+  return {
+    type: 'send',
+    to,
+    to_wallet: wallet,
+    // The agent pays rules from the smart wallet; parseRule turns down "from my main wallet"
+    from_wallet: fromWallet && fromWallet[1]?.toLowerCase() !== 'smart' ? 'main' : 'smart',
+    // A share of an incoming payment is paid in the token it came in
+    token: extractToken(text) || (trigger.type === RULE_TRIGGERS.INCOMING ? trigger.token : null) || 'ETH',
+    amount_mode: amountMode,
+    amount_value: amountValue,
+  };
+}
+
+/**
+ * Checks whether a message describes a rule. Besides "when …" and "if …", a schedule with a
+ * condition ("on the 1st of every month, if my balance is above 2 ETH, …") is a rule; a schedule
+ * alone is a scheduled payment.
+ * @param {string} text - Message text
+ * @returns {boolean} - True for rules
+ */
+export function isRuleMessage(text) {
+  if (RULE_PATTERN.test(text)) return true;
+  return CONDITION_BALANCE_PATTERN.test(text) && !!parseSchedule(text).schedule;
+}
+
+/**
+ * Reads a payment rule from a message, e.g. "when my smart wallet balance goes above 1 ETH, sweep
+ * the excess to my main wallet" or "if @bob pays me, forward 10% to @savings"
+ * @param {string} message - User's message
+ * @returns {object} - { rule, error }: the rule (null if the message doesn't describe a complete one)
+ *   and, for a message that looks like a rule but can't be read, why
+ */
+export function parseRule(message) {
+  const text = String(message ?? '').trim();
+  if (!isRuleMessage(text)) return { rule: null, error: null };
+
+  const body = text.replace(RULE_PATTERN, '').trim();
+  const actionMatch = body.match(ACTION_PATTERN);
+  if (!actionMatch) {
+    return { rule: null, error: "I couldn't find the payment the rule should make" };
+  }
+
+  const triggerText = body.slice(0, actionMatch.index).replace(/[\s,]+$/, '');
+  const actionText = body.slice(actionMatch.index).replace(/^[\s,]*(then\s+)?/i, '');
+
+  const { trigger, conditions, error } = parseTrigger(triggerText);
+  if (error) return { rule: null, error };
+
+  const action = parseAction(actionText, trigger);
+  if (action.from_wallet !== 'smart') {
+    return { rule: null, error: 'Rules are paid by the agent from your smart wallet, so a rule can\'t pay from your main wallet' };
+  }
+  if (action.amount_mode === 'excess' && trigger.type === RULE_TRIGGERS.BALANCE && trigger.wallet !== 'smart') {
+    return { rule: null, error: 'Rules are paid by the agent from your smart wallet, so only its excess can be swept' };
+  }
+
+  const rule = sanitizeRule({ trigger, conditions, action });
+  if (!rule) {
+    return { rule: null, error: "I couldn't work out the full rule: it needs something to wait for, an amount and who to pay" };
+  }
+
+  return { rule, error: null };
+}
@@ -0,0 +1,62 @@
+/**
+ * Creates a rule store backed by the payment_rules table
+ * @param {object} client - Supabase client (the server client, since the engine acts for every wallet)
+ * @returns {object} - Store with listActive(triggerType, walletAddress), listDue(now, limit), claim(row, changes)
+ *   and update(id, changes); every method throws on database errors
+ */
+export function createSupabaseRuleStore(client) {
+  return {
+    async listActive(triggerType, walletAddress = null) {
+      let query = client
+        .from('payment_rules')
+        .select('*')
+        .eq('status', 'active')
+        .eq('trigger_type', triggerType);
+
+      if (walletAddress) query = query.eq('wallet_address', walletAddress.toLowerCase());
+
+      const { data, error } = await query.order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    },
+
+    async listDue(now, limit) {
+      const { data, error } = await client
+        .from('payment_rules')
+        .select('*')
+        .eq('status', 'active')
+        .eq('trigger_type', 'date')
+        .lte('next_run_at', now.toISOString())
+        .order('next_run_at', { ascending: true })
+        .limit(limit);
+
+      if (error) throw error;
+      return data || [];
+    },
+
+    // Guarded on the row as it was read, so only one engine acts on each event
+    async claim(row, changes) {
+      const { data, error } = await client
+        .from('payment_rules')
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('id', row.id)
+        .eq('status', 'active')
+        .eq('updated_at', row.updated_at)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    },
+
+    async update(id, changes) {
+      const { error } = await client
+        .from('payment_rules')
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('id', id);
+
+      if (error) throw error;
+    },
+  };
+}
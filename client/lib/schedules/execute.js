@@ -0,0 +1,98 @@
+/**
+ * Formats a recipient for execution: a bare 40-digit hex address gets its 0x prefix, and anything
+ * else (Base Names, handles) is kept for the execution route to resolve on each run
+ * @param {string} name - Recipient from the intent
+ * @returns {string} - Recipient
+ */
+function formatRecipient(name) {
+  return /^[0-9a-f]{40}$/i.test(name) ? `0x${name}` : name;
+}
+
+/**
+ * Turns a send or split intent into the transaction that /api/ai/execute-transaction takes.
+ * Fiat amounts are left unquoted, so every run converts at that day's price.
+ * @param {object} intent - Send or split intent in the shared schema
+ * @returns {object|null} - Transaction to store with the schedule, or null if the intent can't be scheduled
+ */
+export function toScheduledPayment(intent) {
+  const recipients = (intent?.recipients || []).map(formatRecipient);
+  const token = intent?.token || 'ETH';
+  const amount = intent?.fiat_amount ? null : intent?.amount;
+  const fiatDetails = intent?.fiat_amount
+    ? { fiat_amount: intent.fiat_amount, fiat_currency: intent.fiat_currency }
+    : {};
+
+  if (recipients.length === 0 || !(amount || intent?.fiat_amount)) return null;
+
+  if (intent.intent === 'send') {
+    return { type: 'send', recipient: recipients[0], amount, token, note: intent.note || '', ...fiatDetails };
+  }
+
+  if (intent.intent === 'split') {
+    const splitType = intent.split_type || 'equal';
+    const allocations = splitType !== 'equal' && intent.allocations?.length
+      ? intent.allocations.map(allocation => ({ ...allocation, recipient: formatRecipient(allocation.recipient) }))
+      : null;
+
+    return {
+      type: 'split',
+      recipients,
+      amount,
+      token,
+      split_type: allocations ? splitType : 'equal',
+      allocations,
+      note: intent.note || '',
+      ...fiatDetails,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Creates the worker's execute function, which makes each run through the same
+ * /api/ai/execute-transaction route a chat payment uses
+ * @param {object} options - Executor options
+ * @param {string} options.baseUrl - App URL (defaults to NEXT_PUBLIC_APP_URL)
+ * @param {Function} options.fetchImpl - fetch to use
+ * @param {string} options.cronSecret - Bearer token the route lets workers in with (defaults to CRON_SECRET)
+ * @returns {Function} - async (row) => { success, transactionHash, error }
+ */
+export function createExecuteTransactionExecutor({
+  baseUrl = process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000',
+  fetchImpl = fetch,
+  cronSecret = process.env.CRON_SECRET,
+} = {}) {
+  return async (row) => {
+    const response = await fetchImpl(`${baseUrl}/api/ai/execute-transaction`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${cronSecret}`,
+        // One key per run: a retried request for the same run isn't paid twice
+        'Idempotency-Key': `schedule:${row.id}:${row.run_count}`,
+      },
+      body: JSON.stringify({
+        // Stored in the transaction's metadata, linking each run back to its schedule
+        transaction: { ...row.payment, scheduled_payment_id: row.id },
+        walletAddress: row.wallet_address,
+        // Nobody signs a run, so the agent pays it from the smart wallet stored with the schedule
+        smartWalletAddress: row.smart_wallet_address,
+        useTestnet: row.use_testnet,
+      }),
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+      return { success: false, error: result.error || `Payment failed with status ${response.status}` };
+    }
+
+    // A split's legs can fail one by one; the run only counts as paid if every leg went through
+    const failedLeg = result.transactions?.find(leg => !leg.success);
+    if (failedLeg) {
+      return { success: false, transactionHash: result.transactions[0]?.hash, error: `Payment to ${failedLeg.recipient} failed: ${failedLeg.error}` };
+    }
+
+    return { success: true, transactionHash: result.transactionHash || result.transactions?.[0]?.hash || null };
+  };
+}
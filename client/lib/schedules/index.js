@@ -0,0 +1,30 @@
+/**
+ * Scheduled and recurring payments
+ * "pay @landlord 0.5 ETH on the 1st of every month" is a send intent with a schedule
+ * (recurrence.js). Confirming it stores a scheduled_payments row holding the payment to make and
+ * the smart wallet the agent pays it from; the worker (worker.js) runs due rows through
+ * /api/ai/execute-transaction (execute.js) and moves each row to its next run.
+ *
+ * /api/schedules/run drives the worker on the real clock (call it from cron). Tests and scripts use
+ * createLocalClock and createScheduleDriver with their own store and execute function to play
+ * out a schedule without waiting for it.
+ */
+
+export {
+  parseCron,
+  getNextCronOccurrence,
+  getFirstRunAt,
+  getNextRunAt,
+  sanitizeSchedule,
+  describeSchedule,
+  parseSchedule,
+} from './recurrence';
+export {
+  createScheduleWorker,
+  createLocalClock,
+  createScheduleDriver,
+  getRowSchedule,
+  systemClock,
+} from './worker';
+export { createSupabaseScheduleStore } from './store';
+export { toScheduledPayment, createExecuteTransactionExecutor } from './execute';
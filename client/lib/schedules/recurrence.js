@@ -0,0 +1,452 @@
+/**
+ * Schedule model
+ * A scheduled payment runs at start_at and, when it has a cron expression, again at every
+ * later time the expression matches, until an end condition is met:
+ *
+ *   start_at   ISO timestamp of the first run (the first cron match at or after it)
+ *   cron       Five-field cron expression (minute hour day-of-month month day-of-week), or null for a one-off
+ *   end_at     ISO timestamp; no run happens at or after it, or null
+ *   max_runs   Number of runs after which the schedule completes, or null
+ *   repeat_interval  Runs on every this many cron matches, counted from the first run, or null
+ *              for every match ("every 2 weeks" is a weekly cron with a repeat_interval of 2)
+ *
+ * Times are UTC. Cron fields accept *, numbers, lists (1,15), ranges (1-5) and steps (0-59/15).
+ */
+
+import { format, isValid } from 'date-fns';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Search this far ahead for the next cron match before giving up (covers "29 2 *" style rules)
+const MAX_SEARCH_DAYS = 366 * 8;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Payments without a time of day run at 09:00 UTC
+const DEFAULT_HOUR = 9;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'weekday', min: 0, max: 7 },
+];
+
+const WEEKDAY = `(${WEEKDAYS.join('|')}|${WEEKDAYS.map(day => day.slice(0, 3)).join('|')})s?`;
+const ORDINAL = '(\\d{1,2})(?:st|nd|rd|th)?';
+
+// "at 9am", "at 5:30pm" or "at 17:30"; a bare "at 5" is too easily something else
+const TIME_PATTERN = /\bat\s+(\d{1,2})(?::(\d{2})\s*(am|pm)?|\s*(am|pm))\b/i;
+const DAILY_PATTERN = /\b(every\s+day|daily|each\s+day)\b/i;
+const WEEKDAY_PATTERN = new RegExp(`\\b(?:every|each)\\s+${WEEKDAY}\\b|\\bweekly\\s+on\\s+${WEEKDAY}\\b|\\bevery\\s+week\\s+on\\s+${WEEKDAY}\\b`, 'i');
+const WEEKLY_PATTERN = /\b(every\s+week|weekly|each\s+week)\b/i;
+const MONTH_DAY_PATTERN = new RegExp(`\\bon\\s+the\\s+${ORDINAL}\\s+of\\s+(?:every|each)\\s+month\\b|\\b(?:every|each)\\s+month\\s+on\\s+the\\s+${ORDINAL}\\b|\\bmonthly\\s+on\\s+the\\s+${ORDINAL}\\b`, 'i');
+const MONTHLY_PATTERN = /\b(every\s+month|monthly|each\s+month)\b/i;
+// "every 2 weeks", "every other month", "every 3 days", "biweekly" or "fortnightly"
+const INTERVAL_PATTERN = /\bevery\s+(\d+|other)\s+(day|week|month)s?\b|\b(bi-?weekly|fortnightly)\b/i;
+const INTERVAL_WEEKDAY_PATTERN = new RegExp(`\\bon\\s+${WEEKDAY}\\b`, 'i');
+const EVERY_OTHER_WEEKDAY_PATTERN = new RegExp(`\\bevery\\s+other\\s+${WEEKDAY}\\b`, 'i');
+const INTERVAL_MONTH_DAY_PATTERN = new RegExp(`\\bon\\s+the\\s+${ORDINAL}\\b`, 'i');
+const COUNT_PATTERN = /\b(?:for\s+)?(\d+)\s+times\b/i;
+const DURATION_PATTERN = /\bfor\s+(\d+)\s+(day|week|month|year)s?\b/i;
+const UNTIL_PATTERN = /\buntil\s+(\d{4}-\d{2}-\d{2})\b/i;
+const START_DATE_PATTERN = /\b(?:on|starting|from)\s+(\d{4}-\d{2}-\d{2})\b/i;
+const TOMORROW_PATTERN = /\b(?:starting\s+)?tomorrow\b/i;
+const IN_DAYS_PATTERN = /\bin\s+(\d+)\s+(day|week)s?\b/i;
+const ON_WEEKDAY_PATTERN = new RegExp(`\\b(?:on|next|this)\\s+${WEEKDAY}\\b`, 'i');
+
+/**
+ * Parses one cron field into the sorted values it allows
+ * @param {string} text - Field text, e.g. "*", "1,15", "1-5" or "0-59/10"
+ * @param {object} field - Field bounds from CRON_FIELDS
+ * @returns {number[]|null} - Allowed values, or null if the field is invalid
+ */
+function parseCronField(text, field) {
+  const values = new Set();
+
+  for (const part of String(text).split(',')) {
+    const match = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+    if (!match) return null;
+
+    const start = match[1] === '*' ? field.min : parseInt(match[1], 10);
+    const end = match[1] === '*' ? field.max : match[2] !== undefined ? parseInt(match[2], 10) : match[3] ? field.max : start;
+    const step = match[3] ? parseInt(match[3], 10) : 1;
+
+    if (start < field.min || end > field.max || start > end || step < 1) return null;
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+
+  return Array.from(values).sort((a, b) => a - b);
+}
+
+/**
+ * Parses a five-field cron expression
+ * @param {string} cron - Cron expression
+ * @returns {object|null} - { minute, hour, day, month, weekday, anyDay, anyWeekday } or null if invalid
+ */
+export function parseCron(cron) {
+  const parts = String(cron ?? '').trim().split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) return null;
+
+  const parsed = {};
+  for (let index = 0; index < CRON_FIELDS.length; index++) {
+    const values = parseCronField(parts[index], CRON_FIELDS[index]);
+    if (!values) return null;
+    parsed[CRON_FIELDS[index].name] = values;
+  }
+
+  // 7 is Sunday too
+  parsed.weekday = Array.from(new Set(parsed.weekday.map(day => day % 7)));
+  parsed.anyDay = parts[2] === '*';
+  parsed.anyWeekday = parts[4] === '*';
+  return parsed;
+}
+
+/**
+ * Checks whether a UTC day matches a cron expression's date fields. As in cron, when both
+ * day-of-month and day-of-week are restricted, a day matching either one counts.
+ * @param {object} parsed - Result of parseCron
+ * @param {Date} day - Any time on the day
+ * @returns {boolean} - True if the day matches
+ */
+function matchesDay(parsed, day) {
+  if (!parsed.month.includes(day.getUTCMonth() + 1)) return false;
+
+  const dayMatches = parsed.day.includes(day.getUTCDate());
+  const weekdayMatches = parsed.weekday.includes(day.getUTCDay());
+
+  if (parsed.anyDay && parsed.anyWeekday) return true;
+  if (parsed.anyDay) return weekdayMatches;
+  if (parsed.anyWeekday) return dayMatches;
+  return dayMatches || weekdayMatches;
+}
+
+/**
+ * Finds the first time after a given time that a cron expression matches
+ * @param {string} cron - Cron expression
+ * @param {Date} after - Time to search from (exclusive)
+ * @returns {Date|null} - Next match, or null if the expression is invalid or never matches
+ */
+export function getNextCronOccurrence(cron, after) {
+  const parsed = parseCron(cron);
+  if (!parsed) return null;
+
+  // Cron has minute resolution: start at the next whole minute
+  const from = new Date(Math.floor(new Date(after).getTime() / 60000) * 60000 + 60000);
+  const firstDay = Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate());
+
+  for (let offset = 0; offset < MAX_SEARCH_DAYS; offset++) {
+    const day = new Date(firstDay + offset * DAY_MS);
+    if (!matchesDay(parsed, day)) continue;
+
+    for (const hour of parsed.hour) {
+      for (const minute of parsed.minute) {
+        const candidate = new Date(day.getTime() + (hour * 60 + minute) * 60000);
+        if (candidate >= from) return candidate;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Finds a schedule's first run after a given time, ignoring its end. With a repeat_interval only
+ * every so many cron matches counts, counted from the first, so a late worker doesn't move the
+ * schedule off its fortnight.
+ * @param {object} schedule - Schedule with a cron expression
+ * @param {Date} after - Time to search from (exclusive)
+ * @returns {Date|null} - Next run, or null if the cron never matches
+ */
+function getNextOccurrence(schedule, after) {
+  if (!(schedule.repeat_interval > 1)) return getNextCronOccurrence(schedule.cron, after);
+
+  let run = getNextCronOccurrence(schedule.cron, new Date(new Date(schedule.start_at).getTime() - 1));
+  let index = 0;
+  while (run && (run <= after || index % schedule.repeat_interval !== 0)) {
+    run = getNextCronOccurrence(schedule.cron, run);
+    index++;
+  }
+  return run;
+}
+
+/**
+ * Returns when a schedule first runs
+ * @param {object} schedule - Schedule (see the top of this file)
+ * @returns {Date|null} - First run, or null if the schedule never runs
+ */
+export function getFirstRunAt(schedule) {
+  const start = new Date(schedule.start_at);
+  const first = schedule.cron ? getNextCronOccurrence(schedule.cron, new Date(start.getTime() - 1)) : start;
+  if (!first || (schedule.end_at && first >= new Date(schedule.end_at))) return null;
+  return first;
+}
+
+/**
+ * Returns the next run of a schedule after a given time, given how many runs it has made
+ * @param {object} schedule - Schedule (see the top of this file)
+ * @param {Date} after - Time of the last run, or now (exclusive)
+ * @param {number} runCount - Runs made so far
+ * @returns {Date|null} - Next run, or null if the schedule is finished
+ */
+export function getNextRunAt(schedule, after, runCount = 0) {
+  if (!schedule.cron) return null;
+  if (schedule.max_runs && runCount >= schedule.max_runs) return null;
+
+  const next = getNextOccurrence(schedule, after);
+  if (!next || (schedule.end_at && next >= new Date(schedule.end_at))) return null;
+  return next;
+}
+
+/**
+ * Turns a date from a parser or a request into an ISO timestamp
+ * @param {Date|string} value - Date
+ * @returns {string|null} - ISO timestamp, or null if it isn't a valid date
+ */
+function toTimestamp(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isValid(date) ? date.toISOString() : null;
+}
+
+/**
+ * Keeps only the known schedule fields, with valid values
+ * @param {object} raw - Schedule from a parser, stored metadata or an API request
+ * @returns {object|null} - Schedule, or null if it has no valid start
+ */
+export function sanitizeSchedule(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const startAt = toTimestamp(raw.start_at);
+  if (!startAt) return null;
+
+  const cron = typeof raw.cron === 'string' && parseCron(raw.cron) ? raw.cron.trim() : null;
+  const maxRuns = parseInt(raw.max_runs, 10);
+  const repeatInterval = parseInt(raw.repeat_interval, 10);
+
+  return {
+    start_at: startAt,
+    cron,
+    end_at: cron ? toTimestamp(raw.end_at) : null,
+    max_runs: cron && maxRuns > 0 ? maxRuns : null,
+    repeat_interval: cron && repeatInterval > 1 ? repeatInterval : null,
+  };
+}
+
+/**
+ * Returns the ordinal form of a day of the month, e.g. "1st" or "22nd"
+ * @param {number} day - Day of the month
+ * @returns {string} - Ordinal
+ */
+function ordinal(day) {
+  const suffix = day % 100 >= 11 && day % 100 <= 13 ? 'th' : ['th', 'st', 'nd', 'rd'][day % 10] || 'th';
+  return `${day}${suffix}`;
+}
+
+/**
+ * Formats a UTC time of day, e.g. "09:00 UTC"
+ * @param {number} hour - Hour
+ * @param {number} minute - Minute
+ * @returns {string} - Time text
+ */
+function formatTime(hour, minute) {
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')} UTC`;
+}
+
+/**
+ * Formats a UTC date, e.g. "Nov 1, 2026"
+ * @param {string|Date} value - Date
+ * @returns {string} - Date text
+ */
+function formatDay(value) {
+  const date = new Date(value);
+  return format(new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()), 'PP');
+}
+
+/**
+ * Describes a schedule in words, e.g. "every Friday at 09:00 UTC, 8 times"
+ * @param {object} schedule - Schedule (see the top of this file)
+ * @returns {string} - Description
+ */
+export function describeSchedule(schedule) {
+  if (!schedule) return '';
+
+  const start = new Date(schedule.start_at);
+  if (!schedule.cron) {
+    return `on ${formatDay(start)} at ${formatTime(start.getUTCHours(), start.getUTCMinutes())}`;
+  }
+
+  const [minute, hour, day, month, weekday] = schedule.cron.split(/\s+/);
+  const time = /^\d+$/.test(minute) && /^\d+$/.test(hour) ? ` at ${formatTime(parseInt(hour, 10), parseInt(minute, 10))}` : '';
+  const interval = schedule.repeat_interval > 1 ? schedule.repeat_interval : null;
+  let text = `on the schedule "${schedule.cron}" (UTC)${interval ? `, every ${ordinal(interval)} time it matches` : ''}`;
+
+  if (month === '*' && day === '*' && weekday === '*' && time) {
+    text = interval ? `every ${interval} days${time}` : `every day${time}`;
+  } else if (month === '*' && day === '*' && /^\d$/.test(weekday) && time) {
+    const name = WEEKDAYS[parseInt(weekday, 10) % 7].replace(/^\w/, c => c.toUpperCase());
+    text = interval ? `every ${interval} weeks on ${name}${time}` : `every ${name}${time}`;
+  } else if (month === '*' && /^\d+$/.test(day) && weekday === '*' && time) {
+    text = interval
+      ? `every ${interval} months on the ${ordinal(parseInt(day, 10))}${time}`
+      : `on the ${ordinal(parseInt(day, 10))} of every month${time}`;
+  }
+
+  const first = getFirstRunAt(schedule);
+  const parts = [text];
+  if (first) parts.push(`starting ${formatDay(first)}`);
+  if (schedule.max_runs) parts.push(`${schedule.max_runs} times`);
+  if (schedule.end_at) parts.push(`until ${formatDay(new Date(new Date(schedule.end_at).getTime() - 1))}`);
+
+  return parts.join(', ');
+}
+
+/**
+ * Adds whole UTC days, weeks, months or years to a time. Kept in UTC so a server in another
+ * time zone doesn't move runs across daylight saving changes.
+ * @param {Date} date - Time
+ * @param {number} amount - Number of units
+ * @param {string} unit - 'day', 'week', 'month' or 'year'
+ * @returns {Date} - New time
+ */
+function addUTC(date, amount, unit) {
+  if (unit === 'day' || unit === 'week') {
+    return new Date(date.getTime() + amount * (unit === 'week' ? 7 : 1) * DAY_MS);
+  }
+
+  const result = new Date(date);
+  result.setUTCMonth(result.getUTCMonth() + amount * (unit === 'year' ? 12 : 1));
+  return result;
+}
+
+/**
+ * Returns the start of a time's UTC day
+ * @param {Date} date - Time
+ * @returns {Date} - Midnight UTC on that day
+ */
+function startOfUTCDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Moves a day forward to the next given weekday (or keeps it if it already is one)
+ * @param {Date} day - Start of a UTC day
+ * @param {number} weekday - 0 (Sunday) to 6
+ * @returns {Date} - Day on that weekday
+ */
+function nextWeekday(day, weekday) {
+  return addUTC(day, (weekday - day.getUTCDay() + 7) % 7, 'day');
+}
+
+/**
+ * Returns the weekday index for a weekday name or abbreviation
+ * @param {string} name - Weekday name, e.g. "friday", "fri" or "fridays"
+ * @returns {number} - Weekday index (0 for Sunday)
+ */
+function weekdayIndex(name) {
+  return WEEKDAYS.findIndex(day => day.startsWith(name.toLowerCase().slice(0, 3)));
+}
+
+/**
+ * Reads a schedule from a payment message, e.g. "on the 1st of every month",
+ * "every Friday for 8 weeks", "every 2 weeks" or "on 2026-11-01 at 10am"
+ * @param {string} message - User's message
+ * @param {Date} now - Current time
+ * @returns {object} - { schedule, remainder }: the schedule (null if the message doesn't set one)
+ *   and the message with the schedule words removed, so they aren't read as amounts or notes
+ */
+export function parseSchedule(message, now = new Date()) {
+  let remainder = String(message ?? '');
+  const take = (pattern) => {
+    const match = remainder.match(pattern);
+    if (match) remainder = remainder.replace(match[0], ' ');
+    return match;
+  };
+
+  const time = take(TIME_PATTERN);
+  let hour = DEFAULT_HOUR;
+  let minute = 0;
+  if (time) {
+    hour = parseInt(time[1], 10) % 24;
+    minute = time[2] ? parseInt(time[2], 10) % 60 : 0;
+    const meridiem = (time[3] || time[4])?.toLowerCase();
+    if (meridiem === 'pm' && hour < 12) hour += 12;
+    if (meridiem === 'am' && hour === 12) hour = 0;
+  }
+
+  const today = startOfUTCDay(now);
+  let startDay = today;
+  let cron = null;
+  let repeatInterval = null;
+  let match;
+
+  if ((match = take(INTERVAL_PATTERN))) {
+    const count = match[1] ? (match[1].toLowerCase() === 'other' ? 2 : parseInt(match[1], 10)) : 2;
+    const unit = match[2] ? match[2].toLowerCase() : 'week';
+    repeatInterval = count > 1 ? count : null;
+
+    if (unit === 'day') {
+      cron = `${minute} ${hour} * * *`;
+    } else if (unit === 'week') {
+      const weekday = take(INTERVAL_WEEKDAY_PATTERN);
+      cron = `${minute} ${hour} * * ${weekday ? weekdayIndex(weekday[1]) : today.getUTCDay()}`;
+    } else {
+      const monthDay = take(INTERVAL_MONTH_DAY_PATTERN);
+      const day = monthDay ? parseInt(monthDay[1], 10) : today.getUTCDate();
+      cron = `${minute} ${hour} ${day >= 1 && day <= 31 ? day : today.getUTCDate()} * *`;
+    }
+  } else if ((match = take(EVERY_OTHER_WEEKDAY_PATTERN))) {
+    repeatInterval = 2;
+    cron = `${minute} ${hour} * * ${weekdayIndex(match[1])}`;
+  } else if ((match = take(MONTH_DAY_PATTERN))) {
+    const day = parseInt(match[1] || match[2] || match[3], 10);
+    if (day >= 1 && day <= 31) cron = `${minute} ${hour} ${day} * *`;
+  } else if ((match = take(WEEKDAY_PATTERN))) {
+    cron = `${minute} ${hour} * * ${weekdayIndex(match[1] || match[2] || match[3])}`;
+  } else if (take(DAILY_PATTERN)) {
+    cron = `${minute} ${hour} * * *`;
+  } else if (take(WEEKLY_PATTERN)) {
+    cron = `${minute} ${hour} * * ${today.getUTCDay()}`;
+  } else if (take(MONTHLY_PATTERN)) {
+    cron = `${minute} ${hour} ${today.getUTCDate()} * *`;
+  }
+
+  if ((match = take(START_DATE_PATTERN))) {
+    startDay = new Date(`${match[1]}T00:00:00Z`);
+  } else if (take(TOMORROW_PATTERN)) {
+    startDay = addUTC(today, 1, 'day');
+  } else if ((match = take(IN_DAYS_PATTERN))) {
+    startDay = addUTC(today, parseInt(match[1], 10), match[2].toLowerCase());
+  } else if (!cron && (match = take(ON_WEEKDAY_PATTERN))) {
+    startDay = nextWeekday(addUTC(today, 1, 'day'), weekdayIndex(match[1]));
+  }
+
+  if (!cron && startDay.getTime() === today.getTime() && !time) {
+    return { schedule: null, remainder: String(message ?? '') };
+  }
+
+  let startAt = new Date(startDay.getTime() + (hour * 60 + minute) * 60000);
+  // A one-off time that already passed today means tomorrow
+  if (!cron && startAt <= now) startAt = addUTC(startAt, 1, 'day');
+  if (cron && startAt < now) startAt = now;
+
+  let endAt = null;
+  let maxRuns = null;
+  if (cron) {
+    const count = take(COUNT_PATTERN);
+    const duration = take(DURATION_PATTERN);
+    const until = take(UNTIL_PATTERN);
+
+    if (count) maxRuns = parseInt(count[1], 10);
+    if (duration) {
+      // "every Friday for 8 weeks" is eight Fridays, counted from the first one
+      const first = getNextCronOccurrence(cron, new Date(startAt.getTime() - 1)) || startAt;
+      endAt = addUTC(startOfUTCDay(first), parseInt(duration[1], 10), duration[2].toLowerCase());
+    }
+    if (until) endAt = addUTC(new Date(`${until[1]}T00:00:00Z`), 1, 'day');
+  }
+
+  const schedule = sanitizeSchedule({ start_at: startAt, cron, end_at: endAt, max_runs: maxRuns, repeat_interval: repeatInterval });
+  return { schedule, remainder: remainder.replace(/\s{2,}/g, ' ').trim() };
+}
@@ -0,0 +1,60 @@
+/**
+ * Creates a schedule store backed by the scheduled_payments table
+ * @param {object} client - Supabase client (the server client, since the worker acts for every wallet)
+ * @returns {object} - Store with listDue(now, limit), getNextRunAt(), claim(row, changes) and update(id, changes);
+ *   every method throws on database errors
+ */
+export function createSupabaseScheduleStore(client) {
+  return {
+    async listDue(now, limit) {
+      const { data, error } = await client
+        .from('scheduled_payments')
+        .select('*')
+        .eq('status', 'active')
+        .lte('next_run_at', now.toISOString())
+        .order('next_run_at', { ascending: true })
+        .limit(limit);
+
+      if (error) throw error;
+      return data || [];
+    },
+
+    async getNextRunAt() {
+      const { data, error } = await client
+        .from('scheduled_payments')
+        .select('next_run_at')
+        .eq('status', 'active')
+        .not('next_run_at', 'is', null)
+        .order('next_run_at', { ascending: true })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data ? new Date(data.next_run_at) : null;
+    },
+
+    // Guarded on the row as it was read, so only one worker claims each occurrence
+    async claim(row, changes) {
+      const { data, error } = await client
+        .from('scheduled_payments')
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('id', row.id)
+        .eq('status', 'active')
+        .eq('next_run_at', row.next_run_at)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    },
+
+    async update(id, changes) {
+      const { error } = await client
+        .from('scheduled_payments')
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('id', id);
+
+      if (error) throw error;
+    },
+  };
+}
@@ -0,0 +1,172 @@
+import { getNextRunAt, sanitizeSchedule } from './recurrence';
+
+// Due schedules handled per runDue call
+const DEFAULT_BATCH_SIZE = 25;
+
+/**
+ * Returns the schedule fields of a scheduled_payments row
+ * @param {object} row - scheduled_payments row
+ * @returns {object|null} - Schedule (see recurrence.js)
+ */
+export function getRowSchedule(row) {
+  return sanitizeSchedule({
+    start_at: row.start_at,
+    cron: row.cron,
+    end_at: row.end_at,
+    max_runs: row.max_runs,
+    repeat_interval: row.repeat_interval,
+  });
+}
+
+/**
+ * Creates a worker that runs due scheduled payments
+ *
+ * Each due row is claimed before it is executed: the claim moves next_run_at on, guarded on the
+ * value that was read, so two workers (or a worker and an overlapping cron call) never run the
+ * same occurrence twice. Occurrences missed while no worker ran are skipped rather than paid in a
+ * burst: a late row runs once and its next run is the first occurrence after now.
+ *
+ * A failed run counts as a run. A failed one-off schedule ends as 'failed'; a recurring one stays
+ * active with the error in last_error. A schedule completes after max_runs runs, at end_at or after
+ * its one-off run.
+ * @param {object} options - Worker options
+ * @param {object} options.store - Schedule store, e.g. createSupabaseScheduleStore(client)
+ * @param {Function} options.execute - async (row) => { success, transactionHash, error } that makes the payment
+ * @param {object} options.clock - Clock with now(): Date (systemClock or createLocalClock())
+ * @param {number} options.batchSize - Most schedules to run per call
+ * @returns {object} - Worker with runDue() and getNextRunAt()
+ */
+export function createScheduleWorker({ store, execute, clock, batchSize = DEFAULT_BATCH_SIZE }) {
+  const runOne = async (row, now) => {
+    const schedule = getRowSchedule(row);
+    const runCount = (row.run_count || 0) + 1;
+    const next = schedule ? getNextRunAt(schedule, now, runCount) : null;
+
+    const claimed = await store.claim(row, {
+      next_run_at: next ? next.toISOString() : null,
+      run_count: runCount,
+      status: next ? 'active' : 'completed',
+      last_run_at: now.toISOString(),
+    });
+
+    // Another worker got there first, or the user paused or cancelled it meanwhile
+    if (!claimed) return null;
+
+    let result;
+    try {
+      result = await execute(claimed);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    const changes = result.success
+      ? { last_transaction_hash: result.transactionHash || null, last_error: null }
+      : { last_error: result.error || 'Payment failed' };
+
+    if (!result.success && !schedule?.cron) {
+      changes.status = 'failed';
+    }
+
+    await store.update(row.id, changes);
+
+    return {
+      id: row.id,
+      success: Boolean(result.success),
+      transactionHash: result.transactionHash || null,
+      error: result.success ? null : changes.last_error,
+      runAt: now.toISOString(),
+      nextRunAt: claimed.next_run_at,
+    };
+  };
+
+  return {
+    /**
+     * Runs every schedule due at the clock's current time
+     * @returns {Promise<object[]>} - One result per run: { id, success, transactionHash, error, runAt, nextRunAt }
+     */
+    async runDue() {
+      const now = clock.now();
+      const due = await store.listDue(now, batchSize);
+      const results = [];
+
+      // One at a time, so a wallet's payments go out in order and nonces don't collide
+      for (const row of due) {
+        const result = await runOne(row, now);
+        if (result) results.push(result);
+      }
+
+      return results;
+    },
+
+    /**
+     * Returns when the next active schedule is due
+     * @returns {Promise<Date|null>} - Next due time, or null if nothing is scheduled
+     */
+    async getNextRunAt() {
+      return store.getNextRunAt();
+    },
+  };
+}
+
+/**
+ * The real clock
+ */
+export const systemClock = {
+  now: () => new Date(),
+};
+
+/**
+ * Creates a clock that only moves when told to, for running schedules without waiting
+ * @param {Date|string} start - Starting time (defaults to now)
+ * @returns {object} - Clock with now(), set(time) and advance(ms)
+ */
+export function createLocalClock(start = new Date()) {
+  let current = new Date(start);
+
+  return {
+    now: () => new Date(current),
+    set(time) {
+      current = new Date(time);
+    },
+    advance(ms) {
+      current = new Date(current.getTime() + ms);
+    },
+  };
+}
+
+/**
+ * Creates a driver that moves a local clock from one due time to the next and runs the worker at
+ * each, so weeks of schedules play out in one call
+ * @param {object} options - Driver options
+ * @param {object} options.worker - Worker from createScheduleWorker, built on the same clock
+ * @param {object} options.clock - Local clock from createLocalClock
+ * @returns {object} - Driver with runUntil(time)
+ */
+export function createScheduleDriver({ worker, clock }) {
+  return {
+    /**
+     * Runs every run due up to a time, then leaves the clock at that time
+     * @param {Date|string} until - Time to run up to (inclusive)
+     * @returns {Promise<object[]>} - Worker results, in the order they ran
+     */
+    async runUntil(until) {
+      const target = new Date(until);
+      const results = [];
+
+      for (;;) {
+        const next = await worker.getNextRunAt();
+        if (!next || new Date(next) > target) break;
+
+        if (new Date(next) > clock.now()) clock.set(next);
+        const ran = await worker.runDue();
+        results.push(...ran);
+
+        // Nothing could be claimed, so stepping again would find the same rows
+        if (ran.length === 0) break;
+      }
+
+      if (target > clock.now()) clock.set(target);
+      return results;
+    },
+  };
+}
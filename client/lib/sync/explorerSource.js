@@ -0,0 +1,163 @@
+import { getTokenByAddress } from '../../web3/config/tokens';
+
+export const DEFAULT_EXPLORER_API_URL = 'https://api.etherscan.io/v2/api';
+
+// Rows asked for per page; the explorer returns at most MAX_RESULTS rows for one query
+const PAGE_SIZE = 1000;
+const MAX_RESULTS = 10000;
+
+// The explorer's answer when a query matches nothing, which isn't an error
+const NO_RESULTS = /no (transactions|records) found/i;
+
+const ETH = { address: null, symbol: 'ETH', decimals: 18, known: true };
+
+/**
+ * Creates a source that reads a wallet's activity from an Etherscan-style explorer API (BaseScan,
+ * through Etherscan's multichain V2 API): the addresses' transactions, internal transactions and
+ * ERC-20 transfers. The explorer has already indexed the chain, so one range can cover a wallet's
+ * whole history.
+ * @param {object} options - Source options
+ * @param {string} options.apiKey - Explorer API key
+ * @param {number} options.chainId - Chain ID to read
+ * @param {string} options.apiUrl - API URL (defaults to Etherscan's V2 API)
+ * @param {Function} options.fetchImpl - fetch to use
+ * @param {number} options.maxBlocks - Most blocks to read per range
+ * @param {number} options.lookbackBlocks - Blocks a wallet's first sync goes back (all of them by default)
+ * @returns {object} - Source with name, maxBlocks, lookbackBlocks, getLatestBlock() and
+ *   getActivity({ addresses, fromBlock, toBlock })
+ */
+export function createExplorerSource({
+  apiKey,
+  chainId,
+  apiUrl = DEFAULT_EXPLORER_API_URL,
+  fetchImpl = fetch,
+  maxBlocks = Infinity,
+  lookbackBlocks = Infinity,
+}) {
+  /**
+   * Calls the API
+   * @param {object} params - Query parameters (module, action and so on)
+   * @returns {Promise<*>} - The response's result; throws if the explorer reports an error
+   */
+  async function call(params) {
+    const query = new URLSearchParams({ chainid: String(chainId), ...params, apikey: apiKey });
+    const response = await fetchImpl(`${apiUrl}?${query}`);
+    if (!response.ok) throw new Error(`Explorer request failed with status ${response.status}`);
+
+    const body = await response.json();
+    if (body.status === '0') {
+      if (NO_RESULTS.test(body.message || '')) return [];
+      throw new Error(`Explorer error: ${typeof body.result === 'string' ? body.result : body.message}`);
+    }
+    return body.result;
+  }
+
+  /**
+   * Lists one kind of record for an address, page by page
+   * @param {string} action - 'txlist', 'txlistinternal' or 'tokentx'
+   * @param {string} address - Address
+   * @param {number} fromBlock - First block
+   * @param {number} toBlock - Last block
+   * @returns {Promise<object>} - { rows, toBlock }: if there were more rows than the explorer
+   *   returns, toBlock is the last block whose rows are all there
+   */
+  async function list(action, address, fromBlock, toBlock) {
+    const rows = [];
+
+    for (let page = 1; page * PAGE_SIZE <= MAX_RESULTS; page++) {
+      const result = await call({
+        module: 'account',
+        action,
+        address,
+        startblock: String(fromBlock),
+        endblock: String(toBlock),
+        page: String(page),
+        offset: String(PAGE_SIZE),
+        sort: 'asc',
+      });
+      rows.push(...result);
+      if (result.length < PAGE_SIZE) return { rows, toBlock };
+    }
+
+    // The last block may have been cut off partway, so it's left for the next range
+    const complete = Number(rows[rows.length - 1].blockNumber) - 1;
+    return { rows: rows.filter(row => Number(row.blockNumber) <= complete), toBlock: complete };
+  }
+
+  /**
+   * Turns an explorer row into activity
+   * @param {object} row - txlist, txlistinternal or tokentx row
+   * @param {object} token - { address, symbol, decimals, known }
+   * @returns {object} - Activity
+   */
+  function toActivity(row, token) {
+    return {
+      hash: row.hash,
+      blockNumber: Number(row.blockNumber),
+      timestamp: new Date(Number(row.timeStamp) * 1000).toISOString(),
+      from: row.from.toLowerCase(),
+      to: (row.to || '').toLowerCase(),
+      value: BigInt(row.value),
+      token,
+      success: row.isError === undefined || row.isError === '0',
+    };
+  }
+
+  /**
+   * Gets a tokentx row's token, preferring the registry's details
+   * @param {object} row - tokentx row
+   * @returns {object} - { address, symbol, decimals, known }
+   */
+  function tokenOf(row) {
+    const address = row.contractAddress.toLowerCase();
+    const registered = getTokenByAddress(address, chainId);
+    return registered
+      ? { address, symbol: registered.symbol, decimals: registered.decimals, known: true }
+      : { address, symbol: row.tokenSymbol || 'UNKNOWN', decimals: Number(row.tokenDecimal || 18), known: false };
+  }
+
+  return {
+    name: 'explorer',
+    maxBlocks,
+    lookbackBlocks,
+
+    async getLatestBlock() {
+      return Number(await call({ module: 'proxy', action: 'eth_blockNumber' }));
+    },
+
+    /**
+     * Reads the addresses' ETH and ERC-20 transfers in a range of blocks
+     * @param {object} params - { addresses, fromBlock, toBlock }
+     * @returns {Promise<object>} - { activity, toBlock }, where toBlock may be short of the range's if
+     *   the explorer had more rows than it returns at once
+     */
+    async getActivity({ addresses, fromBlock, toBlock }) {
+      const lists = [];
+      // One query at a time, since explorer API keys are rate limited
+      for (const address of addresses) {
+        for (const action of ['txlist', 'txlistinternal', 'tokentx']) {
+          lists.push({ action, ...(await list(action, address, fromBlock, toBlock)) });
+        }
+      }
+
+      const covered = Math.min(...lists.map(result => result.toBlock));
+      const activity = [];
+      // Each record is listed once for every address it names
+      const seen = new Set();
+
+      for (const { action, rows } of lists) {
+        for (const row of rows) {
+          if (Number(row.blockNumber) > covered || row.value === '0') continue;
+
+          const key = [action, row.hash, row.logIndex ?? row.traceId ?? '', row.contractAddress, row.from, row.to, row.value].join(':');
+          if (seen.has(key)) continue;
+          seen.add(key);
+
+          activity.push(toActivity(row, action === 'tokentx' ? tokenOf(row) : ETH));
+        }
+      }
+
+      return { activity, toBlock: covered };
+    },
+  };
+}
@@ -0,0 +1,17 @@
+/**
+ * On-chain history sync
+ * Payments made outside the app, and every payment the wallet received, only exist on chain. The
+ * indexer (indexer.js) reads a wallet's transfers, for the wallet and its smart wallets, through a
+ * source and imports them into transactions, skipping what's already there and keeping a cursor per
+ * wallet and chain so each sync starts where the last one stopped.
+ *
+ * Two sources read the chain: rpcSource.js scans blocks and Transfer logs on a node (a local
+ * `npx hardhat node` in development and tests), and explorerSource.js asks an Etherscan-style API,
+ * which has the whole history indexed already. /api/transactions/sync picks one (see sources.js).
+ */
+
+export { createSyncIndexer } from './indexer';
+export { createSupabaseSyncStore } from './store';
+export { createRpcSource } from './rpcSource';
+export { createExplorerSource, DEFAULT_EXPLORER_API_URL } from './explorerSource';
+export { createSyncSource } from './sources';
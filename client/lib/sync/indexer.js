@@ -0,0 +1,187 @@
+import { formatUnits } from 'viem';
+
+// Ranges read per syncWallet call when none is given
+const DEFAULT_MAX_RANGES = 1;
+
+/**
+ * Gives a transfer an ID that's the same whichever source found it, so a range read twice (or by
+ * another source) imports nothing new. Identical transfers in one transaction are numbered.
+ * @param {object} activity - Transfer
+ * @param {Map<string, number>} counts - Times each ID was seen so far in this range
+ * @returns {string} - Sync ID
+ */
+function syncId(activity, counts) {
+  const base = [
+    activity.hash.toLowerCase(),
+    activity.token.address || 'eth',
+    activity.from,
+    activity.to,
+    activity.value.toString(),
+  ].join(':');
+  const count = counts.get(base) || 0;
+  counts.set(base, count + 1);
+  return count ? `${base}:${count}` : base;
+}
+
+/**
+ * Creates an indexer that imports a wallet's on-chain history into transactions
+ *
+ * Each sync reads the blocks after the wallet's cursor through a source (createRpcSource or
+ * createExplorerSource) and imports every transfer to or from the wallet's addresses (the wallet
+ * and its smart wallets):
+ *
+ *   incoming ETH or tokens   A 'receive' row, with the sender as recipient_address (the
+ *                            counterparty, as history shows it)
+ *   outgoing ETH or tokens   A 'send' row, unless the app recorded the transaction already
+ *
+ * Transfers between the wallet's own addresses, and incoming transactions that failed, are left out.
+ * A transaction the app recorded (it has the hash, or one of its split's legs does, and no sync ID)
+ * isn't imported again, and every imported row has a sync ID that's unique for its user, so reading
+ * a range twice adds nothing.
+ * The cursor then moves to the last block read. A wallet's first sync starts the source's lookback
+ * before the latest block, and so does a sync after an address was added to the wallet, so the new
+ * address's history is read too.
+ *
+ * Each incoming payment is handed to onIncoming once, when its row is imported, with what the chain
+ * says was paid: this is where the wallet's incoming payment rules fire from.
+ * @param {object} options - Indexer options
+ * @param {object} options.store - Sync store, e.g. createSupabaseSyncStore(client)
+ * @param {object} options.source - Source to read the chain through
+ * @param {number} options.chainId - Chain the source reads
+ * @param {boolean} options.includeUnknownTokens - Whether to import tokens the app doesn't know; on
+ *   a public chain those are mostly airdropped spam
+ * @param {Function} options.onIncoming - async ({ recipientAddress, from, amount, token, transactionHash })
+ *   called for each incoming payment imported; what it throws is logged and doesn't stop the sync
+ * @returns {object} - Indexer with syncWallet({ userId, walletAddress, addresses }, { maxRanges })
+ */
+export function createSyncIndexer({ store, source, chainId, includeUnknownTokens = false, onIncoming = null }) {
+  /**
+   * Turns a range's transfers into rows for a user
+   * @param {object[]} activity - Transfers from the source
+   * @param {Set<string>} own - The wallet's lowercase addresses
+   * @param {string} userId - User ID
+   * @returns {object[]} - transactions rows
+   */
+  function toRows(activity, own, userId) {
+    const counts = new Map();
+    const sorted = [...activity].sort((a, b) => a.blockNumber - b.blockNumber || a.hash.localeCompare(b.hash));
+    const rows = [];
+
+    for (const transfer of sorted) {
+      const id = syncId(transfer, counts);
+      const incoming = own.has(transfer.to);
+      const outgoing = own.has(transfer.from);
+
+      if (incoming === outgoing) continue;
+      if (incoming && !transfer.success) continue;
+      if (!transfer.token.known && !includeUnknownTokens) continue;
+
+      rows.push({
+        user_id: userId,
+        transaction_hash: transfer.hash,
+        transaction_type: incoming ? 'receive' : 'send',
+        amount: formatUnits(transfer.value, transfer.token.decimals),
+        token: transfer.token.symbol,
+        recipient_address: incoming ? transfer.from : transfer.to,
+        status: transfer.success ? 'confirmed' : 'failed',
+        chain_id: chainId,
+        block_number: transfer.blockNumber,
+        sync_id: id,
+        metadata: {
+          source: 'sync',
+          synced_by: source.name,
+          from: transfer.from,
+          to: transfer.to,
+          token_address: transfer.token.address,
+        },
+        created_at: transfer.timestamp,
+        updated_at: new Date().toISOString(),
+      });
+    }
+
+    return rows;
+  }
+
+  /**
+   * Reads one range after the cursor and imports it
+   * @param {object} wallet - { userId, walletAddress, addresses }
+   * @param {number} latestBlock - Latest block on the chain
+   * @returns {Promise<object>} - { fromBlock, toBlock, found, imported }, or null if there's nothing new
+   */
+  async function syncRange({ userId, walletAddress, addresses }, latestBlock) {
+    const cursor = await store.getCursor(walletAddress, chainId);
+    const newAddress = cursor && addresses.some(address => !cursor.addresses.includes(address));
+
+    const fromBlock = cursor && !newAddress
+      ? cursor.lastBlock + 1
+      : Math.max(0, latestBlock - source.lookbackBlocks + 1);
+    if (fromBlock > latestBlock) return null;
+
+    const toBlock = Math.min(latestBlock, fromBlock + source.maxBlocks - 1);
+    const read = await source.getActivity({ addresses, fromBlock, toBlock });
+    if (read.toBlock < fromBlock) {
+      throw new Error(`Block ${fromBlock} has more activity than the ${source.name} source can read`);
+    }
+
+    const rows = toRows(read.activity, new Set(addresses), userId);
+    const recorded = await store.listRecordedHashes(userId, [...new Set(rows.map(row => row.transaction_hash))]);
+    const fresh = rows.filter(row => !recorded.has(row.transaction_hash.toLowerCase()));
+    const imported = fresh.length ? await store.insertTransactions(fresh) : [];
+
+    await store.saveCursor(walletAddress, chainId, { lastBlock: read.toBlock, addresses, source: source.name });
+
+    if (onIncoming) {
+      for (const row of imported.filter(row => row.transaction_type === 'receive')) {
+        try {
+          await onIncoming({
+            recipientAddress: walletAddress,
+            from: row.recipient_address,
+            amount: row.amount,
+            token: row.token,
+            transactionHash: row.transaction_hash,
+          });
+        } catch (error) {
+          console.error(`Error handling incoming payment ${row.transaction_hash}:`, error);
+        }
+      }
+    }
+
+    return { fromBlock, toBlock: read.toBlock, found: read.activity.length, imported: imported.length };
+  }
+
+  return {
+    /**
+     * Imports a wallet's transfers since its last sync
+     * @param {object} wallet - Wallet to sync
+     * @param {string} wallet.userId - ID of the wallet's user
+     * @param {string} wallet.walletAddress - The user's wallet address
+     * @param {string[]} wallet.addresses - Addresses to read: the wallet and its smart wallets
+     * @param {object} options - Options
+     * @param {number} options.maxRanges - Most ranges to read before returning
+     * @returns {Promise<object>} - { fromBlock, toBlock, latestBlock, found, imported, caughtUp }
+     */
+    async syncWallet({ userId, walletAddress, addresses }, { maxRanges = DEFAULT_MAX_RANGES } = {}) {
+      const wallet = {
+        userId,
+        walletAddress: walletAddress.toLowerCase(),
+        addresses: [...new Set(addresses.filter(Boolean).map(address => address.toLowerCase()))],
+      };
+      const latestBlock = await source.getLatestBlock();
+      const result = { fromBlock: null, toBlock: null, latestBlock, found: 0, imported: 0, caughtUp: false };
+
+      for (let range = 0; range < maxRanges; range++) {
+        const synced = await syncRange(wallet, latestBlock);
+        if (!synced) break;
+
+        result.fromBlock ??= synced.fromBlock;
+        result.toBlock = synced.toBlock;
+        result.found += synced.found;
+        result.imported += synced.imported;
+      }
+
+      const cursor = await store.getCursor(wallet.walletAddress, chainId);
+      result.caughtUp = !!cursor && cursor.lastBlock >= latestBlock;
+      return result;
+    },
+  };
+}
@@ -0,0 +1,169 @@
+import { erc20Abi, parseAbiItem } from 'viem';
+import { getTokenByAddress } from '../../web3/config/tokens';
+
+const TRANSFER_EVENT = parseAbiItem('event Transfer(address indexed from, address indexed to, uint256 value)');
+
+// Blocks fetched at once while scanning
+const BLOCK_CONCURRENCY = 10;
+
+/**
+ * Creates a source that reads a wallet's activity straight from a node: it scans every block in the
+ * range for ETH sent to or from the wallet's addresses, and asks for the ERC-20 Transfer logs that
+ * name them. Scanning every block is slow on a busy chain, so the ranges are short; it suits a local
+ * node (a `npx hardhat node`) or a private RPC. ETH moved by contract calls (internal transactions)
+ * doesn't show up in blocks, so only the explorer source sees it.
+ * @param {object} options - Source options
+ * @param {object} options.client - viem public client for the chain
+ * @param {number} options.chainId - Chain ID, to recognize the tokens the app knows
+ * @param {number} options.maxBlocks - Most blocks to scan per range
+ * @param {number} options.lookbackBlocks - Blocks a wallet's first sync goes back
+ * @returns {object} - Source with name, maxBlocks, lookbackBlocks, getLatestBlock() and
+ *   getActivity({ addresses, fromBlock, toBlock })
+ */
+export function createRpcSource({ client, chainId, maxBlocks = 1000, lookbackBlocks = 1000 }) {
+  // Token details by lowercase contract address
+  const tokens = {};
+
+  /**
+   * Gets a token's symbol and decimals, from the registry or else the contract
+   * @param {string} address - Token contract address
+   * @returns {Promise<object>} - { address, symbol, decimals, known }
+   */
+  async function getTokenDetails(address) {
+    const key = address.toLowerCase();
+    if (!tokens[key]) {
+      const registered = getTokenByAddress(key, chainId);
+      tokens[key] = registered
+        ? Promise.resolve({ address: key, symbol: registered.symbol, decimals: registered.decimals, known: true })
+        : Promise.all([
+          client.readContract({ address, abi: erc20Abi, functionName: 'symbol' }).catch(() => null),
+          client.readContract({ address, abi: erc20Abi, functionName: 'decimals' }).catch(() => null),
+        ]).then(([symbol, decimals]) => ({
+          address: key,
+          symbol: symbol || 'UNKNOWN',
+          decimals: decimals ?? 18,
+          known: false,
+        }));
+    }
+    return tokens[key];
+  }
+
+  /**
+   * Scans blocks for ETH sent to or from the addresses
+   * @param {Set<string>} own - Lowercase addresses
+   * @param {number} fromBlock - First block
+   * @param {number} toBlock - Last block
+   * @param {Map<number, string>} timestamps - Filled with each block's time
+   * @returns {Promise<object[]>} - Activity
+   */
+  async function scanBlocks(own, fromBlock, toBlock, timestamps) {
+    const matched = [];
+
+    for (let start = fromBlock; start <= toBlock; start += BLOCK_CONCURRENCY) {
+      const numbers = [];
+      for (let number = start; number <= Math.min(toBlock, start + BLOCK_CONCURRENCY - 1); number++) numbers.push(number);
+
+      const blocks = await Promise.all(numbers.map(number => client.getBlock({
+        blockNumber: BigInt(number),
+        includeTransactions: true,
+      })));
+
+      for (const block of blocks) {
+        const time = new Date(Number(block.timestamp) * 1000).toISOString();
+        timestamps.set(Number(block.number), time);
+
+        for (const tx of block.transactions) {
+          const from = tx.from?.toLowerCase();
+          const to = tx.to?.toLowerCase();
+          if (!tx.value || (!own.has(from) && !own.has(to))) continue;
+          matched.push({ tx, from, to, time });
+        }
+      }
+    }
+
+    // Only a matched transaction's receipt is fetched, to learn whether it went through
+    return Promise.all(matched.map(async ({ tx, from, to, time }) => {
+      const receipt = await client.getTransactionReceipt({ hash: tx.hash });
+      return {
+        hash: tx.hash,
+        blockNumber: Number(tx.blockNumber),
+        timestamp: time,
+        from,
+        to,
+        value: tx.value,
+        token: { address: null, symbol: 'ETH', decimals: 18, known: true },
+        success: receipt.status === 'success',
+      };
+    }));
+  }
+
+  /**
+   * Finds the ERC-20 transfers to or from the addresses
+   * @param {string[]} addresses - Lowercase addresses
+   * @param {number} fromBlock - First block
+   * @param {number} toBlock - Last block
+   * @param {Map<number, string>} timestamps - Block times already known
+   * @returns {Promise<object[]>} - Activity
+   */
+  async function findTransfers(addresses, fromBlock, toBlock, timestamps) {
+    const range = { event: TRANSFER_EVENT, fromBlock: BigInt(fromBlock), toBlock: BigInt(toBlock), strict: true };
+    const [incoming, outgoing] = await Promise.all([
+      client.getLogs({ ...range, args: { to: addresses } }),
+      client.getLogs({ ...range, args: { from: addresses } }),
+    ]);
+
+    // A transfer between two of the addresses matches both queries
+    const logs = new Map();
+    for (const log of [...incoming, ...outgoing]) logs.set(`${log.transactionHash}:${log.logIndex}`, log);
+
+    const activity = [];
+    for (const log of logs.values()) {
+      if (!log.args.value) continue;
+
+      const blockNumber = Number(log.blockNumber);
+      if (!timestamps.has(blockNumber)) {
+        const block = await client.getBlock({ blockNumber: log.blockNumber });
+        timestamps.set(blockNumber, new Date(Number(block.timestamp) * 1000).toISOString());
+      }
+
+      activity.push({
+        hash: log.transactionHash,
+        blockNumber,
+        timestamp: timestamps.get(blockNumber),
+        from: log.args.from.toLowerCase(),
+        to: log.args.to.toLowerCase(),
+        value: log.args.value,
+        token: await getTokenDetails(log.address),
+        // Logs are only kept for transactions that succeeded
+        success: true,
+      });
+    }
+
+    return activity;
+  }
+
+  return {
+    name: 'rpc',
+    maxBlocks,
+    lookbackBlocks,
+
+    async getLatestBlock() {
+      return Number(await client.getBlockNumber({ cacheTime: 0 }));
+    },
+
+    /**
+     * Reads the addresses' ETH and ERC-20 transfers in a range of blocks
+     * @param {object} params - { addresses, fromBlock, toBlock }
+     * @returns {Promise<object>} - { activity, toBlock }: the whole range is always read
+     */
+    async getActivity({ addresses, fromBlock, toBlock }) {
+      const own = addresses.map(address => address.toLowerCase());
+      const timestamps = new Map();
+
+      const native = await scanBlocks(new Set(own), fromBlock, toBlock, timestamps);
+      const transfers = await findTransfers(own, fromBlock, toBlock, timestamps);
+
+      return { activity: [...native, ...transfers], toBlock };
+    },
+  };
+}
@@ -0,0 +1,29 @@
+import { isBaseNetwork } from '../../web3/config/networks';
+import { createReceiptClients } from '../receipts/clients';
+import { createExplorerSource, DEFAULT_EXPLORER_API_URL } from './explorerSource';
+import { createRpcSource } from './rpcSource';
+
+/**
+ * Picks the source to sync a chain through: the explorer API for Base when EXPLORER_API_KEY is set
+ * (an Etherscan API key; EXPLORER_API_URL points it at another Etherscan-style API), and otherwise
+ * the chain's RPC, which for any chain but Base is AGENT_RPC_URL, such as a local node
+ * @param {object} options - Source options
+ * @param {number} options.chainId - Chain to sync
+ * @param {Function} options.getClient - (chainId) => viem public client, or null (defaults to createReceiptClients())
+ * @param {string} options.apiKey - Explorer API key (defaults to EXPLORER_API_KEY)
+ * @param {string} options.apiUrl - Explorer API URL (defaults to EXPLORER_API_URL, or Etherscan's)
+ * @returns {object|null} - Source, or null if there's no way to read the chain
+ */
+export function createSyncSource({
+  chainId,
+  getClient = createReceiptClients(),
+  apiKey = process.env.EXPLORER_API_KEY,
+  apiUrl = process.env.EXPLORER_API_URL || DEFAULT_EXPLORER_API_URL,
+}) {
+  if (apiKey && isBaseNetwork(chainId)) {
+    return createExplorerSource({ apiKey, apiUrl, chainId });
+  }
+
+  const client = getClient(chainId);
+  return client ? createRpcSource({ client, chainId }) : null;
+}
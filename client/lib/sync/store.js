@@ -0,0 +1,80 @@
+// Hashes looked up per query, to keep the request URL short
+const HASH_BATCH_SIZE = 100;
+
+/**
+ * Creates a sync store backed by the transaction_sync_cursors, transactions and transaction_legs tables
+ * @param {object} client - Supabase client (the server client, since imported rows belong to the user)
+ * @returns {object} - Store with getCursor(walletAddress, chainId), saveCursor(walletAddress, chainId, cursor),
+ *   listRecordedHashes(userId, hashes) and insertTransactions(rows); every method throws on database errors
+ */
+export function createSupabaseSyncStore(client) {
+  return {
+    async getCursor(walletAddress, chainId) {
+      const { data, error } = await client
+        .from('transaction_sync_cursors')
+        .select('last_block, addresses')
+        .eq('wallet_address', walletAddress)
+        .eq('chain_id', chainId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data ? { lastBlock: Number(data.last_block), addresses: data.addresses || [] } : null;
+    },
+
+    async saveCursor(walletAddress, chainId, { lastBlock, addresses, source }) {
+      const { error } = await client
+        .from('transaction_sync_cursors')
+        .upsert({
+          wallet_address: walletAddress,
+          chain_id: chainId,
+          last_block: lastBlock,
+          addresses,
+          source,
+          updated_at: new Date().toISOString(),
+        }, { onConflict: 'wallet_address,chain_id' });
+
+      if (error) throw error;
+    },
+
+    // Hashes of the user's transactions the app recorded itself, rather than a sync, including
+    // every leg of a split (a split sent leg by leg has a hash per recipient)
+    async listRecordedHashes(userId, hashes) {
+      const recorded = new Set();
+
+      for (let start = 0; start < hashes.length; start += HASH_BATCH_SIZE) {
+        const batch = hashes.slice(start, start + HASH_BATCH_SIZE);
+        const { data, error } = await client
+          .from('transactions')
+          .select('transaction_hash')
+          .eq('user_id', userId)
+          .is('sync_id', null)
+          .in('transaction_hash', batch);
+
+        if (error) throw error;
+        for (const row of data || []) recorded.add(row.transaction_hash.toLowerCase());
+
+        const { data: legs, error: legsError } = await client
+          .from('transaction_legs')
+          .select('transaction_hash, transactions!inner(user_id)')
+          .eq('transactions.user_id', userId)
+          .in('transaction_hash', batch);
+
+        if (legsError) throw legsError;
+        for (const leg of legs || []) recorded.add(leg.transaction_hash.toLowerCase());
+      }
+
+      return recorded;
+    },
+
+    // Rows already imported (same user and sync ID) are skipped; returns the rows that were added
+    async insertTransactions(rows) {
+      const { data, error } = await client
+        .from('transactions')
+        .upsert(rows, { onConflict: 'user_id,sync_id', ignoreDuplicates: true })
+        .select('id, transaction_hash, transaction_type, amount, token, recipient_address');
+
+      if (error) throw error;
+      return data || [];
+    },
+  };
+}
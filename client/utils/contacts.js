@@ -0,0 +1,238 @@
+/**
+ * Contact book
+ * Stores each user's contacts (see lib/contacts.js). An alias is unique per user; the database
+ * enforces it, so two saves of the same alias can't both succeed.
+ *
+ * The helpers that touch the database take the Supabase client to use, so the API routes and
+ * the routes that resolve recipients share them with the server client.
+ */
+
+import { isAddress } from 'viem';
+import { sanitizeContact } from '@/lib/contacts';
+import { resolveBaseName } from '@/web3/utils/baseNameService';
+
+// Postgres error code for a unique constraint violation
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Turns a failed insert or update into an error for the owner
+ * @param {object} error - Supabase error
+ * @param {string} alias - Alias that was being saved
+ * @returns {object} - { data, error, status }
+ */
+function saveError(error, alias) {
+  if (error.code === UNIQUE_VIOLATION) {
+    return { data: null, error: new Error(`You already have a contact called @${alias}`), status: 409 };
+  }
+  return { data: null, error, status: 500 };
+}
+
+/**
+ * Loads a contact and checks it belongs to the user changing it
+ * @param {object} client - Supabase client
+ * @param {string} contactId - Contact ID
+ * @param {string} address - Lower-case wallet address of the user making the change
+ * @returns {Promise<object>} - { data, error, status } with the contact row
+ */
+async function loadOwnContact(client, contactId, address) {
+  const { data: row, error } = await client
+    .from('contacts')
+    .select('*')
+    .eq('id', contactId)
+    .maybeSingle();
+
+  if (error) return { data: null, error, status: 500 };
+  if (!row) return { data: null, error: new Error('Contact not found'), status: 404 };
+
+  if (row.wallet_address !== address) {
+    return { data: null, error: new Error('Only the owner can change this contact'), status: 403 };
+  }
+
+  return { data: row, error: null, status: 200 };
+}
+
+/**
+ * Lists a wallet's contacts, by alias
+ * @param {object} client - Supabase client
+ * @param {string} walletAddress - The user's wallet address
+ * @returns {Promise<object>} - { data, error }
+ */
+export async function listContacts(client, walletAddress) {
+  const { data, error } = await client
+    .from('contacts')
+    .select('*')
+    .eq('wallet_address', String(walletAddress || '').toLowerCase())
+    .order('alias', { ascending: true });
+
+  return { data: data || null, error };
+}
+
+/**
+ * Adds a contact to a user's contact book
+ * @param {object} client - Supabase client
+ * @param {object} params - Contact details
+ * @param {string} params.walletAddress - Owner's wallet address
+ * @param {object} params.contact - { alias, address, basename, notes, default_token }
+ * @returns {Promise<object>} - { data, error, status } with an HTTP status for the error, if any
+ */
+export async function createContact(client, { walletAddress, contact }) {
+  const address = String(walletAddress || '').toLowerCase();
+  const { contact: cleanContact, error: invalid } = sanitizeContact(contact);
+
+  if (!address) {
+    return { data: null, error: new Error('A contact needs a wallet address to belong to'), status: 400 };
+  }
+  if (invalid) return { data: null, error: new Error(invalid), status: 400 };
+
+  if (cleanContact.address === address) {
+    return { data: null, error: new Error("You can't add your own wallet as a contact"), status: 400 };
+  }
+
+  const { data, error } = await client
+    .from('contacts')
+    .insert([{
+      wallet_address: address,
+      ...cleanContact,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    }])
+    .select()
+    .single();
+
+  if (error) return saveError(error, cleanContact.alias);
+  return { data, error: null, status: 200 };
+}
+
+/**
+ * Changes a contact on behalf of its owner. Fields left out of the changes keep their values.
+ * @param {object} client - Supabase client
+ * @param {object} params - Update details
+ * @param {string} params.contactId - Contact ID
+ * @param {string} params.walletAddress - Wallet address of the user making the change
+ * @param {object} params.changes - Any of { alias, address, basename, notes, default_token }
+ * @returns {Promise<object>} - { data, error, status } with an HTTP status for the error, if any
+ */
+export async function updateContact(client, { contactId, walletAddress, changes }) {
+  const address = String(walletAddress || '').toLowerCase();
+
+  const loaded = await loadOwnContact(client, contactId, address);
+  if (loaded.error) return loaded;
+
+  const { alias, address: contactAddress, basename, notes, default_token } = loaded.data;
+  const { contact: cleanContact, error: invalid } = sanitizeContact({
+    alias,
+    address: contactAddress,
+    basename,
+    notes,
+    default_token,
+    ...changes,
+  });
+  if (invalid) return { data: null, error: new Error(invalid), status: 400 };
+
+  const { data, error } = await client
+    .from('contacts')
+    .update({ ...cleanContact, updated_at: new Date().toISOString() })
+    .eq('id', contactId)
+    .eq('wallet_address', address)
+    .select()
+    .maybeSingle();
+
+  if (error) return saveError(error, cleanContact.alias);
+  if (!data) return { data: null, error: new Error('Contact not found'), status: 404 };
+
+  return { data, error: null, status: 200 };
+}
+
+/**
+ * Removes a contact on behalf of its owner
+ * @param {object} client - Supabase client
+ * @param {object} params - Delete details
+ * @param {string} params.contactId - Contact ID
+ * @param {string} params.walletAddress - Wallet address of the user making the change
+ * @returns {Promise<object>} - { data, error, status } with the deleted contact
+ */
+export async function deleteContact(client, { contactId, walletAddress }) {
+  const address = String(walletAddress || '').toLowerCase();
+
+  const loaded = await loadOwnContact(client, contactId, address);
+  if (loaded.error) return loaded;
+
+  const { error } = await client
+    .from('contacts')
+    .delete()
+    .eq('id', contactId)
+    .eq('wallet_address', address);
+
+  if (error) return { data: null, error, status: 500 };
+  return { data: loaded.data, error: null, status: 200 };
+}
+
+/**
+ * Lists the people a wallet paid most recently, as they were typed (handles, Base Names) and as
+ * they were resolved (addresses), for checking a new recipient against
+ * @param {object} client - Supabase client
+ * @param {string} walletAddress - The user's wallet address
+ * @param {number} limit - How many of the latest payments to look at
+ * @returns {Promise<object>} - { data, error } with distinct names, most recent first
+ */
+export async function listRecentCounterparties(client, walletAddress, limit = 50) {
+  const { data: user, error: userError } = await client
+    .from('users')
+    .select('id')
+    .eq('wallet_address', walletAddress)
+    .maybeSingle();
+
+  if (userError) return { data: null, error: userError };
+  if (!user) return { data: [], error: null };
+
+  // Only payments that were sent: proposals are stored too, typos and all
+  const { data, error } = await client
+    .from('transactions')
+    .select('recipient_address, metadata')
+    .eq('user_id', user.id)
+    .not('transaction_hash', 'is', null)
+    .in('status', ['submitted', 'confirmed'])
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) return { data: null, error };
+
+  const names = (data || []).flatMap(row => [
+    ...(row.metadata?.recipients || []),
+    row.metadata?.recipient,
+    ...String(row.recipient_address || '').split(','),
+  ]);
+
+  const counterparties = Array.from(new Set(names
+    .map(name => String(name || '').trim().replace(/^@/, '').toLowerCase())
+    .filter(name => name && name !== 'unknown')));
+
+  return { data: counterparties, error: null };
+}
+
+/**
+ * Works out the address a counterparty in a history question stands for. Payments are stored with
+ * the address they went to, so "@mom" only finds them once it is looked up in the user's contacts
+ * (first) and Base Names, the way a payment to @mom would be.
+ * @param {object} client - Supabase client
+ * @param {string} walletAddress - The user's wallet address
+ * @param {string} counterparty - Handle, Base Name or address, without the @
+ * @returns {Promise<string[]>} - The lower-case address, or none if it doesn't resolve; history then
+ *   matches on the text alone
+ */
+export async function resolveCounterpartyAddresses(client, walletAddress, counterparty) {
+  if (!counterparty) return [];
+
+  const { data: contacts, error } = await listContacts(client, walletAddress);
+  if (error) {
+    console.error('Error loading contacts:', error);
+  }
+
+  try {
+    const address = await resolveBaseName(counterparty, false, { contacts: contacts || [] });
+    return address && isAddress(address) ? [address.toLowerCase()] : [];
+  } catch (resolveError) {
+    console.error(`Error resolving counterparty ${counterparty}:`, resolveError);
+    return [];
+  }
+}
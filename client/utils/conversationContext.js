@@ -0,0 +1,252 @@
+/**
+ * Conversation context helpers for the chat route
+ * Builds a bounded, summarized window of prior turns (including payment proposals stored in
+ * chat_history.metadata) and uses it to resolve follow-ups like "send her the same amount again"
+ * or "actually make it 0.2"
+ */
+
+import {
+  CLARIFIABLE_INTENTS,
+  describeAmount,
+  extractAmount,
+  extractRecipients,
+  extractToken
+} from './intentClarification';
+import { normalizeIntent } from '../lib/intent/schema';
+import { getChatParts } from '../lib/chatParts';
+
+// Number of chat_history rows loaded for a conversation
+export const CONTEXT_HISTORY_LIMIT = 40;
+
+// Number of most recent turns passed to the model verbatim; older turns are summarized
+export const CONTEXT_WINDOW_TURNS = 8;
+
+// Longest message text kept per turn, so one pasted wall of text can't crowd out the rest
+const MAX_TURN_LENGTH = 280;
+
+// Number of prior payment proposals kept in the context
+const MAX_CONTEXT_TRANSACTIONS = 5;
+
+// "actually make it 0.2", "no, 0.3 instead", "change it to USDC"
+const CORRECTION_PATTERN = /^\s*(actually|wait|sorry|no\b|instead\b|make it|make that|change (it|that)|correction)/i;
+
+// "send her the same amount", "pay them again", "do that again"
+const REFERENCE_PATTERN = /\b(her|him|them|same|again|that amount|that much|the last one)\b/i;
+
+/**
+ * Returns the payment intent stored in a chat_history metadata object
+ * @param {object} metadata - chat_history.metadata
+ * @returns {object|null} - Parsed send/split intent or null
+ */
+function getTransactionFromMetadata(metadata) {
+  if (!metadata) return null;
+
+  // Older rows stored intents with type/splitType/recipient; normalizeIntent maps them
+  const transaction = normalizeIntent(metadata.transaction || metadata);
+  if (!CLARIFIABLE_INTENTS.includes(transaction.intent)) return null;
+
+  return {
+    intent: transaction.intent,
+    amount: transaction.amount,
+    fiat_amount: transaction.fiat_amount ?? null,
+    fiat_currency: transaction.fiat_currency || null,
+    token: transaction.token,
+    recipients: transaction.recipients,
+    split_type: transaction.split_type,
+    allocations: transaction.allocations,
+    note: transaction.note,
+  };
+}
+
+/**
+ * Shortens a message to the per-turn limit
+ * @param {string} text - Message text
+ * @returns {string} - Text of at most MAX_TURN_LENGTH characters
+ */
+function truncate(text) {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  return value.length > MAX_TURN_LENGTH ? `${value.slice(0, MAX_TURN_LENGTH - 1)}…` : value;
+}
+
+/**
+ * Describes a payment intent in one line, e.g. "send 0.1 ETH to @alice"
+ * @param {object} transaction - Payment intent
+ * @returns {string} - Description
+ */
+export function describeTransaction(transaction) {
+  const recipients = (transaction.recipients || []).map(r => `@${r}`).join(' and ') || 'unknown recipients';
+  const what = describeAmount(transaction) || `? ${transaction.token || ''}`.trim();
+  const verb = transaction.intent === 'split' ? `split ${what} between` : `send ${what} to`;
+  return `${verb} ${recipients}${transaction.note ? ` (${transaction.note})` : ''}`;
+}
+
+/**
+ * Converts chat_history rows (oldest first) into context turns
+ * @param {object[]} rows - Rows with message, is_user and metadata
+ * @returns {object[]} - Turns with role, content and transaction
+ */
+export function turnsFromHistory(rows) {
+  return (rows || []).map(row => ({
+    role: row.is_user ? 'user' : 'assistant',
+    content: row.message || '',
+    transaction: row.is_user ? null : getTransactionFromMetadata(row.metadata),
+  }));
+}
+
+/**
+ * Converts useChat request messages into context turns, used when there is no stored conversation
+ * @param {object[]} messages - Messages sent by the client (with their parts in annotations), oldest first,
+ *   excluding the current one
+ * @returns {object[]} - Turns with role, content and transaction
+ */
+export function turnsFromMessages(messages) {
+  return (messages || [])
+    .filter(message => message && (message.role === 'user' || message.role === 'assistant'))
+    .map(message => ({
+      role: message.role,
+      content: typeof message.content === 'string' ? message.content : '',
+      transaction: message.role === 'assistant'
+        ? getTransactionFromMetadata(getChatParts(message).proposal || message.metadata)
+        : null,
+    }));
+}
+
+/**
+ * Builds the bounded context window for a conversation
+ * @param {object[]} turns - Prior turns, oldest first
+ * @returns {object} - { recent, summary, transactions, lastTransaction }
+ */
+export function buildConversationContext(turns) {
+  const allTurns = (turns || []).filter(turn => turn.content || turn.transaction);
+  const older = allTurns.slice(0, -CONTEXT_WINDOW_TURNS);
+  const recent = allTurns.slice(-CONTEXT_WINDOW_TURNS).map(turn => ({
+    ...turn,
+    content: truncate(turn.content),
+  }));
+
+  // Most recent proposal first
+  const transactions = allTurns
+    .filter(turn => turn.transaction)
+    .map(turn => turn.transaction)
+    .reverse()
+    .slice(0, MAX_CONTEXT_TRANSACTIONS);
+
+  let summary = null;
+  if (older.length > 0) {
+    const olderTransactions = older.filter(turn => turn.transaction).map(turn => describeTransaction(turn.transaction));
+    summary = `${older.length} earlier message${older.length === 1 ? '' : 's'} omitted` +
+      (olderTransactions.length > 0 ? `, including payment proposals to ${olderTransactions.slice(-3).join('; ')}.` : '.');
+  }
+
+  return {
+    recent,
+    summary,
+    transactions,
+    lastTransaction: transactions[0] || null,
+  };
+}
+
+/**
+ * Formats the context window as a prompt section
+ * @param {object} context - Context from buildConversationContext
+ * @returns {string} - Prompt text, or an empty string when there is no prior conversation
+ */
+export function formatContextForPrompt(context) {
+  if (!context || (context.recent.length === 0 && !context.summary)) return '';
+
+  const lines = [];
+
+  if (context.summary) {
+    lines.push(`Summary: ${context.summary}`);
+  }
+
+  if (context.transactions.length > 0) {
+    lines.push('Recent payment proposals (most recent first):');
+    context.transactions.forEach((transaction, index) => {
+      lines.push(`${index + 1}. ${describeTransaction(transaction)}`);
+    });
+  }
+
+  if (context.recent.length > 0) {
+    lines.push('Recent messages (oldest first):');
+    context.recent.forEach(turn => {
+      lines.push(`${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`);
+    });
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Fills fields a follow-up message refers to but doesn't restate, using the most recent
+ * payment proposal. Only fields the user didn't type are taken from context.
+ * @param {object} parsedData - Parsed intent for the current message
+ * @param {object} context - Context from buildConversationContext
+ * @returns {object} - Parsed intent, with context_fields listing what was taken from context
+ */
+export function applyConversationContext(parsedData, context) {
+  const last = context?.lastTransaction;
+  if (!parsedData || !last) return parsedData;
+
+  const text = parsedData.raw_message || '';
+  const typedRecipients = extractRecipients(text);
+  const typedAmount = extractAmount(text);
+  const typedToken = extractToken(text);
+
+  // A correction has to change something; "no thanks" on its own isn't an amendment
+  const isCorrection = CORRECTION_PATTERN.test(text) &&
+    (typedAmount !== null || !!typedToken || typedRecipients.length > 0);
+  const isPaymentIntent = CLARIFIABLE_INTENTS.includes(parsedData.intent);
+
+  // Only follow-ups that point back at an earlier payment pick up its details
+  if (!isCorrection && !(isPaymentIntent && REFERENCE_PATTERN.test(text))) return parsedData;
+
+  const resolved = { ...parsedData };
+  const contextFields = [];
+
+  // "actually make it 0.2" amends the last proposal even though it isn't a payment on its own
+  if (!isPaymentIntent) {
+    resolved.intent = last.intent;
+    resolved.split_type = last.split_type;
+    resolved.isConversational = false;
+    contextFields.push('intent');
+  }
+
+  if (typedRecipients.length === 0 && last.recipients.length > 0) {
+    resolved.recipients = [...last.recipients];
+    contextFields.push('recipients');
+
+    // Paying the same people again keeps the earlier split's shares
+    if (last.intent === 'split') {
+      resolved.intent = 'split';
+      resolved.split_type = last.split_type;
+      if (last.allocations) resolved.allocations = last.allocations;
+    }
+  }
+
+  if (typedAmount === null && (last.amount || last.fiat_amount)) {
+    resolved.amount = last.fiat_amount ? null : last.amount;
+    if (last.fiat_amount) {
+      resolved.fiat_amount = last.fiat_amount;
+      resolved.fiat_currency = last.fiat_currency;
+    }
+    resolved.amount_specified = true;
+    contextFields.push('amount');
+  }
+
+  if (!typedToken && last.token) {
+    resolved.token = last.token;
+    resolved.token_specified = true;
+    contextFields.push('token');
+  }
+
+  if (isCorrection && !resolved.note && last.note) {
+    resolved.note = last.note;
+    contextFields.push('note');
+  }
+
+  if (contextFields.length === 0) return parsedData;
+
+  console.log('Resolved fields from conversation context:', contextFields);
+  return { ...resolved, context_fields: contextFields };
+}
@@ -0,0 +1,355 @@
+/**
+ * Transaction history filters
+ * Turns questions like "what did I send to @bob last month", "payments over 0.5 ETH this year"
+ * or "show failed transactions since Monday" into a structured filter, and runs that filter
+ * against the transactions table
+ *
+ * A filter only ever holds these fields, each checked before it reaches a query:
+ *
+ *   from, to        ISO timestamps; from is inclusive, to is exclusive
+ *   counterparty    Handle, Base Name or address the payment was made to (without @)
+ *   token           Canonical token symbol
+ *   min_amount      Smallest amount, in whole tokens
+ *   max_amount      Largest amount, in whole tokens
+ *   status          One of the keys of STATUS_GROUPS
+ *   type            One of HISTORY_TRANSACTION_TYPES
+ *   category        One of SPENDING_CATEGORIES (lib/insights/categories.js), set by spending questions
+ */
+
+import {
+  addMonths,
+  format,
+  getDay,
+  isValid,
+  startOfDay,
+  startOfMonth,
+  startOfWeek,
+  startOfYear,
+  subDays,
+  subMonths,
+  subWeeks,
+  subYears
+} from 'date-fns';
+import { normalizeTokenSymbol, SUPPORTED_TOKEN_SYMBOLS } from '../web3/config/tokens';
+import { sanitizeCategory } from '../lib/insights/categories';
+import { NUMBER_SOURCE, parseNumber } from '../lib/intent/numbers';
+
+// Statuses a user can ask for, and the stored statuses each one covers (see utils/transactionRecords.js)
+export const STATUS_GROUPS = {
+  failed: ['failed', 'dropped'],
+  pending: ['drafted', 'awaiting_signature', 'submitted'],
+  completed: ['confirmed'],
+};
+
+export const HISTORY_TRANSACTION_TYPES = ['send', 'split', 'receive'];
+
+// Most rows a filtered query returns
+export const MAX_HISTORY_RESULTS = 100;
+
+const FILTER_FIELDS = ['from', 'to', 'counterparty', 'token', 'min_amount', 'max_amount', 'status', 'type', 'category'];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const NUMBER = `(${NUMBER_SOURCE})`;
+const TOKEN = `(?:${SUPPORTED_TOKEN_SYMBOLS.join('|')}|ether)`;
+const MONTH = `(${MONTHS.join('|')}|${MONTHS.map(month => month.slice(0, 3)).join('|')})`;
+
+const TOKEN_PATTERN = new RegExp(`\\b(${SUPPORTED_TOKEN_SYMBOLS.join('|')}|ether)\\b`, 'i');
+const COUNTERPARTY_PATTERN = /@([\w-]+(?:\.[\w-]+)*)|\b(0x[a-fA-F0-9]{40})\b|\b([\w-]+\.(?:base|eth)(?:\.eth)?)\b/i;
+const SAFE_COUNTERPARTY_PATTERN = /^[\w.-]{1,64}$/;
+
+const MIN_AMOUNT_PATTERN = new RegExp(`(?:\\bover|\\babove|\\bmore than|\\bgreater than|\\bat least|>=?)\\s*${NUMBER}`, 'i');
+const MAX_AMOUNT_PATTERN = new RegExp(`(?:\\bunder|\\bbelow|\\bless than|\\bat most|<=?)\\s*${NUMBER}`, 'i');
+const AMOUNT_RANGE_PATTERN = new RegExp(`\\bbetween\\s+${NUMBER}\\s*(?:${TOKEN})?\\s+and\\s+${NUMBER}`, 'i');
+
+const RELATIVE_PERIOD_PATTERN = /\b(this|last|previous|past)\s+(week|month|year)\b/i;
+const ROLLING_PERIOD_PATTERN = /\b(?:last|past|previous)\s+(\d+)\s+(day|week|month|year)s?\b/i;
+const SINCE_WEEKDAY_PATTERN = new RegExp(`\\bsince\\s+(?:last\\s+)?(${WEEKDAYS.join('|')})\\b`, 'i');
+const SINCE_MONTH_PATTERN = new RegExp(`\\bsince\\s+${MONTH}\\b(?!\\s+\\d)`, 'i');
+const IN_MONTH_PATTERN = new RegExp(`\\b(?:in|during)\\s+${MONTH}\\b(?:\\s+(\\d{4}))?`, 'i');
+const FROM_DATE_PATTERN = /\b(?:since|after|from)\s+(\d{4}-\d{2}-\d{2})\b/i;
+const TO_DATE_PATTERN = /\b(?:before|until|to)\s+(\d{4}-\d{2}-\d{2})\b/i;
+
+const STATUS_PATTERNS = [
+  ['failed', /\b(failed|failures?|unsuccessful)\b/i],
+  ['pending', /\b(pending|unconfirmed|in progress)\b/i],
+  ['completed', /\b(completed|confirmed|successful|succeeded)\b/i],
+];
+
+const TYPE_PATTERNS = [
+  ['receive', /\b(received|receive|incoming|got)\b|\bfrom\s+@/i],
+  ['split', /\bsplits?\b/i],
+  ['send', /\b(sent|send|paid|outgoing)\b/i],
+];
+
+/**
+ * Returns the month index for a month name or abbreviation
+ * @param {string} name - Month name, e.g. "september" or "sep"
+ * @returns {number} - Month index (0 for January)
+ */
+function monthIndex(name) {
+  return MONTHS.findIndex(month => month.startsWith(name.toLowerCase().slice(0, 3)));
+}
+
+/**
+ * Reads the date range from a history question
+ * @param {string} text - Message text
+ * @param {Date} now - Current time
+ * @returns {object} - { from, to } as Dates, each null if not given
+ */
+function parseDateRange(text, now) {
+  const today = startOfDay(now);
+  const lower = text.toLowerCase();
+  let match;
+
+  if (/\btoday\b/.test(lower)) {
+    return { from: today, to: null };
+  }
+
+  if (/\byesterday\b/.test(lower)) {
+    return { from: subDays(today, 1), to: today };
+  }
+
+  if ((match = lower.match(ROLLING_PERIOD_PATTERN))) {
+    const count = parseInt(match[1], 10);
+    const subtract = { day: subDays, week: subWeeks, month: subMonths, year: subYears }[match[2]];
+    return { from: subtract(today, count), to: null };
+  }
+
+  if ((match = lower.match(RELATIVE_PERIOD_PATTERN))) {
+    const [, which, unit] = match;
+    const startOf = { week: date => startOfWeek(date, { weekStartsOn: 1 }), month: startOfMonth, year: startOfYear }[unit];
+    const subtract = { week: subWeeks, month: subMonths, year: subYears }[unit];
+
+    if (which === 'this') return { from: startOf(now), to: null };
+    // "past week" is the last seven days; "last week" is the calendar week before this one
+    if (which === 'past') return { from: subtract(today, 1), to: null };
+    return { from: startOf(subtract(now, 1)), to: startOf(now) };
+  }
+
+  if ((match = lower.match(SINCE_WEEKDAY_PATTERN))) {
+    const daysBack = (getDay(today) - WEEKDAYS.indexOf(match[1]) + 7) % 7;
+    return { from: subDays(today, daysBack), to: null };
+  }
+
+  if ((match = lower.match(IN_MONTH_PATTERN))) {
+    const month = monthIndex(match[1]);
+    const year = match[2] ? parseInt(match[2], 10) : now.getFullYear() - (month > now.getMonth() ? 1 : 0);
+    const from = new Date(year, month, 1);
+    return { from, to: addMonths(from, 1) };
+  }
+
+  if ((match = lower.match(SINCE_MONTH_PATTERN))) {
+    const month = monthIndex(match[1]);
+    const year = now.getFullYear() - (month > now.getMonth() ? 1 : 0);
+    return { from: new Date(year, month, 1), to: null };
+  }
+
+  const from = lower.match(FROM_DATE_PATTERN);
+  const to = lower.match(TO_DATE_PATTERN);
+  return {
+    from: from ? new Date(`${from[1]}T00:00:00`) : null,
+    to: to ? new Date(`${to[1]}T00:00:00`) : null,
+  };
+}
+
+/**
+ * Reads a history filter from a question about past transactions
+ * @param {string} message - User's message
+ * @param {Date} now - Current time, for relative dates like "last month"
+ * @returns {object|null} - Filter (see the top of this file), or null if the message doesn't narrow anything
+ */
+export function parseHistoryFilter(message, now = new Date()) {
+  const text = String(message ?? '');
+  const { from, to } = parseDateRange(text, now);
+  const counterparty = text.match(COUNTERPARTY_PATTERN);
+  const range = text.match(AMOUNT_RANGE_PATTERN);
+  const min = range ? null : text.match(MIN_AMOUNT_PATTERN);
+  const max = range ? null : text.match(MAX_AMOUNT_PATTERN);
+  const token = text.match(TOKEN_PATTERN);
+
+  return sanitizeHistoryFilter({
+    from,
+    to,
+    counterparty: counterparty ? counterparty[1] || counterparty[2] || counterparty[3] : null,
+    token: token ? token[1] : null,
+    min_amount: range ? range[1] : min?.[1],
+    max_amount: range ? range[2] : max?.[1],
+    status: STATUS_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0],
+    type: TYPE_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0],
+  });
+}
+
+/**
+ * Turns a date from a parser or a request into an ISO timestamp
+ * @param {Date|string} value - Date
+ * @returns {string|null} - ISO timestamp, or null if it isn't a valid date
+ */
+function toTimestamp(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isValid(date) ? date.toISOString() : null;
+}
+
+/**
+ * Turns an amount into a positive number
+ * @param {number|string} value - Amount
+ * @returns {number|null} - Amount, or null if it isn't a positive number
+ */
+function toAmount(value) {
+  const amount = parseNumber(value);
+  return amount !== null && amount > 0 ? amount : null;
+}
+
+/**
+ * Keeps only the known filter fields, with values that are safe to put in a query. Used on
+ * filters from the rule-based parser, the model, stored metadata and API requests alike.
+ * @param {object} raw - Filter from any source
+ * @returns {object|null} - Filter, or null if no field survives
+ */
+export function sanitizeHistoryFilter(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const counterparty = typeof raw.counterparty === 'string' ? raw.counterparty.trim().replace(/^@/, '') : null;
+  const filter = {
+    from: toTimestamp(raw.from),
+    to: toTimestamp(raw.to),
+    counterparty: counterparty && SAFE_COUNTERPARTY_PATTERN.test(counterparty) ? counterparty : null,
+    token: typeof raw.token === 'string' ? normalizeTokenSymbol(raw.token) : null,
+    min_amount: toAmount(raw.min_amount),
+    max_amount: toAmount(raw.max_amount),
+    status: Object.keys(STATUS_GROUPS).includes(raw.status) ? raw.status : null,
+    type: HISTORY_TRANSACTION_TYPES.includes(raw.type) ? raw.type : null,
+    category: sanitizeCategory(raw.category),
+  };
+
+  const fields = FILTER_FIELDS.filter(field => filter[field] !== null && filter[field] !== undefined);
+  if (fields.length === 0) return null;
+
+  return Object.fromEntries(fields.map(field => [field, filter[field]]));
+}
+
+/**
+ * Describes a filter in words, e.g. "failed payments you sent to @bob since Oct 12, 2026"
+ * @param {object} filter - Filter from sanitizeHistoryFilter
+ * @returns {string} - Description
+ */
+export function describeHistoryFilter(filter) {
+  if (!filter) return 'transactions';
+
+  const nouns = { send: 'payments you sent', receive: 'payments you received', split: 'split payments' };
+  const direction = { send: 'to', receive: 'from' };
+  const unit = filter.token ? ` ${filter.token}` : '';
+  const parts = [];
+
+  parts.push(`${filter.status ? `${filter.status} ` : ''}${filter.category ? `${filter.category} ` : ''}${nouns[filter.type] || 'transactions'}`);
+
+  if (filter.counterparty) {
+    parts.push(`${direction[filter.type] || 'with'} @${filter.counterparty}`);
+  }
+
+  if (filter.min_amount && filter.max_amount) {
+    parts.push(`between ${filter.min_amount} and ${filter.max_amount}${unit}`);
+  } else if (filter.min_amount) {
+    parts.push(`over ${filter.min_amount}${unit}`);
+  } else if (filter.max_amount) {
+    parts.push(`under ${filter.max_amount}${unit}`);
+  } else if (filter.token) {
+    parts.push(`in ${filter.token}`);
+  }
+
+  const period = describePeriod(filter);
+  if (period) parts.push(period);
+
+  return parts.join(' ');
+}
+
+/**
+ * Describes the date range of a filter, e.g. "since Oct 12, 2026" or "from Sep 1, 2026 to Sep 30, 2026"
+ * @param {object} filter - Filter from sanitizeHistoryFilter
+ * @returns {string} - Description, or an empty string if the filter has no dates
+ */
+export function describePeriod(filter) {
+  const day = value => format(new Date(value), 'PP');
+
+  // to is exclusive, so the last day shown is the one before it
+  if (filter?.from && filter?.to) {
+    const from = day(filter.from);
+    const to = day(new Date(filter.to).getTime() - 1);
+    return from === to ? `on ${from}` : `from ${from} to ${to}`;
+  }
+  if (filter?.from) return `since ${day(filter.from)}`;
+  if (filter?.to) return `before ${day(filter.to)}`;
+  return '';
+}
+
+/**
+ * Escapes the LIKE wildcards in a value
+ * @param {string} value - Value to match literally
+ * @returns {string} - Escaped value
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+/**
+ * Applies a filter to a Supabase query on the transactions table
+ * @param {object} query - Query builder from supabase.from('transactions').select(...)
+ * @param {object} filter - Filter from sanitizeHistoryFilter
+ * @param {object} options - Options
+ * @param {string[]} options.counterpartyAddresses - Addresses the counterparty resolves to (see
+ *   resolveCounterpartyAddresses in utils/contacts.js)
+ * @returns {object} - Query builder with the filter applied
+ */
+export function applyHistoryFilter(query, filter, { counterpartyAddresses = [] } = {}) {
+  let filtered = query;
+  if (!filter) return filtered;
+
+  if (filter.from) filtered = filtered.gte('created_at', filter.from);
+  if (filter.to) filtered = filtered.lt('created_at', filter.to);
+  if (filter.counterparty) {
+    // Payments are stored with the address they went to (a split with all of its recipients'), so
+    // "@bob" matches on the addresses it resolves to as well as on the text typed
+    const values = Array.from(new Set([filter.counterparty, ...counterpartyAddresses]));
+    filtered = filtered.or(values.map(value => `recipient_address.ilike.%${escapeLike(value)}%`).join(','));
+  }
+  if (filter.token) filtered = filtered.eq('token', filter.token);
+  if (filter.min_amount) filtered = filtered.gte('amount', filter.min_amount);
+  if (filter.max_amount) filtered = filtered.lte('amount', filter.max_amount);
+  if (filter.status) filtered = filtered.in('status', STATUS_GROUPS[filter.status]);
+  if (filter.type) filtered = filtered.eq('transaction_type', filter.type);
+  if (filter.category) filtered = filtered.eq('category', filter.category);
+
+  return filtered;
+}
+
+/**
+ * Loads a wallet's transactions that match a filter, most recent first
+ * @param {object} client - Supabase client (the server client in routes, the browser client in components)
+ * @param {string} walletAddress - The user's wallet address
+ * @param {object} filter - Filter from sanitizeHistoryFilter (anything else is sanitized first)
+ * @param {number} limit - Maximum number of transactions to return
+ * @param {object} options - Options
+ * @param {string[]} options.counterpartyAddresses - Addresses the filter's counterparty resolves to
+ * @returns {Promise<object>} - { data, error } like a Supabase query
+ */
+export async function queryTransactionHistory(client, walletAddress, filter, limit = 50, { counterpartyAddresses = [] } = {}) {
+  const { data: user, error: userError } = await client
+    .from('users')
+    .select('id')
+    .eq('wallet_address', walletAddress)
+    .maybeSingle();
+
+  if (userError) return { data: null, error: userError };
+  if (!user) return { data: [], error: null };
+
+  const query = client
+    .from('transactions')
+    .select('*')
+    .eq('user_id', user.id);
+
+  return await applyHistoryFilter(query, sanitizeHistoryFilter(filter), { counterpartyAddresses })
+    .order('created_at', { ascending: false })
+    .limit(Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_HISTORY_RESULTS));
+}
@@ -0,0 +1,225 @@
+/**
+ * Idempotency keys
+ * Requests that send or store a payment carry a key the client made for that payment, in the
+ * Idempotency-Key header. The first request with a key claims it (the database keeps a key unique
+ * per wallet and route), runs, and keeps its response; a replay of it, from a double click or a
+ * retried network request, gets that response back instead of running again:
+ *
+ *   claimed, succeeded   The response is kept and every replay returns it
+ *   claimed, failed      The key is released, so the request can be tried again
+ *   claimed, running     A replay is turned away with 409 until the first request finishes
+ *
+ * Only successful responses are kept: a request that failed sent and stored nothing. A key reused
+ * for a different request is turned away with 422.
+ *
+ * The helpers take the Supabase client to use, so the API routes share them with the server client.
+ */
+
+export const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+
+// Keys are client-made IDs, such as UUIDs
+const KEY_PATTERN = /^[A-Za-z0-9_.:-]{8,128}$/;
+
+// Postgres error code for a unique constraint violation
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Turns a value into JSON with its object keys sorted, so equal requests always hash the same
+ * @param {*} value - JSON value
+ * @returns {string} - JSON
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hashes a request body, to tell a replay from a different request with the same key
+ * @param {object} body - Parsed request body
+ * @returns {Promise<string>} - Hex SHA-256 of the body
+ */
+export async function hashRequest(body) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(stableStringify(body)));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Checks an idempotency key is one the client could have made
+ * @param {string} key - Key from the request
+ * @returns {boolean} - True if it's 8 to 128 letters, digits and - _ . :
+ */
+export function isValidIdempotencyKey(key) {
+  return typeof key === 'string' && KEY_PATTERN.test(key);
+}
+
+/**
+ * Makes the idempotency key of a payment from what it pays, so its execution, each report of it and
+ * any retry carry the same key however often they're sent
+ * @param {string} id - What the payment is for: its drafted transaction's ID, or 'request:<id>' for a
+ *   payment request
+ * @param {number[]} legIndexes - For a retry of some of a split's legs, their leg indexes
+ * @returns {string} - Idempotency key
+ */
+export function paymentIdempotencyKey(id, legIndexes = null) {
+  if (!id) throw new Error('A payment needs the ID of what it pays to make its idempotency key');
+  return legIndexes?.length ? `${id}:legs:${legIndexes.join('.')}` : String(id);
+}
+
+/**
+ * Claims a key for a request, or finds the request that claimed it first
+ * @param {object} client - Supabase client
+ * @param {object} params - Claim details
+ * @param {string} params.walletAddress - Wallet making the request
+ * @param {string} params.scope - Route the key is for, e.g. 'ai/execute-transaction'
+ * @param {string} params.key - Idempotency key
+ * @param {string} params.requestHash - hashRequest of the request body
+ * @returns {Promise<object>} - { data, error, status }: data is { claimed: true }, or { claimed: false,
+ *   response: { status, body } } with the response of the request that claimed it
+ */
+export async function claimIdempotencyKey(client, { walletAddress, scope, key, requestHash }) {
+  const address = String(walletAddress || '').toLowerCase();
+
+  const { error } = await client
+    .from('idempotency_keys')
+    .insert([{
+      wallet_address: address,
+      scope,
+      idempotency_key: key,
+      request_hash: requestHash,
+      status: 'processing',
+    }]);
+
+  if (!error) return { data: { claimed: true }, error: null, status: 200 };
+  if (error.code !== UNIQUE_VIOLATION) return { data: null, error, status: 500 };
+
+  const { data: row, error: loadError } = await client
+    .from('idempotency_keys')
+    .select('*')
+    .eq('wallet_address', address)
+    .eq('scope', scope)
+    .eq('idempotency_key', key)
+    .maybeSingle();
+
+  if (loadError) return { data: null, error: loadError, status: 500 };
+
+  // Released between the insert and the lookup; the client can try again
+  if (!row) return { data: null, error: new Error('This request was just retried; try again'), status: 409 };
+
+  if (row.request_hash !== requestHash) {
+    return { data: null, error: new Error('This idempotency key was already used for a different request'), status: 422 };
+  }
+
+  if (row.status !== 'completed') {
+    return { data: null, error: new Error('This request is still being processed'), status: 409 };
+  }
+
+  return {
+    data: { claimed: false, response: { status: row.response_status, body: row.response_body } },
+    error: null,
+    status: 200,
+  };
+}
+
+/**
+ * Keeps the response of the request that claimed a key, for its replays
+ * @param {object} client - Supabase client
+ * @param {object} params - { walletAddress, scope, key, response: { status, body } }
+ * @returns {Promise<object>} - { data, error }
+ */
+export async function completeIdempotencyKey(client, { walletAddress, scope, key, response }) {
+  return client
+    .from('idempotency_keys')
+    .update({
+      status: 'completed',
+      response_status: response.status,
+      response_body: response.body,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('wallet_address', String(walletAddress || '').toLowerCase())
+    .eq('scope', scope)
+    .eq('idempotency_key', key);
+}
+
+/**
+ * Releases a key whose request failed, so it can be tried again
+ * @param {object} client - Supabase client
+ * @param {object} params - { walletAddress, scope, key }
+ * @returns {Promise<object>} - { data, error }
+ */
+export async function releaseIdempotencyKey(client, { walletAddress, scope, key }) {
+  return client
+    .from('idempotency_keys')
+    .delete()
+    .eq('wallet_address', String(walletAddress || '').toLowerCase())
+    .eq('scope', scope)
+    .eq('idempotency_key', key)
+    .eq('status', 'processing');
+}
+
+/**
+ * Runs a route handler at most once per idempotency key
+ * @param {object} client - Supabase client
+ * @param {object} params - Request details
+ * @param {string} params.key - Idempotency key from the request
+ * @param {string} params.scope - Route the key is for
+ * @param {string} params.walletAddress - Wallet making the request
+ * @param {object} params.body - Parsed request body
+ * @param {Function} handler - async () => Response that runs the request
+ * @returns {Promise<Response>} - The handler's response, or the kept response for a replay
+ */
+export async function runIdempotent(client, { key, scope, walletAddress, body }, handler) {
+  const json = (payload, status, headers = {}) => new Response(JSON.stringify(payload), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers },
+  });
+
+  if (!isValidIdempotencyKey(key)) {
+    return json({ error: `${IDEMPOTENCY_KEY_HEADER} must be 8 to 128 letters, digits, dashes, underscores, dots or colons` }, 400);
+  }
+
+  const claim = await claimIdempotencyKey(client, { walletAddress, scope, key, requestHash: await hashRequest(body) });
+
+  if (claim.error) {
+    if (claim.status === 500) {
+      console.error('Error claiming idempotency key:', claim.error);
+      return json({ error: 'Could not check the idempotency key' }, 500);
+    }
+    return json({ error: claim.error.message }, claim.status);
+  }
+
+  if (!claim.data.claimed) {
+    return json(claim.data.response.body, claim.data.response.status, { 'Idempotent-Replayed': 'true' });
+  }
+
+  let response;
+  try {
+    response = await handler();
+  } catch (error) {
+    await releaseIdempotencyKey(client, { walletAddress, scope, key });
+    throw error;
+  }
+
+  if (!response.ok) {
+    const { error } = await releaseIdempotencyKey(client, { walletAddress, scope, key });
+    if (error) console.error('Error releasing idempotency key:', error);
+    return response;
+  }
+
+  // If the response can't be kept the key stays claimed, so replays are turned away rather than run again
+  const { error } = await completeIdempotencyKey(client, {
+    walletAddress,
+    scope,
+    key,
+    response: { status: response.status, body: await response.clone().json() },
+  });
+  if (error) console.error('Error keeping idempotent response:', error);
+
+  return response;
+}
@@ -0,0 +1,551 @@
+/**
+ * Clarification helpers for incomplete payment intents
+ * Detects missing or ambiguous fields in a parsed send/split intent, builds a focused
+ * follow-up question, and merges the user's reply back into the pending intent.
+ * A batch is asked about one incomplete action at a time, in the order the user typed them.
+ * Fields the parse wasn't sure of (suggestions, see lib/intent/confidence.js) are asked as
+ * "did you mean", with the options offered as chips.
+ */
+
+import { normalizeTokenSymbol, SUPPORTED_TOKEN_SYMBOLS } from '../web3/config/tokens';
+import { formatFiat, normalizeFiatCurrency } from '../web3/utils/prices';
+import { getAllocationTokens, parseSplitAllocations, validateSplitAllocations } from '../web3/utils/splits';
+import { BATCH_INTENT, PAYMENT_INTENTS, REQUEST_INTENT } from '../lib/intent/schema';
+import { findNumbers, NUMBER_SOURCE, parseNumber } from '../lib/intent/numbers';
+
+// Intents that move money (or ask for it) and therefore must be complete before we act on them
+export const CLARIFIABLE_INTENTS = [...PAYMENT_INTENTS, REQUEST_INTENT];
+
+// Give up on a pending intent after this many follow-up questions
+export const MAX_CLARIFICATION_TURNS = 3;
+
+// Fields are asked about in this order, one at a time
+const FIELD_ORDER = ['intent', 'recipients', 'amount', 'allocations', 'token'];
+
+const TOKEN_PATTERN = new RegExp(`\\b(${SUPPORTED_TOKEN_SYMBOLS.join('|')}|ether)\\b`, 'i');
+const ADDRESS_PATTERN = /\b0x[a-fA-F0-9]{40}\b/g;
+const HANDLE_PATTERN = /@([\w-]+(\.[\w-]+)*)/g;
+const NAME_PATTERN = /\b[\w-]+\.(base|eth)(\.eth)?\b/gi;
+const CANCEL_PATTERN = /^(cancel|never ?mind|forget (it|that)|stop|no thanks|nope)\b/i;
+const PAYMENT_KEYWORD_PATTERN = /\b(send|pay|transfer|split|divide|request)\b/i;
+const OTHER_REQUEST_PATTERN = /\b(balance|history|transactions)\b/i;
+const FIAT_PREFIX_PATTERN = new RegExp(`([$€£])\\s?(${NUMBER_SOURCE})`, 'i');
+const EQUAL_SPLIT_PATTERN = /\b(equal|equally|evenly|even split)\b/i;
+const FIAT_SUFFIX_PATTERN = new RegExp(`(${NUMBER_SOURCE})\\s?(usd|dollars?|bucks|eur|euros?|gbp|pounds?)\\b`, 'i');
+
+/**
+ * Returns the token named in a piece of text
+ * @param {string} text - Text to search
+ * @returns {string|null} - Canonical token symbol or null if none is mentioned
+ */
+export function extractToken(text) {
+  if (!text) return null;
+  const match = text.match(TOKEN_PATTERN);
+  return match ? normalizeTokenSymbol(match[1]) : null;
+}
+
+/**
+ * Returns the recipients named in a piece of text
+ * @param {string} text - Text to search
+ * @param {boolean} allowBareNames - Treat a plain word reply (e.g. "bob") as a recipient
+ * @returns {string[]} - Recipient handles, names or addresses without the @ prefix
+ */
+export function extractRecipients(text, allowBareNames = false) {
+  if (!text) return [];
+
+  const found = [
+    ...Array.from(text.matchAll(HANDLE_PATTERN), match => match[1]),
+    ...(text.replace(HANDLE_PATTERN, ' ').match(NAME_PATTERN) || []),
+    ...(text.match(ADDRESS_PATTERN) || []),
+  ];
+
+  if (found.length === 0 && allowBareNames) {
+    // Accept replies like "bob", "to bob" or "bob and alice"
+    const words = text
+      .replace(/^\s*(to|for|send it to|pay)\s+/i, '')
+      .split(/\s*(?:,|\band\b|&)\s*/i)
+      .map(word => word.trim())
+      .filter(word => /^[a-z][\w.-]*$/i.test(word) && !TOKEN_PATTERN.test(word));
+    found.push(...words);
+  }
+
+  return Array.from(new Set(found));
+}
+
+/**
+ * Returns the amount named in a piece of text, ignoring digits inside addresses and handles
+ * (see lib/intent/numbers.js for the numbers it reads)
+ * @param {string} text - Text to search
+ * @returns {number|null} - Amount or null if none is mentioned
+ */
+export function extractAmount(text) {
+  if (!text) return null;
+  const stripped = text.replace(ADDRESS_PATTERN, ' ').replace(HANDLE_PATTERN, ' ').replace(NAME_PATTERN, ' ');
+  return findNumbers(stripped)[0]?.value ?? null;
+}
+
+/**
+ * Returns the fiat amount named in a piece of text ("$25", "60 USD", "10 euros")
+ * @param {string} text - Text to search
+ * @returns {object|null} - { amount, currency } or null if no fiat amount is mentioned
+ */
+export function extractFiatAmount(text) {
+  if (!text) return null;
+
+  const prefix = text.match(FIAT_PREFIX_PATTERN);
+  if (prefix) {
+    return { amount: parseNumber(prefix[2]), currency: normalizeFiatCurrency(prefix[1]) };
+  }
+
+  const suffix = text.match(FIAT_SUFFIX_PATTERN);
+  if (suffix) {
+    return { amount: parseNumber(suffix[1]), currency: normalizeFiatCurrency(suffix[2]) };
+  }
+
+  return null;
+}
+
+/**
+ * Moves a fiat-denominated amount out of the token amount field. The token amount is
+ * worked out from the price at confirmation time, so it's left empty here.
+ * Fiat fields the model returned without the user typing them (or referring back to them) are dropped.
+ * @param {object} parsedData - Parsed intent from the chat route
+ * @returns {object} - Parsed intent with fiat_amount and fiat_currency when the user typed one
+ */
+export function annotateFiatAmount(parsedData) {
+  if (!parsedData || !CLARIFIABLE_INTENTS.includes(parsedData.intent)) return parsedData;
+
+  const fiat = extractFiatAmount(parsedData.raw_message);
+  if (!fiat) {
+    // Keep a fiat amount carried over from an earlier payment in the conversation
+    if ((parsedData.context_fields || []).includes('amount')) return parsedData;
+
+    const { fiat_amount, fiat_currency, ...rest } = parsedData;
+    return rest;
+  }
+
+  return {
+    ...parsedData,
+    amount: null,
+    fiat_amount: fiat.amount,
+    fiat_currency: fiat.currency,
+  };
+}
+
+/**
+ * Applies per-recipient shares typed in the message ("50% @alice, 50% @bob" or
+ * "0.2 to @a and 0.35 to @b"). A send to several people with their own amounts becomes
+ * a custom split; without a stated total, a custom split's total is the sum of its shares, in the
+ * token typed next to them. Shares keep the token typed next to each; shares in different tokens
+ * ("5 USDC to @bob and 3 DAI to @carol") get no total, and lib/intent pays them as separate sends.
+ * @param {object} parsedData - Parsed intent from the chat route
+ * @returns {object} - Parsed intent with split_type and allocations
+ */
+export function annotateSplitAllocations(parsedData) {
+  if (!parsedData || !PAYMENT_INTENTS.includes(parsedData.intent)) return parsedData;
+
+  const split = parseSplitAllocations(parsedData.raw_message);
+  if (!split) {
+    // Keep shares carried over from an earlier split in the conversation
+    if ((parsedData.context_fields || []).includes('recipients')) return parsedData;
+
+    // Shares the model returned without the user typing them can't be trusted
+    const { allocations, ...rest } = parsedData;
+    if (rest.intent === 'split' && rest.split_type !== 'equal') {
+      rest.split_type = 'equal';
+    }
+    return rest;
+  }
+
+  const allocated = split.allocations.map(allocation => allocation.recipient);
+  const others = (parsedData.recipients || []).filter(recipient => !allocated.includes(recipient));
+  const statedTotal = extractAmount(split.remainder);
+  const tokens = getAllocationTokens(split.allocations);
+
+  let amount = statedTotal;
+  if (parsedData.fiat_amount) {
+    amount = null;
+  } else if (amount === null && split.splitType === 'custom') {
+    amount = split.allocatedTotal;
+  }
+
+  return {
+    ...parsedData,
+    intent: 'split',
+    split_type: split.splitType,
+    allocations: split.allocations,
+    recipients: [...allocated, ...others],
+    amount,
+    // A stated total keeps its own token, so shares in another one don't pass validation
+    token: statedTotal === null && tokens.length > 0 ? tokens[0] : parsedData.token,
+  };
+}
+
+/**
+ * Describes the amount of an intent, e.g. "0.1 ETH" or "$25.00 of ETH"
+ * @param {object} parsedData - Parsed intent
+ * @param {string} token - Token symbol to show, if known
+ * @returns {string|null} - Amount text, or null if no amount is known
+ */
+export function describeAmount(parsedData, token = parsedData.token) {
+  if (parsedData.fiat_amount) {
+    const fiat = formatFiat(parsedData.fiat_amount, parsedData.fiat_currency);
+    return token ? `${fiat} of ${token}` : fiat;
+  }
+
+  return parsedData.amount ? `${parsedData.amount}${token ? ` ${token}` : ''}` : null;
+}
+
+/**
+ * Records which fields the user actually typed, so values the model filled in by default
+ * (a guessed amount, an implied ETH) are still treated as missing
+ * @param {object} parsedData - Parsed intent from the chat route
+ * @returns {object} - Parsed intent with amount_specified and token_specified flags
+ */
+export function annotateSpecifiedFields(parsedData) {
+  if (!parsedData || !CLARIFIABLE_INTENTS.includes(parsedData.intent)) return parsedData;
+
+  const raw = parsedData.raw_message || '';
+  return {
+    ...parsedData,
+    amount_specified: parsedData.amount_specified ?? extractAmount(raw) !== null,
+    token_specified: parsedData.token_specified ?? extractToken(raw) !== null,
+  };
+}
+
+/**
+ * Maps a parsed intent onto the arguments of the split helpers
+ * @param {object} parsedData - Parsed split intent
+ * @returns {object} - { amount, recipients, splitType, allocations, token }
+ */
+function toSplitDetails(parsedData) {
+  return {
+    amount: parsedData.amount,
+    recipients: parsedData.recipients || [],
+    splitType: parsedData.split_type,
+    allocations: parsedData.allocations,
+    token: parsedData.token,
+  };
+}
+
+/**
+ * Finds the first action of a batch that still needs something
+ * @param {object} batch - Batch intent
+ * @returns {object|null} - { index, action, missing } or null if every action is complete
+ */
+function findIncompleteAction(batch) {
+  const actions = batch.actions || [];
+
+  for (let index = 0; index < actions.length; index++) {
+    const missing = getMissingFields(actions[index]);
+    if (missing.length > 0) {
+      return { index, action: actions[index], missing };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Lists the fields a send, split or request intent still needs before it can be proposed
+ * @param {object} parsedData - Parsed intent
+ * @returns {string[]} - Missing field names ('recipients', 'amount', 'token'), in asking order, with
+ *   the fields that have suggestions ('intent' among them) counted as missing; for a batch, those of
+ *   its first incomplete action
+ */
+export function getMissingFields(parsedData) {
+  if (parsedData?.intent === BATCH_INTENT) {
+    return findIncompleteAction(parsedData)?.missing || [];
+  }
+
+  if (!parsedData || !CLARIFIABLE_INTENTS.includes(parsedData.intent)) return [];
+
+  // Shares in different tokens can't be one split, whatever else is missing
+  if (parsedData.intent === 'split' && getAllocationTokens(parsedData.allocations).length > 1) {
+    return ['allocations'];
+  }
+
+  const missing = [];
+  const recipients = parsedData.recipients || [];
+  const amount = parseFloat(parsedData.amount) || parseFloat(parsedData.fiat_amount);
+
+  if (recipients.length === 0 || (parsedData.intent === 'split' && recipients.length < 2)) {
+    missing.push('recipients');
+  }
+
+  if (!(amount > 0) || parsedData.amount_specified === false) {
+    missing.push('amount');
+  }
+
+  if (parsedData.intent === 'split' && parsedData.allocations?.length && missing.length === 0 &&
+      !validateSplitAllocations(toSplitDetails(parsedData)).valid) {
+    missing.push('allocations');
+  }
+
+  if (parsedData.token_specified === false) {
+    missing.push('token');
+  }
+
+  // Unsure fields are asked about rather than guessed
+  missing.push(...Object.keys(parsedData.suggestions || {}));
+
+  return FIELD_ORDER.filter(field => missing.includes(field));
+}
+
+// Said before the question when the parse had a value for the field that the message didn't support
+const UNVERIFIED_NOTES = {
+  recipients: "I couldn't find that recipient in your message, so I left it out.",
+  amount: "I couldn't find that amount in your message, so I left it out.",
+  token: "I couldn't find that token in your message.",
+};
+
+/**
+ * Builds a single focused follow-up question for the first missing field. When the field was
+ * dropped for not appearing in the message (see lib/intent/validate.js), the question says so.
+ * @param {object} parsedData - Parsed intent
+ * @param {string[]} missingFields - Fields returned by getMissingFields
+ * @returns {string} - Question to show the user
+ */
+export function buildClarificationQuestion(parsedData, missingFields) {
+  const question = buildFieldQuestion(parsedData, missingFields);
+  const field = missingFields[0];
+
+  if (!(parsedData.unverified_fields || []).includes(field) || !UNVERIFIED_NOTES[field]) return question;
+  return question.replace(/^🤖 /, `🤖 ${UNVERIFIED_NOTES[field]} `);
+}
+
+/**
+ * Builds the question for the first missing field
+ * @param {object} parsedData - Parsed intent
+ * @param {string[]} missingFields - Fields returned by getMissingFields
+ * @returns {string} - Question to show the user
+ */
+function buildFieldQuestion(parsedData, missingFields) {
+  if (parsedData.intent === BATCH_INTENT) {
+    const pending = findIncompleteAction(parsedData);
+    if (pending) {
+      const question = buildClarificationQuestion(pending.action, pending.missing);
+      return question.replace(/^🤖 /, `🤖 About payment ${pending.index + 1} of ${parsedData.actions.length}: `);
+    }
+  }
+
+  const { intent, recipients = [] } = parsedData;
+  const token = parsedData.token_specified !== false ? parsedData.token : null;
+  const amount = parsedData.amount_specified !== false ? describeAmount(parsedData, token) : null;
+  const recipientText = recipients.map(r => `@${r}`).join(' and ');
+  const field = missingFields[0];
+
+  const suggestion = parsedData.suggestions?.[field];
+  if (suggestion && field !== 'token') {
+    const options = joinOptions(suggestion.options.map(option => option.label));
+    if (field === 'intent') {
+      return `🤖 I want to be sure I've got this right. Did you mean: ${options}?`;
+    }
+    if (field === 'recipients') {
+      return `🤖 I don't know @${suggestion.value}. Did you mean ${options}?`;
+    }
+    return `🤖 I found more than one amount in your message. Did you mean ${options}?`;
+  }
+
+  if (field === 'recipients') {
+    if (intent === 'split' && recipients.length === 1) {
+      return `🤖 Who else should share ${amount ? `the ${amount}` : 'this payment'} with ${recipientText}? A split needs at least two recipients.`;
+    }
+    const what = amount || 'this payment';
+    if (intent === REQUEST_INTENT) {
+      return `🤖 Who should I request ${amount || 'the money'} from? Reply with a Base name like @alice.base or a wallet address.`;
+    }
+    return intent === 'split'
+      ? `🤖 Who should I split ${what} between? Reply with Base names like @alice.base or wallet addresses.`
+      : `🤖 Who should I send ${what} to? Reply with a Base name like @alice.base or a wallet address.`;
+  }
+
+  if (field === 'amount') {
+    const unit = token || 'crypto';
+    if (intent === REQUEST_INTENT) {
+      return `🤖 How much ${unit} would you like to request from ${recipientText}?`;
+    }
+    return intent === 'split'
+      ? `🤖 How much ${unit} should I split between ${recipientText}?`
+      : `🤖 How much ${unit} would you like to send to ${recipientText}?`;
+  }
+
+  if (field === 'allocations') {
+    const { error } = validateSplitAllocations(toSplitDetails(parsedData));
+    return `🤖 ${error} How should I split ${amount || 'it'}? You can give percentages (50% @alice, 50% @bob), amounts (0.2 to @alice, 0.3 to @bob) or say "equally".`;
+  }
+
+  if (field === 'token') {
+    if (parsedData.fiat_amount) {
+      return `🤖 Which token should I use for ${amount} — ${SUPPORTED_TOKEN_SYMBOLS.join(', ')}?`;
+    }
+    const options = SUPPORTED_TOKEN_SYMBOLS.map(symbol => `${amount} ${symbol}`);
+    return `🤖 Which token did you mean — ${options.slice(0, -1).join(', ')} or ${options[options.length - 1]}?`;
+  }
+
+  return `🤖 Could you tell me a bit more about the payment you'd like to make?`;
+}
+
+/**
+ * Joins options for a question: "a", "a or b", "a, b or c"
+ * @param {string[]} options - Option labels
+ * @returns {string} - Joined text
+ */
+function joinOptions(options) {
+  return options.length > 1 ? `${options.slice(0, -1).join(', ')} or ${options[options.length - 1]}` : options[0] || '';
+}
+
+/**
+ * Checks if a reply abandons the pending intent
+ * @param {string} text - User reply
+ * @returns {boolean} - True if the user wants to cancel
+ */
+export function isCancelReply(text) {
+  return CANCEL_PATTERN.test((text || '').trim());
+}
+
+/**
+ * Checks if a reply is a new request rather than an answer to the pending question.
+ * "send it to @bob" still answers the question; "send 2 USDC to @carol" starts over.
+ * @param {string} text - User reply
+ * @returns {boolean} - True if the reply should be parsed on its own
+ */
+export function isFreshRequest(text) {
+  const trimmed = (text || '').trim();
+  if (trimmed.endsWith('?') || OTHER_REQUEST_PATTERN.test(trimmed)) return true;
+
+  return PAYMENT_KEYWORD_PATTERN.test(trimmed) &&
+    extractAmount(trimmed) !== null &&
+    extractRecipients(trimmed).length > 0;
+}
+
+/**
+ * Merges a user's reply into a pending intent
+ * @param {object} pending - Pending intent stored on the conversation
+ * @param {string} replyText - The user's reply
+ * @returns {object} - Updated intent (may still be incomplete)
+ */
+export function mergeClarificationReply(pending, replyText) {
+  if (pending.intent === BATCH_INTENT) {
+    return mergeBatchReply(pending, replyText);
+  }
+
+  const text = (replyText || '').trim();
+  const asked = pending.missing_fields || getMissingFields(pending);
+  const merged = {
+    ...pending,
+    recipients: [...(pending.recipients || [])],
+    raw_message: [pending.raw_message, text].filter(Boolean).join('\n'),
+    clarification_turns: (pending.clarification_turns || 0) + 1,
+  };
+
+  // The answer to a "did you mean" stands in for what the parse had
+  const suggestion = pending.suggestions?.[asked[0]];
+  const answered = asked[0];
+
+  if (answered === 'intent' && suggestion) {
+    const chosen = suggestion.options.find(option =>
+      option.reply.toLowerCase() === text.toLowerCase() || new RegExp(`\\b${option.value}\\b`, 'i').test(text)
+    );
+    if (chosen) merged.intent = chosen.value;
+  }
+
+  const recipients = extractRecipients(text, asked[0] === 'recipients');
+  if (recipients.length > 0 && answered === 'recipients' && suggestion) {
+    const replace = recipient => (recipient === suggestion.value ? recipients[0] : recipient);
+    merged.recipients = Array.from(new Set(merged.recipients.map(replace)));
+    if (merged.allocations) {
+      merged.allocations = merged.allocations.map(allocation => ({ ...allocation, recipient: replace(allocation.recipient) }));
+    }
+  } else if (recipients.length > 0 && asked.includes('recipients')) {
+    merged.recipients = merged.intent === 'split'
+      ? Array.from(new Set([...merged.recipients, ...recipients]))
+      : [recipients[0]];
+  }
+
+  // New shares replace the old ones; "equally" drops them
+  const split = merged.intent === 'split' ? parseSplitAllocations(text) : null;
+  if (split) {
+    merged.split_type = split.splitType;
+    merged.allocations = split.allocations;
+    merged.recipients = Array.from(new Set([...merged.recipients, ...split.allocations.map(a => a.recipient)]));
+  } else if (merged.intent === 'split' && EQUAL_SPLIT_PATTERN.test(text)) {
+    merged.split_type = 'equal';
+    delete merged.allocations;
+  }
+
+  // "$25" replaces the amount with a fiat one; a plain number replaces any fiat amount.
+  // Numbers that are part of the shares don't count.
+  const amountText = split ? split.remainder : text;
+  const fiat = extractFiatAmount(amountText);
+  const amount = extractAmount(amountText);
+  if (fiat && fiat.amount > 0) {
+    merged.amount = null;
+    merged.fiat_amount = fiat.amount;
+    merged.fiat_currency = fiat.currency;
+    merged.amount_specified = true;
+  } else if (amount !== null && amount > 0) {
+    merged.amount = amount;
+    delete merged.fiat_amount;
+    delete merged.fiat_currency;
+    merged.amount_specified = true;
+  }
+
+  const token = extractToken(text);
+  if (token) {
+    merged.token = token;
+    merged.token_specified = true;
+  }
+
+  // A suggestion is settled once the reply answers it
+  if (suggestion) {
+    const settled = {
+      intent: merged.intent !== pending.intent || new RegExp(`\\b${pending.intent}\\b`, 'i').test(text),
+      recipients: recipients.length > 0,
+      amount: amount !== null || !!fiat,
+      token: !!token,
+    }[answered];
+
+    if (settled) {
+      const { [answered]: _settled, ...rest } = merged.suggestions;
+      merged.suggestions = Object.keys(rest).length > 0 ? rest : undefined;
+    }
+  }
+
+  merged.missing_fields = getMissingFields(merged);
+  merged.needs_clarification = merged.missing_fields.length > 0;
+
+  return merged;
+}
+
+/**
+ * Merges a user's reply into the action of a pending batch that the question was about
+ * @param {object} pending - Pending batch intent
+ * @param {string} replyText - The user's reply
+ * @returns {object} - Updated batch (may still be incomplete)
+ */
+function mergeBatchReply(pending, replyText) {
+  const text = (replyText || '').trim();
+  const incomplete = findIncompleteAction(pending);
+  const actions = [...(pending.actions || [])];
+
+  if (incomplete) {
+    actions[incomplete.index] = mergeClarificationReply(
+      { ...incomplete.action, missing_fields: incomplete.missing },
+      text
+    );
+  }
+
+  const merged = {
+    ...pending,
+    actions,
+    recipients: Array.from(new Set(actions.flatMap(action => action.recipients || []))),
+    raw_message: [pending.raw_message, text].filter(Boolean).join('\n'),
+    clarification_turns: (pending.clarification_turns || 0) + 1,
+  };
+
+  merged.missing_fields = getMissingFields(merged);
+  merged.needs_clarification = merged.missing_fields.length > 0;
+
+  return merged;
+}
@@ -0,0 +1,325 @@
+/**
+ * Payment requests
+ * "request 20 USDC from @alice" stores a request that @alice can pay or decline. A request is
+ * 'open' until the payer pays it (the paying transaction is linked through
+ * transactions.payment_request_id), declines it, or it passes expires_at:
+ *
+ *   open → paid | declined | expired
+ *
+ * The helpers that touch the database take the Supabase client to use, so the API routes and
+ * the chat route share them with the server client.
+ */
+
+import { erc20Abi, isAddress, parseAbiItem, parseEventLogs, TransactionReceiptNotFoundError } from 'viem';
+import { resolveBaseName } from '@/web3/utils/baseNameService';
+import { getToken, isNativeToken, parseTokenAmount } from '@/web3/config/tokens';
+import { createReceiptClients } from '@/lib/receipts';
+
+// LucraWallet's event for ETH it sends; the ETH itself moves inside the call, where a receipt can't see it
+const SMART_WALLET_SENT_EVENT = parseAbiItem('event Sent(address indexed recipient, uint256 amount, string memo)');
+
+export const PAYMENT_REQUEST_STATUSES = ['open', 'paid', 'declined', 'expired'];
+
+// Statuses each status may move to; paid, declined and expired are final
+export const PAYMENT_REQUEST_TRANSITIONS = {
+  open: ['paid', 'declined', 'expired'],
+  paid: [],
+  declined: [],
+  expired: [],
+};
+
+// Requests nobody acts on expire after this many days
+export const PAYMENT_REQUEST_EXPIRY_DAYS = 7;
+
+/**
+ * Checks whether a request may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @returns {boolean} - True if the transition is allowed
+ */
+export function canTransitionPaymentRequest(from, to) {
+  return (PAYMENT_REQUEST_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Returns a request's status as of now. An open request past its expiry is expired even
+ * before the database catches up.
+ * @param {object} request - payment_requests row
+ * @param {Date} now - Current time
+ * @returns {string} - One of PAYMENT_REQUEST_STATUSES
+ */
+export function getPaymentRequestStatus(request, now = new Date()) {
+  if (request?.status === 'open' && request.expires_at && new Date(request.expires_at) <= now) {
+    return 'expired';
+  }
+  return request?.status || 'open';
+}
+
+/**
+ * Describes a request in words, e.g. "20 USDC from @alice for the concert tickets"
+ * @param {object} request - payment_requests row
+ * @returns {string} - Description
+ */
+export function describePaymentRequest(request) {
+  const note = request.note ? ` ${request.note}` : '';
+  return `${request.amount} ${request.token} from @${request.payer_handle}${note}`;
+}
+
+/**
+ * Creates a payment request for each person asked to pay
+ * @param {object} client - Supabase client
+ * @param {object} params - Request details
+ * @param {string} params.walletAddress - Requester's wallet address
+ * @param {string[]} params.payers - Handles, Base Names or addresses of the people asked to pay
+ * @param {number} params.amount - Amount each payer is asked for, in whole tokens
+ * @param {string} params.token - Token symbol
+ * @param {string} params.note - Reason for the request, if any
+ * @param {string} params.conversationId - Chat conversation the request was made in, if any
+ * @returns {Promise<object>} - { data, error, status }; data lists the stored requests, each with
+ *   payer_is_user telling whether the payer has a Lucra account
+ */
+export async function createPaymentRequests(client, { walletAddress, payers, amount, token, note = null, conversationId = null }) {
+  const requester = String(walletAddress || '').toLowerCase();
+  const expiresAt = new Date(Date.now() + PAYMENT_REQUEST_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+  if (!requester || !(parseFloat(amount) > 0) || !payers?.length) {
+    return { data: null, error: new Error('A payment request needs a wallet address, an amount and someone to ask'), status: 400 };
+  }
+
+  const rows = [];
+  for (const payer of payers) {
+    const resolved = await resolveBaseName(payer);
+    const payerAddress = resolved && isAddress(resolved) ? resolved.toLowerCase() : null;
+
+    if (payerAddress === requester) {
+      return { data: null, error: new Error("You can't request a payment from your own wallet"), status: 400 };
+    }
+
+    rows.push({
+      requester_address: requester,
+      payer_handle: String(payer).replace(/^@/, ''),
+      payer_address: payerAddress,
+      amount,
+      token,
+      note,
+      status: 'open',
+      conversation_id: conversationId,
+      expires_at: expiresAt.toISOString(),
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    });
+  }
+
+  const { data, error } = await client
+    .from('payment_requests')
+    .insert(rows)
+    .select();
+
+  if (error) return { data: null, error, status: 500 };
+
+  // Payers with a Lucra account see the request in their chat
+  const payerAddresses = data.map(request => request.payer_address).filter(Boolean);
+  const { data: users } = payerAddresses.length > 0
+    ? await client.from('users').select('wallet_address').in('wallet_address', payerAddresses)
+    : { data: [] };
+  const members = new Set((users || []).map(user => user.wallet_address));
+
+  return {
+    data: data.map(request => ({ ...request, payer_is_user: members.has(request.payer_address) })),
+    error: null,
+    status: 200,
+  };
+}
+
+/**
+ * Marks open requests past their expiry as expired
+ * @param {object} client - Supabase client
+ * @returns {Promise<object>} - { error }
+ */
+export async function expirePaymentRequests(client) {
+  const { error } = await client
+    .from('payment_requests')
+    .update({ status: 'expired', updated_at: new Date().toISOString() })
+    .eq('status', 'open')
+    .lt('expires_at', new Date().toISOString());
+
+  return { error };
+}
+
+/**
+ * Lists the requests a wallet made and the ones it was asked to pay, newest first
+ * @param {object} client - Supabase client
+ * @param {string} walletAddress - The user's wallet address
+ * @param {object} options - List options
+ * @param {string} options.status - Only return requests with this status
+ * @returns {Promise<object>} - { data: { incoming, outgoing }, error }
+ */
+export async function listPaymentRequests(client, walletAddress, { status = null } = {}) {
+  const address = String(walletAddress || '').toLowerCase();
+
+  const { error: expireError } = await expirePaymentRequests(client);
+  if (expireError) {
+    console.error('Error expiring payment requests:', expireError);
+  }
+
+  const query = (column) => {
+    let builder = client.from('payment_requests').select('*').eq(column, address);
+    if (PAYMENT_REQUEST_STATUSES.includes(status)) builder = builder.eq('status', status);
+    return builder.order('created_at', { ascending: false });
+  };
+
+  const [incoming, outgoing] = await Promise.all([query('payer_address'), query('requester_address')]);
+  const error = incoming.error || outgoing.error;
+
+  return error
+    ? { data: null, error }
+    : { data: { incoming: incoming.data || [], outgoing: outgoing.data || [] }, error: null };
+}
+
+/**
+ * Checks on chain that a transaction paid a request: it succeeded, and it moved at least the
+ * requested amount of the requested token to the requester from the payer's wallet or smart wallet
+ * @param {object} publicClient - viem public client for the chain the transaction was sent on
+ * @param {object} params - What to check
+ * @param {object} params.request - payment_requests row
+ * @param {string} params.transactionHash - Hash of the paying transaction
+ * @param {number} params.chainId - Chain the transaction was sent on
+ * @param {string} params.smartWalletAddress - Payer's linked smart wallet, if any
+ * @returns {Promise<string|null>} - Why the transaction doesn't pay the request, or null if it does
+ */
+async function checkRequestPayment(publicClient, { request, transactionHash, chainId, smartWalletAddress }) {
+  const requester = request.requester_address.toLowerCase();
+  const senders = [request.payer_address, smartWalletAddress].filter(Boolean).map(address => address.toLowerCase());
+
+  let receipt;
+  try {
+    receipt = await publicClient.getTransactionReceipt({ hash: transactionHash });
+  } catch (error) {
+    if (error instanceof TransactionReceiptNotFoundError) return 'The paying transaction isn\'t confirmed yet';
+    throw error;
+  }
+  if (receipt.status !== 'success') return 'The paying transaction failed';
+
+  const native = isNativeToken(request.token);
+  const token = native ? { symbol: 'ETH', decimals: 18, native: true } : getToken(request.token, chainId);
+  if (!token) return `${request.token} isn't available on this network`;
+  const required = parseTokenAmount(request.amount, token);
+
+  if (native) {
+    const transaction = await publicClient.getTransaction({ hash: transactionHash });
+    if (transaction.from.toLowerCase() === senders[0] && transaction.to?.toLowerCase() === requester && transaction.value >= required) {
+      return null;
+    }
+
+    const sent = parseEventLogs({ abi: [SMART_WALLET_SENT_EVENT], logs: receipt.logs, strict: true });
+    return sent.some(log => senders.includes(log.address.toLowerCase())
+      && log.args.recipient.toLowerCase() === requester
+      && log.args.amount >= required)
+      ? null
+      : `The transaction didn't send ${request.amount} ETH from the payer to the requester`;
+  }
+
+  const transfers = parseEventLogs({ abi: erc20Abi, eventName: 'Transfer', logs: receipt.logs, strict: true });
+  return transfers.some(log => log.address.toLowerCase() === token.address.toLowerCase()
+    && senders.includes(log.args.from.toLowerCase())
+    && log.args.to.toLowerCase() === requester
+    && log.args.value >= required)
+    ? null
+    : `The transaction didn't send ${request.amount} ${token.symbol} from the payer to the requester`;
+}
+
+/**
+ * Moves a request to a new status on behalf of a user. Only the payer can pay or decline a
+ * request, and only while it is open; paying records the hash of the transaction that paid it
+ * (the transactions row itself points back through payment_request_id). A request is only paid by
+ * a confirmed transaction linked to it that the chain shows paying the requester in full.
+ * @param {object} client - Supabase client
+ * @param {object} params - Update details
+ * @param {string} params.requestId - Request ID
+ * @param {string} params.walletAddress - Wallet address of the user making the change
+ * @param {string} params.status - New status ('paid' or 'declined')
+ * @param {string} params.transactionHash - For 'paid', the hash of the paying transaction
+ * @param {object} options - Update options
+ * @param {Function} options.getClient - (chainId) => viem public client, or null if there is no RPC for
+ *   the chain (defaults to the receipt poller's clients)
+ * @returns {Promise<object>} - { data, error, status } with an HTTP status for the error, if any
+ */
+export async function updatePaymentRequestStatus(client, { requestId, walletAddress, status, transactionHash = null }, { getClient = createReceiptClients() } = {}) {
+  const address = String(walletAddress || '').toLowerCase();
+
+  const { data: request, error: loadError } = await client
+    .from('payment_requests')
+    .select('*')
+    .eq('id', requestId)
+    .maybeSingle();
+
+  if (loadError) return { data: null, error: loadError, status: 500 };
+  if (!request) return { data: null, error: new Error('Payment request not found'), status: 404 };
+
+  if (request.payer_address !== address) {
+    return { data: null, error: new Error('Only the person asked to pay can update this request'), status: 403 };
+  }
+
+  const current = getPaymentRequestStatus(request);
+  if (!canTransitionPaymentRequest(current, status) || status === 'expired') {
+    return { data: null, error: new Error(`This request is already ${current}`), status: 409 };
+  }
+
+  if (status === 'paid' && !transactionHash) {
+    return { data: null, error: new Error('A paid request needs the hash of the transaction that paid it'), status: 400 };
+  }
+
+  if (status === 'paid') {
+    const { data: transaction, error: transactionError } = await client
+      .from('transactions')
+      .select('status, chain_id')
+      .eq('transaction_hash', transactionHash)
+      .eq('payment_request_id', requestId)
+      .maybeSingle();
+
+    if (transactionError) return { data: null, error: transactionError, status: 500 };
+    if (!transaction || !['confirmed', 'completed'].includes(transaction.status)) {
+      return { data: null, error: new Error('A request is paid by a confirmed transaction stored for it'), status: 409 };
+    }
+
+    const publicClient = transaction.chain_id ? getClient(Number(transaction.chain_id)) : null;
+    if (!publicClient) {
+      return { data: null, error: new Error('The paying transaction can\'t be checked on its chain'), status: 409 };
+    }
+
+    const { data: payer, error: payerError } = await client
+      .from('users')
+      .select('smart_wallet_address')
+      .eq('wallet_address', address)
+      .maybeSingle();
+
+    if (payerError) return { data: null, error: payerError, status: 500 };
+
+    const mismatch = await checkRequestPayment(publicClient, {
+      request,
+      transactionHash,
+      chainId: Number(transaction.chain_id),
+      smartWalletAddress: payer?.smart_wallet_address || null,
+    });
+    if (mismatch) return { data: null, error: new Error(mismatch), status: 409 };
+  }
+
+  const now = new Date().toISOString();
+  const changes = status === 'paid'
+    ? { status, transaction_hash: transactionHash, paid_at: now, updated_at: now }
+    : { status, updated_at: now };
+
+  // Guard on the status read above, so a request can't be paid and declined at the same time
+  const { data, error } = await client
+    .from('payment_requests')
+    .update(changes)
+    .eq('id', requestId)
+    .eq('status', 'open')
+    .select()
+    .maybeSingle();
+
+  if (error) return { data: null, error, status: 500 };
+  if (!data) return { data: null, error: new Error('This request was updated by someone else'), status: 409 };
+
+  return { data, error: null, status: 200 };
+}
@@ -0,0 +1,240 @@
+/**
+ * Payment rules
+ * "if @bob pays me, forward 10% to @savings" stores a rule that the rule engine (lib/rules) fires
+ * whenever its trigger does. The owner can pause, resume or delete it; the engine completes a date
+ * rule whose schedule has run out:
+ *
+ *   active → paused | completed
+ *   paused → active
+ *
+ * The helpers that touch the database take the Supabase client to use, so the API routes share
+ * them with the server client.
+ */
+
+import { isAddress } from 'viem';
+import { resolveBaseName } from '@/web3/utils/baseNameService';
+import { getFirstRunAt, getNextRunAt } from '@/lib/schedules/recurrence';
+import { systemClock } from '@/lib/schedules/worker';
+import { RULE_TRIGGERS, sanitizeRule } from '@/lib/rules/model';
+import { createRuleEngine } from '@/lib/rules/engine';
+import { createSupabaseRuleStore } from '@/lib/rules/store';
+import { createAgentRuleActions } from '@/lib/rules/actions';
+
+export const RULE_STATUSES = ['active', 'paused', 'completed'];
+
+// Statuses each status may move to; completed is final
+export const RULE_TRANSITIONS = {
+  active: ['paused', 'completed'],
+  paused: ['active'],
+  completed: [],
+};
+
+// What the owner can do to a rule, and the status each action moves it to (delete removes it)
+export const RULE_ACTIONS = {
+  pause: 'paused',
+  resume: 'active',
+  delete: null,
+};
+
+/**
+ * Checks whether a rule may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @returns {boolean} - True if the transition is allowed
+ */
+export function canTransitionRule(from, to) {
+  return (RULE_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Stores a payment rule
+ * @param {object} client - Supabase client
+ * @param {object} params - Rule details
+ * @param {string} params.walletAddress - Owner's wallet address
+ * @param {object} params.rule - Rule from a rule intent (see lib/rules/model.js)
+ * @param {boolean} params.useTestnet - Whether the rule's payments use Base Sepolia
+ * @returns {Promise<object>} - { data, error, status } with an HTTP status for the error, if any
+ */
+export async function createPaymentRule(client, { walletAddress, rule, useTestnet = false }) {
+  const address = String(walletAddress || '').toLowerCase();
+  const cleanRule = sanitizeRule(rule);
+
+  if (!address || !cleanRule) {
+    return { data: null, error: new Error('A payment rule needs a wallet address, a trigger and a payment'), status: 400 };
+  }
+
+  const { trigger } = cleanRule;
+
+  // Incoming payments are matched on the sender's address, so resolve the name once now
+  if (trigger.type === RULE_TRIGGERS.INCOMING && trigger.from) {
+    const resolved = await resolveBaseName(trigger.from, useTestnet);
+    if (!resolved || !isAddress(resolved)) {
+      return { data: null, error: new Error(`Could not resolve ${trigger.from} to an address`), status: 400 };
+    }
+    trigger.from_address = resolved.toLowerCase();
+  }
+
+  // The agent pays every rule from the owner's smart wallet
+  const { data: user, error: userError } = await client
+    .from('users')
+    .select('smart_wallet_address')
+    .eq('wallet_address', address)
+    .maybeSingle();
+
+  if (userError) return { data: null, error: userError, status: 500 };
+  if (!user?.smart_wallet_address) {
+    return { data: null, error: new Error('Rules are paid by the agent from your smart wallet, but none is linked to your account'), status: 400 };
+  }
+  const smartWalletAddress = user.smart_wallet_address.toLowerCase();
+
+  let nextRunAt = null;
+  if (trigger.type === RULE_TRIGGERS.DATE) {
+    nextRunAt = getFirstRunAt(trigger.schedule);
+    if (!nextRunAt) {
+      return { data: null, error: new Error('This schedule never runs'), status: 400 };
+    }
+  }
+
+  const { data, error } = await client
+    .from('payment_rules')
+    .insert([{
+      wallet_address: address,
+      smart_wallet_address: smartWalletAddress,
+      trigger_type: trigger.type,
+      trigger,
+      conditions: cleanRule.conditions,
+      action: cleanRule.action,
+      status: 'active',
+      next_run_at: nextRunAt ? nextRunAt.toISOString() : null,
+      use_testnet: Boolean(useTestnet),
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    }])
+    .select()
+    .single();
+
+  if (error) return { data: null, error, status: 500 };
+  return { data, error: null, status: 200 };
+}
+
+/**
+ * Lists a wallet's payment rules, newest first
+ * @param {object} client - Supabase client
+ * @param {string} walletAddress - The user's wallet address
+ * @param {object} options - List options
+ * @param {string} options.status - Only return rules with this status
+ * @returns {Promise<object>} - { data, error }
+ */
+export async function listPaymentRules(client, walletAddress, { status = null } = {}) {
+  let query = client
+    .from('payment_rules')
+    .select('*')
+    .eq('wallet_address', String(walletAddress || '').toLowerCase());
+
+  if (RULE_STATUSES.includes(status)) query = query.eq('status', status);
+
+  const { data, error } = await query.order('created_at', { ascending: false });
+
+  return { data: data || null, error };
+}
+
+/**
+ * Pauses, resumes or deletes a rule on behalf of its owner. A date rule's runs missed while
+ * paused are skipped: resuming picks up at the next run after now.
+ * @param {object} client - Supabase client
+ * @param {object} params - Update details
+ * @param {string} params.ruleId - Rule ID
+ * @param {string} params.walletAddress - Wallet address of the user making the change
+ * @param {string} params.action - One of the keys of RULE_ACTIONS
+ * @param {Date} params.now - Current time
+ * @returns {Promise<object>} - { data, error, status } with an HTTP status for the error, if any
+ */
+export async function updatePaymentRuleStatus(client, { ruleId, walletAddress, action, now = new Date() }) {
+  const address = String(walletAddress || '').toLowerCase();
+
+  if (!(action in RULE_ACTIONS)) {
+    return { data: null, error: new Error(`Unknown action: ${action}`), status: 400 };
+  }
+
+  const { data: row, error: loadError } = await client
+    .from('payment_rules')
+    .select('*')
+    .eq('id', ruleId)
+    .maybeSingle();
+
+  if (loadError) return { data: null, error: loadError, status: 500 };
+  if (!row) return { data: null, error: new Error('Payment rule not found'), status: 404 };
+
+  if (row.wallet_address !== address) {
+    return { data: null, error: new Error('Only the owner can change this payment rule'), status: 403 };
+  }
+
+  if (action === 'delete') {
+    const { error } = await client
+      .from('payment_rules')
+      .delete()
+      .eq('id', ruleId);
+
+    if (error) return { data: null, error, status: 500 };
+    return { data: row, error: null, status: 200 };
+  }
+
+  const status = RULE_ACTIONS[action];
+  if (!canTransitionRule(row.status, status)) {
+    return { data: null, error: new Error(`This payment rule is already ${row.status}`), status: 409 };
+  }
+
+  const changes = { status, updated_at: now.toISOString() };
+
+  if (action === 'resume' && row.trigger_type === RULE_TRIGGERS.DATE) {
+    const stored = row.next_run_at ? new Date(row.next_run_at) : null;
+    const next = stored && stored > now ? stored : getNextRunAt(row.trigger.schedule, now, row.trigger_state?.occurrences || 0);
+
+    if (!next) {
+      return { data: null, error: new Error('This rule has no runs left'), status: 409 };
+    }
+    changes.next_run_at = next.toISOString();
+  }
+
+  // Guard on the status read above, so an engine run and a change can't cross
+  const { data, error } = await client
+    .from('payment_rules')
+    .update(changes)
+    .eq('id', ruleId)
+    .eq('status', row.status)
+    .select()
+    .maybeSingle();
+
+  if (error) return { data: null, error, status: 500 };
+  if (!data) return { data: null, error: new Error('This payment rule was updated by someone else'), status: 409 };
+
+  return { data, error: null, status: 200 };
+}
+
+/**
+ * Fires the recipient's incoming payment rules for a payment they received. Recipients without
+ * rules (or without an account) have nothing to fire.
+ * @param {object} client - Supabase client (the server client, since the rules belong to the recipient)
+ * @param {object} payment - Payment received
+ * @param {string} payment.recipientAddress - Recipient's wallet address
+ * @param {string} payment.from - Sender's wallet address
+ * @param {number|string} payment.amount - Amount, in whole tokens
+ * @param {string} payment.token - Token symbol
+ * @param {string} payment.transactionHash - Hash of the payment
+ * @returns {Promise<object[]>} - One result per rule that fired (see createRuleEngine)
+ */
+export async function fireIncomingPaymentRules(client, { recipientAddress, from, amount, token, transactionHash }) {
+  const engine = createRuleEngine({
+    store: createSupabaseRuleStore(client),
+    actions: createAgentRuleActions(),
+    clock: systemClock,
+  });
+
+  return engine.handleIncomingPayment({
+    walletAddress: String(recipientAddress || '').toLowerCase(),
+    from: String(from || '').toLowerCase(),
+    amount,
+    token,
+    transactionHash,
+  });
+}
@@ -0,0 +1,195 @@
+/**
+ * Scheduled payments
+ * "send @bob 10 USDC every Friday for 8 weeks" stores a schedule that the schedule worker
+ * (lib/schedules) pays on time. The owner can pause, resume or cancel it; the worker completes it
+ * when it runs out, or fails it when a one-off payment fails:
+ *
+ *   active → paused | cancelled | completed | failed
+ *   paused → active | cancelled
+ *
+ * The helpers that touch the database take the Supabase client to use, so the API routes share
+ * them with the server client.
+ */
+
+import { getFirstRunAt, getNextRunAt, sanitizeSchedule } from '@/lib/schedules/recurrence';
+import { getRowSchedule } from '@/lib/schedules/worker';
+
+export const SCHEDULE_STATUSES = ['active', 'paused', 'cancelled', 'completed', 'failed'];
+
+// Statuses each status may move to; cancelled, completed and failed are final
+export const SCHEDULE_TRANSITIONS = {
+  active: ['paused', 'cancelled', 'completed', 'failed'],
+  paused: ['active', 'cancelled'],
+  cancelled: [],
+  completed: [],
+  failed: [],
+};
+
+// What the owner can do to a schedule, and the status each action moves it to
+export const SCHEDULE_ACTIONS = {
+  pause: 'paused',
+  resume: 'active',
+  cancel: 'cancelled',
+};
+
+/**
+ * Checks whether a schedule may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @returns {boolean} - True if the transition is allowed
+ */
+export function canTransitionSchedule(from, to) {
+  return (SCHEDULE_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Describes a scheduled payment in words, e.g. "10 USDC to @bob"
+ * @param {object} payment - Transaction stored with the schedule
+ * @returns {string} - Description
+ */
+export function describeScheduledPayment(payment) {
+  const amount = payment.fiat_amount
+    ? `${payment.fiat_amount} ${payment.fiat_currency || 'USD'} of ${payment.token || 'ETH'}`
+    : `${payment.amount} ${payment.token || 'ETH'}`;
+  const recipients = payment.type === 'split' ? payment.recipients : [payment.recipient];
+  const note = payment.note ? ` ${payment.note}` : '';
+  return `${amount} ${payment.type === 'split' ? 'split between' : 'to'} ${recipients.map(r => `@${r}`).join(', ')}${note}`;
+}
+
+/**
+ * Stores a scheduled payment
+ * @param {object} client - Supabase client
+ * @param {object} params - Schedule details
+ * @param {string} params.walletAddress - Payer's wallet address
+ * @param {string} params.smartWalletAddress - Smart wallet the agent pays each run from (see findAgentSmartWallet)
+ * @param {object} params.payment - Transaction to make on each run (see toScheduledPayment)
+ * @param {object} params.schedule - When to make it (see lib/schedules/recurrence.js)
+ * @param {boolean} params.useTestnet - Whether runs use Base Sepolia
+ * @returns {Promise<object>} - { data, error, status } with an HTTP status for the error, if any
+ */
+export async function createScheduledPayment(client, { walletAddress, smartWalletAddress, payment, schedule, useTestnet = false }) {
+  const address = String(walletAddress || '').toLowerCase();
+  const cleanSchedule = sanitizeSchedule(schedule);
+
+  if (!address || !cleanSchedule || !['send', 'split'].includes(payment?.type)) {
+    return { data: null, error: new Error('A scheduled payment needs a wallet address, a payment and a schedule'), status: 400 };
+  }
+
+  if (!smartWalletAddress) {
+    return { data: null, error: new Error('A scheduled payment needs a smart wallet for the agent to pay from'), status: 400 };
+  }
+
+  const firstRun = getFirstRunAt(cleanSchedule);
+  if (!firstRun) {
+    return { data: null, error: new Error('This schedule never runs'), status: 400 };
+  }
+
+  const { data, error } = await client
+    .from('scheduled_payments')
+    .insert([{
+      wallet_address: address,
+      smart_wallet_address: smartWalletAddress.toLowerCase(),
+      payment,
+      ...cleanSchedule,
+      next_run_at: firstRun.toISOString(),
+      status: 'active',
+      use_testnet: Boolean(useTestnet),
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    }])
+    .select()
+    .single();
+
+  if (error) return { data: null, error, status: 500 };
+  return { data, error: null, status: 200 };
+}
+
+/**
+ * Lists a wallet's scheduled payments, soonest first
+ * @param {object} client - Supabase client
+ * @param {string} walletAddress - The user's wallet address
+ * @param {object} options - List options
+ * @param {string} options.status - Only return schedules with this status
+ * @returns {Promise<object>} - { data, error }
+ */
+export async function listScheduledPayments(client, walletAddress, { status = null } = {}) {
+  let query = client
+    .from('scheduled_payments')
+    .select('*')
+    .eq('wallet_address', String(walletAddress || '').toLowerCase());
+
+  if (SCHEDULE_STATUSES.includes(status)) query = query.eq('status', status);
+
+  const { data, error } = await query
+    .order('next_run_at', { ascending: true, nullsFirst: false })
+    .order('created_at', { ascending: false });
+
+  return { data: data || null, error };
+}
+
+/**
+ * Pauses, resumes or cancels a schedule on behalf of its owner. Runs missed while paused are
+ * skipped: resuming picks up at the next run after now.
+ * @param {object} client - Supabase client
+ * @param {object} params - Update details
+ * @param {string} params.scheduleId - Schedule ID
+ * @param {string} params.walletAddress - Wallet address of the user making the change
+ * @param {string} params.action - One of the keys of SCHEDULE_ACTIONS
+ * @param {Date} params.now - Current time
+ * @returns {Promise<object>} - { data, error, status } with an HTTP status for the error, if any
+ */
+export async function updateScheduledPaymentStatus(client, { scheduleId, walletAddress, action, now = new Date() }) {
+  const address = String(walletAddress || '').toLowerCase();
+  const status = SCHEDULE_ACTIONS[action];
+
+  if (!status) {
+    return { data: null, error: new Error(`Unknown action: ${action}`), status: 400 };
+  }
+
+  const { data: row, error: loadError } = await client
+    .from('scheduled_payments')
+    .select('*')
+    .eq('id', scheduleId)
+    .maybeSingle();
+
+  if (loadError) return { data: null, error: loadError, status: 500 };
+  if (!row) return { data: null, error: new Error('Scheduled payment not found'), status: 404 };
+
+  if (row.wallet_address !== address) {
+    return { data: null, error: new Error('Only the owner can change this scheduled payment'), status: 403 };
+  }
+
+  if (!canTransitionSchedule(row.status, status)) {
+    return { data: null, error: new Error(`This scheduled payment is already ${row.status}`), status: 409 };
+  }
+
+  const changes = { status, updated_at: now.toISOString() };
+
+  if (action === 'resume') {
+    // A run still ahead stays put; a one-off whose time passed while paused runs right away
+    const schedule = getRowSchedule(row);
+    const stored = row.next_run_at ? new Date(row.next_run_at) : null;
+    const next = stored && stored > now ? stored
+      : schedule?.cron ? getNextRunAt(schedule, now, row.run_count)
+      : now;
+
+    if (!next) {
+      return { data: null, error: new Error('This schedule has no runs left'), status: 409 };
+    }
+    changes.next_run_at = next.toISOString();
+  }
+
+  // Guard on the status read above, so a worker run and a change can't cross
+  const { data, error } = await client
+    .from('scheduled_payments')
+    .update(changes)
+    .eq('id', scheduleId)
+    .eq('status', row.status)
+    .select()
+    .maybeSingle();
+
+  if (error) return { data: null, error, status: 500 };
+  if (!data) return { data: null, error: new Error('This scheduled payment was updated by someone else'), status: 409 };
+
+  return { data, error: null, status: 200 };
+}
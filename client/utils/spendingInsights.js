@@ -0,0 +1,226 @@
+/**
+ * Spending categories and insights
+ * Stores the category of each payment (see lib/insights/categories.js), lets the user correct it,
+ * and answers spending questions from get_spending_summary, which sums the transactions table in
+ * the database.
+ *
+ * The helpers take the Supabase client to use, so the API routes and the chat route share them.
+ */
+
+import { categorizeTransaction, rankSpending, sanitizeCategory } from '@/lib/insights';
+import { getPriceProvider } from '@/web3/utils/prices';
+
+// Transaction types that are spending; received payments aren't categorized
+const SPENDING_TYPES = ['send', 'split'];
+
+// Earlier categorized payments looked at when categorizing a new one
+const CATEGORY_HISTORY_LIMIT = 200;
+
+// Uncategorized payments categorized per insight question
+const BACKFILL_LIMIT = 500;
+
+/**
+ * Looks up the user ID for a wallet
+ * @param {object} client - Supabase client
+ * @param {string} walletAddress - The user's wallet address
+ * @returns {Promise<object>} - { data, error } with the user ID, or null if there is no such user
+ */
+async function findUserId(client, walletAddress) {
+  const { data, error } = await client
+    .from('users')
+    .select('id')
+    .eq('wallet_address', String(walletAddress || '').toLowerCase())
+    .maybeSingle();
+
+  return { data: data?.id || null, error };
+}
+
+/**
+ * Loads a user's categorized payments, most recent first
+ * @param {object} client - Supabase client
+ * @param {string} userId - User ID
+ * @returns {Promise<object[]>} - { recipient_address, category, category_source } rows
+ */
+async function loadCategoryHistory(client, userId) {
+  const { data, error } = await client
+    .from('transactions')
+    .select('recipient_address, category, category_source')
+    .eq('user_id', userId)
+    .not('category', 'is', null)
+    .order('created_at', { ascending: false })
+    .limit(CATEGORY_HISTORY_LIMIT);
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Picks the category of a payment about to be stored
+ * @param {object} client - Supabase client
+ * @param {string} userId - ID of the user making the payment
+ * @param {object} transaction - { transaction_type, recipient_address, note }
+ * @returns {Promise<object>} - { category, category_source } to store with it, or an empty object for
+ *   a transaction that isn't spending
+ */
+export async function categorizeNewTransaction(client, userId, transaction) {
+  if (!SPENDING_TYPES.includes(transaction?.transaction_type || 'send')) return {};
+  return categorizeTransaction(transaction, await loadCategoryHistory(client, userId));
+}
+
+/**
+ * Categorizes a user's payments that don't have a category yet, oldest first, so each one can
+ * learn from the ones before it
+ * @param {object} client - Supabase client
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} - { data, error } with the number of payments categorized
+ */
+export async function categorizeTransactions(client, userId) {
+  const { data: rows, error } = await client
+    .from('transactions')
+    .select('id, transaction_type, recipient_address, note')
+    .eq('user_id', userId)
+    .in('transaction_type', SPENDING_TYPES)
+    .is('category', null)
+    .order('created_at', { ascending: true })
+    .limit(BACKFILL_LIMIT);
+
+  if (error) return { data: null, error };
+  if (!rows || rows.length === 0) return { data: 0, error: null };
+
+  try {
+    const history = await loadCategoryHistory(client, userId);
+    const idsByCategory = {};
+
+    rows.forEach(row => {
+      const { category } = categorizeTransaction(row, history);
+      history.unshift({ recipient_address: row.recipient_address, category, category_source: 'auto' });
+      (idsByCategory[category] = idsByCategory[category] || []).push(row.id);
+    });
+
+    // One update per category; the category IS NULL guard leaves rows the user categorized meanwhile
+    for (const [category, ids] of Object.entries(idsByCategory)) {
+      const { error: updateError } = await client
+        .from('transactions')
+        .update({ category, category_source: 'auto', updated_at: new Date().toISOString() })
+        .in('id', ids)
+        .is('category', null);
+
+      if (updateError) return { data: null, error: updateError };
+    }
+
+    return { data: rows.length, error: null };
+  } catch (historyError) {
+    return { data: null, error: historyError };
+  }
+}
+
+/**
+ * Corrects the category of a payment on behalf of the user who made it. Later payments to the same
+ * recipient follow the correction.
+ * @param {object} client - Supabase client
+ * @param {object} params - Correction details
+ * @param {string} params.transactionId - Transaction ID
+ * @param {string} params.walletAddress - Wallet address of the user making the change
+ * @param {string} params.category - One of SPENDING_CATEGORIES
+ * @returns {Promise<object>} - { data, error, status } with the updated transaction
+ */
+export async function setTransactionCategory(client, { transactionId, walletAddress, category }) {
+  const cleanCategory = sanitizeCategory(category);
+  if (!cleanCategory) {
+    return { data: null, error: new Error(`${category} is not a spending category`), status: 400 };
+  }
+
+  const { data: userId, error: userError } = await findUserId(client, walletAddress);
+  if (userError) return { data: null, error: userError, status: 500 };
+  if (!userId) return { data: null, error: new Error('User not found'), status: 404 };
+
+  const { data: row, error: loadError } = await client
+    .from('transactions')
+    .select('id, user_id, transaction_type')
+    .eq('id', transactionId)
+    .maybeSingle();
+
+  if (loadError) return { data: null, error: loadError, status: 500 };
+  if (!row) return { data: null, error: new Error('Transaction not found'), status: 404 };
+
+  if (row.user_id !== userId) {
+    return { data: null, error: new Error('Only the sender can categorize this transaction'), status: 403 };
+  }
+  if (!SPENDING_TYPES.includes(row.transaction_type)) {
+    return { data: null, error: new Error('Only payments you made have a spending category'), status: 400 };
+  }
+
+  const { data, error } = await client
+    .from('transactions')
+    .update({ category: cleanCategory, category_source: 'user', updated_at: new Date().toISOString() })
+    .eq('id', transactionId)
+    .eq('user_id', userId)
+    .select()
+    .maybeSingle();
+
+  if (error) return { data: null, error, status: 500 };
+  return { data, error: null, status: 200 };
+}
+
+/**
+ * Looks up the USD price of each token, for ranking spending in several tokens
+ * @param {string[]} tokens - Token symbols
+ * @param {object} provider - Price provider
+ * @returns {Promise<object>} - USD price per token; tokens whose price couldn't be found are left out
+ */
+async function loadUsdPrices(tokens, provider) {
+  const quotes = await Promise.all(tokens.map(async token => {
+    try {
+      const quote = await provider.getPrice(token, 'USD');
+      return [token, quote.price];
+    } catch (error) {
+      console.error(`Error fetching the ${token} price for spending insights:`, error);
+      return [token, null];
+    }
+  }));
+
+  return Object.fromEntries(quotes.filter(([, price]) => Number.isFinite(price)));
+}
+
+/**
+ * Answers a spending question with sums over the wallet's payments. Payments not categorized yet
+ * are categorized first, so the sums by category cover them.
+ * @param {object} client - Supabase client
+ * @param {string} walletAddress - The user's wallet address
+ * @param {object} insight - { metric, category } from sanitizeInsight
+ * @param {object} filter - Period, counterparty, token and category, from sanitizeHistoryFilter
+ * @param {object} options - Options
+ * @param {object} options.priceProvider - Price provider for ranking (defaults to the configured one)
+ * @returns {Promise<object>} - { data, error } with the groups from rankSpending, biggest first
+ */
+export async function getSpendingInsight(client, walletAddress, insight, filter, { priceProvider } = {}) {
+  const { data: userId, error: userError } = await findUserId(client, walletAddress);
+  if (userError) return { data: null, error: userError };
+  if (!userId) return { data: [], error: null };
+
+  const backfill = await categorizeTransactions(client, userId);
+  if (backfill.error) {
+    // Sums still work; uncategorized payments count as 'other'
+    console.error('Error categorizing transactions:', backfill.error);
+  }
+
+  const { data: rows, error } = await client.rpc('get_spending_summary', {
+    p_wallet_address: walletAddress,
+    p_group_by: { by_category: 'category', by_counterparty: 'counterparty' }[insight?.metric] || 'all',
+    p_from: filter?.from || null,
+    p_to: filter?.to || null,
+    p_category: filter?.category || null,
+    p_counterparty: filter?.counterparty || null,
+    p_token: filter?.token || null,
+  });
+
+  if (error) return { data: null, error };
+
+  // Only rankings need prices; a total is the same in any order
+  const tokens = Array.from(new Set((rows || []).map(row => row.token)));
+  const prices = insight?.metric === 'total' || tokens.length === 0
+    ? {}
+    : await loadUsdPrices(tokens, priceProvider || getPriceProvider());
+
+  return { data: rankSpending(rows, prices), error: null };
+}
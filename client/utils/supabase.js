@@ -1,6 +1,10 @@
 "use client"
 
 import { createClient } from '@supabase/supabase-js'
+import { queryTransactionHistory, sanitizeHistoryFilter } from '@/utils/historyFilters'
+import { attachTransactionLegs } from '@/utils/transactionRecords'
+import { resolveCounterpartyAddresses } from '@/utils/contacts'
+import { paymentIdempotencyKey } from '@/utils/idempotency'
 
 // Supabase client for browser-side usage
 const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL
@@ -590,12 +594,25 @@ export const addMessageToConversation = async (conversationId, userId, message,
  * Gets the transaction history for a user
  * @param {string} walletAddress - The user's wallet address
  * @param {number} limit - The maximum number of transactions to retrieve (default: 50)
- * @returns {Promise<Array>} - The transaction history
+ * @param {Object} filter - Optional history filter (see utils/historyFilters.js)
+ * @returns {Promise<Array>} - The transaction history; splits come with their legs
  */
-export const getTransactionHistory = async (walletAddress, limit = 50) => {
+export const getTransactionHistory = async (walletAddress, limit = 50, filter = null) => {
   try {
     if (!walletAddress) return []
 
+    if (filter) {
+      const counterpartyAddresses = await resolveCounterpartyAddresses(supabase, walletAddress, sanitizeHistoryFilter(filter)?.counterparty)
+      const { data, error } = await queryTransactionHistory(supabase, walletAddress, filter, limit, { counterpartyAddresses })
+
+      if (error) {
+        console.error('Error getting filtered transaction history:', error)
+        return []
+      }
+
+      return attachTransactionLegs(supabase, data || [])
+    }
+
     // Call the get_history RPC function
     const { data, error } = await supabase.rpc('get_history', {
       p_wallet_address: walletAddress,
@@ -608,7 +625,7 @@ export const getTransactionHistory = async (walletAddress, limit = 50) => {
       return []
     }
 
-    return data || []
+    return attachTransactionLegs(supabase, data || [])
   } catch (error) {
     console.error('Error getting transaction history:', error)
     return []
@@ -616,21 +633,17 @@ export const getTransactionHistory = async (walletAddress, limit = 50) => {
 }
 
 /**
- * Syncs transaction history with Basescan (placeholder for future implementation)
+ * Imports the wallet's on-chain transfers that aren't in its history yet, such as payments it
+ * received or made outside the app (see lib/sync)
  * @param {string} walletAddress - The user's wallet address
- * @returns {Promise<boolean>} - Whether the sync was successful
+ * @param {number} chainId - Chain to sync
+ * @returns {Promise<object|null>} - { imported, caughtUp, ... }, or null if the sync failed
  */
-export const syncTransactionHistory = async (walletAddress) => {
-  // This is a placeholder for future implementation
-  // In a real implementation, you would:
-  // 1. Fetch transactions from Basescan API
-  // 2. Compare with existing transactions in the database
-  // 3. Add any new transactions
-
+export const syncTransactionHistory = async (walletAddress, chainId) => {
   try {
     if (!walletAddress) {
       console.error('No wallet address provided for transaction sync');
-      return false;
+      return null;
     }
 
     const response = await fetch('/api/transactions/sync', {
@@ -638,18 +651,18 @@ export const syncTransactionHistory = async (walletAddress) => {
       headers: {
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({ walletAddress })
+      body: JSON.stringify({ walletAddress, chainId })
     })
 
     if (!response.ok) {
       console.error('Error syncing transaction history:', await response.text())
-      return false
+      return null
     }
 
-    return true
+    return await response.json()
   } catch (error) {
     console.error('Error syncing transaction history:', error)
-    return false
+    return null
   }
 }
 
@@ -659,9 +672,10 @@ export const syncTransactionHistory = async (walletAddress) => {
  * @param {string} transactionHash - The transaction hash
  * @param {string} status - The new status
  * @param {string} walletAddress - The user's wallet address
+ * @param {Object} options - { chainId, receipt } once it's mined (see describeReceipt in lib/receipts)
  * @returns {Promise<Object>} - The result of the update operation
  */
-export const updateTransactionStatus = async (transactionId, transactionHash, status, walletAddress) => {
+export const updateTransactionStatus = async (transactionId, transactionHash, status, walletAddress, { chainId = null, receipt = null } = {}) => {
   try {
     if (!transactionId || !status || !walletAddress) {
       console.error('Missing required parameters for updateTransactionStatus:', {
@@ -675,7 +689,9 @@ export const updateTransactionStatus = async (transactionId, transactionHash, st
       transactionId: String(transactionId),
       transactionHash: transactionHash ? String(transactionHash) : null,
       status: String(status),
-      walletAddress: String(walletAddress)
+      walletAddress: String(walletAddress),
+      chainId,
+      receipt
     };
 
     const response = await fetch('/api/transactions/update', {
@@ -706,6 +722,500 @@ export const updateTransactionStatus = async (transactionId, transactionHash, st
   }
 }
 
+/**
+ * Corrects the spending category of a payment the user made
+ * @param {string} transactionId - The transaction ID
+ * @param {string} walletAddress - The user's wallet address
+ * @param {string} category - One of SPENDING_CATEGORIES (see lib/insights/categories.js)
+ * @returns {Promise<Object>} - { data } with the updated transaction, or { error }
+ */
+export const setTransactionCategory = async (transactionId, walletAddress, category) => {
+  try {
+    const response = await fetch('/api/transactions/category', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ transactionId, walletAddress, category })
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      console.error('Error setting transaction category:', result);
+      return { error: result.error || 'Failed to set the category' };
+    }
+
+    return { data: result.data };
+  } catch (error) {
+    console.error('Error setting transaction category:', error);
+    return { error: error.message || 'Unknown error setting the category' };
+  }
+}
+
+/**
+ * Records a transaction the user's wallet sent to speed up or cancel a pending one (see
+ * recordReplacement in utils/transactionRecords.js)
+ * @param {string} walletAddress - The user's wallet address
+ * @param {Object} replacement - Replacement details
+ * @param {string} replacement.transactionId - ID of the pending transaction
+ * @param {string} replacement.transactionHash - Hash of the pending transaction
+ * @param {string} replacement.replacementHash - Hash of the replacement
+ * @param {string} replacement.kind - 'speed_up' or 'cancel'
+ * @param {number} replacement.chainId - Chain the replacement was sent on
+ * @returns {Promise<Object>} - { data } with { original, replacement }, or { error }
+ */
+export const recordTransactionReplacement = async (walletAddress, { transactionId, transactionHash, replacementHash, kind, chainId }) => {
+  try {
+    const response = await fetch('/api/transactions/replace', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ walletAddress, transactionId, transactionHash, replacementHash, kind, chainId })
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      console.error('Error recording transaction replacement:', result);
+      return { error: result.error || 'Failed to record the replacement' };
+    }
+
+    return { data: result.data };
+  } catch (error) {
+    console.error('Error recording transaction replacement:', error);
+    return { error: error.message || 'Unknown error recording the replacement' };
+  }
+}
+
+/**
+ * Sends the payments of a split that failed or were dropped again, from where the agent sent the rest
+ * @param {string} walletAddress - The user's wallet address
+ * @param {string} transactionId - ID of the split
+ * @param {number[]} legIndexes - Leg indexes of the payments being retried, which with the split's ID
+ *   make the retry's idempotency key
+ * @param {boolean} useTestnet - Whether the split was sent on Base Sepolia
+ * @returns {Promise<Object>} - { data } with the result per payment and the split's legs, or { error }
+ */
+export const retrySplitPayments = async (walletAddress, transactionId, legIndexes, useTestnet = false) => {
+  try {
+    const response = await fetch('/api/ai/execute-transaction', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Idempotency-Key': paymentIdempotencyKey(transactionId, legIndexes)
+      },
+      body: JSON.stringify({ walletAddress, retryTransactionId: transactionId, useTestnet })
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      console.error('Error retrying split payments:', result);
+      return { error: result.error || 'Failed to retry the split' };
+    }
+
+    return { data: result };
+  } catch (error) {
+    console.error('Error retrying split payments:', error);
+    return { error: error.message || 'Unknown error retrying the split' };
+  }
+}
+
+/**
+ * Finds the smart wallet the agent can pay from for the signed-in wallet: a LucraWallet linked to
+ * their account that authorized the agent. Without one, the connected wallet signs its own payments.
+ * @param {string} walletAddress - The user's wallet address
+ * @param {boolean} useTestnet - Whether to look on Base Sepolia
+ * @returns {Promise<string|null>} - Smart wallet address, or null if there's none (or it can't be told)
+ */
+export const getAgentSmartWallet = async (walletAddress, useTestnet = false) => {
+  try {
+    if (!walletAddress) return null;
+
+    const response = await fetch('/api/ai/agent-wallet', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ walletAddress, useTestnet })
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      console.error('Error finding the agent\'s smart wallet:', result);
+      return null;
+    }
+
+    return result.smartWalletAddress || null;
+  } catch (error) {
+    console.error('Error finding the agent\'s smart wallet:', error);
+    return null;
+  }
+}
+
+/**
+ * Gets the payment requests a user made and the ones they were asked to pay
+ * @param {string} walletAddress - The user's wallet address
+ * @param {string} status - Only return requests with this status (optional)
+ * @returns {Promise<Object>} - { incoming, outgoing } lists of payment requests
+ */
+export const getPaymentRequests = async (walletAddress, status = null) => {
+  try {
+    if (!walletAddress) return { incoming: [], outgoing: [] };
+
+    const response = await fetch('/api/requests/list', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ walletAddress, status })
+    });
+
+    if (!response.ok) {
+      console.error('Error getting payment requests:', await response.text());
+      return { incoming: [], outgoing: [] };
+    }
+
+    const { incoming = [], outgoing = [] } = await response.json();
+    return { incoming, outgoing };
+  } catch (error) {
+    console.error('Error getting payment requests:', error);
+    return { incoming: [], outgoing: [] };
+  }
+}
+
+/**
+ * Declines a payment request the user was asked to pay. Paying one is recorded when the
+ * paying transaction is stored.
+ * @param {string} requestId - The payment request ID
+ * @param {string} walletAddress - The payer's wallet address
+ * @returns {Promise<Object>} - The result of the update operation
+ */
+export const declinePaymentRequest = async (requestId, walletAddress) => {
+  try {
+    const response = await fetch('/api/requests/update', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ requestId, walletAddress, status: 'declined' })
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      console.error('Error declining payment request:', result);
+      return { error: result.error || 'Failed to decline payment request' };
+    }
+
+    return { data: result.data };
+  } catch (error) {
+    console.error('Error declining payment request:', error);
+    return { error: error.message || 'Unknown error declining payment request' };
+  }
+}
+
+/**
+ * Schedules a send or split to be paid later or repeatedly
+ * @param {Object} params - Schedule details
+ * @param {string} params.walletAddress - The payer's wallet address
+ * @param {Object} params.intent - The send or split intent to pay
+ * @param {Object} params.schedule - When to pay it (see lib/schedules/recurrence.js)
+ * @param {boolean} params.useTestnet - Whether to pay on Base Sepolia
+ * @returns {Promise<Object>} - { data } with the stored schedule, or { error }
+ */
+export const createScheduledPayment = async ({ walletAddress, intent, schedule, useTestnet = false }) => {
+  try {
+    const response = await fetch('/api/schedules/create', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ walletAddress, intent, schedule, useTestnet })
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      console.error('Error scheduling payment:', result);
+      return { error: result.error || 'Failed to schedule payment' };
+    }
+
+    return { data: result.data };
+  } catch (error) {
+    console.error('Error scheduling payment:', error);
+    return { error: error.message || 'Unknown error scheduling payment' };
+  }
+}
+
+/**
+ * Gets a user's scheduled payments, soonest first
+ * @param {string} walletAddress - The user's wallet address
+ * @param {string} status - Only return schedules with this status (optional)
+ * @returns {Promise<Array>} - Scheduled payments
+ */
+export const getScheduledPayments = async (walletAddress, status = null) => {
+  try {
+    if (!walletAddress) return [];
+
+    const response = await fetch('/api/schedules/list', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ walletAddress, status })
+    });
+
+    if (!response.ok) {
+      console.error('Error getting scheduled payments:', await response.text());
+      return [];
+    }
+
+    const { data = [] } = await response.json();
+    return data;
+  } catch (error) {
+    console.error('Error getting scheduled payments:', error);
+    return [];
+  }
+}
+
+/**
+ * Pauses, resumes or cancels a scheduled payment
+ * @param {string} scheduleId - The scheduled payment ID
+ * @param {string} walletAddress - The owner's wallet address
+ * @param {string} action - 'pause', 'resume' or 'cancel'
+ * @returns {Promise<Object>} - { data } with the updated schedule, or { error }
+ */
+export const updateScheduledPayment = async (scheduleId, walletAddress, action) => {
+  try {
+    const response = await fetch('/api/schedules/update', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ scheduleId, walletAddress, action })
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      console.error(`Error trying to ${action} scheduled payment:`, result);
+      return { error: result.error || `Failed to ${action} scheduled payment` };
+    }
+
+    return { data: result.data };
+  } catch (error) {
+    console.error(`Error trying to ${action} scheduled payment:`, error);
+    return { error: error.message || `Unknown error trying to ${action} scheduled payment` };
+  }
+}
+
+/**
+ * Creates a payment rule from a rule intent
+ * @param {Object} params - Rule details
+ * @param {string} params.walletAddress - The owner's wallet address
+ * @param {Object} params.rule - Rule from the intent: { trigger, conditions, action }
+ * @param {boolean} params.useTestnet - Whether the rule's payments use Base Sepolia
+ * @returns {Promise<Object>} - { data } with the stored rule, or { error }
+ */
+export const createPaymentRule = async ({ walletAddress, rule, useTestnet = false }) => {
+  try {
+    const response = await fetch('/api/rules/create', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ walletAddress, rule, useTestnet })
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      console.error('Error creating payment rule:', result);
+      return { error: result.error || 'Failed to create rule' };
+    }
+
+    return { data: result.data };
+  } catch (error) {
+    console.error('Error creating payment rule:', error);
+    return { error: error.message || 'Unknown error creating rule' };
+  }
+}
+
+/**
+ * Gets a user's payment rules, newest first
+ * @param {string} walletAddress - The user's wallet address
+ * @param {string} status - Only return rules with this status (optional)
+ * @returns {Promise<Array>} - Payment rules
+ */
+export const getPaymentRules = async (walletAddress, status = null) => {
+  try {
+    if (!walletAddress) return [];
+
+    const response = await fetch('/api/rules/list', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ walletAddress, status })
+    });
+
+    if (!response.ok) {
+      console.error('Error getting payment rules:', await response.text());
+      return [];
+    }
+
+    const { data = [] } = await response.json();
+    return data;
+  } catch (error) {
+    console.error('Error getting payment rules:', error);
+    return [];
+  }
+}
+
+/**
+ * Pauses, resumes or deletes a payment rule
+ * @param {string} ruleId - The payment rule ID
+ * @param {string} walletAddress - The owner's wallet address
+ * @param {string} action - 'pause', 'resume' or 'delete'
+ * @returns {Promise<Object>} - { data } with the updated rule, or { error }
+ */
+export const updatePaymentRule = async (ruleId, walletAddress, action) => {
+  try {
+    const response = await fetch('/api/rules/update', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ ruleId, walletAddress, action })
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      console.error(`Error trying to ${action} payment rule:`, result);
+      return { error: result.error || `Failed to ${action} rule` };
+    }
+
+    return { data: result.data };
+  } catch (error) {
+    console.error(`Error trying to ${action} payment rule:`, error);
+    return { error: error.message || `Unknown error trying to ${action} rule` };
+  }
+}
+
+/**
+ * Gets a user's contacts, by alias
+ * @param {string} walletAddress - The user's wallet address
+ * @returns {Promise<Array>} - Contacts
+ */
+export const getContacts = async (walletAddress) => {
+  try {
+    if (!walletAddress) return [];
+
+    const response = await fetch('/api/contacts/list', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ walletAddress })
+    });
+
+    if (!response.ok) {
+      console.error('Error getting contacts:', await response.text());
+      return [];
+    }
+
+    const { data = [] } = await response.json();
+    return data;
+  } catch (error) {
+    console.error('Error getting contacts:', error);
+    return [];
+  }
+}
+
+/**
+ * Adds a contact to a user's contact book
+ * @param {string} walletAddress - The owner's wallet address
+ * @param {Object} contact - { alias, address, basename, notes, default_token }
+ * @returns {Promise<Object>} - { data } with the stored contact, or { error }
+ */
+export const createContact = async (walletAddress, contact) => {
+  try {
+    const response = await fetch('/api/contacts/create', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ walletAddress, contact })
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      console.error('Error creating contact:', result);
+      return { error: result.error || 'Failed to save contact' };
+    }
+
+    return { data: result.data };
+  } catch (error) {
+    console.error('Error creating contact:', error);
+    return { error: error.message || 'Unknown error saving contact' };
+  }
+}
+
+/**
+ * Changes a contact
+ * @param {string} contactId - The contact ID
+ * @param {string} walletAddress - The owner's wallet address
+ * @param {Object} changes - Any of { alias, address, basename, notes, default_token }
+ * @returns {Promise<Object>} - { data } with the updated contact, or { error }
+ */
+export const updateContact = async (contactId, walletAddress, changes) => {
+  try {
+    const response = await fetch('/api/contacts/update', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ contactId, walletAddress, changes })
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      console.error('Error updating contact:', result);
+      return { error: result.error || 'Failed to update contact' };
+    }
+
+    return { data: result.data };
+  } catch (error) {
+    console.error('Error updating contact:', error);
+    return { error: error.message || 'Unknown error updating contact' };
+  }
+}
+
+/**
+ * Removes a contact
+ * @param {string} contactId - The contact ID
+ * @param {string} walletAddress - The owner's wallet address
+ * @returns {Promise<Object>} - { data } with the deleted contact, or { error }
+ */
+export const deleteContact = async (contactId, walletAddress) => {
+  try {
+    const response = await fetch('/api/contacts/delete', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ contactId, walletAddress })
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      console.error('Error deleting contact:', result);
+      return { error: result.error || 'Failed to delete contact' };
+    }
+
+    return { data: result.data };
+  } catch (error) {
+    console.error('Error deleting contact:', error);
+    return { error: error.message || 'Unknown error deleting contact' };
+  }
+}
+
 /**
  * Gets a user by wallet address using the server API
  * @param {string} walletAddress - The user's wallet address
@@ -0,0 +1,714 @@
+/**
+ * Transaction records
+ * Each payment is one row in transactions, which moves through these statuses:
+ *
+ *   drafted              Proposed in the chat, not sent yet
+ *   awaiting_signature   Waiting for the user's wallet to sign it
+ *   submitted            Sent to the network, with a hash
+ *   confirmed / failed   Mined; the receipt says whether it succeeded
+ *   replaced             Another transaction with the same nonce was mined instead
+ *   dropped              The network forgot it without mining it
+ *
+ *   drafted → awaiting_signature | submitted | failed
+ *   awaiting_signature → submitted | drafted | failed
+ *   submitted → confirmed | failed | replaced | dropped
+ *   dropped → confirmed | failed | replaced
+ *
+ * A rejected signature request goes back to drafted, so the payment can be tried again. A dropped
+ * transaction can still be mined if a node rebroadcasts it. /api/chat inserts the draft and every
+ * later step updates that row: /api/ai/execute-transaction when the agent sends it, useTransactions
+ * when the user's wallet does, and the receipt poller (lib/receipts) when it's mined.
+ *
+ * A pending transaction can be sped up (sent again with the same nonce and a higher fee) or
+ * cancelled (a 0-value send to the sender with the same nonce). The replacement is a row of its own
+ * that replaces the original, and the original is replaced_by it. Only one of them can be mined:
+ * whichever is moves the others to replaced.
+ *
+ * A split is one row (the parent) with a leg per recipient in transaction_legs. Each leg has its
+ * own amount, hash and status (LEG_STATUSES): legs sent one by one are mined one by one, legs sent
+ * as one batch share its hash, and a leg that couldn't be sent is failed with the error. The parent
+ * follows its legs (see rollUpLegs): submitted while any leg is, then confirmed if any recipient was
+ * paid, and failed (or dropped) if none was. Failed and dropped legs can be sent again, which takes
+ * the parent back to submitted until they're mined.
+ *
+ * The helpers take the Supabase client to use, so the API routes share them with the server client.
+ */
+
+export const TRANSACTION_STATUSES = [
+  'drafted',
+  'awaiting_signature',
+  'submitted',
+  'confirmed',
+  'failed',
+  'replaced',
+  'dropped',
+];
+
+// Statuses each status may move to; confirmed, failed and replaced are final
+export const TRANSACTION_TRANSITIONS = {
+  drafted: ['awaiting_signature', 'submitted', 'failed'],
+  awaiting_signature: ['submitted', 'drafted', 'failed'],
+  submitted: ['confirmed', 'failed', 'replaced', 'dropped'],
+  confirmed: [],
+  failed: [],
+  replaced: [],
+  dropped: ['confirmed', 'failed', 'replaced'],
+};
+
+// Statuses of a split's legs
+export const LEG_STATUSES = ['submitted', 'confirmed', 'failed', 'dropped'];
+
+// Legs that didn't pay their recipient, and can be sent again
+export const RETRYABLE_LEG_STATUSES = ['failed', 'dropped'];
+
+// Kinds of replacement for a pending transaction
+export const REPLACEMENT_KINDS = ['speed_up', 'cancel'];
+
+// Most links followed from a transaction to the transactions it replaced or was replaced by
+const MAX_REPLACEMENTS = 10;
+
+// Statuses older clients report, and the status each one means now
+const LEGACY_STATUSES = {
+  sending: 'awaiting_signature',
+  confirming: 'submitted',
+  processing: 'submitted',
+  completed: 'confirmed',
+};
+
+/**
+ * Checks whether a transaction may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @returns {boolean} - True if the transition is allowed
+ */
+export function canTransitionTransaction(from, to) {
+  return (TRANSACTION_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Turns a reported status into one of TRANSACTION_STATUSES
+ * @param {string} status - Status, possibly an older name such as 'completed'
+ * @param {object} options - Options
+ * @param {boolean} options.hasHash - Whether the transaction has a hash; an old 'pending' with one
+ *   was submitted, and without one was a draft
+ * @returns {string|null} - Status, or null if it isn't one
+ */
+export function normalizeTransactionStatus(status, { hasHash = false } = {}) {
+  if (TRANSACTION_STATUSES.includes(status)) return status;
+  if (status === 'pending') return hasHash ? 'submitted' : 'drafted';
+  return LEGACY_STATUSES[status] || null;
+}
+
+/**
+ * Turns receipt details into transactions columns
+ * @param {object} receipt - { blockNumber, gasUsed, effectiveGasPrice, fee }, as numbers or decimal strings
+ * @returns {object} - Columns to update; missing details are left out
+ */
+function receiptColumns(receipt) {
+  const columns = {
+    block_number: receipt?.blockNumber,
+    gas_used: receipt?.gasUsed,
+    effective_gas_price: receipt?.effectiveGasPrice,
+    fee: receipt?.fee,
+  };
+
+  return Object.fromEntries(
+    Object.entries(columns)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([column, value]) => [column, String(value)])
+  );
+}
+
+/**
+ * Turns the results of sending a split into its legs
+ * @param {object[]} results - One per recipient, in order: { success, recipient (or to), amount,
+ *   token, hash, nonce, error }
+ * @param {object} options - Options
+ * @param {string} options.token - Token of legs whose result doesn't name one
+ * @returns {object[]} - transaction_legs columns: leg_index, recipient_address, amount, token,
+ *   transaction_hash, nonce, status and error
+ */
+export function legsFromResults(results, { token = 'ETH' } = {}) {
+  return (results || []).map((result, index) => {
+    const sent = !!result.success && !!result.hash;
+    return {
+      leg_index: index,
+      recipient_address: result.recipient || result.to,
+      amount: result.amount,
+      token: result.token || token,
+      transaction_hash: sent ? result.hash : null,
+      nonce: sent && result.nonce !== undefined && result.nonce !== null ? Number(result.nonce) : null,
+      status: sent ? 'submitted' : 'failed',
+      error: sent ? null : result.error || 'The payment was not sent',
+    };
+  });
+}
+
+/**
+ * Works out a split's status from its legs
+ * @param {object[]} legs - The split's legs
+ * @returns {string} - 'submitted' while any leg is, then 'confirmed' if any was paid, 'dropped' if
+ *   every leg was dropped and 'failed' otherwise
+ */
+export function rollUpLegs(legs) {
+  if (legs.some(leg => leg.status === 'submitted')) return 'submitted';
+  if (legs.some(leg => leg.status === 'confirmed')) return 'confirmed';
+  if (legs.length > 0 && legs.every(leg => leg.status === 'dropped')) return 'dropped';
+  return 'failed';
+}
+
+/**
+ * Counts a split's legs by outcome
+ * @param {object[]} legs - The split's legs
+ * @returns {object} - { total, paid, pending, unpaid, partial }: unpaid legs failed or were dropped,
+ *   and partial is set when some recipients were paid (or may still be) and others weren't
+ */
+export function summarizeLegs(legs) {
+  const paid = legs.filter(leg => leg.status === 'confirmed').length;
+  const pending = legs.filter(leg => leg.status === 'submitted').length;
+  const unpaid = legs.filter(leg => RETRYABLE_LEG_STATUSES.includes(leg.status)).length;
+
+  return { total: legs.length, paid, pending, unpaid, partial: unpaid > 0 && paid + pending > 0 };
+}
+
+/**
+ * Loads a split's legs
+ * @param {object} client - Supabase client
+ * @param {string} transactionId - ID of the split
+ * @returns {Promise<object>} - { data, error } with the legs in order
+ */
+async function loadLegs(client, transactionId) {
+  const { data, error } = await client
+    .from('transaction_legs')
+    .select('*')
+    .eq('transaction_id', transactionId)
+    .order('leg_index', { ascending: true });
+
+  return { data: data || [], error };
+}
+
+/**
+ * Adds their legs to the splits among some transactions, for showing or summarizing them
+ * @param {object} client - Supabase client
+ * @param {object[]} rows - Transaction rows
+ * @returns {Promise<object[]>} - The rows, each split with legs (in order); the rows as they were if
+ *   the legs can't be loaded
+ */
+export async function attachTransactionLegs(client, rows) {
+  const splitIds = (rows || []).filter(row => row.transaction_type === 'split').map(row => row.id);
+  if (splitIds.length === 0) return rows || [];
+
+  const { data, error } = await client
+    .from('transaction_legs')
+    .select('*')
+    .in('transaction_id', splitIds)
+    .order('leg_index', { ascending: true });
+
+  if (error) {
+    console.error('Error loading split legs:', error);
+    return rows;
+  }
+
+  return rows.map(row => (row.transaction_type === 'split'
+    ? { ...row, legs: data.filter(leg => leg.transaction_id === row.id) }
+    : row));
+}
+
+/**
+ * Stores a split's legs. Legs it already has are kept as they are, since their receipts may have
+ * moved them on since.
+ * @param {object} client - Supabase client
+ * @param {object} params - Leg details
+ * @param {string} params.transactionId - ID of the split
+ * @param {object[]} params.legs - Legs from legsFromResults
+ * @returns {Promise<object>} - { data, error } with all the split's legs
+ */
+export async function recordTransactionLegs(client, { transactionId, legs }) {
+  const now = new Date().toISOString();
+  const { error } = await client
+    .from('transaction_legs')
+    .upsert(legs.map(leg => ({
+      ...leg,
+      transaction_id: transactionId,
+      submitted_at: leg.transaction_hash ? now : null,
+      created_at: now,
+      updated_at: now,
+    })), { onConflict: 'transaction_id,leg_index', ignoreDuplicates: true });
+
+  if (error) return { data: null, error };
+  return loadLegs(client, transactionId);
+}
+
+/**
+ * Moves the legs paid by a mined (or dropped) transaction to its status
+ * @param {object} client - Supabase client
+ * @param {object} split - The split
+ * @param {object} params - { hash, status, receipt } of the transaction
+ * @returns {Promise<object>} - { data, error } with all the split's legs, none if it has no legs
+ */
+async function settleLegs(client, split, { hash, status, receipt }) {
+  const { data: legs, error } = await loadLegs(client, split.id);
+  if (error || legs.length === 0) return { data: legs, error };
+
+  // Like a transaction, a dropped leg can still be mined, but a mined one stays as it is
+  const { error: updateError } = await client
+    .from('transaction_legs')
+    .update({ status, ...receiptColumns(receipt), updated_at: new Date().toISOString() })
+    .eq('transaction_id', split.id)
+    .eq('transaction_hash', hash)
+    .in('status', ['submitted', 'dropped'].filter(from => from !== status));
+
+  if (updateError) return { data: null, error: updateError };
+  return loadLegs(client, split.id);
+}
+
+/**
+ * Moves a split to the status its legs add up to. This is the one way a split can leave confirmed
+ * or failed: retried legs take it back to submitted.
+ * @param {object} client - Supabase client
+ * @param {object} split - The split, as last read
+ * @param {object[]} legs - Its legs
+ * @returns {Promise<object>} - { data, error } with the split
+ */
+async function followLegs(client, split, legs) {
+  const status = rollUpLegs(legs);
+  if (legs.length === 0 || status === split.status) return { data: split, error: null };
+
+  const { data, error } = await client
+    .from('transactions')
+    .update({ status, updated_at: new Date().toISOString() })
+    .eq('id', split.id)
+    .eq('status', split.status)
+    .select()
+    .maybeSingle();
+
+  if (error) return { data: null, error };
+  return { data: data || split, error: null };
+}
+
+/**
+ * Finds a transaction by ID, or else a user's transaction by hash
+ * @param {object} client - Supabase client
+ * @param {object} params - { transactionId, transactionHash, userId }
+ * @returns {Promise<object>} - { data, error } with the row, or null if there is none
+ */
+async function findTransaction(client, { transactionId, transactionHash, userId }) {
+  if (transactionId) {
+    return client
+      .from('transactions')
+      .select('*')
+      .eq('id', transactionId)
+      .maybeSingle();
+  }
+
+  if (transactionHash) {
+    const { data, error } = await client
+      .from('transactions')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('transaction_hash', transactionHash)
+      .order('created_at', { ascending: true })
+      .limit(1);
+
+    return { data: data?.[0] || null, error };
+  }
+
+  return { data: null, error: null };
+}
+
+/**
+ * Moves the transactions a mined transaction replaced, or was replaced by, to replaced: they have
+ * its nonce, so none of them can be mined any more
+ * @param {object} client - Supabase client
+ * @param {object} row - The mined transaction
+ * @returns {Promise<void>} - Errors are logged; the mined transaction's own update stands either way
+ */
+async function settleReplacements(client, row) {
+  const seen = new Set([row.id]);
+  const queue = [row.replaces, row.replaced_by].filter(Boolean);
+
+  while (queue.length > 0 && seen.size <= MAX_REPLACEMENTS) {
+    const id = queue.shift();
+    if (seen.has(id)) continue;
+    seen.add(id);
+
+    const { data: linked, error } = await client
+      .from('transactions')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      console.error(`Error loading transaction ${id} to mark it replaced:`, error);
+      continue;
+    }
+    if (!linked) continue;
+
+    queue.push(...[linked.replaces, linked.replaced_by].filter(Boolean));
+    if (!canTransitionTransaction(linked.status, 'replaced')) continue;
+
+    const { error: updateError } = await client
+      .from('transactions')
+      .update({ status: 'replaced', updated_at: new Date().toISOString() })
+      .eq('id', linked.id)
+      .eq('status', linked.status);
+
+    if (updateError) console.error(`Error marking transaction ${id} replaced:`, updateError);
+  }
+}
+
+/**
+ * Moves a transaction to a new status on behalf of the user who made it, with the hash and receipt
+ * details that came with the change. Reporting the status it already has just adds the details,
+ * so the wallet and the receipt poller can both report a confirmation.
+ * @param {object} client - Supabase client
+ * @param {object} params - Update details
+ * @param {string} params.transactionId - Transaction ID (or give transactionHash to find it by hash)
+ * @param {string} params.transactionHash - Transaction hash
+ * @param {string} params.userId - ID of the user making the change
+ * @param {string} params.status - New status (older names such as 'completed' are accepted)
+ * @param {number} params.chainId - Chain the transaction was sent on
+ * @param {object} params.receipt - { blockNumber, gasUsed, effectiveGasPrice, fee } once it's mined
+ * @param {object} params.details - Other columns to update with the status
+ * @returns {Promise<object>} - { data, error, status } with an HTTP status for the error, if any
+ */
+export async function updateTransactionStatus(client, { transactionId = null, transactionHash = null, userId, status, chainId = null, receipt = null, details = {} }) {
+  const { data: row, error: loadError } = await findTransaction(client, { transactionId, transactionHash, userId });
+
+  if (loadError) return { data: null, error: loadError, status: 500 };
+  if (!row) return { data: null, error: new Error('Transaction not found'), status: 404 };
+
+  if (row.user_id !== userId) {
+    return { data: null, error: new Error('Only the sender can update this transaction'), status: 403 };
+  }
+
+  const hash = transactionHash || row.transaction_hash;
+  let nextStatus = normalizeTransactionStatus(status, { hasHash: !!hash });
+  if (!nextStatus) {
+    return { data: null, error: new Error(`Unknown transaction status: ${status}`), status: 400 };
+  }
+
+  // A mined transaction settles the legs of a split it paid, and the split follows its legs
+  let legs = [];
+  if (row.transaction_type === 'split' && hash && ['confirmed', 'failed', 'dropped'].includes(nextStatus)) {
+    const { data: settled, error: legsError } = await settleLegs(client, row, { hash, status: nextStatus, receipt });
+    if (legsError) return { data: null, error: legsError, status: 500 };
+
+    legs = settled;
+    if (legs.length > 0) nextStatus = rollUpLegs(legs);
+  }
+
+  if (nextStatus !== row.status && !canTransitionTransaction(row.status, nextStatus)) {
+    return { data: null, error: new Error(`This transaction is already ${row.status}`), status: 409 };
+  }
+
+  if (['submitted', 'confirmed', 'replaced', 'dropped'].includes(nextStatus) && !hash) {
+    return { data: null, error: new Error(`A ${nextStatus} transaction needs a hash`), status: 400 };
+  }
+
+  // A split keeps the hash it was recorded with, and only that transaction's receipt
+  const ownHash = legs.length === 0 || !row.transaction_hash || hash === row.transaction_hash;
+  const changes = {
+    ...details,
+    status: nextStatus,
+    ...(ownHash ? receiptColumns(receipt) : {}),
+    updated_at: new Date().toISOString(),
+  };
+  if (hash && ownHash) changes.transaction_hash = hash;
+  if (chainId) changes.chain_id = chainId;
+  if (nextStatus === 'submitted' && !row.submitted_at) changes.submitted_at = new Date().toISOString();
+
+  // Guard on the status read above, so two reports can't cross
+  const { data, error } = await client
+    .from('transactions')
+    .update(changes)
+    .eq('id', row.id)
+    .eq('status', row.status)
+    .select()
+    .maybeSingle();
+
+  if (error) return { data: null, error, status: 500 };
+  if (!data) return { data: null, error: new Error('This transaction was updated by someone else'), status: 409 };
+
+  // Once one transaction with a nonce is mined, the others sent with it never will be
+  if (['confirmed', 'failed'].includes(nextStatus) && nextStatus !== row.status && (data.replaces || data.replaced_by)) {
+    await settleReplacements(client, data);
+  }
+
+  return { data, error: null, status: 200 };
+}
+
+/**
+ * Records a transaction for a user. If it was drafted before (found by transactionId) or is already
+ * recorded (found by hash), that row moves to the new status and takes the new details; otherwise a
+ * new row is inserted, so a payment is one record however many places report it. A split is stored
+ * with its legs.
+ * @param {object} client - Supabase client
+ * @param {object} params - Record details
+ * @param {string} params.transactionId - ID of the draft this transaction sends, if any
+ * @param {string} params.userId - ID of the user who made it
+ * @param {object} params.transaction - transactions columns: transaction_hash, transaction_type, amount,
+ *   token, recipient_address, status, note, chain_id, metadata and so on
+ * @param {object[]} params.legs - For a split, its legs (see legsFromResults)
+ * @param {object} params.receipt - { blockNumber, gasUsed, effectiveGasPrice, fee } once it's mined
+ * @returns {Promise<object>} - { data, error, status } with the row and an HTTP status for the error, if any
+ */
+export async function recordTransaction(client, { transactionId = null, userId, transaction, legs = null, receipt = null }) {
+  const hash = transaction.transaction_hash || null;
+  const status = normalizeTransactionStatus(transaction.status, { hasHash: !!hash }) || (hash ? 'submitted' : 'drafted');
+
+  const { data: existing, error: loadError } = await findTransaction(client, { transactionId, transactionHash: hash, userId });
+  if (loadError) return { data: null, error: loadError, status: 500 };
+
+  if (existing) {
+    // Legs go in first, so a mined status reported with them settles them
+    if (legs?.length) {
+      const { error: legsError } = await recordTransactionLegs(client, { transactionId: existing.id, legs });
+      if (legsError) return { data: null, error: legsError, status: 500 };
+    }
+
+    // The draft only knew the intent; it takes what was learned sending it, but keeps its category
+    // if it has one, which may be the user's own correction
+    const { category, category_source: categorySource, ...rest } = transaction;
+    const details = existing.category ? rest : { ...rest, category, category_source: categorySource };
+
+    return updateTransactionStatus(client, {
+      transactionId: existing.id,
+      transactionHash: hash,
+      userId,
+      status,
+      chainId: transaction.chain_id || null,
+      receipt,
+      details: {
+        ...details,
+        metadata: { ...(existing.metadata || {}), ...(transaction.metadata || {}) },
+      },
+    });
+  }
+
+  const now = new Date().toISOString();
+  const { data, error } = await client
+    .from('transactions')
+    .insert([{
+      ...(transactionId ? { id: transactionId } : {}),
+      ...transaction,
+      user_id: userId,
+      status,
+      ...receiptColumns(receipt),
+      ...(status === 'submitted' ? { submitted_at: now } : {}),
+      created_at: now,
+      updated_at: now,
+    }])
+    .select()
+    .single();
+
+  if (error) return { data: null, error, status: 500 };
+  if (!legs?.length) return { data, error: null, status: 200 };
+
+  let { data: storedLegs, error: legsError } = await recordTransactionLegs(client, { transactionId: data.id, legs });
+  if (!legsError && hash && ['confirmed', 'failed', 'dropped'].includes(status)) {
+    ({ data: storedLegs, error: legsError } = await settleLegs(client, data, { hash, status, receipt }));
+  }
+  if (legsError) return { data: null, error: legsError, status: 500 };
+
+  const { data: split, error: followError } = await followLegs(client, data, storedLegs);
+  if (followError) return { data: null, error: followError, status: 500 };
+  return { data: split, error: null, status: 200 };
+}
+
+/**
+ * Records a transaction the user's wallet sent to replace a pending one, with the same nonce: a
+ * speed up sends the same payment with a higher fee, and a cancel sends nothing to the sender. The
+ * replacement is a new submitted row that replaces the original, and the original is replaced_by it;
+ * whichever of them is mined moves the other to replaced. Recording a replacement again returns it.
+ * @param {object} client - Supabase client
+ * @param {object} params - Replacement details
+ * @param {string} params.transactionId - ID of the original (or give transactionHash to find it by hash)
+ * @param {string} params.transactionHash - Hash of the original
+ * @param {string} params.userId - ID of the user who sent both
+ * @param {string} params.walletAddress - The user's wallet, which a cancel sends to
+ * @param {string} params.replacementHash - Hash of the replacement
+ * @param {string} params.kind - 'speed_up' or 'cancel'
+ * @param {number} params.chainId - Chain the replacement was sent on (defaults to the original's)
+ * @returns {Promise<object>} - { data, error, status }: data is { original, replacement }
+ */
+export async function recordReplacement(client, { transactionId = null, transactionHash = null, userId, walletAddress, replacementHash, kind, chainId = null }) {
+  if (!REPLACEMENT_KINDS.includes(kind)) {
+    return { data: null, error: new Error(`Unknown replacement: ${kind}`), status: 400 };
+  }
+  if (!replacementHash) {
+    return { data: null, error: new Error('A replacement needs a hash'), status: 400 };
+  }
+
+  const { data: original, error: loadError } = await findTransaction(client, { transactionId, transactionHash, userId });
+  if (loadError) return { data: null, error: loadError, status: 500 };
+  if (!original) return { data: null, error: new Error('Transaction not found'), status: 404 };
+
+  if (original.user_id !== userId) {
+    return { data: null, error: new Error('Only the sender can replace this transaction'), status: 403 };
+  }
+
+  const { data: existing, error: existingError } = await findTransaction(client, { transactionHash: replacementHash, userId });
+  if (existingError) return { data: null, error: existingError, status: 500 };
+
+  if (existing) {
+    if (existing.replaces !== original.id) {
+      return { data: null, error: new Error('This hash is already recorded for another transaction'), status: 409 };
+    }
+    return { data: { original, replacement: existing }, error: null, status: 200 };
+  }
+
+  if (!['submitted', 'dropped'].includes(original.status)) {
+    return { data: null, error: new Error(`This transaction is already ${original.status}`), status: 409 };
+  }
+  if (original.replaced_by) {
+    return { data: null, error: new Error('This transaction was already replaced; speed up or cancel the replacement instead'), status: 409 };
+  }
+
+  // A speed up is the same payment; a cancel pays nothing, so it isn't spending
+  const payment = kind === 'speed_up'
+    ? {
+      transaction_type: original.transaction_type,
+      amount: original.amount,
+      token: original.token,
+      recipient_address: original.recipient_address,
+      note: original.note,
+      category: original.category,
+      category_source: original.category_source,
+      payment_request_id: original.payment_request_id,
+      metadata: original.metadata || {},
+    }
+    : {
+      transaction_type: 'cancel',
+      amount: 0,
+      token: 'ETH',
+      recipient_address: String(walletAddress || '').toLowerCase(),
+      note: '',
+      metadata: {},
+    };
+
+  const now = new Date().toISOString();
+  const { data: replacement, error: insertError } = await client
+    .from('transactions')
+    .insert([{
+      ...payment,
+      user_id: userId,
+      transaction_hash: replacementHash,
+      status: 'submitted',
+      chain_id: chainId || original.chain_id,
+      replaces: original.id,
+      metadata: { ...payment.metadata, replacement: kind, replaced_hash: original.transaction_hash },
+      submitted_at: now,
+      created_at: now,
+      updated_at: now,
+    }])
+    .select()
+    .single();
+
+  if (insertError) return { data: null, error: insertError, status: 500 };
+
+  // Guarded on the status read above; if the original was mined meanwhile, the replacement can't be
+  // and the receipt poller finds it dropped
+  const { data: linked, error: linkError } = await client
+    .from('transactions')
+    .update({ replaced_by: replacement.id, updated_at: now })
+    .eq('id', original.id)
+    .eq('status', original.status)
+    .select()
+    .maybeSingle();
+
+  if (linkError) return { data: null, error: linkError, status: 500 };
+
+  return { data: { original: linked || original, replacement }, error: null, status: 200 };
+}
+
+/**
+ * Finds the legs of a user's split that can be sent again
+ * @param {object} client - Supabase client
+ * @param {object} params - { transactionId, userId }
+ * @returns {Promise<object>} - { data, error, status }: data is { transaction, legs } with the failed
+ *   and dropped legs, in order
+ */
+export async function findRetryableLegs(client, { transactionId, userId }) {
+  const { data: split, error: loadError } = await findTransaction(client, { transactionId, userId });
+  if (loadError) return { data: null, error: loadError, status: 500 };
+  if (!split) return { data: null, error: new Error('Transaction not found'), status: 404 };
+
+  if (split.user_id !== userId) {
+    return { data: null, error: new Error('Only the sender can retry this split'), status: 403 };
+  }
+  if (split.transaction_type !== 'split') {
+    return { data: null, error: new Error('Only a split\'s payments can be retried'), status: 400 };
+  }
+
+  const { data: legs, error: legsError } = await loadLegs(client, split.id);
+  if (legsError) return { data: null, error: legsError, status: 500 };
+
+  const retryable = legs.filter(leg => RETRYABLE_LEG_STATUSES.includes(leg.status));
+  if (retryable.length === 0) {
+    return { data: null, error: new Error('Every payment of this split was sent'), status: 409 };
+  }
+
+  return { data: { transaction: split, legs: retryable }, error: null, status: 200 };
+}
+
+/**
+ * Records sending a split's failed or dropped legs again. A leg that was sent this time is submitted
+ * with its new hash; one that wasn't keeps its status with the new error. The split follows its legs,
+ * back to submitted if any leg was sent.
+ * @param {object} client - Supabase client
+ * @param {object} params - Retry details
+ * @param {string} params.transactionId - ID of the split
+ * @param {string} params.userId - ID of the user who sent it
+ * @param {object[]} params.results - One per leg sent again: { legIndex, success, hash, nonce, error }
+ * @returns {Promise<object>} - { data, error, status }: data is { transaction, legs } with all its legs
+ */
+export async function recordLegRetries(client, { transactionId, userId, results }) {
+  const { data: split, error: loadError } = await findTransaction(client, { transactionId, userId });
+  if (loadError) return { data: null, error: loadError, status: 500 };
+  if (!split) return { data: null, error: new Error('Transaction not found'), status: 404 };
+
+  if (split.user_id !== userId) {
+    return { data: null, error: new Error('Only the sender can retry this split'), status: 403 };
+  }
+
+  const { data: legs, error: legsError } = await loadLegs(client, split.id);
+  if (legsError) return { data: null, error: legsError, status: 500 };
+
+  const now = new Date().toISOString();
+  for (const result of results) {
+    const leg = legs.find(candidate => candidate.leg_index === result.legIndex);
+    if (!leg || !RETRYABLE_LEG_STATUSES.includes(leg.status)) continue;
+
+    const changes = result.success && result.hash
+      ? {
+        transaction_hash: result.hash,
+        nonce: result.nonce !== undefined && result.nonce !== null ? Number(result.nonce) : null,
+        status: 'submitted',
+        error: null,
+        submitted_at: now,
+        block_number: null,
+        gas_used: null,
+        effective_gas_price: null,
+        fee: null,
+      }
+      : { error: result.error || 'The payment was not sent' };
+
+    // Guarded on the status read above, like the transaction itself
+    const { error: updateError } = await client
+      .from('transaction_legs')
+      .update({ ...changes, attempts: (leg.attempts || 1) + 1, updated_at: now })
+      .eq('id', leg.id)
+      .eq('status', leg.status);
+
+    if (updateError) return { data: null, error: updateError, status: 500 };
+  }
+
+  const { data: retried, error: reloadError } = await loadLegs(client, split.id);
+  if (reloadError) return { data: null, error: reloadError, status: 500 };
+
+  const { data: followed, error: followError } = await followLegs(client, split, retried);
+  if (followError) return { data: null, error: followError, status: 500 };
+
+  return { data: { transaction: followed, legs: retried }, error: null, status: 200 };
+}
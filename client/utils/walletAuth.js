@@ -0,0 +1,376 @@
+/**
+ * Wallet sessions
+ * Routes that act for a wallet (sending its payments, setting up its rules and schedules) only act
+ * for the wallet the caller proved they hold, never for whatever address a request body names:
+ *
+ *   1. The browser asks /api/auth/challenge for a sign-in message naming the wallet, with a
+ *      timestamp and a nonce the server signed with SESSION_SECRET
+ *   2. The wallet signs it, and /api/auth/session checks the signature (smart wallets with
+ *      ERC-1271 on chain), uses up the nonce and sets an HttpOnly session cookie naming the wallet
+ *   3. Routes read the wallet from that cookie (authenticateWallet)
+ *
+ * Background workers (due schedules, payment rules) have no session: they send CRON_SECRET as a
+ * bearer token and act for the wallet that owns the schedule or rule.
+ *
+ *   SESSION_SECRET  Key that signs challenges and session cookies
+ *   CRON_SECRET     Bearer token the workers and the cron jobs send
+ *
+ * Both checks fail closed: without SESSION_SECRET nobody can sign in, and without CRON_SECRET no
+ * worker is let in.
+ *
+ * The helpers that touch the database take the Supabase client to use, like the rest of utils.
+ */
+
+import { getAddress, isAddress, verifyMessage } from 'viem';
+
+export const SESSION_COOKIE = 'lucra_session';
+
+// A challenge has to be signed and sent back within this long
+export const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+// A session lasts this long before the wallet signs in again
+export const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const CHALLENGE_INTRO = 'Welcome to LucraAI!\n\nPlease sign this message to verify your wallet ownership and enable secure transactions.\n\nThis signature will not trigger a blockchain transaction or cost any gas fees.';
+const CHALLENGE_PATTERN = /\nWallet: (0x[a-fA-F0-9]{40})\nTimestamp: (\S+)\nNonce: ([a-f0-9]{32})\.([a-f0-9]{64})$/;
+
+// Postgres error code for a unique constraint violation
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Signs a value with a secret
+ * @param {string} secret - HMAC key
+ * @param {string} value - Value to sign
+ * @returns {Promise<string>} - Hex HMAC-SHA-256
+ */
+async function hmac(secret, value) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(value));
+  return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Compares two strings in time that doesn't depend on where they differ
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - True if they are equal
+ */
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+
+  let difference = 0;
+  for (let index = 0; index < a.length; index++) {
+    difference |= a.charCodeAt(index) ^ b.charCodeAt(index);
+  }
+  return difference === 0;
+}
+
+/**
+ * Gets the session secret
+ * @returns {object} - { secret, error }: the secret, or an error if SESSION_SECRET isn't set
+ */
+function getSessionSecret() {
+  const secret = process.env.SESSION_SECRET;
+  return secret
+    ? { secret, error: null }
+    : { secret: null, error: new Error('Wallet sign-in is not configured (set SESSION_SECRET)') };
+}
+
+/**
+ * Builds the message a wallet signs to sign in
+ * @param {string} walletAddress - Wallet signing in
+ * @param {object} options - Options
+ * @param {number} options.now - Current time in milliseconds
+ * @returns {Promise<object>} - { data, error, status } with { message, nonce, expiresAt }
+ */
+export async function createSignInChallenge(walletAddress, { now = Date.now() } = {}) {
+  if (!isAddress(walletAddress, { strict: false })) {
+    return { data: null, error: new Error('A valid wallet address is required'), status: 400 };
+  }
+
+  const { secret, error } = getSessionSecret();
+  if (error) return { data: null, error, status: 500 };
+
+  const address = getAddress(walletAddress);
+  const timestamp = new Date(now).toISOString();
+  const random = Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+  const nonce = `${random}.${await hmac(secret, `challenge:${address.toLowerCase()}:${timestamp}:${random}`)}`;
+
+  return {
+    data: {
+      message: `${CHALLENGE_INTRO}\n\nWallet: ${address}\nTimestamp: ${timestamp}\nNonce: ${nonce}`,
+      nonce,
+      expiresAt: new Date(now + CHALLENGE_TTL_MS).toISOString(),
+    },
+    error: null,
+    status: 200,
+  };
+}
+
+/**
+ * Checks a signed sign-in message: that the server made it, that it hasn't expired and that the
+ * wallet it names signed it
+ * @param {object} signIn - { message, signature } from the browser
+ * @param {object} options - Options
+ * @param {object} options.publicClient - viem public client, for checking smart wallet (ERC-1271)
+ *   signatures on chain; without one only plain accounts can sign in
+ * @param {number} options.now - Current time in milliseconds
+ * @returns {Promise<object>} - { data, error, status } with { walletAddress, nonce }; walletAddress is
+ *   lower-case
+ */
+export async function verifySignIn({ message, signature }, { publicClient = null, now = Date.now() } = {}) {
+  const match = typeof message === 'string' && message.startsWith(CHALLENGE_INTRO) ? message.match(CHALLENGE_PATTERN) : null;
+  if (!match || typeof signature !== 'string' || !/^0x[a-fA-F0-9]+$/.test(signature)) {
+    return { data: null, error: new Error('Sign in with a message from /api/auth/challenge'), status: 400 };
+  }
+
+  const { secret, error } = getSessionSecret();
+  if (error) return { data: null, error, status: 500 };
+
+  const [, address, timestamp, random, mac] = match;
+  if (!safeEqual(mac, await hmac(secret, `challenge:${address.toLowerCase()}:${timestamp}:${random}`))) {
+    return { data: null, error: new Error('This sign-in message was not issued by LucraAI'), status: 401 };
+  }
+
+  const issuedAt = Date.parse(timestamp);
+  if (!Number.isFinite(issuedAt) || now - issuedAt > CHALLENGE_TTL_MS || issuedAt - now > CHALLENGE_TTL_MS) {
+    return { data: null, error: new Error('This sign-in message has expired; sign a new one'), status: 401 };
+  }
+
+  let valid = false;
+  try {
+    valid = await verifyMessage({ address, message, signature });
+    // Smart wallets sign with their own scheme, which only the wallet contract can check
+    if (!valid && publicClient) {
+      valid = await publicClient.verifyMessage({ address, message, signature });
+    }
+  } catch (verifyError) {
+    console.error('Error verifying the sign-in signature:', verifyError);
+    valid = false;
+  }
+
+  if (!valid) {
+    return { data: null, error: new Error(`The signature is not from ${address}`), status: 401 };
+  }
+
+  return { data: { walletAddress: address.toLowerCase(), nonce: `${random}.${mac}` }, error: null, status: 200 };
+}
+
+/**
+ * Records a sign-in, using up its nonce so the same signed message can't sign in again, and marks
+ * the wallet's user verified (creating the user if this is their first visit)
+ * @param {object} client - Supabase client
+ * @param {object} params - Sign-in details
+ * @param {string} params.walletAddress - Lower-case wallet address from verifySignIn
+ * @param {string} params.nonce - Nonce from verifySignIn
+ * @param {string} params.message - Signed message
+ * @param {string} params.signature - Signature
+ * @returns {Promise<object>} - { data, error, status }
+ */
+export async function recordSignIn(client, { walletAddress, nonce, message, signature }) {
+  const now = new Date().toISOString();
+
+  const { error: userError } = await client
+    .from('users')
+    .upsert([{ wallet_address: walletAddress, wallet_type: 'wagmi', created_at: now, updated_at: now }], {
+      onConflict: 'wallet_address',
+      ignoreDuplicates: true,
+    });
+  if (userError) return { data: null, error: userError, status: 500 };
+
+  const { error: signatureError } = await client
+    .from('wallet_signatures')
+    .insert([{ wallet_address: walletAddress, signature, message, nonce, created_at: now, updated_at: now }]);
+
+  if (signatureError?.code === UNIQUE_VIOLATION) {
+    return { data: null, error: new Error('This sign-in message has already been used; sign a new one'), status: 401 };
+  }
+  if (signatureError) return { data: null, error: signatureError, status: 500 };
+
+  const { error: verifyError } = await client
+    .from('users')
+    .update({ is_verified: true, updated_at: now })
+    .eq('wallet_address', walletAddress);
+  if (verifyError) {
+    // The sign-in stands; the flag is only shown in the UI
+    console.error('Error marking the user verified:', verifyError);
+  }
+
+  return { data: { walletAddress }, error: null, status: 200 };
+}
+
+/**
+ * Makes the session cookie for a wallet that signed in
+ * @param {string} walletAddress - Lower-case wallet address
+ * @param {object} options - Options
+ * @param {number} options.now - Current time in milliseconds
+ * @returns {Promise<object>} - { data, error, status } with { token, cookie, expiresAt }; cookie is a
+ *   Set-Cookie header value
+ */
+export async function createSession(walletAddress, { now = Date.now() } = {}) {
+  const { secret, error } = getSessionSecret();
+  if (error) return { data: null, error, status: 500 };
+
+  const expires = now + SESSION_TTL_MS;
+  const payload = `${walletAddress.toLowerCase()}.${expires}`;
+  const token = `${payload}.${await hmac(secret, `session:${payload}`)}`;
+
+  return {
+    data: { token, cookie: serializeSessionCookie(token, SESSION_TTL_MS / 1000), expiresAt: new Date(expires).toISOString() },
+    error: null,
+    status: 200,
+  };
+}
+
+/**
+ * Builds the Set-Cookie header value for the session cookie
+ * @param {string} token - Session token, or an empty string to clear the cookie
+ * @param {number} maxAge - Lifetime in seconds (0 clears it)
+ * @returns {string} - Header value
+ */
+export function serializeSessionCookie(token, maxAge) {
+  const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+  return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure}`;
+}
+
+/**
+ * Reads the wallet a request's session cookie was made for
+ * @param {Request} req - The request
+ * @param {object} options - Options
+ * @param {number} options.now - Current time in milliseconds
+ * @returns {Promise<string|null>} - Lower-case wallet address, or null without a valid session
+ */
+export async function readSession(req, { now = Date.now() } = {}) {
+  const { secret } = getSessionSecret();
+  if (!secret) return null;
+
+  const cookies = String(req.headers.get('cookie') || '').split(/;\s*/);
+  const token = cookies.find(cookie => cookie.startsWith(`${SESSION_COOKIE}=`))?.slice(SESSION_COOKIE.length + 1);
+  const [address, expires, mac] = String(token || '').split('.');
+  if (!address || !expires || !mac) return null;
+
+  if (!safeEqual(mac, await hmac(secret, `session:${address}.${expires}`))) return null;
+  if (!(Number(expires) > now) || !isAddress(address, { strict: false })) return null;
+
+  return address;
+}
+
+/**
+ * Checks a request carries the CRON_SECRET bearer token
+ * @param {Request} req - The request
+ * @returns {boolean} - True only if CRON_SECRET is set and the request sent it
+ */
+export function authorizeCron(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return false;
+  return safeEqual(req.headers.get('authorization') || '', `Bearer ${secret}`);
+}
+
+/**
+ * Works out which wallet a request may act for: the wallet of its session, or for a worker sending
+ * CRON_SECRET, the wallet it names
+ * @param {Request} req - The request
+ * @param {string} walletAddress - Wallet the request body names, if any; with a session it must be
+ *   the session's
+ * @returns {Promise<object>} - { data, error, status } with { walletAddress, via: 'session' | 'cron' };
+ *   walletAddress is lower-case
+ */
+export async function authenticateWallet(req, walletAddress = null) {
+  const named = walletAddress ? String(walletAddress).toLowerCase() : null;
+
+  if (authorizeCron(req)) {
+    if (!named) return { data: null, error: new Error('Wallet address is required'), status: 400 };
+    return { data: { walletAddress: named, via: 'cron' }, error: null, status: 200 };
+  }
+
+  const sessionAddress = await readSession(req);
+  if (!sessionAddress) {
+    return { data: null, error: new Error('Sign in with your wallet first'), status: 401 };
+  }
+  if (named && named !== sessionAddress) {
+    return { data: null, error: new Error('You can only act for the wallet you signed in with'), status: 403 };
+  }
+
+  return { data: { walletAddress: sessionAddress, via: 'session' }, error: null, status: 200 };
+}
+
+/**
+ * Checks a smart wallet is linked to a user's account, in smart_wallets or as the user's
+ * smart_wallet_address
+ * @param {object} client - Supabase client
+ * @param {object} params - Wallets to check
+ * @param {string} params.walletAddress - The user's wallet address
+ * @param {string} params.smartWalletAddress - Smart wallet the request wants to pay from
+ * @returns {Promise<object>} - { data, error, status } with the lower-case smart wallet address
+ */
+export async function verifySmartWalletOwner(client, { walletAddress, smartWalletAddress }) {
+  const owner = String(walletAddress || '').toLowerCase();
+  const smartWallet = String(smartWalletAddress || '').toLowerCase();
+
+  if (!isAddress(smartWallet, { strict: false })) {
+    return { data: null, error: new Error('A valid smart wallet address is required'), status: 400 };
+  }
+
+  const { data: linked, error: linkedError } = await client
+    .from('smart_wallets')
+    .select('address')
+    .ilike('address', smartWallet)
+    .ilike('owner_address', owner)
+    .maybeSingle();
+  if (linkedError) return { data: null, error: linkedError, status: 500 };
+  if (linked) return { data: smartWallet, error: null, status: 200 };
+
+  const { data: user, error: userError } = await client
+    .from('users')
+    .select('smart_wallet_address')
+    .eq('wallet_address', owner)
+    .maybeSingle();
+  if (userError) return { data: null, error: userError, status: 500 };
+
+  if (user?.smart_wallet_address?.toLowerCase() !== smartWallet) {
+    return { data: null, error: new Error(`Smart wallet ${smartWalletAddress} is not linked to your account`), status: 403 };
+  }
+
+  return { data: smartWallet, error: null, status: 200 };
+}
+
+/**
+ * Finds a smart wallet the agent may pay from for a user: one linked to their account that the
+ * chain says they own and that has authorized the agent. Their primary smart wallet is tried first.
+ * @param {object} client - Supabase client
+ * @param {object} params - Who to look for
+ * @param {string} params.walletAddress - The user's wallet address
+ * @param {object} params.signer - Agent signer (see web3/utils/agentSigner.js)
+ * @returns {Promise<object>} - { data, error, status } with the lower-case smart wallet address, or
+ *   null if the agent can't pay from any of them
+ */
+export async function findAgentSmartWallet(client, { walletAddress, signer }) {
+  const owner = String(walletAddress || '').toLowerCase();
+
+  const { data: user, error: userError } = await client
+    .from('users')
+    .select('smart_wallet_address')
+    .eq('wallet_address', owner)
+    .maybeSingle();
+  if (userError) return { data: null, error: userError, status: 500 };
+
+  const { data: linked, error: linkedError } = await client
+    .from('smart_wallets')
+    .select('address')
+    .ilike('owner_address', owner);
+  if (linkedError) return { data: null, error: linkedError, status: 500 };
+
+  const candidates = [user?.smart_wallet_address, ...(linked || []).map(wallet => wallet.address)]
+    .filter(Boolean)
+    .map(address => address.toLowerCase());
+
+  for (const address of new Set(candidates)) {
+    const wallet = await signer.readSmartWallet(address);
+    if (wallet?.owner === owner && wallet.authorized) {
+      return { data: address, error: null, status: 200 };
+    }
+  }
+
+  return { data: null, error: null, status: 200 };
+}
@@ -9,6 +9,7 @@ import { Input } from '@/components/ui/input'
 import { motion } from 'framer-motion'
 import { ArrowUpDown, AlertCircle, CheckCircle } from 'lucide-react'
 import { formatAddressOrName } from '../utils/baseNameService'
+import { paymentIdempotencyKey } from '@/utils/idempotency'
 
 /**
  * FundSmartWallet component that allows users to fund their smart wallet
@@ -40,6 +41,8 @@ export function FundSmartWallet({ smartWalletAddress, onSuccess, onCancel }) {
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [error, setError] = useState(null)
   const [success, setSuccess] = useState(false)
+  // One top-up per form, so sending it again doesn't store it twice
+  const [fundingId] = useState(() => crypto.randomUUID())
 
   // Handle amount change
   const handleAmountChange = (e) => {
@@ -97,7 +100,8 @@ export function FundSmartWallet({ smartWalletAddress, onSuccess, onCancel }) {
         to: smartWalletAddress,
         amount: amount,
         token: 'ETH',
-        note: 'Fund smart wallet'
+        note: 'Fund smart wallet',
+        idempotencyKey: paymentIdempotencyKey(`fund:${fundingId}`)
       })
 
       console.log('Fund transaction result:', result)
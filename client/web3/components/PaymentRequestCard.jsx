@@ -0,0 +1,175 @@
+"use client"
+
+import { useState, useEffect } from 'react'
+import { useAccount } from 'wagmi'
+import { motion } from 'framer-motion'
+import { ArrowUpRight, Check, AlertCircle, X } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { useTransactions } from '../hooks/useTransactions'
+import { formatAddressOrName } from '../utils/baseNameService'
+import { declinePaymentRequest } from '@/utils/supabase'
+import { paymentIdempotencyKey } from '@/utils/idempotency'
+import { getPaymentRequestStatus } from '@/utils/paymentRequests'
+
+const STATUS_STYLES = {
+  open: 'bg-purple-400/10 text-purple-400',
+  paid: 'bg-green-500/20 text-green-400',
+  declined: 'bg-red-500/20 text-red-400',
+  expired: 'bg-white/10 text-white/60',
+}
+
+/**
+ * Payment request card
+ * The payer sees an open request with Pay and Decline buttons; paying sends the requested amount
+ * to the requester and, once confirmed, the stored transaction marks the request paid.
+ * The requester sees the request and its status.
+ * @param {Object} props - Component props
+ * @param {Object} props.request - payment_requests row
+ * @param {string} props.role - 'payer' or 'requester'
+ * @param {Function} props.onUpdate - Called after the request was paid or declined
+ */
+export function PaymentRequestCard({ request, role = 'payer', onUpdate }) {
+  const { address } = useAccount()
+  const { sendPayment, hash, isConfirmed, getExplorerUrl, error: transactionError } = useTransactions()
+  const [status, setStatus] = useState(getPaymentRequestStatus(request))
+  const [isPaying, setIsPaying] = useState(false)
+  const [isDeclining, setIsDeclining] = useState(false)
+  const [error, setError] = useState(null)
+
+  const isPayer = role === 'payer'
+  const canAct = isPayer && status === 'open' && !isPaying
+
+  // The stored transaction marks the request paid once the payment is confirmed
+  useEffect(() => {
+    if (isPaying && isConfirmed) {
+      setStatus('paid')
+      setIsPaying(false)
+      onUpdate?.()
+    }
+  }, [isPaying, isConfirmed, onUpdate])
+
+  useEffect(() => {
+    if (transactionError) {
+      setError(transactionError)
+      setIsPaying(false)
+    }
+  }, [transactionError])
+
+  const payRequest = async () => {
+    setError(null)
+    setIsPaying(true)
+
+    const result = await sendPayment({
+      to: request.requester_address,
+      amount: request.amount,
+      token: request.token,
+      note: request.note || '',
+      paymentRequestId: request.id,
+      idempotencyKey: paymentIdempotencyKey(`request:${request.id}`)
+    })
+
+    if (!result.success) {
+      setError(result.error)
+      setIsPaying(false)
+    }
+  }
+
+  const declineRequest = async () => {
+    setError(null)
+    setIsDeclining(true)
+
+    const result = await declinePaymentRequest(request.id, address)
+    setIsDeclining(false)
+
+    if (result.error) {
+      setError(result.error)
+      return
+    }
+
+    setStatus('declined')
+    onUpdate?.()
+  }
+
+  return (
+    <div className="mt-4 p-4 bg-white/5 rounded-xl border border-white/10">
+      <div className="flex justify-between items-center mb-2">
+        <span className="text-white/60">Payment Request</span>
+        <span className={`text-xs font-medium px-2 py-1 rounded-full ${STATUS_STYLES[status] || STATUS_STYLES.open}`}>
+          {status === 'paid' ? (
+            <span className="flex items-center gap-1">
+              <Check className="h-3 w-3" />
+              Paid
+            </span>
+          ) : isPaying ? (
+            'Paying...'
+          ) : (
+            status.charAt(0).toUpperCase() + status.slice(1)
+          )}
+        </span>
+      </div>
+
+      <div className="flex justify-between items-center gap-2">
+        <span className="text-white font-medium">
+          {isPayer
+            ? `${formatAddressOrName(request.requester_address)} requested ${request.amount} ${request.token}`
+            : `${request.amount} ${request.token} from @${request.payer_handle}`}
+          {request.note ? ` ${request.note}` : ''}
+        </span>
+
+        {canAct && (
+          <div className="flex gap-2">
+            <motion.div whileHover={{ scale: 1.05 }}>
+              <Button
+                size="sm"
+                variant="ghost"
+                onClick={declineRequest}
+                disabled={isDeclining}
+                className="text-white/60 hover:text-white gap-1"
+              >
+                <X className="h-3 w-3" />
+                Decline
+              </Button>
+            </motion.div>
+            <motion.div whileHover={{ scale: 1.05 }}>
+              <Button
+                size="sm"
+                onClick={payRequest}
+                disabled={isDeclining}
+                className="bg-purple-500/20 hover:bg-purple-500/30 text-purple-400 gap-1"
+              >
+                Pay
+                <ArrowUpRight className="h-3 w-3" />
+              </Button>
+            </motion.div>
+          </div>
+        )}
+      </div>
+
+      {status === 'open' && request.expires_at && (
+        <div className="mt-2 text-xs text-white/60">
+          Expires {new Date(request.expires_at).toLocaleDateString()}
+        </div>
+      )}
+
+      {(hash || request.transaction_hash) && (
+        <div className="mt-2 text-xs text-white/60 truncate">
+          TX: <a
+            href={hash ? getExplorerUrl() : `https://basescan.org/tx/${request.transaction_hash}`}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-purple-400 hover:text-purple-300 hover:underline"
+          >
+            {hash || request.transaction_hash}
+          </a>
+        </div>
+      )}
+
+      {error && (
+        <div className="mt-2 text-xs text-red-400 flex items-center gap-1">
+          <AlertCircle className="h-3 w-3" />
+          {error}
+        </div>
+      )}
+    </div>
+  )
+}
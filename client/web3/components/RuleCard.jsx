@@ -0,0 +1,86 @@
+"use client"
+
+import { useState } from 'react'
+import { useAccount, useChainId } from 'wagmi'
+import { motion } from 'framer-motion'
+import { Check, AlertCircle, Workflow } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { getNetworkByChainId, BASE_SEPOLIA } from '../config/networks'
+import { describeRule } from '@/lib/rules'
+import { createPaymentRule } from '@/utils/supabase'
+
+/**
+ * Payment rule card
+ * Shows a rule proposed in chat with a button to create it; once created, the rule engine
+ * makes its payment whenever the trigger fires
+ * @param {Object} props - Component props
+ * @param {Object} props.rule - Rule from the rule intent: { trigger, conditions, action }
+ * @param {Function} props.onCreate - Called with the stored rule once it is created
+ */
+export function RuleCard({ rule, onCreate }) {
+  const { address } = useAccount()
+  const chainId = useChainId()
+  const [isCreating, setIsCreating] = useState(false)
+  const [createdRule, setCreatedRule] = useState(null)
+  const [error, setError] = useState(null)
+
+  // Rules pay on the network the user set them up on
+  const useTestnet = getNetworkByChainId(chainId)?.id === BASE_SEPOLIA.id
+
+  const createRule = async () => {
+    setError(null)
+    setIsCreating(true)
+
+    const result = await createPaymentRule({ walletAddress: address, rule, useTestnet })
+    setIsCreating(false)
+
+    if (result.error) {
+      setError(result.error)
+      return
+    }
+
+    setCreatedRule(result.data)
+    onCreate?.(result.data)
+  }
+
+  return (
+    <div className="mt-4 p-4 bg-white/5 rounded-xl border border-white/10">
+      <div className="flex justify-between items-center mb-2">
+        <span className="text-white/60 flex items-center gap-1">
+          <Workflow className="h-4 w-4" />
+          Payment Rule
+        </span>
+        {createdRule && (
+          <span className="text-xs font-medium px-2 py-1 rounded-full bg-green-500/20 text-green-400 flex items-center gap-1">
+            <Check className="h-3 w-3" />
+            Active
+          </span>
+        )}
+      </div>
+
+      <div className="flex justify-between items-center gap-2">
+        <span className="text-white font-medium">{describeRule(rule)}</span>
+
+        {!createdRule && (
+          <motion.div whileHover={{ scale: 1.05 }}>
+            <Button
+              size="sm"
+              onClick={createRule}
+              disabled={isCreating || !address}
+              className="bg-purple-500/20 hover:bg-purple-500/30 text-purple-400"
+            >
+              {isCreating ? 'Creating...' : 'Create rule'}
+            </Button>
+          </motion.div>
+        )}
+      </div>
+
+      {error && (
+        <div className="mt-2 text-xs text-red-400 flex items-center gap-1">
+          <AlertCircle className="h-3 w-3" />
+          {error}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,130 @@
+"use client"
+
+import { useState, useEffect } from 'react'
+import { useAccount } from 'wagmi'
+import { isAddress } from 'viem'
+import { Check, AlertCircle, BookUser } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { formatAddressOrName } from '../utils/baseNameService'
+import { isSavedRecipient } from '@/lib/contacts'
+import { createContact, getContacts } from '@/utils/supabase'
+
+/**
+ * Suggests an alias for a recipient: a Base Name's label, nothing for an address
+ * @param {string} recipient - Recipient handle, Base Name or address
+ * @returns {string} - Suggested alias
+ */
+function suggestAlias(recipient) {
+  return isAddress(recipient) ? '' : recipient.replace(/^@/, '').split('.')[0].toLowerCase()
+}
+
+/**
+ * One recipient to save, with its alias box
+ */
+function SaveContactRow({ recipient, token, address }) {
+  const [alias, setAlias] = useState(suggestAlias(recipient))
+  const [isSaving, setIsSaving] = useState(false)
+  const [savedContact, setSavedContact] = useState(null)
+  const [error, setError] = useState(null)
+
+  const saveContact = async () => {
+    setError(null)
+    setIsSaving(true)
+
+    const result = await createContact(address, {
+      alias,
+      address: isAddress(recipient) ? recipient : null,
+      basename: isAddress(recipient) ? null : recipient,
+      default_token: token
+    })
+    setIsSaving(false)
+
+    if (result.error) {
+      setError(result.error)
+      return
+    }
+
+    setSavedContact(result.data)
+  }
+
+  if (savedContact) {
+    return (
+      <div className="text-sm text-green-400 flex items-center gap-1">
+        <Check className="h-4 w-4" />
+        Saved {formatAddressOrName(recipient)} as @{savedContact.alias}
+      </div>
+    )
+  }
+
+  return (
+    <div>
+      <div className="flex items-center gap-2">
+        <span className="text-sm text-white/80 shrink-0">Save {formatAddressOrName(recipient)} as</span>
+        <Input
+          value={alias}
+          onChange={(e) => setAlias(e.target.value)}
+          placeholder="alias"
+          className="h-8"
+        />
+        <Button
+          size="sm"
+          onClick={saveContact}
+          disabled={isSaving || !alias.trim()}
+          className="bg-purple-500/20 hover:bg-purple-500/30 text-purple-400"
+        >
+          {isSaving ? 'Saving...' : 'Save'}
+        </Button>
+      </div>
+      {error && (
+        <div className="mt-1 text-xs text-red-400 flex items-center gap-1">
+          <AlertCircle className="h-3 w-3" />
+          {error}
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Offers to save the recipients of a payment that just went through as contacts, so the next
+ * payment can use @alias. Recipients already in the contact book aren't offered.
+ * @param {Object} props - Component props
+ * @param {string[]} props.recipients - Recipients as they were typed (Base Names or addresses)
+ * @param {string} props.token - Token the payment was made in, saved as the contact's default
+ */
+export function SaveContactPrompt({ recipients = [], token }) {
+  const { address } = useAccount()
+  const [newRecipients, setNewRecipients] = useState([])
+
+  useEffect(() => {
+    if (!address || recipients.length === 0) return
+
+    let cancelled = false
+    getContacts(address).then(contacts => {
+      if (!cancelled) {
+        setNewRecipients(recipients.filter(recipient =>
+          !isSavedRecipient(contacts, recipient) && recipient.toLowerCase() !== address.toLowerCase()
+        ))
+      }
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [address, recipients])
+
+  if (newRecipients.length === 0) return null
+
+  return (
+    <div className="mt-3 pt-3 border-t border-white/10 space-y-2">
+      <span className="text-white/60 text-sm flex items-center gap-1">
+        <BookUser className="h-4 w-4" />
+        Pay them again by name?
+      </span>
+      {newRecipients.map(recipient => (
+        <SaveContactRow key={recipient} recipient={recipient} token={token} address={address} />
+      ))}
+    </div>
+  )
+}
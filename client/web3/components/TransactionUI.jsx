@@ -1,22 +1,88 @@
 "use client"
 
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { useTransactions } from '../hooks/useTransactions'
 import { formatAddressOrName } from '../utils/baseNameService'
 import { Button } from '@/components/ui/button'
 import { motion } from 'framer-motion'
-import { ArrowUpRight, Check, AlertCircle } from 'lucide-react'
+import { ArrowUpRight, Check, AlertCircle, CalendarClock, Zap, X } from 'lucide-react'
 import { useAccount, useChainId } from 'wagmi'
 import { getNetworkByChainId, BASE_SEPOLIA } from '../config/networks'
+import { formatFiat, quoteFiatAmount } from '../utils/prices'
+import { describeAllocations, validateSplitAllocations } from '../utils/splits'
+import { isPaymentIntent } from '@/lib/intent'
+import { describeSchedule } from '@/lib/schedules'
+import { createScheduledPayment, getAgentSmartWallet } from '@/utils/supabase'
+import { paymentIdempotencyKey } from '@/utils/idempotency'
+import { SaveContactPrompt } from './SaveContactPrompt'
+
+/**
+ * Formats a recipient for execution: a bare 40-character hex address gets its 0x prefix, and
+ * Base Names and contact aliases are kept for resolution
+ * @param {string} name - Recipient from the intent
+ * @returns {string} - Base Name, alias or 0x-prefixed address
+ */
+function formatRecipient(name) {
+  return /^[a-fA-F0-9]{40}$/.test(name) ? `0x${name}` : name
+}
+
+/**
+ * Describes the amount of a payment, e.g. "0.1 ETH" or "$25.00 of ETH"
+ * @param {Object} payment - Send or split intent
+ * @returns {string} - Amount text
+ */
+function formatPaymentAmount(payment) {
+  return payment.fiat_amount
+    ? `${formatFiat(payment.fiat_amount, payment.fiat_currency)} of ${payment.token || "ETH"}`
+    : `${payment.amount || '0'} ${payment.token || "ETH"}`
+}
+
+/**
+ * Formats an amount from a simulation for display, e.g. a network fee of "0.0000213"
+ * @param {string} value - Decimal string
+ * @returns {string} - Amount with at most 6 decimals, or 3 significant digits if it's smaller
+ */
+function formatPreviewAmount(value) {
+  const amount = Number(value)
+  return Math.abs(amount) > 0 && Math.abs(amount) < 0.001
+    ? amount.toLocaleString('en-US', { maximumSignificantDigits: 3 })
+    : amount.toLocaleString('en-US', { maximumFractionDigits: 6 })
+}
 
 /**
  * TransactionUI component that handles transaction execution and status display
  * for the chat interface
+ * parsedData is an intent in the shared schema (lib/intent/schema.js); a batch is shown as
+ * one reviewable list and its payments are executed together, and a send or split with a
+ * schedule is stored for the schedule worker instead of being executed now
+ * Payments are simulated before they're confirmed, so the user sees the network fee, the balance
+ * left afterwards and why the payment would fail, if it would
+ * A send or split is signed by the connected wallet, unless the user has a smart wallet that
+ * authorized the agent: then the agent pays it from there (/api/ai/execute-transaction)
+ * Each payment was drafted by /api/chat under one of parsedData.transaction_ids, and executing it
+ * moves that draft on (see utils/transactionRecords.js)
+ * Every preview gets an idempotency key per payment, which confirming sends along, so a double click
+ * or a retried request can't pay twice (see utils/idempotency.js)
+ * While a payment the wallet sent is pending it can be sped up or cancelled, by its hash (see web3/utils/replacement.js)
  */
-export function TransactionUI({ parsedData = {}, transactionId }) {
+export function TransactionUI({ parsedData = {} }) {
+  const isBatch = parsedData.intent === 'batch'
+  const isScheduled = !isBatch && !!parsedData.schedule
+  const [isScheduling, setIsScheduling] = useState(false)
+  const [scheduledPayment, setScheduledPayment] = useState(null)
   const [isExecuting, setIsExecuting] = useState(false)
-  const [isUpdatingDb, setIsUpdatingDb] = useState(false)
+  const [batchResult, setBatchResult] = useState(null)
   const [executionError, setExecutionError] = useState(null)
+  const [priceQuote, setPriceQuote] = useState(null)
+  const [priceError, setPriceError] = useState(null)
+  const [sentPayment, setSentPayment] = useState(null)
+  const [isSimulating, setIsSimulating] = useState(false)
+  const [preview, setPreview] = useState(null)
+  const [isReplacing, setIsReplacing] = useState(false)
+  // Hash of the payment the connected wallet sent, which a speed up or cancel replaces
+  const [walletHash, setWalletHash] = useState(null)
+  // Set while a confirmed payment is being sent, before isExecuting has re-rendered the button
+  const sending = useRef(false)
   const { address } = useAccount()
   const chainId = useChainId()
 
@@ -25,10 +91,17 @@ export function TransactionUI({ parsedData = {}, transactionId }) {
   const {
     sendPayment,
     splitPayment,
+    sendBatch,
+    simulatePayment,
+    simulateSplit,
+    simulateBatch,
     hash,
     isPending,
     isConfirming,
     isConfirmed,
+    replaceTransaction,
+    replacement,
+    canReplace,
     getExplorerUrl,
     network
   } = transactions
@@ -37,58 +110,34 @@ export function TransactionUI({ parsedData = {}, transactionId }) {
   const currentNetwork = getNetworkByChainId(chainId)
   const useTestnet = currentNetwork?.id === BASE_SEPOLIA.id
 
-  // Update transaction status in Supabase when transaction status changes
+  // IDs of the drafted transactions, one per payment (a batch has one per action)
+  const transactionIds = parsedData.transaction_ids || []
+
+  // Preview the token amount for fiat-denominated payments; the final rate is fetched again on execute
   useEffect(() => {
-    const updateTransactionStatus = async () => {
-      if (!address || !hash || isUpdatingDb) return
-
-      try {
-        setIsUpdatingDb(true)
-
-        // Determine the status
-        let status = 'pending'
-        if (isPending) status = 'sending'
-        if (isConfirming) status = 'confirming'
-        if (isConfirmed) status = 'completed'
-
-        console.log(`Transaction status update: ${status} for hash ${hash}`)
-
-        // Call the API to update the transaction status
-        const response = await fetch('/api/transactions/update', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            transactionId, // If provided by the parent component
-            transactionHash: hash,
-            status,
-            walletAddress: address
-          })
-        })
-
-        if (!response.ok) {
-          console.error('Failed to update transaction status in database')
+    if (!parsedData.fiat_amount || isExecuting || preview) return
+
+    let cancelled = false
+    quoteFiatAmount({
+      fiatAmount: parsedData.fiat_amount,
+      currency: parsedData.fiat_currency,
+      token: parsedData.token || 'ETH'
+    })
+      .then(quote => {
+        if (!cancelled) {
+          setPriceQuote(quote)
+          setPriceError(null)
         }
-      } catch (error) {
-        console.error('Error updating transaction status:', error)
-      } finally {
-        setIsUpdatingDb(false)
-      }
-    }
-
-    if (hash && isExecuting) {
-      updateTransactionStatus()
+      })
+      .catch(error => {
+        console.error('Error fetching price quote:', error)
+        if (!cancelled) setPriceError(error.message)
+      })
 
-      // Set a polling interval to check transaction status
-      const statusInterval = setInterval(updateTransactionStatus, 5000)
-
-      // Clean up interval on unmount or when transaction is confirmed
-      return () => {
-        clearInterval(statusInterval)
-      }
+    return () => {
+      cancelled = true
     }
-  }, [hash, isPending, isConfirming, isConfirmed, address, isExecuting, transactionId, isUpdatingDb])
+  }, [parsedData.fiat_amount, parsedData.fiat_currency, parsedData.token, isExecuting, preview])
 
   // Automatically open Basescan when transaction is submitted
   useEffect(() => {
@@ -102,113 +151,382 @@ export function TransactionUI({ parsedData = {}, transactionId }) {
     }
   }, [hash, getExplorerUrl])
 
-  // Execute the transaction based on the parsed data
-  const executeTransaction = async () => {
+  // Prepare the payments of a batch, converting fiat amounts at the current price
+  const prepareBatchActions = async () => {
+    const actions = await Promise.all(parsedData.actions.map(async (action, index) => {
+      const payment = {
+        ...action,
+        recipients: (action.recipients || []).map(formatRecipient),
+        transaction_id: transactionIds[index] || null,
+        idempotency_key: paymentIdempotencyKey(transactionIds[index])
+      }
+      if (payment.allocations) {
+        payment.allocations = payment.allocations.map(allocation => ({ ...allocation, recipient: formatRecipient(allocation.recipient) }))
+      }
+      if (!payment.fiat_amount) return payment
+
+      const quote = await quoteFiatAmount({
+        fiatAmount: payment.fiat_amount,
+        currency: payment.fiat_currency,
+        token: payment.token || 'ETH'
+      })
+      return { ...payment, amount: quote.amount, price_quote: quote }
+    }))
+
+    // Check every split adds up before anything is sent
+    for (const action of actions.filter(action => action.intent === 'split')) {
+      const splitType = action.allocations?.length ? action.split_type || 'equal' : 'equal'
+      const validation = validateSplitAllocations({
+        amount: action.amount,
+        recipients: action.recipients,
+        splitType,
+        allocations: splitType === 'equal' ? null : action.allocations,
+        token: action.token || 'ETH'
+      })
+      if (!validation.valid) {
+        throw new Error(validation.error)
+      }
+    }
+
+    return actions
+  }
+
+  // Send every payment of a batch together, atomically where the wallet supports it
+  const executeBatch = async (actions) => {
     setIsExecuting(true)
     setExecutionError(null)
 
     try {
-      // Prepare transaction data based on the intent/type
-      let transactionData = null
+      console.log(`Executing a batch of ${actions.length} payments`)
+      const result = await sendBatch(actions)
+
+      if (!result.success) {
+        throw new Error(result.error || result.results?.find(r => !r.success)?.error || 'Failed to send the batch')
+      }
 
-      if (parsedData.intent === 'send' || parsedData.type === 'send') {
-        // For send intent, use the first recipient
-        const recipient = parsedData.recipients && parsedData.recipients.length > 0
-          ? parsedData.recipients[0]
-          : (parsedData.recipient || null)
+      setBatchResult(result)
 
-        if (!recipient || !parsedData.amount) {
-          throw new Error('Missing recipient or amount for send transaction')
-        }
+      const tokens = new Set(parsedData.actions.map(action => action.token || 'ETH'))
+      setSentPayment({
+        recipients: parsedData.recipients.map(formatRecipient),
+        token: tokens.size === 1 ? [...tokens][0] : null
+      })
+    } catch (error) {
+      console.error('Batch execution error:', error)
+      setExecutionError(error.message)
+      setIsExecuting(false)
+    }
+  }
 
-        // Check if the recipient is a Base Name or an address
-        const isBaseName = !recipient.startsWith('0x') && (recipient.includes('.base') || recipient.includes('.eth'))
+  // Store a scheduled send or split; the schedule worker pays it when it's due
+  const schedulePayment = async () => {
+    setIsScheduling(true)
+    setExecutionError(null)
 
-        // If it's a Base Name, use it directly, otherwise prepend 0x if needed
-        const formattedRecipient = isBaseName ? recipient : (recipient.startsWith('0x') ? recipient : `0x${recipient}`)
+    const result = await createScheduledPayment({
+      walletAddress: address,
+      intent: parsedData,
+      schedule: parsedData.schedule,
+      useTestnet
+    })
+
+    setIsScheduling(false)
+    if (result.error) {
+      setExecutionError(result.error)
+      return
+    }
 
-        console.log(`Preparing transaction to ${formattedRecipient}`)
+    setScheduledPayment(result.data)
+  }
 
-        transactionData = {
-          type: 'send',
-          recipient: formattedRecipient,
-          amount: parsedData.amount,
-          token: parsedData.token || 'ETH',
-          note: parsedData.note || ''
-        }
-      } else if (parsedData.intent === 'split' || parsedData.type === 'split') {
-        // For split intent, use all recipients
-        if (!parsedData.recipients || parsedData.recipients.length === 0 || !parsedData.amount) {
-          throw new Error('Missing recipients or amount for split transaction')
-        }
+  // Prepare the send or split for the execute-transaction API, converting a fiat amount at the
+  // current price; balance and history questions have nothing to send, so they give null
+  const prepareTransactionData = async () => {
+    // Prepare transaction data based on the intent/type
+    let transactionData = null
+
+    // Fiat amounts are converted at the price current when the payment is previewed
+    let amount = parsedData.amount
+    let fiatDetails = {}
+    if (parsedData.fiat_amount && isPaymentIntent(parsedData)) {
+      const quote = await quoteFiatAmount({
+        fiatAmount: parsedData.fiat_amount,
+        currency: parsedData.fiat_currency,
+        token: parsedData.token || 'ETH'
+      })
+      setPriceQuote(quote)
+      amount = quote.amount
+      fiatDetails = {
+        fiat_amount: quote.fiat_amount,
+        fiat_currency: quote.fiat_currency,
+        price_quote: quote
+      }
+    }
 
-        // Format recipients properly
-        const formattedRecipients = parsedData.recipients.map(name => {
-          const isBaseName = !name.startsWith('0x') && (name.includes('.base') || name.includes('.eth'))
-          return isBaseName ? name : (name.startsWith('0x') ? name : `0x${name}`)
-        })
+    if (parsedData.intent === 'send') {
+      // For send intent, use the first recipient
+      const recipient = parsedData.recipients?.[0] || null
 
-        console.log(`Preparing split payment between ${formattedRecipients.join(', ')}`)
+      if (!recipient || !amount) {
+        throw new Error('Missing recipient or amount for send transaction')
+      }
 
-        transactionData = {
-          type: 'split',
-          recipients: formattedRecipients,
-          amount: parsedData.amount,
-          token: parsedData.token || 'ETH',
-          note: parsedData.note || ''
-        }
-      } else if (parsedData.intent === 'check_balance' || parsedData.type === 'check_balance') {
-        // For balance check, we don't need to execute a transaction
-        console.log('Balance check requested, no transaction needed')
-        setIsExecuting(false)
-        return
-      } else if (parsedData.intent === 'transaction_history' || parsedData.type === 'transaction_history') {
-        // For transaction history, we don't need to execute a transaction
-        console.log('Transaction history requested, no transaction needed')
-        setIsExecuting(false)
-        return
+      // Base Names and contact aliases are resolved by the server
+      const formattedRecipient = formatRecipient(recipient)
+
+      console.log(`Preparing transaction to ${formattedRecipient}`)
+
+      transactionData = {
+        type: 'send',
+        recipient: formattedRecipient,
+        amount,
+        token: parsedData.token || 'ETH',
+        note: parsedData.note || '',
+        ...fiatDetails
+      }
+    } else if (parsedData.intent === 'split') {
+      // For split intent, use all recipients
+      if (!parsedData.recipients || parsedData.recipients.length === 0 || !amount) {
+        throw new Error('Missing recipients or amount for split transaction')
+      }
+
+      // Format recipients properly
+      const formattedRecipients = parsedData.recipients.map(formatRecipient)
+
+      // Percentage and custom splits carry each recipient's share
+      const splitType = parsedData.split_type || 'equal'
+      const allocations = splitType !== 'equal' && parsedData.allocations?.length
+        ? parsedData.allocations.map(allocation => ({ ...allocation, recipient: formatRecipient(allocation.recipient) }))
+        : null
+
+      const validation = validateSplitAllocations({
+        amount,
+        recipients: formattedRecipients,
+        splitType,
+        allocations,
+        token: parsedData.token || 'ETH'
+      })
+      if (!validation.valid) {
+        throw new Error(validation.error)
+      }
+
+      console.log(`Preparing split payment between ${formattedRecipients.join(', ')}`)
+
+      transactionData = {
+        type: 'split',
+        recipients: formattedRecipients,
+        amount,
+        token: parsedData.token || 'ETH',
+        split_type: allocations ? splitType : 'equal',
+        allocations,
+        note: parsedData.note || '',
+        ...fiatDetails
       }
+    } else if (parsedData.intent === 'check_balance') {
+      // For balance check, we don't need to execute a transaction
+      console.log('Balance check requested, no transaction needed')
+      return null
+    } else if (parsedData.intent === 'transaction_history') {
+      // For transaction history, we don't need to execute a transaction
+      console.log('Transaction history requested, no transaction needed')
+      return null
+    }
+
+    if (!transactionData) {
+      throw new Error('Could not prepare transaction data')
+    }
+
+    return transactionData
+  }
+
+  // Simulate a send or split the agent would pay from the smart wallet
+  const simulateWithAgent = async (transactionData, smartWalletAddress) => {
+    const response = await fetch('/api/ai/execute-transaction', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        transaction: transactionData,
+        walletAddress: address,
+        smartWalletAddress,
+        useTestnet,
+        simulate: true
+      })
+    })
+
+    const result = await response.json()
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to simulate transaction')
+    }
+
+    return result.simulation
+  }
+
+  // Simulate a send or split the connected wallet would sign
+  const simulateWithWallet = (transactionData) => {
+    if (transactionData.type === 'send') {
+      return simulatePayment({ to: transactionData.recipient, amount: transactionData.amount, token: transactionData.token })
+    }
+
+    return simulateSplit(transactionData.recipients, transactionData.amount, transactionData.token, transactionData.note, {
+      splitType: transactionData.split_type,
+      allocations: transactionData.allocations
+    })
+  }
 
-      if (!transactionData) {
-        throw new Error('Could not prepare transaction data')
+  // Simulate the payment before the user confirms it: whether it would go through, its network fee
+  // and the balance left afterwards. Confirming sends exactly what was simulated, at the same rate.
+  const previewTransaction = async () => {
+    setIsSimulating(true)
+    setExecutionError(null)
+
+    try {
+      if (isBatch) {
+        const actions = await prepareBatchActions()
+        const simulation = await simulateBatch(actions)
+        setPreview({ actions, ...simulation })
+        return
       }
 
-      // Call the execute-transaction API endpoint
-      console.log('Calling execute-transaction API with data:', transactionData);
-      const response = await fetch('/api/ai/execute-transaction', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          transaction: transactionData,
-          walletAddress: address,
-          useTestnet
-        })
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Failed to execute transaction');
+      const transactionData = await prepareTransactionData()
+      if (!transactionData) return
+
+      // Whoever pays it simulates it: the agent from the smart wallet, or the connected wallet
+      const smartWalletAddress = await getAgentSmartWallet(address, useTestnet)
+      const simulation = smartWalletAddress
+        ? await simulateWithAgent(transactionData, smartWalletAddress)
+        : await simulateWithWallet(transactionData)
+
+      setPreview({
+        transactionData,
+        smartWalletAddress,
+        idempotencyKey: paymentIdempotencyKey(transactionIds[0]),
+        success: simulation.success,
+        error: simulation.error,
+        simulations: [simulation]
+      })
+    } catch (error) {
+      console.error('Transaction simulation error:', error)
+      setExecutionError(error.message)
+    } finally {
+      setIsSimulating(false)
+    }
+  }
+
+  // Send the previewed send or split through the agent, from the smart wallet it was simulated from
+  const executeWithAgent = async ({ transactionData, smartWalletAddress, idempotencyKey }) => {
+    console.log('Calling execute-transaction API with data:', transactionData);
+    const response = await fetch('/api/ai/execute-transaction', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Idempotency-Key': idempotencyKey
+      },
+      body: JSON.stringify({
+        transaction: transactionData,
+        walletAddress: address,
+        smartWalletAddress,
+        useTestnet,
+        transactionId: transactionIds[0] || null
+      })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+
+      // The chain moved on since the preview and the payment would now fail; show the new simulation
+      if (errorData.simulation) {
+        setPreview({ ...preview, success: false, error: errorData.simulation.error, simulations: [errorData.simulation] })
       }
+      throw new Error(errorData.error || 'Failed to execute transaction');
+    }
+
+    // The server stored the payment as submitted; the receipt poller confirms it once it's mined
+    const result = await response.json();
+    console.log('Transaction execution result:', result);
+    return { ...result, token: result.details?.token }
+  }
+
+  // Have the connected wallet sign the previewed send or split; the hook stores it as it goes
+  const executeWithWallet = ({ transactionData, idempotencyKey }) => {
+    const transactionId = transactionIds[0] || null
+
+    if (transactionData.type === 'send') {
+      return sendPayment({
+        to: transactionData.recipient,
+        amount: transactionData.amount,
+        token: transactionData.token,
+        note: transactionData.note,
+        transactionId,
+        idempotencyKey
+      })
+    }
+
+    return splitPayment(transactionData.recipients, transactionData.amount, transactionData.token, transactionData.note, {
+      splitType: transactionData.split_type,
+      allocations: transactionData.allocations,
+      transactionId,
+      idempotencyKey
+    })
+  }
+
+  // Execute the previewed transaction
+  const executeTransaction = async () => {
+    if (!preview?.success || sending.current) return
+    sending.current = true
+
+    if (isBatch) {
+      await executeBatch(preview.actions)
+      sending.current = false
+      return
+    }
 
-      const result = await response.json();
-      console.log('Transaction execution result:', result);
+    setIsExecuting(true)
+    setExecutionError(null)
 
-      // If we're here, the transaction was successfully submitted
-      // The actual blockchain confirmation will be handled by the useEffect above
-      // that watches for hash, isPending, etc.
+    try {
+      const { transactionData } = preview
+      const result = preview.smartWalletAddress
+        ? await executeWithAgent(preview)
+        : await executeWithWallet(preview)
+
+      // A split the wallet sent part of isn't offered again, so its sent payments aren't paid twice
+      const sent = result.success || result.results?.some(leg => leg.success)
+      if (!sent) {
+        throw new Error(result.error || result.results?.find(leg => !leg.success)?.error || 'Failed to execute transaction')
+      }
+      if (!preview.smartWalletAddress) setWalletHash(result.hash || null)
+      if (!result.success) {
+        setExecutionError(`Some payments of the split failed: ${result.results.filter(leg => !leg.success).map(leg => leg.to).join(', ')}`)
+      }
 
-      // For now, we'll use the wagmi hooks for transaction status
-      // but we could also implement a polling mechanism to check the status
-      // of the transaction from the API if needed
+      // Offer to save whoever was just paid as a contact
+      setSentPayment({
+        recipients: transactionData.type === 'send' ? [transactionData.recipient] : transactionData.recipients,
+        token: result.token || transactionData.token
+      })
     } catch (error) {
       console.error('Transaction execution error:', error);
       setExecutionError(error.message);
       setIsExecuting(false);
+    } finally {
+      sending.current = false
     }
   }
 
+  // Speed up or cancel the payment while it's pending, with another transaction from the wallet
+  const replacePayment = async (kind) => {
+    setIsReplacing(true)
+    setExecutionError(null)
+
+    const result = await replaceTransaction({ hash: walletHash, kind, transactionId: transactionIds[0] || null })
+    if (!result.success) {
+      setExecutionError(result.error || 'Failed to replace the transaction')
+    }
+    setIsReplacing(false)
+  }
+
   // Get the transaction status
   const getTransactionStatus = () => {
     if (!isExecuting) return 'pending'
@@ -232,53 +550,98 @@ export function TransactionUI({ parsedData = {}, transactionId }) {
     <div className="mt-4 p-4 bg-white/5 rounded-xl border border-white/10 transaction-ui">
       <div className="flex justify-between items-center mb-2">
         <span className="text-white/60">
-          {parsedData.intent === "send" ? "Transaction" : "Split Payment"}
+          {isScheduled ? "Scheduled " : ""}
+          {parsedData.intent === "send" ? "Transaction" : isBatch ? "Batch Payment" : "Split Payment"}
         </span>
-        <motion.span
-          animate={status === 'pending' ? { scale: [1, 1.05, 1] } : {}}
-          transition={{ repeat: status === 'pending' ? Infinity : 0, duration: 2 }}
-          className={`text-xs font-medium px-2 py-1 rounded-full ${
-            status === 'confirmed'
-              ? 'bg-green-500/20 text-green-400'
-              : status === 'sending' || status === 'confirming' || status === 'processing'
-                ? 'bg-yellow-500/20 text-yellow-400 animate-pulse'
-                : 'bg-purple-400/10 text-purple-400'
-          }`}
-        >
-          {status === 'confirmed' ? (
-            <span className="flex items-center gap-1">
-              <Check className="h-3 w-3" />
-              Confirmed
-            </span>
-          ) : status === 'sending' ? (
-            'Sending...'
-          ) : status === 'confirming' ? (
-            'Confirming...'
-          ) : status === 'processing' ? (
-            'Processing...'
-          ) : (
-            'Pending'
-          )}
-        </motion.span>
+        {isScheduled ? (
+          <span className={`text-xs font-medium px-2 py-1 rounded-full ${
+            scheduledPayment ? 'bg-green-500/20 text-green-400' : 'bg-purple-400/10 text-purple-400'
+          }`}>
+            {scheduledPayment ? (
+              <span className="flex items-center gap-1">
+                <Check className="h-3 w-3" />
+                Scheduled
+              </span>
+            ) : isScheduling ? (
+              'Scheduling...'
+            ) : (
+              'Not scheduled'
+            )}
+          </span>
+        ) : (
+          <motion.span
+            animate={status === 'pending' ? { scale: [1, 1.05, 1] } : {}}
+            transition={{ repeat: status === 'pending' ? Infinity : 0, duration: 2 }}
+            className={`text-xs font-medium px-2 py-1 rounded-full ${
+              status === 'confirmed'
+                ? 'bg-green-500/20 text-green-400'
+                : status === 'sending' || status === 'confirming' || status === 'processing'
+                  ? 'bg-yellow-500/20 text-yellow-400 animate-pulse'
+                  : 'bg-purple-400/10 text-purple-400'
+            }`}
+          >
+            {status === 'confirmed' ? (
+              <span className="flex items-center gap-1">
+                <Check className="h-3 w-3" />
+                {replacement?.kind === 'cancel' ? 'Cancelled' : 'Confirmed'}
+              </span>
+            ) : replacement && (status === 'confirming' || status === 'processing') ? (
+              replacement.kind === 'cancel' ? 'Cancelling...' : 'Speeding up...'
+            ) : status === 'sending' ? (
+              'Sending...'
+            ) : status === 'confirming' ? (
+              'Confirming...'
+            ) : status === 'processing' ? (
+              'Processing...'
+            ) : (
+              'Pending'
+            )}
+          </motion.span>
+        )}
       </div>
 
       <div className="flex justify-between items-center">
         <span className="text-white font-medium">
-          {parsedData.amount || '0'} {parsedData.token || "ETH"} to{" "}
-          {parsedData.recipients && parsedData.recipients.length > 0
-            ? parsedData.recipients.map(r => `@${r}`).join(", ")
-            : "recipient"}
-          {parsedData.note ? ` ${parsedData.note}` : ""}
+          {isBatch
+            ? `${parsedData.actions.length} payments to ${parsedData.recipients.map(r => `@${r}`).join(", ")}`
+            : <>
+                {formatPaymentAmount(parsedData)} to{" "}
+                {parsedData.recipients && parsedData.recipients.length > 0
+                  ? parsedData.recipients.map(r => `@${r}`).join(", ")
+                  : "recipient"}
+                {parsedData.note ? ` ${parsedData.note}` : ""}
+              </>}
         </span>
 
-        {!isExecuting ? (
+        {isScheduled ? (
+          !scheduledPayment && (
+            <motion.div whileHover={{ scale: 1.05 }}>
+              <Button
+                size="sm"
+                onClick={schedulePayment}
+                disabled={isScheduling || !address}
+                className="bg-purple-500/20 hover:bg-purple-500/30 text-purple-400 gap-1"
+              >
+                Schedule
+                <CalendarClock className="h-3 w-3" />
+              </Button>
+            </motion.div>
+          )
+        ) : !isExecuting ? (
           <motion.div whileHover={{ scale: 1.05 }}>
             <Button
               size="sm"
-              onClick={executeTransaction}
+              onClick={preview?.success ? executeTransaction : previewTransaction}
+              disabled={isSimulating}
               className="bg-purple-500/20 hover:bg-purple-500/30 text-purple-400 gap-1"
             >
-              Execute
+              {isSimulating
+                ? "Checking..."
+                : preview?.success
+                  ? (isBatch ? "Confirm all" : "Confirm")
+                  : preview
+                    ? "Check again"
+                    : (isBatch ? "Execute all" : "Execute")}
               <ArrowUpRight className="h-3 w-3" />
             </Button>
           </motion.div>
@@ -301,6 +664,106 @@ export function TransactionUI({ parsedData = {}, transactionId }) {
         ) : null}
       </div>
 
+      {isBatch && (
+        <ol className="mt-2 space-y-1 text-xs text-white/80 list-decimal list-inside">
+          {parsedData.actions.map((action, index) => (
+            <li key={index}>
+              {action.intent === "split"
+                ? `Split ${formatPaymentAmount(action)} between ${action.recipients.map(r => `@${r}`).join(", ")}`
+                : `Send ${formatPaymentAmount(action)} to ${action.recipients.map(r => `@${r}`).join(", ")}`}
+              {action.allocations?.length > 0 && action.split_type !== 'equal'
+                ? ` (${describeAllocations(action.allocations, action.token || 'ETH')})`
+                : ""}
+              {action.note ? ` ${action.note}` : ""}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {isScheduled && (
+        <div className="mt-2 text-xs text-white/60">
+          Pays {describeSchedule(parsedData.schedule)}
+          {scheduledPayment?.next_run_at && ` · first payment ${new Date(scheduledPayment.next_run_at).toLocaleString()}`}
+        </div>
+      )}
+
+      {batchResult && (
+        <div className="mt-2 text-xs text-white/60">
+          {batchResult.atomic
+            ? "All payments were sent in one batch: they succeed or fail together."
+            : "Your wallet can't batch payments, so they were sent one after another."}
+        </div>
+      )}
+
+      {parsedData.allocations?.length > 0 && parsedData.split_type !== 'equal' && (
+        <div className="mt-2 text-xs text-white/60">
+          {describeAllocations(parsedData.allocations, parsedData.token || 'ETH')}
+        </div>
+      )}
+
+      {parsedData.fiat_amount && priceQuote && (
+        <div className="mt-2 text-xs text-white/60">
+          ≈ {priceQuote.amount} {priceQuote.token} at {formatFiat(priceQuote.rate, priceQuote.fiat_currency)}/{priceQuote.token}
+          {isScheduled ? ' (each payment converts at the price on its day)' : isExecuting || preview ? ' (rate used)' : ' (final rate is set when you execute)'}
+        </div>
+      )}
+
+      {parsedData.fiat_amount && !priceQuote && priceError && (
+        <div className="mt-2 text-xs text-red-400 flex items-center gap-1">
+          <AlertCircle className="h-3 w-3" />
+          Couldn&apos;t fetch a {parsedData.token || 'ETH'} price: {priceError}
+        </div>
+      )}
+
+      {preview && !hash && (
+        <div className="mt-2 space-y-1 text-xs">
+          {preview.simulations.filter(simulation => simulation.success).map((simulation, index) => (
+            <div key={index} className="text-white/60">
+              Network fee up to {formatPreviewAmount(simulation.gasCost)} ETH
+              {` · ${formatPreviewAmount(simulation.balanceAfter)} ${simulation.token} left after`}
+            </div>
+          ))}
+          {preview.simulations.flatMap(simulation => simulation.warnings || []).map((warning, index) => (
+            <div key={index} className="text-yellow-400 flex items-center gap-1">
+              <AlertCircle className="h-3 w-3" />
+              {warning}
+            </div>
+          ))}
+          {!preview.success && preview.error && !executionError && (
+            <div className="text-red-400 flex items-center gap-1">
+              <AlertCircle className="h-3 w-3" />
+              This payment would fail: {preview.error}
+            </div>
+          )}
+        </div>
+      )}
+
+      {canReplace(walletHash) && !isPending && (
+        <div className="mt-2 flex items-center gap-2">
+          <span className="text-xs text-white/60 mr-auto">Taking a while?</span>
+          <Button
+            size="sm"
+            variant="ghost"
+            onClick={() => replacePayment('speed_up')}
+            disabled={isReplacing}
+            className="text-purple-400 hover:text-purple-300 gap-1"
+          >
+            Speed up
+            <Zap className="h-3 w-3" />
+          </Button>
+          <Button
+            size="sm"
+            variant="ghost"
+            onClick={() => replacePayment('cancel')}
+            disabled={isReplacing}
+            className="text-white/60 hover:text-white/80 gap-1"
+          >
+            Cancel
+            <X className="h-3 w-3" />
+          </Button>
+        </div>
+      )}
+
       {isExecuting && !hash && !isConfirmed && (
         <div className="mt-2 text-xs text-yellow-400 flex items-center gap-1">
           <AlertCircle className="h-3 w-3" />
@@ -322,17 +785,7 @@ export function TransactionUI({ parsedData = {}, transactionId }) {
           >
             {hash}
           </a>
-        </div>
-      )}
-
-      {isUpdatingDb && (
-        <div className="mt-2 text-xs text-purple-400 flex items-center gap-1">
-          <motion.div
-            animate={{ rotate: 360 }}
-            transition={{ repeat: Infinity, duration: 1, ease: "linear" }}
-            className="h-3 w-3 border-2 border-purple-400 border-t-transparent rounded-full"
-          />
-          Syncing with database...
+          {replacement && ` · ${replacement.kind === 'cancel' ? 'cancelled' : 'sped up'} by ${replacement.hash}`}
         </div>
       )}
 
@@ -342,6 +795,10 @@ export function TransactionUI({ parsedData = {}, transactionId }) {
           {executionError}
         </div>
       )}
+
+      {sentPayment && (
+        <SaveContactPrompt recipients={sentPayment.recipients} token={sentPayment.token} />
+      )}
     </div>
   )
 }
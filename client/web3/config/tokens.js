@@ -0,0 +1,209 @@
+/**
+ * Token registry for Base Mainnet and Sepolia Testnet
+ * This provides the symbol, contract address and decimals of every token Lucra can send
+ */
+
+import { formatUnits, parseUnits } from 'viem';
+import { BASE_MAINNET, BASE_SEPOLIA } from './networks';
+
+// Native ETH has no contract address
+export const NATIVE_TOKEN_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Default token used when a request doesn't name one
+export const DEFAULT_TOKEN = 'ETH';
+
+// Tokens available on each network, keyed by chain ID
+export const TOKENS = {
+  [BASE_MAINNET.id]: {
+    ETH: {
+      symbol: 'ETH',
+      name: 'Ether',
+      address: NATIVE_TOKEN_ADDRESS,
+      decimals: 18,
+      native: true,
+    },
+    USDC: {
+      symbol: 'USDC',
+      name: 'USD Coin',
+      address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+      decimals: 6,
+      native: false,
+    },
+    DAI: {
+      symbol: 'DAI',
+      name: 'Dai Stablecoin',
+      address: '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb',
+      decimals: 18,
+      native: false,
+    },
+    WETH: {
+      symbol: 'WETH',
+      name: 'Wrapped Ether',
+      address: '0x4200000000000000000000000000000000000006',
+      decimals: 18,
+      native: false,
+    },
+  },
+  [BASE_SEPOLIA.id]: {
+    ETH: {
+      symbol: 'ETH',
+      name: 'Sepolia Ether',
+      address: NATIVE_TOKEN_ADDRESS,
+      decimals: 18,
+      native: true,
+    },
+    USDC: {
+      symbol: 'USDC',
+      name: 'USD Coin',
+      address: '0x036CbD53842c5426634e7929541eC2318f3dCF7e',
+      decimals: 6,
+      native: false,
+    },
+    WETH: {
+      symbol: 'WETH',
+      name: 'Wrapped Ether',
+      address: '0x4200000000000000000000000000000000000006',
+      decimals: 18,
+      native: false,
+    },
+  },
+};
+
+// Alternative spellings users (and the model) use for supported tokens
+const TOKEN_ALIASES = {
+  eth: 'ETH',
+  ether: 'ETH',
+  ethers: 'ETH',
+  usdc: 'USDC',
+  'usd coin': 'USDC',
+  dai: 'DAI',
+  weth: 'WETH',
+  'wrapped ether': 'WETH',
+};
+
+/**
+ * All token symbols known on any network
+ * @type {string[]}
+ */
+export const SUPPORTED_TOKEN_SYMBOLS = Array.from(
+  new Set(Object.values(TOKENS).flatMap(tokens => Object.keys(tokens)))
+);
+
+/**
+ * Resolves a chain ID from a network object, chain ID or network name
+ * @param {object|number|string} network - Network configuration, chain ID, or name ('base-mainnet', 'base-sepolia')
+ * @returns {number} - Chain ID, defaulting to Base Mainnet
+ */
+function resolveChainId(network) {
+  if (!network) return BASE_MAINNET.id;
+  if (typeof network === 'object' && network.id) return Number(network.id);
+  if (typeof network === 'number') return network;
+
+  const name = String(network).toLowerCase();
+  if (name.includes('sepolia') || name.includes('testnet')) return BASE_SEPOLIA.id;
+  if (/^\d+$/.test(name)) return Number(name);
+  return BASE_MAINNET.id;
+}
+
+/**
+ * Normalizes a token name or symbol to its canonical symbol
+ * @param {string} token - Token name or symbol (e.g. 'usdc', 'Ether')
+ * @returns {string|null} - Canonical symbol, the upper-cased input if unknown, or null if empty
+ */
+export function normalizeTokenSymbol(token) {
+  if (!token || typeof token !== 'string') return null;
+
+  const lower = token.trim().toLowerCase();
+  if (!lower) return null;
+
+  return TOKEN_ALIASES[lower] || lower.toUpperCase();
+}
+
+/**
+ * Gets the tokens available on a network
+ * @param {object|number|string} network - Network configuration, chain ID, or name
+ * @returns {object[]} - Token definitions
+ */
+export function getTokensForNetwork(network) {
+  return Object.values(TOKENS[resolveChainId(network)] || {});
+}
+
+/**
+ * Gets a token definition by symbol
+ * @param {string} symbol - Token symbol or alias
+ * @param {object|number|string} network - Network configuration, chain ID, or name
+ * @returns {object|null} - Token definition or null if the token isn't available on the network
+ */
+export function getToken(symbol, network) {
+  const normalized = normalizeTokenSymbol(symbol || DEFAULT_TOKEN);
+  const tokens = TOKENS[resolveChainId(network)];
+  return (tokens && tokens[normalized]) || null;
+}
+
+/**
+ * Gets a token definition by contract address
+ * @param {string} address - Token contract address
+ * @param {object|number|string} network - Network configuration, chain ID, or name (searches all networks if omitted)
+ * @returns {object|null} - Token definition or null if not found
+ */
+export function getTokenByAddress(address, network) {
+  if (!address) return null;
+
+  const lower = address.toLowerCase();
+  const networks = network ? [TOKENS[resolveChainId(network)] || {}] : Object.values(TOKENS);
+
+  for (const tokens of networks) {
+    const match = Object.values(tokens).find(token => token.address.toLowerCase() === lower);
+    if (match) return match;
+  }
+
+  return null;
+}
+
+/**
+ * Checks if a token is the network's native currency
+ * @param {string|object} token - Token symbol or definition
+ * @returns {boolean} - True for native ETH
+ */
+export function isNativeToken(token) {
+  if (token && typeof token === 'object') return !!token.native;
+  return normalizeTokenSymbol(token || DEFAULT_TOKEN) === 'ETH';
+}
+
+/**
+ * Converts a human-readable amount to the token's smallest unit
+ * @param {string|number} amount - Amount in whole tokens (e.g. 1.5)
+ * @param {object} token - Token definition
+ * @returns {bigint} - Amount in base units
+ */
+export function parseTokenAmount(amount, token) {
+  const decimals = token?.decimals ?? 18;
+
+  // Numbers keep their shortest decimal form (0.55, not 0.550000000000000044); only
+  // exponent notation (e.g. 1e-7) is expanded to the token's precision
+  const value = typeof amount === 'number' && /e/i.test(String(amount))
+    ? amount.toFixed(decimals)
+    : String(amount).trim();
+
+  try {
+    return parseUnits(value, decimals);
+  } catch (error) {
+    console.error('Error parsing token amount:', error);
+    throw new Error('Invalid amount');
+  }
+}
+
+/**
+ * Converts an amount in the token's smallest unit to a human-readable string
+ * @param {bigint|string} value - Amount in base units
+ * @param {object} token - Token definition
+ * @returns {string} - Amount in whole tokens
+ */
+export function formatTokenUnits(value, token) {
+  try {
+    return formatUnits(typeof value === 'bigint' ? value : BigInt(value.toString()), token?.decimals ?? 18);
+  } catch (error) {
+    console.error('Error formatting token units:', error);
+    return '0';
+  }
+}
@@ -1,28 +1,108 @@
 "use client"
 
-import { useSendTransaction, useWaitForTransactionReceipt, useAccount, useChainId } from 'wagmi'
-import { parseEther } from 'viem'
-import { useCallback, useEffect, useState } from 'react'
+import {
+  useSendTransaction,
+  useSendCalls,
+  useWaitForCallsStatus,
+  useCapabilities,
+  useWaitForTransactionReceipt,
+  useAccount,
+  useChainId,
+  usePublicClient
+} from 'wagmi'
+import { useCallback, useEffect, useRef, useState } from 'react'
 import {
   prepareTransaction,
   formatTransaction,
   storeTransaction,
+  encodeSmartWalletBatch,
+  simulateTransaction,
+  combineSimulations,
+  formatSimulation,
   resolveBaseName,
+  getToken,
+  parseTokenAmount,
   getNetworkByChainId,
+  prepareReplacement,
+  canReplacePayment,
   BASE_MAINNET,
   BASE_SEPOLIA
 } from '..'
+import { resolveSplitAllocations } from '../utils/splits'
+import { getContacts, updateTransactionStatus, recordTransactionReplacement } from '@/utils/supabase'
+import { describeReceipt } from '@/lib/receipts'
+
+/**
+ * Checks whether the connected wallet can run a batch of calls atomically (EIP-5792)
+ * @param {Object} capabilities - Wallet capabilities from useCapabilities, keyed by chain ID
+ * @param {number} chainId - Current chain ID
+ * @returns {boolean} - True if every call of a batch succeeds or fails together
+ */
+function supportsAtomicBatch(capabilities, chainId) {
+  const chainCapabilities = capabilities?.[chainId]
+  return ['supported', 'ready'].includes(chainCapabilities?.atomic?.status) ||
+    chainCapabilities?.atomicBatch?.supported === true
+}
+
+/**
+ * Turns the payments of a batch into their transfers (a split has one per recipient)
+ * @param {Array} actions - Payments in the shared intent schema (send or split), in order, each with
+ *   the transaction_id of its draft if it has one, and its idempotency_key
+ * @returns {Array} - Transfers: { type, to, amount, token, note, action, transactionId, idempotencyKey },
+ *   where action is the index of the payment the transfer belongs to
+ */
+function batchTransfers(actions) {
+  return actions.flatMap((action, index) => {
+    const token = action.token || 'ETH'
+    const note = action.note || ''
+    const transactionId = action.transaction_id || null
+    const idempotencyKey = action.idempotency_key
+
+    if (action.intent === 'split') {
+      const splitType = action.allocations?.length ? action.split_type || 'equal' : 'equal'
+      return resolveSplitAllocations({
+        amount: action.amount,
+        recipients: action.recipients || [],
+        splitType,
+        allocations: splitType === 'equal' ? null : action.allocations,
+        token
+      }).map(leg => ({ type: 'split', to: leg.recipient, amount: leg.amount, token, note, action: index, transactionId, idempotencyKey }))
+    }
+
+    if (!action.recipients?.[0] || !(parseFloat(action.amount) > 0)) {
+      throw new Error('Every payment in the batch needs a recipient and an amount')
+    }
+
+    return [{ type: 'send', to: action.recipients[0], amount: action.amount, token, note, action: index, transactionId, idempotencyKey }]
+  })
+}
 
 /**
  * Custom hook for handling cryptocurrency transactions
  * Provides methods to send transactions and track their status
  */
 export function useTransactions() {
-  const { data: hash, isPending, sendTransaction, error: sendError } = useSendTransaction()
+  const { data: sentHash, isPending: isSendPending, sendTransactionAsync, error: sendError } = useSendTransaction()
+  // Speed ups and cancels go through their own hook, so the hash above stays the original's
+  const { sendTransactionAsync: sendReplacementAsync } = useSendTransaction()
+  const { data: sentCalls, isPending: isCallsPending, sendCallsAsync, error: callsError } = useSendCalls()
+  const { data: callsStatus } = useWaitForCallsStatus({ id: sentCalls?.id })
+  const { data: capabilities } = useCapabilities()
   const { address } = useAccount()
   const chainId = useChainId()
+  const publicClient = usePublicClient()
   const [lastTransaction, setLastTransaction] = useState(null)
   const [transactionError, setTransactionError] = useState(null)
+  const [contacts, setContacts] = useState([])
+  // Last speed up or cancel of the current transaction: { kind, hash }
+  const [replacement, setReplacement] = useState(null)
+  // What has been stored for the current hash; storing its receipt waits for the submitted rows
+  const recorded = useRef({ hash: null, submitted: Promise.resolve(), mined: false })
+
+  // A batch sent with wallet_sendCalls is tracked by the hash of the transaction that carried it
+  const batchHash = callsStatus?.receipts?.[callsStatus.receipts.length - 1]?.transactionHash
+  const hash = sentHash || batchHash
+  const isPending = isSendPending || isCallsPending || (!!sentCalls && !batchHash && callsStatus?.status !== 'failure')
 
   const {
     isLoading: isConfirming,
@@ -37,43 +117,116 @@ export function useTransactions() {
   // Get the current network based on the chain ID
   const network = getNetworkByChainId(chainId) || BASE_MAINNET
 
-  // Store transaction in Supabase when confirmed
+  // Load the user's contacts, so "@mom" resolves to whoever they saved
   useEffect(() => {
-    const storeConfirmedTransaction = async () => {
-      if (hash && isConfirmed && receipt && lastTransaction) {
-        try {
-          // Format the transaction for storage
-          const formattedTx = formatTransaction({
-            hash,
-            to: lastTransaction.to,
-            value: receipt.value || lastTransaction.value,
-            network
-          })
+    if (!address) {
+      setContacts([])
+      return
+    }
 
-          // Store the transaction in Supabase
-          await storeTransaction({
-            hash,
-            to: lastTransaction.to,
-            value: formattedTx.value,
-            token: lastTransaction.token || 'ETH',
-            walletAddress: address,
-            type: 'send',
-            status: 'confirmed',
-            note: lastTransaction.note || ''
-          })
+    let cancelled = false
+    getContacts(address).then(list => {
+      if (!cancelled) setContacts(list)
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [address])
+
+  /**
+   * Stores the payments of the last transaction with a status. A payment drafted in the chat
+   * (transactionId) moves that draft on, so it stays one row from draft to receipt. Each report has
+   * its own idempotency key, made from the payment's, so a repeated report isn't acted on twice.
+   * @param {string} status - 'submitted', or 'confirmed' or 'failed' once it's mined
+   * @param {Object} minedReceipt - Receipt details (see describeReceipt) once it's mined
+   */
+  const storeLastTransaction = useCallback(async (status, minedReceipt = null) => {
+    // An atomic batch stores one row per payment, all with the batch's hash; a split is one row with its legs
+    for (const transfer of lastTransaction.legs || [lastTransaction]) {
+      // Format the transaction for storage
+      const formattedTx = formatTransaction({
+        hash,
+        to: transfer.to,
+        value: transfer.units,
+        network,
+        token: transfer.token
+      })
+
+      // Store the transaction in Supabase
+      await storeTransaction({
+        hash,
+        to: transfer.to,
+        value: formattedTx.value,
+        token: transfer.token || 'ETH',
+        walletAddress: address,
+        type: transfer.type || 'send',
+        status,
+        note: transfer.note || '',
+        paymentRequestId: transfer.paymentRequestId,
+        legs: transfer.splitLegs?.map(leg => ({ hash, ...leg })),
+        transactionId: transfer.transactionId,
+        chainId,
+        receipt: minedReceipt,
+        idempotencyKey: `${transfer.idempotencyKey}:${status}`
+      })
+    }
+  }, [hash, lastTransaction, address, network, chainId])
+
+  // Store the transaction as submitted as soon as it has a hash, so the receipt poller follows it
+  // even if this page is closed before it's mined
+  useEffect(() => {
+    if (!hash || !lastTransaction || recorded.current.hash === hash) return
+
+    recorded.current = {
+      hash,
+      submitted: storeLastTransaction('submitted').catch(error => {
+        console.error('Error storing submitted transaction:', error)
+      }),
+      mined: false
+    }
+  }, [hash, lastTransaction, storeLastTransaction])
+
+  // Store the receipt once the transaction is mined; a reverted transaction is failed
+  useEffect(() => {
+    const storeMinedTransaction = async () => {
+      if (hash && isConfirmed && receipt && lastTransaction && recorded.current.hash === hash && !recorded.current.mined) {
+        // The receipt follows a speed up or cancel, whose own row is settled by replaceTransaction
+        if (receipt.transactionHash !== hash) return
+
+        recorded.current.mined = true
+        try {
+          await recorded.current.submitted
+          await storeLastTransaction(receipt.status === 'success' ? 'confirmed' : 'failed', describeReceipt(receipt))
         } catch (error) {
-          console.error('Error storing confirmed transaction:', error)
+          console.error('Error storing mined transaction:', error)
         }
       }
     }
 
-    storeConfirmedTransaction()
-  }, [hash, isConfirmed, receipt, address, lastTransaction, network])
+    storeMinedTransaction()
+  }, [hash, isConfirmed, receipt, lastTransaction, storeLastTransaction])
+
+  /**
+   * Reports the drafts of payments the wallet is about to sign as awaiting its signature, or back
+   * to drafted if the user rejects them
+   * @param {Array} transactionIds - IDs of the drafted transactions (missing ones are skipped)
+   * @param {string} status - 'awaiting_signature' or 'drafted'
+   * @returns {Promise<void>}
+   */
+  const reportDrafts = useCallback(async (transactionIds, status) => {
+    const ids = Array.from(new Set(transactionIds.filter(Boolean)))
+    await Promise.all(ids.map(async id => {
+      const result = await updateTransactionStatus(id, null, status, address)
+      if (result.error) console.error(`Could not mark transaction ${id} ${status}:`, result.error)
+    }))
+  }, [address])
 
   // Reset error when a new transaction is sent
   useEffect(() => {
     if (hash) {
       setTransactionError(null)
+      setReplacement(null)
 
       // Log transaction hash for debugging
       console.log(`Transaction submitted with hash: ${hash}`)
@@ -91,6 +244,16 @@ export function useTransactions() {
     }
   }, [sendError])
 
+  // Track batch errors, including a batch the wallet reverted as a whole
+  useEffect(() => {
+    if (callsError) {
+      console.error('Batch send error:', callsError)
+      setTransactionError(callsError.message)
+    } else if (callsStatus?.status === 'failure') {
+      setTransactionError('The batch was reverted, so none of its payments were made')
+    }
+  }, [callsError, callsStatus?.status])
+
   // Manual polling for transaction status if wagmi hooks aren't updating
   useEffect(() => {
     if (!hash || isConfirmed) return
@@ -126,12 +289,16 @@ export function useTransactions() {
    * Send a transaction to a recipient
    * @param {Object} params - Transaction parameters
    * @param {string} params.to - Recipient address or Base Name
-   * @param {string|number} params.amount - Amount in ETH
-   * @param {string} params.token - Token symbol (currently only supports native ETH)
+   * @param {string|number} params.amount - Amount in whole tokens
+   * @param {string} params.token - Token symbol (ETH or a registered ERC-20 such as USDC)
    * @param {string} params.note - Optional note for the transaction
+   * @param {string} params.paymentRequestId - Payment request this payment pays, if any
+   * @param {string} params.transactionId - ID of the drafted transaction this payment sends, if any
+   * @param {string} params.idempotencyKey - Idempotency key of the payment (see paymentIdempotencyKey)
    * @returns {Promise<Object>} - Result object with success flag and hash or error
    */
   const sendPayment = useCallback(async (params) => {
+    let awaitingSignature = false
     try {
       setTransactionError(null)
 
@@ -145,6 +312,10 @@ export function useTransactions() {
         throw new Error('Recipient address is required')
       }
 
+      if (!params.idempotencyKey) {
+        throw new Error('A payment needs an idempotency key, so it is only stored once')
+      }
+
       if (!amount || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
         throw new Error('Valid amount is required')
       }
@@ -156,95 +327,499 @@ export function useTransactions() {
         to,
         amount,
         token,
-        network: network.id === BASE_SEPOLIA.id ? 'base-sepolia' : 'base-mainnet'
+        network: network.id === BASE_SEPOLIA.id ? 'base-sepolia' : 'base-mainnet',
+        contacts
       })
 
       // Save the transaction details for later use
       setLastTransaction({
-        to: preparedTx.to,
+        to: preparedTx.recipient,
         value: preparedTx.value,
-        token,
-        note
+        units: preparedTx.amount,
+        token: preparedTx.token,
+        note,
+        paymentRequestId: params.paymentRequestId,
+        transactionId: params.transactionId,
+        idempotencyKey: params.idempotencyKey
       })
 
-      // Currently only supporting ETH, but could be extended for other tokens
-      if (token === 'ETH') {
-        const result = await sendTransaction({
-          to: preparedTx.to,
-          value: preparedTx.value,
-        })
+      await reportDrafts([params.transactionId], 'awaiting_signature')
+      awaitingSignature = true
 
-        return {
-          success: true,
-          hash: result?.hash,
-          to: preparedTx.to
-        }
-      } else {
-        // For other tokens, we would need to implement ERC20 token transfers
-        const error = `Token ${token} not supported yet`;
-        console.log(error);
-        setTransactionError(error);
-        return {
-          success: false,
-          error
-        }
+      // ERC-20 transfers go to the token contract with the encoded transfer as data
+      const sentTxHash = await sendTransactionAsync({
+        to: preparedTx.to,
+        value: preparedTx.value,
+        ...(preparedTx.tokenAddress ? { data: preparedTx.data } : {})
+      })
+
+      return {
+        success: true,
+        hash: sentTxHash,
+        to: preparedTx.recipient,
+        token: preparedTx.token
       }
     } catch (error) {
       console.error('Error sending payment:', error)
       setTransactionError(error.message)
+
+      // The wallet didn't send it, so it can be tried again
+      if (awaitingSignature) await reportDrafts([params.transactionId], 'drafted')
+
       return {
         success: false,
         error: error.message
       }
     }
-  }, [sendTransaction, network.id])
+  }, [sendTransactionAsync, reportDrafts, network.id, contacts])
 
   /**
-   * Split a payment between multiple recipients
+   * Split a payment between multiple recipients. ETH splits from a LucraWallet smart wallet go out as
+   * one batchSendEther call, so every recipient is paid or none is; other splits are sent from the
+   * connected wallet one recipient at a time. Either way the split is stored as one transaction with
+   * a leg per recipient.
    * @param {Array} recipients - Array of recipient addresses or Base Names
    * @param {string} amount - Total amount to split
-   * @param {string} token - Token symbol (currently only supports native ETH)
+   * @param {string} token - Token symbol (ETH or a registered ERC-20 such as USDC)
    * @param {string} note - Optional note for the transaction
+   * @param {object} options - Optional split details
+   * @param {string} options.splitType - 'equal', 'percentage' or 'custom' (defaults to equal)
+   * @param {Array} options.allocations - Per-recipient shares for percentage and custom splits
+   * @param {string} options.smartWalletAddress - LucraWallet to pay from; the connected wallet must be its owner or authorized on it
+   * @param {string} options.transactionId - ID of the drafted transaction this split sends, if any
+   * @param {string} options.idempotencyKey - Idempotency key of the split (see paymentIdempotencyKey)
+   * @returns {Promise<Object>} - Result object with success flag, batched flag and results or error
    */
-  const splitPayment = useCallback(async (recipients, amount, token = 'ETH', note = '') => {
+  const splitPayment = useCallback(async (recipients, amount, token = 'ETH', note = '', { splitType = 'equal', allocations = null, smartWalletAddress = null, transactionId = null, idempotencyKey = null } = {}) => {
+    let awaitingSignature = false
     try {
+      setTransactionError(null)
+
+      if (!idempotencyKey) {
+        throw new Error('A split needs an idempotency key, so it is only stored once')
+      }
+
+      // Work out each recipient's share (throws if the shares don't add up)
+      const legs = resolveSplitAllocations({ amount, recipients, splitType, allocations, token })
+      const tokenConfig = getToken(token, network)
+      if (!tokenConfig) {
+        throw new Error(`Token ${token} is not supported on ${network.name}`)
+      }
+
       // Resolve all recipient addresses
-      const resolvedRecipients = await Promise.all(
-        recipients.map(async (recipient) => {
-          const resolved = await resolveBaseName(recipient)
-          return resolved || recipient
+      const resolvedLegs = await Promise.all(
+        legs.map(async (leg) => {
+          const resolved = await resolveBaseName(leg.recipient, false, { contacts })
+          return { ...leg, to: resolved || leg.recipient, units: parseTokenAmount(leg.amount, tokenConfig) }
         })
       )
 
-      // Calculate amount per recipient
-      const amountPerRecipient = (parseFloat(amount) / resolvedRecipients.length).toString()
-
-      // For now, we'll just send individual transactions
-      // In a production app, this could be optimized with a smart contract
-      const results = [];
-      for (const recipient of resolvedRecipients) {
-        const result = await sendPayment({
-          to: recipient,
-          amount: amountPerRecipient,
-          token,
-          note
-        });
-        results.push(result);
+      // batchSendEther only moves ETH, and only a deployed LucraWallet has it
+      const code = tokenConfig.native && smartWalletAddress && publicClient
+        ? await publicClient.getCode({ address: smartWalletAddress })
+        : null
+      const batched = !!code && code !== '0x'
+
+      const split = {
+        type: 'split',
+        to: resolvedLegs.map(leg => leg.to).join(','),
+        units: resolvedLegs.reduce((total, leg) => total + leg.units, 0n),
+        token: tokenConfig.symbol,
+        note,
+        transactionId,
+        idempotencyKey
+      }
+
+      await reportDrafts([transactionId], 'awaiting_signature')
+      awaitingSignature = true
+
+      if (batched) {
+        const results = resolvedLegs.map(leg => ({ success: true, to: leg.to, amount: leg.amount, token: tokenConfig.symbol }))
+        setLastTransaction({ ...split, splitLegs: results })
+
+        console.log(`Sending a split between ${resolvedLegs.length} recipients as one batch from ${smartWalletAddress}`)
+        const batchHash = await sendTransactionAsync({
+          to: smartWalletAddress,
+          data: encodeSmartWalletBatch({
+            recipients: resolvedLegs.map(leg => leg.to),
+            amounts: resolvedLegs.map(leg => leg.units),
+            memo: note
+          })
+        })
+
+        const sentLegs = results.map(result => ({ ...result, hash: batchHash }))
+        setLastTransaction({ ...split, splitLegs: sentLegs })
+
+        return {
+          success: true,
+          batched: true,
+          hash: batchHash,
+          results: sentLegs
+        }
+      }
+
+      // A plain account pays each recipient in turn
+      const results = []
+      for (const leg of resolvedLegs) {
+        try {
+          const preparedTx = await prepareTransaction({
+            to: leg.to,
+            amount: leg.amount,
+            token: tokenConfig.symbol,
+            network: network.id === BASE_SEPOLIA.id ? 'base-sepolia' : 'base-mainnet',
+            contacts
+          })
+
+          const legHash = await sendTransactionAsync({
+            to: preparedTx.to,
+            value: preparedTx.value,
+            ...(preparedTx.tokenAddress ? { data: preparedTx.data } : {})
+          })
+
+          results.push({ success: true, to: leg.to, amount: leg.amount, token: tokenConfig.symbol, hash: legHash })
+        } catch (error) {
+          console.error(`Error sending split leg to ${leg.to}:`, error)
+          results.push({ success: false, to: leg.to, amount: leg.amount, token: tokenConfig.symbol, error: error.message })
+        }
+      }
+
+      // The split is stored once its last payment has a hash; if none was sent it can be tried again
+      if (results.some(r => r.success)) {
+        setLastTransaction({ ...split, splitLegs: results })
+      } else {
+        await reportDrafts([transactionId], 'drafted')
       }
 
       return {
         success: results.every(r => r.success),
+        batched: false,
         results
       }
     } catch (error) {
       console.error('Error splitting payment:', error)
       setTransactionError(error.message)
+
+      // The wallet didn't send it, so it can be tried again
+      if (awaitingSignature) await reportDrafts([transactionId], 'drafted')
+
       return {
         success: false,
         error: error.message
       }
     }
-  }, [sendPayment])
+  }, [sendTransactionAsync, reportDrafts, publicClient, network, contacts])
+
+  /**
+   * Send several payments together. Wallets that support atomic batches (EIP-5792) get a single
+   * request in which every transfer succeeds or none do; other wallets send the transfers one by one.
+   * @param {Array} actions - Payments in the shared intent schema (send or split), in order, each with
+   *   its idempotency_key (see paymentIdempotencyKey)
+   * @returns {Promise<Object>} - Result object with success flag, atomic flag and results or error
+   */
+  const sendBatch = useCallback(async (actions) => {
+    try {
+      setTransactionError(null)
+
+      if (!actions || actions.length === 0) {
+        throw new Error('No payments to send')
+      }
+
+      if (actions.some(action => !action.idempotency_key)) {
+        throw new Error('Every payment in the batch needs an idempotency key, so it is only stored once')
+      }
+
+      // Turn every payment into its transfers (a split has one per recipient)
+      const transfers = batchTransfers(actions)
+
+      if (!supportsAtomicBatch(capabilities, chainId)) {
+        // Without atomic batching the payments go out in order, each stored as its own transaction
+        console.log(`Wallet can't batch atomically, sending ${transfers.length} transfers one by one`)
+        const results = []
+        for (const [index, action] of actions.entries()) {
+          if (action.intent === 'split') {
+            const splitType = action.allocations?.length ? action.split_type || 'equal' : 'equal'
+            const result = await splitPayment(action.recipients || [], action.amount, action.token || 'ETH', action.note || '', {
+              splitType,
+              allocations: splitType === 'equal' ? null : action.allocations,
+              transactionId: action.transaction_id || null,
+              idempotencyKey: action.idempotency_key
+            })
+            results.push(...(result.results || [result]))
+          } else {
+            results.push(await sendPayment(transfers.find(transfer => transfer.action === index)))
+          }
+        }
+
+        return {
+          success: results.every(r => r.success),
+          atomic: false,
+          results
+        }
+      }
+
+      // Prepare every transfer before asking the wallet, so nothing is sent if one can't be resolved
+      const prepared = await Promise.all(transfers.map(transfer => prepareTransaction({
+        to: transfer.to,
+        amount: transfer.amount,
+        token: transfer.token,
+        network: network.id === BASE_SEPOLIA.id ? 'base-sepolia' : 'base-mainnet',
+        contacts
+      })))
+
+      // One row per payment: a split's transfers become its legs
+      setLastTransaction({
+        legs: actions.map((action, index) => {
+          const legs = prepared
+            .map((preparedTx, transferIndex) => ({ preparedTx, transfer: transfers[transferIndex] }))
+            .filter(({ transfer }) => transfer.action === index)
+
+          return {
+            type: action.intent === 'split' ? 'split' : 'send',
+            to: legs.map(({ preparedTx }) => preparedTx.recipient).join(','),
+            units: legs.reduce((total, { preparedTx }) => total + preparedTx.amount, 0n),
+            token: legs[0].preparedTx.token,
+            note: action.note || '',
+            transactionId: action.transaction_id || null,
+            idempotencyKey: action.idempotency_key,
+            ...(action.intent === 'split'
+              ? { splitLegs: legs.map(({ preparedTx, transfer }) => ({ success: true, to: preparedTx.recipient, amount: transfer.amount, token: preparedTx.token })) }
+              : {})
+          }
+        })
+      })
+
+      const transactionIds = actions.map(action => action.transaction_id)
+      await reportDrafts(transactionIds, 'awaiting_signature')
+
+      console.log(`Sending ${prepared.length} transfers as one atomic batch`)
+
+      const { id } = await sendCallsAsync({
+        calls: prepared.map(preparedTx => ({
+          to: preparedTx.to,
+          value: preparedTx.value,
+          ...(preparedTx.tokenAddress ? { data: preparedTx.data } : {})
+        })),
+        forceAtomic: true
+      }).catch(async error => {
+        // The wallet didn't send the batch, so its payments can be tried again
+        await reportDrafts(transactionIds, 'drafted')
+        throw error
+      })
+
+      return {
+        success: true,
+        atomic: true,
+        id,
+        results: prepared.map(preparedTx => ({
+          success: true,
+          to: preparedTx.recipient,
+          token: preparedTx.token
+        }))
+      }
+    } catch (error) {
+      console.error('Error sending batch:', error)
+      setTransactionError(error.message)
+      return {
+        success: false,
+        error: error.message
+      }
+    }
+  }, [capabilities, chainId, sendPayment, splitPayment, sendCallsAsync, reportDrafts, network.id, contacts])
+
+  /**
+   * Simulates transfers sent from the connected wallet one after another, without sending them
+   * @param {Array} transfers - Transfers: { to, amount, token }, all in the same token
+   * @returns {Promise<Object>} - Simulation of them together (see web3/utils/simulation.js)
+   */
+  const simulateTransfers = useCallback(async (transfers) => {
+    if (!address || !publicClient) {
+      throw new Error('Connect a wallet to preview the payment')
+    }
+
+    const simulations = []
+    for (const transfer of transfers) {
+      const preparedTx = await prepareTransaction({
+        to: transfer.to,
+        amount: transfer.amount,
+        token: transfer.token,
+        network: network.id === BASE_SEPOLIA.id ? 'base-sepolia' : 'base-mainnet',
+        contacts
+      })
+
+      simulations.push(await simulateTransaction(publicClient, {
+        from: address,
+        call: { to: preparedTx.to, value: preparedTx.value, data: preparedTx.data },
+        recipients: [preparedTx.recipient],
+        token: getToken(preparedTx.token, network),
+        amount: preparedTx.amount
+      }))
+    }
+
+    return combineSimulations(simulations)
+  }, [address, publicClient, network, contacts])
+
+  /**
+   * Simulate a payment before sending it: whether it would succeed, what it costs and what the
+   * balance is afterwards
+   * @param {Object} params - Same as sendPayment: { to, amount, token, note }
+   * @returns {Promise<Object>} - Formatted simulation: { success, error, gasCost, balanceAfter, warnings, ... }
+   */
+  const simulatePayment = useCallback(async ({ to, amount, token = 'ETH' }) => {
+    try {
+      return formatSimulation(await simulateTransfers([{ to, amount, token }]))
+    } catch (error) {
+      console.error('Error simulating payment:', error)
+      return { success: false, error: error.message, warnings: [] }
+    }
+  }, [simulateTransfers])
+
+  /**
+   * Simulate a split before sending it, the way splitPayment would send it
+   * @param {Array} recipients - Array of recipient addresses or Base Names
+   * @param {string} amount - Total amount to split
+   * @param {string} token - Token symbol
+   * @param {string} note - Optional note for the transaction
+   * @param {object} options - Same as splitPayment: { splitType, allocations, smartWalletAddress }
+   * @returns {Promise<Object>} - Formatted simulation of the whole split
+   */
+  const simulateSplit = useCallback(async (recipients, amount, token = 'ETH', note = '', { splitType = 'equal', allocations = null, smartWalletAddress = null } = {}) => {
+    try {
+      const legs = resolveSplitAllocations({ amount, recipients, splitType, allocations, token })
+      const tokenConfig = getToken(token, network)
+      if (!tokenConfig) {
+        throw new Error(`Token ${token} is not supported on ${network.name}`)
+      }
+
+      const code = tokenConfig.native && smartWalletAddress && publicClient
+        ? await publicClient.getCode({ address: smartWalletAddress })
+        : null
+
+      if (!code || code === '0x') {
+        return formatSimulation(await simulateTransfers(legs.map(leg => ({ to: leg.recipient, amount: leg.amount, token }))))
+      }
+
+      // A LucraWallet pays the whole split in one batchSendEther call
+      const resolvedLegs = await Promise.all(legs.map(async (leg) => ({
+        to: (await resolveBaseName(leg.recipient, false, { contacts })) || leg.recipient,
+        units: parseTokenAmount(leg.amount, tokenConfig)
+      })))
+
+      return formatSimulation(await simulateTransaction(publicClient, {
+        from: address,
+        call: {
+          to: smartWalletAddress,
+          data: encodeSmartWalletBatch({
+            recipients: resolvedLegs.map(leg => leg.to),
+            amounts: resolvedLegs.map(leg => leg.units),
+            memo: note
+          })
+        },
+        payer: smartWalletAddress,
+        recipients: resolvedLegs.map(leg => leg.to),
+        token: tokenConfig,
+        amount: resolvedLegs.reduce((total, leg) => total + leg.units, 0n)
+      }))
+    } catch (error) {
+      console.error('Error simulating split:', error)
+      return { success: false, error: error.message, warnings: [] }
+    }
+  }, [simulateTransfers, address, publicClient, network, contacts])
+
+  /**
+   * Simulate a batch before sending it. Transfers are simulated per token, so the result has one
+   * simulation for each token the batch pays in.
+   * @param {Array} actions - Payments in the shared intent schema (send or split), in order
+   * @returns {Promise<Object>} - { success, error, simulations } with formatted simulations
+   */
+  const simulateBatch = useCallback(async (actions) => {
+    try {
+      const transfersByToken = {}
+      batchTransfers(actions || []).forEach(transfer => {
+        (transfersByToken[transfer.token] = transfersByToken[transfer.token] || []).push(transfer)
+      })
+
+      const simulations = []
+      for (const transfers of Object.values(transfersByToken)) {
+        simulations.push(formatSimulation(await simulateTransfers(transfers)))
+      }
+
+      return {
+        success: simulations.every(simulation => simulation.success),
+        error: simulations.find(simulation => simulation.error)?.error || null,
+        simulations
+      }
+    } catch (error) {
+      console.error('Error simulating batch:', error)
+      return { success: false, error: error.message, simulations: [] }
+    }
+  }, [simulateTransfers])
+
+  /**
+   * Speed up or cancel a pending transaction the connected wallet sent, by sending another with its
+   * nonce and a higher fee (see web3/utils/replacement.js). The replacement is recorded as its own
+   * row linked to the original, and reported confirmed or failed once it's mined; the original is
+   * then marked replaced.
+   * @param {Object} params - Replacement parameters
+   * @param {string} params.hash - Hash of the pending transaction (defaults to the current one)
+   * @param {string} params.kind - 'speed_up' or 'cancel'
+   * @param {string} params.transactionId - ID of the pending transaction's row, if known
+   * @returns {Promise<Object>} - Result object with success flag and the replacement's hash, or error
+   */
+  const replaceTransaction = useCallback(async ({ hash: pendingHash = sentHash, kind, transactionId = null }) => {
+    try {
+      setTransactionError(null)
+
+      if (!pendingHash || !publicClient) {
+        throw new Error('There is no pending transaction to replace')
+      }
+
+      // The original's row has to exist before the replacement can be linked to it
+      if (pendingHash === recorded.current.hash) {
+        await recorded.current.submitted
+      }
+
+      const request = await prepareReplacement(publicClient, { hash: pendingHash, account: address, kind })
+      console.log(`Sending ${kind === 'cancel' ? 'a cancel' : 'a speed up'} of ${pendingHash}`)
+      const replacementHash = await sendReplacementAsync(request)
+
+      if (pendingHash === sentHash) {
+        setReplacement({ kind, hash: replacementHash })
+      }
+
+      const recordedReplacement = await recordTransactionReplacement(address, {
+        transactionId: transactionId || (pendingHash === sentHash ? lastTransaction?.transactionId : null),
+        transactionHash: pendingHash,
+        replacementHash,
+        kind,
+        chainId
+      })
+      if (recordedReplacement.error) {
+        console.error('Error recording replacement:', recordedReplacement.error)
+      }
+
+      // Report the replacement once it's mined, unless the original beat it to the block
+      const replacementId = recordedReplacement.data?.replacement?.id
+      if (replacementId) {
+        publicClient.waitForTransactionReceipt({ hash: replacementHash })
+          .then(mined => {
+            if (mined.transactionHash !== replacementHash) return
+            return updateTransactionStatus(replacementId, replacementHash, mined.status === 'success' ? 'confirmed' : 'failed', address, {
+              chainId,
+              receipt: describeReceipt(mined)
+            })
+          })
+          .catch(error => {
+            console.error('Error waiting for replacement receipt:', error)
+          })
+      }
+
+      return { success: true, hash: replacementHash, kind }
+    } catch (error) {
+      console.error('Error replacing transaction:', error)
+      setTransactionError(error.shortMessage || error.message)
+      return { success: false, error: error.shortMessage || error.message }
+    }
+  }, [sentHash, publicClient, address, chainId, lastTransaction, sendReplacementAsync])
 
   /**
    * Get the explorer URL for the current transaction
@@ -270,11 +845,19 @@ export function useTransactions() {
   return {
     sendPayment,
     splitPayment,
+    sendBatch,
+    simulatePayment,
+    simulateSplit,
+    simulateBatch,
     hash,
     isPending,
     isConfirming,
     isConfirmed,
     receipt,
+    replaceTransaction,
+    replacement,
+    // Whether the payment the wallet sent as paymentHash (from sendPayment or splitPayment) can be sped up or cancelled now
+    canReplace: (paymentHash) => canReplacePayment({ paymentHash, sentHash, hash, isConfirmed, replacement }),
     getExplorerUrl,
     network,
     error: transactionError
@@ -2,11 +2,10 @@
 
 import { useState, useCallback } from 'react'
 import { useAccount, useSignMessage } from 'wagmi'
-import { supabase } from '@/utils/supabase'
 
 /**
  * Custom hook for wallet message signing functionality
- * Provides methods to sign messages and verify wallet ownership
+ * Provides methods to sign in with the wallet and check for a session
  */
 export function useWalletSigning() {
   const { address, isConnected } = useAccount()
@@ -18,17 +17,9 @@ export function useWalletSigning() {
   const { signMessage, signMessageAsync, isPending: isSignPending, error: signError } = useSignMessage()
 
   /**
-   * Generate a verification message for the user to sign
-   * @param {string} address - User's wallet address
-   * @returns {string} - Message to sign
-   */
-  const generateVerificationMessage = useCallback((address) => {
-    const timestamp = new Date().toISOString()
-    return `Welcome to LucraAI!\n\nPlease sign this message to verify your wallet ownership and enable secure transactions.\n\nThis signature will not trigger a blockchain transaction or cost any gas fees.\n\nWallet: ${address}\nTimestamp: ${timestamp}`
-  }, [])
-
-  /**
-   * Verify wallet ownership by signing a message
+   * Verify wallet ownership by signing in: the server issues a message, the wallet signs it and the
+   * server checks the signature and starts a session (see utils/walletAuth.js). Routes that send
+   * payments or set up rules only act for the wallet of that session.
    * @param {string} address - User's wallet address
    * @returns {Promise<boolean>} - Whether verification was successful
    */
@@ -37,134 +28,44 @@ export function useWalletSigning() {
       setIsVerifying(true)
       setVerificationError(null)
 
-      // Generate the message to sign
-      const message = generateVerificationMessage(address)
+      // Get the message to sign from the server
+      const challengeResponse = await fetch('/api/auth/challenge', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ walletAddress: address })
+      })
+      const challenge = await challengeResponse.json()
+      if (!challengeResponse.ok) {
+        throw new Error(challenge.error || 'Failed to start signing in')
+      }
 
       // Request the user to sign the message
       let signature
       try {
-        console.log('Requesting signature for message:', message);
-        console.log('signMessageAsync function type:', typeof signMessageAsync);
-
-        // In wagmi v2, signMessageAsync is a function that returns a promise with the signature
-        console.log('About to call signMessageAsync...');
-        signature = await signMessageAsync({ message });
-        console.log('signMessageAsync call completed');
-        console.log('Signature received:', signature);
-        console.log('Signature type:', typeof signature);
+        signature = await signMessageAsync({ message: challenge.message })
       } catch (signError) {
-        console.error('Error during message signing:', signError);
-        console.error('Error details:', JSON.stringify(signError, Object.getOwnPropertyNames(signError)));
+        console.error('Error during message signing:', signError)
         // Don't throw here, just set the error and return false
-        setVerificationError(signError.message || 'Failed to sign message');
-        return false;
+        setVerificationError(signError.message || 'Failed to sign message')
+        return false
       }
 
       // Check if we got a signature back
       if (!signature) {
-        console.error('No signature returned from signMessage');
-        setVerificationError('Failed to sign message - no signature returned');
-        return false;
-      }
-
-      // Normalize the wallet address to lowercase
-      const normalizedAddress = address.toLowerCase()
-
-      // First, check if user exists in the users table
-      const { data: userData, error: userCheckError } = await supabase
-        .from('users')
-        .select('*')
-        .eq('wallet_address', normalizedAddress)
-        .maybeSingle()
-
-      // If user doesn't exist, create them via the API endpoint
-      if (!userData) {
-        try {
-          console.log('Creating user via API endpoint');
-          const response = await fetch('/api/users/store', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-              walletAddress: normalizedAddress,
-              walletType: 'wagmi'
-            })
-          });
-
-          if (!response.ok) {
-            const errorText = await response.text();
-            console.error('Error creating user via API:', errorText);
-            // Try the ensure endpoint as a fallback
-            const ensureResponse = await fetch('/api/users/ensure', {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json'
-              },
-              body: JSON.stringify({
-                walletAddress: normalizedAddress,
-                walletType: 'wagmi'
-              })
-            });
-            
-            if (!ensureResponse.ok) {
-              const ensureErrorText = await ensureResponse.text();
-              console.error('Error creating user via ensure API:', ensureErrorText);
-              throw new Error('Failed to create user');
-            } else {
-              const ensureResult = await ensureResponse.json();
-              console.log('User created successfully via ensure endpoint:', ensureResult);
-            }
-          } else {
-            const result = await response.json();
-            console.log('User created successfully:', result);
-          }
-        } catch (apiError) {
-          console.error('Error calling user API:', apiError);
-          throw new Error('Failed to create user');
-        }
-      }
-
-      // Store the signature in Supabase
-      const { error } = await supabase
-        .from('wallet_signatures')
-        .upsert([
-          {
-            wallet_address: normalizedAddress,
-            signature,
-            message,
-            created_at: new Date().toISOString(),
-            updated_at: new Date().toISOString()
-          }
-        ])
-
-      if (error) {
-        console.error('Error storing signature:', error)
-        throw new Error('Failed to store signature')
+        console.error('No signature returned from signMessage')
+        setVerificationError('Failed to sign message - no signature returned')
+        return false
       }
 
-      // Update the user record to mark as verified - try again to get user data if it wasn't found earlier
-      const { data: updatedUserData, error: userDataError } = await supabase
-        .from('users')
-        .select('*')
-        .eq('wallet_address', normalizedAddress)
-        .maybeSingle();
-        
-      if (updatedUserData) {
-        const { error: userError } = await supabase
-          .from('users')
-          .update({
-            is_verified: true,
-            updated_at: new Date().toISOString()
-          })
-          .eq('wallet_address', normalizedAddress)
-
-        if (userError) {
-          console.error('Error updating user verification status:', userError)
-          // Don't throw here, as the signature was stored successfully
-        }
-      } else {
-        console.error('User still not found after creation attempt:', userDataError)
+      // The server checks the signature, records it and sets the session cookie
+      const sessionResponse = await fetch('/api/auth/session', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: challenge.message, signature })
+      })
+      const session = await sessionResponse.json()
+      if (!sessionResponse.ok) {
+        throw new Error(session.error || 'Failed to verify signature')
       }
 
       setIsVerified(true)
@@ -176,10 +77,10 @@ export function useWalletSigning() {
     } finally {
       setIsVerifying(false)
     }
-  }, [generateVerificationMessage, signMessageAsync])
+  }, [signMessageAsync])
 
   /**
-   * Check if a wallet has been verified
+   * Check if a wallet has been verified, i.e. this browser has a session for it
    * @param {string} address - User's wallet address
    * @returns {Promise<boolean>} - Whether the wallet is verified
    */
@@ -187,24 +88,16 @@ export function useWalletSigning() {
     try {
       if (!address) return false
 
-      // Normalize the wallet address to lowercase
-      const normalizedAddress = address.toLowerCase();
-
-      // Check if the wallet has a signature in the database
-      // Use maybeSingle instead of single to avoid 406 errors
-      const { data, error } = await supabase
-        .from('wallet_signatures')
-        .select('*')
-        .eq('wallet_address', normalizedAddress)
-        .maybeSingle()
+      const response = await fetch('/api/auth/session')
+      const session = await response.json()
 
-      if (error) {
-        console.error('Error checking wallet verification:', error)
+      if (!response.ok) {
+        console.error('Error checking wallet verification:', session.error)
         return false
       }
 
-      // If we have a signature, the wallet is verified
-      const verified = !!data
+      // Only a session for this wallet counts; one for another wallet means signing in again
+      const verified = session.walletAddress === address.toLowerCase()
       setIsVerified(verified)
       return verified
     } catch (error) {
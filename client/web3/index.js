@@ -7,6 +7,9 @@ export { AccountInfo } from './components/AccountInfo'
 export { TransactionUI } from './components/TransactionUI'
 export { SmartWalletUI } from './components/SmartWalletUI'
 export { FundSmartWallet } from './components/FundSmartWallet'
+export { PaymentRequestCard } from './components/PaymentRequestCard'
+export { RuleCard } from './components/RuleCard'
+export { SaveContactPrompt } from './components/SaveContactPrompt'
 
 // Hooks
 export { useWalletConnection } from './hooks/useWalletConnection'
@@ -31,13 +34,68 @@ export {
   getNetworkName
 } from './config/networks'
 
+// Token Registry
+export {
+  TOKENS,
+  DEFAULT_TOKEN,
+  SUPPORTED_TOKEN_SYMBOLS,
+  getToken,
+  getTokenByAddress,
+  getTokensForNetwork,
+  normalizeTokenSymbol,
+  isNativeToken,
+  parseTokenAmount,
+  formatTokenUnits
+} from './config/tokens'
+
+// Price Providers
+export {
+  SUPPORTED_FIAT_CURRENCIES,
+  createStaticPriceProvider,
+  createCoinbasePriceProvider,
+  createApiPriceProvider,
+  getPriceProvider,
+  setPriceProvider,
+  quoteFiatAmount,
+  formatFiat,
+  normalizeFiatCurrency
+} from './utils/prices'
+
+// Split Allocations
+export {
+  SPLIT_TYPES,
+  parseSplitAllocations,
+  validateSplitAllocations,
+  resolveSplitAllocations,
+  describeAllocations,
+  getAllocationTokens
+} from './utils/splits'
+
 // Transaction Utilities
 export {
   prepareTransaction,
   formatTransaction,
-  storeTransaction
+  storeTransaction,
+  encodeTokenTransfer,
+  encodeSmartWalletPayment,
+  encodeSmartWalletBatch
 } from './utils/transactions'
 
+// Transaction Simulation
+export {
+  simulateTransaction,
+  combineSimulations,
+  formatSimulation,
+  describeRevertReason
+} from './utils/simulation'
+
+// Transaction Replacement (speed up or cancel)
+export {
+  prepareReplacement,
+  canReplacePayment,
+  REPLACEMENT_FEE_BUMP_PERCENT
+} from './utils/replacement'
+
 // Base Name Resolution Utilities
 export {
   resolveBaseName,
@@ -4,10 +4,20 @@
  * Browser-compatible version that doesn't rely on Node.js-specific modules
  */
 
-import { formatEther, parseEther, createPublicClient, http } from 'viem';
+import { formatEther, createPublicClient, http } from 'viem';
 import { base, baseSepolia } from 'viem/chains';
 import { resolveBaseName } from './baseNameService';
+import { encodeSmartWalletBatch, encodeSmartWalletPayment, encodeTokenTransfer } from './transactions';
+import {
+  annotateIntent,
+  getPaymentActions,
+  HISTORY_INTENTS,
+  parseIntentRules,
+  isTransactionRequest as isTransactionRequestIntent
+} from '../../lib/intent';
+import { describeAmount } from '../../utils/intentClarification';
 import { BASE_MAINNET, BASE_SEPOLIA } from '../config/networks';
+import { getToken, parseTokenAmount } from '../config/tokens';
 
 // Re-export resolveBaseName directly to avoid import issues
 export { resolveBaseName } from './baseNameService';
@@ -92,17 +102,18 @@ class AgentKit {
       if (details) {
         // Format a response based on the transaction type
         let response;
-        if (details.type === 'send') {
-          const recipient = Array.isArray(details.recipients) ? details.recipients[0] : details.recipient;
-          response = `I've prepared a transaction to send ${details.amount} ${details.token} to ${recipient}.`;
-        } else if (details.type === 'split') {
-          response = `I've prepared a request to split ${details.amount} ${details.token} between ${details.recipients.join(', ')}.`;
-        } else if (details.type === 'check_balance') {
+        if (details.intent === 'send') {
+          response = `I've prepared a transaction to send ${describeAmount(details)} to ${details.recipients[0] || 'the recipient'}.`;
+        } else if (details.intent === 'split') {
+          response = `I've prepared a request to split ${describeAmount(details)} between ${details.recipients.join(', ')}.`;
+        } else if (details.intent === 'batch') {
+          response = `I've prepared ${details.actions.length} payments to make together: ${details.actions.map(action => `${describeAmount(action)} to ${action.recipients.join(', ')}`).join('; ')}.`;
+        } else if (details.intent === 'check_balance') {
           response = `I'll check your wallet balance.`;
-        } else if (details.type === 'transaction_history') {
+        } else if (HISTORY_INTENTS.includes(details.intent)) {
           response = `I'll show your transaction history.`;
         } else {
-          response = `I've prepared your ${details.type} request for ${details.amount} ${details.token}.`;
+          response = `I've prepared your ${details.intent} request.`;
         }
 
         return {
@@ -138,12 +149,15 @@ class AgentKit {
  * @param {boolean} options.useTestnet - Whether to use the Sepolia testnet
  * @param {string} options.walletAddress - User's wallet address
  * @param {string} options.smartWalletAddress - Optional smart wallet address
+ * @param {object} options.signer - Optional server-side signer (see agentSigner.js); with one,
+ *   sendTransaction signs and sends the payment, without one it only prepares it
  * @returns {AgentKit} - Configured AgentKit instance
  */
-export function createTransactionAgent({ useTestnet = false, walletAddress, smartWalletAddress }) {
+export function createTransactionAgent({ useTestnet = false, walletAddress, smartWalletAddress, signer = null }) {
   const client = useTestnet ? baseSepoliaClient : baseClient;
   const chain = useTestnet ? baseSepolia : base;
   const networkId = useTestnet ? 'base-sepolia' : 'base-mainnet';
+  const network = useTestnet ? BASE_SEPOLIA : BASE_MAINNET;
 
   // Use smart wallet address if provided, otherwise use the connected wallet address
   const targetAddress = smartWalletAddress || walletAddress;
@@ -154,6 +168,141 @@ export function createTransactionAgent({ useTestnet = false, walletAddress, smar
     console.log(`Creating agent for address: ${targetAddress} (${smartWalletAddress ? 'smart wallet' : 'connected wallet'})`);
   }
 
+  // The on-chain smart wallet check, run once per agent
+  let smartWalletCheck = null;
+
+  /**
+   * Checks the agent can pay for this user: out of their smart wallet, which must be a LucraWallet
+   * contract they own that has authorized the agent, or directly when the agent's own account is the user's wallet
+   * @returns {Promise<boolean>} - True to pay through the smart wallet, false to pay directly
+   */
+  async function paysFromSmartWallet() {
+    if (smartWalletAddress) {
+      smartWalletCheck = smartWalletCheck || checkSmartWallet();
+      await smartWalletCheck;
+      return true;
+    }
+
+    if (walletAddress && signer.address.toLowerCase() === walletAddress.toLowerCase()) return false;
+    throw new Error('The agent can only pay from a smart wallet that has authorized it');
+  }
+
+  /**
+   * Checks on chain that the smart wallet is a LucraWallet owned by the user, which has authorized
+   * the agent. The request only names the wallet; paying from one the user doesn't own would spend
+   * someone else's funds.
+   * @returns {Promise<void>} - Resolves if the agent may pay from it
+   */
+  async function checkSmartWallet() {
+    const wallet = await signer.readSmartWallet(smartWalletAddress);
+    if (!wallet) {
+      throw new Error(`Smart wallet ${smartWalletAddress} is not a LucraWallet contract`);
+    }
+    if (!walletAddress || wallet.owner !== walletAddress.toLowerCase()) {
+      throw new Error(`Smart wallet ${smartWalletAddress} is not owned by ${walletAddress}`);
+    }
+    if (!wallet.authorized) {
+      throw new Error(`Smart wallet ${smartWalletAddress} has not authorized the agent (${signer.address})`);
+    }
+  }
+
+  /**
+   * Builds a payment: the transfer from the paying wallet, and with a signer, the call the agent
+   * signs for it (a LucraWallet payment, or the transfer itself when the agent pays directly)
+   * @param {object} payment - { to, amount, token, note }
+   * @returns {Promise<object>} - { prepared, call, tokenConfig }; call is null without a signer
+   */
+  async function buildPayment({ to, amount, token, note }) {
+    // Resolve the recipient address if it's a Base Name
+    const resolvedTo = await resolveBaseName(to, useTestnet);
+
+    if (!resolvedTo) {
+      throw new Error(`Could not resolve recipient address: ${to}`);
+    }
+
+    // Look up the token on the agent's network
+    const tokenConfig = getToken(token, network);
+    if (!tokenConfig) {
+      throw new Error(`Token ${token} is not supported on ${network.name}`);
+    }
+
+    // Convert the amount to the token's base units
+    const units = parseTokenAmount(amount, tokenConfig);
+
+    // ERC-20 transfers call the token contract with no ETH value
+    const prepared = {
+      to: tokenConfig.native ? resolvedTo : tokenConfig.address,
+      recipient: resolvedTo,
+      value: tokenConfig.native ? units : 0n,
+      amount: units,
+      data: tokenConfig.native ? '0x' : encodeTokenTransfer(resolvedTo, units),
+      token: tokenConfig.symbol,
+      tokenAddress: tokenConfig.native ? null : tokenConfig.address,
+      decimals: tokenConfig.decimals,
+      chain: chain.name,
+      walletAddress: targetAddress, // Use the target address
+    };
+
+    if (!signer) return { prepared, call: null, tokenConfig };
+
+    // The agent pays out of the smart wallet it is authorized on, or directly when its account is the user's wallet
+    const call = await paysFromSmartWallet()
+      ? {
+        to: smartWalletAddress,
+        value: 0n,
+        data: encodeSmartWalletPayment({
+          recipient: resolvedTo,
+          amount: units,
+          tokenAddress: prepared.tokenAddress,
+          memo: note,
+        }),
+      }
+      : { to: prepared.to, value: prepared.value, data: prepared.data };
+
+    return { prepared, call, tokenConfig };
+  }
+
+  /**
+   * Builds a batchSendEther call paying several recipients out of the smart wallet
+   * @param {object} batch - { payments: [{ to, amount }], token, note }
+   * @returns {Promise<object>} - { call, resolved: [{ recipient, amount }], tokenConfig }
+   */
+  async function buildBatch({ payments, token, note }) {
+    if (!signer || !smartWalletAddress) {
+      throw new Error('Batch payments need a server signer and a smart wallet');
+    }
+
+    // batchSendEther only moves ETH
+    const tokenConfig = getToken(token, network);
+    if (!tokenConfig?.native) {
+      throw new Error(`Only ${network.nativeCurrency.symbol} payments can be batched`);
+    }
+
+    const resolved = await Promise.all(payments.map(async ({ to, amount }) => {
+      const recipient = await resolveBaseName(to, useTestnet);
+      if (!recipient) {
+        throw new Error(`Could not resolve recipient address: ${to}`);
+      }
+      return { recipient, amount: parseTokenAmount(amount, tokenConfig) };
+    }));
+
+    if (!(await paysFromSmartWallet())) {
+      throw new Error('Batch payments are made from a smart wallet');
+    }
+
+    const call = {
+      to: smartWalletAddress,
+      value: 0n,
+      data: encodeSmartWalletBatch({
+        recipients: resolved.map(payment => payment.recipient),
+        amounts: resolved.map(payment => payment.amount),
+        memo: note,
+      }),
+    };
+
+    return { call, resolved, tokenConfig };
+  }
+
   // Create a new agent
   const agent = new AgentKit({
     name: 'LucraAI Transaction Agent',
@@ -161,7 +310,7 @@ export function createTransactionAgent({ useTestnet = false, walletAddress, smar
     instructions: `
       You are LucraAI's transaction agent. You help users send, receive, and track cryptocurrency transactions on the Base network.
       You can handle the following tasks:
-      - Send ETH to an address or Base Name
+      - Send ETH or supported ERC-20 tokens (such as USDC) to an address or Base Name
       - Split payments between multiple recipients
       - Check transaction status
       - Provide transaction history
@@ -174,28 +323,79 @@ export function createTransactionAgent({ useTestnet = false, walletAddress, smar
     capabilities: {
       sendTransaction: {
         enabled: true,
-        handler: async ({ to, amount, token = 'ETH' }) => {
+        handler: async ({ to, amount, token = 'ETH', note = '' }) => {
           try {
-            // Resolve the recipient address if it's a Base Name
-            const resolvedTo = await resolveBaseName(to, useTestnet);
+            const { prepared, call } = await buildPayment({ to, amount, token, note });
+            if (!signer) return prepared;
 
-            if (!resolvedTo) {
-              throw new Error(`Could not resolve recipient address: ${to}`);
+            const sent = await signer.sendTransaction(call);
+            return { ...prepared, hash: sent.hash, from: sent.from, nonce: sent.nonce, gas: sent.gas };
+          } catch (error) {
+            console.error('Error in sendTransaction handler:', error);
+            throw error;
+          }
+        },
+      },
+      simulateTransaction: {
+        enabled: !!signer,
+        handler: async ({ to, amount, token = 'ETH', note = '' }) => {
+          try {
+            if (!signer) {
+              throw new Error('Simulating a payment needs a server signer');
             }
 
-            // Parse the amount to wei
-            const value = parseEther(amount.toString());
+            const { prepared, call, tokenConfig } = await buildPayment({ to, amount, token, note });
+            return await signer.simulate(call, {
+              payer: smartWalletAddress || signer.address,
+              recipients: [prepared.recipient],
+              token: tokenConfig,
+              amount: prepared.amount,
+            });
+          } catch (error) {
+            console.error('Error in simulateTransaction handler:', error);
+            throw error;
+          }
+        },
+      },
+      batchSendTransaction: {
+        enabled: !!signer && !!smartWalletAddress,
+        handler: async ({ payments, token = 'ETH', note = '' }) => {
+          try {
+            const { call, resolved, tokenConfig } = await buildBatch({ payments, token, note });
+
+            // One call pays everyone, so the payments succeed or revert together
+            const sent = await signer.sendTransaction(call);
 
-            // Return the transaction details
             return {
-              to: resolvedTo,
-              value,
-              token,
+              hash: sent.hash,
+              from: sent.from,
+              nonce: sent.nonce,
+              gas: sent.gas,
+              to: smartWalletAddress,
+              payments: resolved,
+              token: tokenConfig.symbol,
+              decimals: tokenConfig.decimals,
               chain: chain.name,
-              walletAddress: targetAddress, // Use the target address
             };
           } catch (error) {
-            console.error('Error in sendTransaction handler:', error);
+            console.error('Error in batchSendTransaction handler:', error);
+            throw error;
+          }
+        },
+      },
+      simulateBatch: {
+        enabled: !!signer && !!smartWalletAddress,
+        handler: async ({ payments, token = 'ETH', note = '' }) => {
+          try {
+            const { call, resolved, tokenConfig } = await buildBatch({ payments, token, note });
+            return await signer.simulate(call, {
+              payer: smartWalletAddress,
+              recipients: resolved.map(payment => payment.recipient),
+              token: tokenConfig,
+              amount: resolved.reduce((total, payment) => total + payment.amount, 0n),
+            });
+          } catch (error) {
+            console.error('Error in simulateBatch handler:', error);
             throw error;
           }
         },
@@ -402,160 +602,22 @@ export async function processTransactionRequest({ message, useTestnet = false, w
  * @returns {boolean} - True if the message appears to be a transaction request
  */
 export function isTransactionRequest(message) {
-  if (!message || typeof message !== 'string') return false;
-
-  const lowerMessage = message.toLowerCase().trim();
-
-  // Exclude common conversational patterns that might contain transaction keywords
-  const conversationalPatterns = [
-    /^tell me about/i,
-    /^what is/i,
-    /^who is/i,
-    /^how do/i,
-    /^explain/i,
-    /^describe/i,
-    /yourself/i,
-    /technical/i,
-    /standpoint/i,
-    /^hi\b/i,
-    /^hello\b/i,
-    /^hey\b/i
-  ];
-
-  // If the message matches any conversational pattern, it's not a transaction request
-  if (conversationalPatterns.some(pattern => pattern.test(lowerMessage))) {
-    console.log('Message matches conversational pattern, not a transaction request');
-    return false;
-  }
-
-  // Check for transaction-related keywords
-  const sendKeywords = ['send', 'transfer', 'pay', 'payment'];
-  const splitKeywords = ['split', 'divide', 'share'];
-  // Balance check keywords are used in the special case below
-  const historyKeywords = ['transaction history', 'payment history', 'recent transactions'];
-  const tokenKeywords = ['eth', 'ether', 'usdc', 'dai', 'crypto', 'token', 'coin'];
-
-  // Check if the message contains transaction-related keywords
-  const hasSendKeyword = sendKeywords.some(keyword => lowerMessage.includes(keyword));
-  const hasSplitKeyword = splitKeywords.some(keyword => lowerMessage.includes(keyword));
-  const hasHistoryKeyword = historyKeywords.some(keyword => lowerMessage.includes(keyword));
-  const hasTokenKeyword = tokenKeywords.some(keyword => lowerMessage.includes(keyword));
-
-  // Special case for balance check - be more specific to avoid false positives
-  if ((lowerMessage.includes('balance') && (lowerMessage.includes('wallet') || lowerMessage.includes('my'))) ||
-      (lowerMessage.includes('check') && lowerMessage.includes('balance')) ||
-      (lowerMessage.includes('how much') && (lowerMessage.includes('eth') || lowerMessage.includes('token') || lowerMessage.includes('have'))) ||
-      lowerMessage.includes('show balance')) {
-    console.log('Transaction request detected: Balance check');
-    return true;
-  }
-
-  // Return true if the message contains specific transaction-related keyword combinations
-  return (hasSendKeyword && (hasTokenKeyword || lowerMessage.includes('to @'))) ||
-         (hasSplitKeyword && (hasTokenKeyword || lowerMessage.includes('between'))) ||
-         (hasHistoryKeyword);
+  return isTransactionRequestIntent(message);
 }
 
 /**
  * Extracts transaction details from a natural language message
  * @param {string} message - User's natural language message
- * @returns {Promise<object|null>} - Extracted transaction details or null if extraction failed
+ * @returns {Promise<object|null>} - Intent in the shared schema (see lib/intent/schema.js), or null
+ *   if the message isn't a transaction request or a payment (or any payment of a batch) is missing its amount
  */
 export async function extractTransactionDetails(message) {
   if (!message || typeof message !== 'string') return null;
 
-  const lowerMessage = message.toLowerCase();
-
-  // Check for transaction type
-  let type = 'unknown';
-  let amount = null;
-  let token = 'ETH';  // Always default to ETH
-  let recipient = null;
-  let recipients = [];
-  let splitType = null;
-  let note = null;
-
-  // Check for check balance intent - be more specific to avoid false positives
-  if ((lowerMessage.includes('balance') && (lowerMessage.includes('wallet') || lowerMessage.includes('my'))) ||
-      (lowerMessage.includes('check') && lowerMessage.includes('balance')) ||
-      (lowerMessage.includes('how much') && (lowerMessage.includes('eth') || lowerMessage.includes('token') || lowerMessage.includes('have'))) ||
-      lowerMessage.includes('show balance')) {
-      console.log('Detected balance check request');
-      return {
-        type: 'check_balance',
-        intent: 'check_balance',
-        action: 'check_balance',
-        amount: null,
-        token: 'ETH',  // Always use ETH
-        recipients: []
-      };
-    }
-
-  // Check for transaction history intent
-  if (lowerMessage.includes('history') ||
-      lowerMessage.includes('transactions') ||
-      (lowerMessage.includes('recent') && lowerMessage.includes('transaction'))) {
-      return {
-        type: 'transaction_history',
-        intent: 'transaction_history',
-        limit: 10,
-        token: 'ETH'  // Always use ETH
-      };
-    }
-
-  // Extract transaction type
-  if (lowerMessage.includes('send') || lowerMessage.includes('pay') || lowerMessage.includes('transfer')) {
-    type = 'send';
-  } else if (lowerMessage.includes('split') || lowerMessage.includes('divide') || lowerMessage.includes('share')) {
-    type = 'split';
-
-    // Extract split type
-    if (lowerMessage.includes('equal') || lowerMessage.includes('equally') || lowerMessage.includes('even') || lowerMessage.includes('evenly')) {
-      splitType = 'equal';
-    } else if (lowerMessage.includes('percent') || lowerMessage.includes('%')) {
-      splitType = 'percentage';
-    } else {
-      splitType = 'custom';
-    }
-  }
-
-  // Extract amount
-  const amountMatch = message.match(/\b(\d+(\.\d+)?)\s*(eth|ether|usdc|dai|usd)?\b/i);
-  if (amountMatch) {
-    amount = parseFloat(amountMatch[1]);
+  const details = annotateIntent(parseIntentRules(message));
 
-    // Extract token if specified, but ALWAYS default to ETH regardless of what's specified
-    token = 'ETH';
-  }
-
-  // Extract recipients (anything with @ symbol)
-  const recipientMatches = message.match(/@(\w+(\.\w+)?)/g);
-  if (recipientMatches) {
-    recipients = recipientMatches.map(r => r.substring(1));
-    if (recipients.length === 1) {
-      recipient = recipients[0];
-    }
-  }
-
-  // Extract note (anything after "for" or "note")
-  const noteMatch = lowerMessage.match(/\b(for|note)\b\s+(.+)$/);
-  if (noteMatch) {
-    note = noteMatch[2];
-  }
+  if (details.intent === 'conversation' || details.intent === 'unknown') return null;
+  if (getPaymentActions(details).some(payment => !payment.amount && !payment.fiat_amount)) return null;
 
-  // If we have a valid type and amount, return the transaction details
-  if (type !== 'unknown' && amount !== null) {
-      return {
-        type,
-        intent: type, // Add intent field for compatibility with the UI
-        amount,
-        token,  // Always ETH
-        recipient,
-        recipients,
-        splitType,
-        note
-      };
-    }
-
-    return null;
-}
\ No newline at end of file
+  return details;
+}
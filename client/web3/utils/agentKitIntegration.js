@@ -4,6 +4,8 @@
  */
 
 import { createTransactionAgent, extractTransactionDetails } from './agentKit';
+import { HISTORY_INTENTS, normalizeIntent } from '../../lib/intent';
+import { describeAmount } from '../../utils/intentClarification';
 
 /**
  * Process a message using AgentKit
@@ -34,12 +36,11 @@ export async function processMessageWithAgentKit({ message, walletAddress, useTe
 
       // Format a response based on the transaction type
       let response;
-      if (extractedDetails.type === 'send') {
-        const recipient = Array.isArray(extractedDetails.recipients) ? extractedDetails.recipients[0] : extractedDetails.recipient;
-        response = `🤖 I've prepared a transaction to send ${extractedDetails.amount} ${extractedDetails.token} to ${recipient}.`;
-      } else if (extractedDetails.type === 'split') {
-        response = `🤖 I've prepared a request to split ${extractedDetails.amount} ${extractedDetails.token} between ${extractedDetails.recipients.join(', ')}.`;
-      } else if (extractedDetails.type === 'check_balance') {
+      if (extractedDetails.intent === 'send') {
+        response = `🤖 I've prepared a transaction to send ${describeAmount(extractedDetails)} to ${extractedDetails.recipients[0] || 'the recipient'}.`;
+      } else if (extractedDetails.intent === 'split') {
+        response = `🤖 I've prepared a request to split ${describeAmount(extractedDetails)} between ${extractedDetails.recipients.join(', ')}.`;
+      } else if (extractedDetails.intent === 'check_balance') {
         // Use the agent's getBalance capability
         try {
           const balanceResult = await agent.capabilities.getBalance.handler();
@@ -48,7 +49,7 @@ export async function processMessageWithAgentKit({ message, walletAddress, useTe
           console.error('Error fetching balance:', balanceError);
           response = '🤖 I encountered an error while fetching your balance. Please try again later.';
         }
-      } else if (extractedDetails.type === 'transaction_history') {
+      } else if (HISTORY_INTENTS.includes(extractedDetails.intent)) {
         // Use the agent's getTransactionHistory capability
         try {
           const historyResult = await agent.capabilities.getTransactionHistory.handler({
@@ -58,7 +59,7 @@ export async function processMessageWithAgentKit({ message, walletAddress, useTe
           if (historyResult.transactions && historyResult.transactions.length > 0) {
             response = `🤖 You have ${historyResult.transactions.length} recent transactions. Here are the details:`;
             historyResult.transactions.forEach((tx, index) => {
-              response += `\n${index + 1}. ${tx.transaction_type} ${tx.amount} ${tx.token} to ${tx.recipient_address.substring(0, 8)}... (${tx.status})`;
+              response += `\n${index + 1}. ${tx.transaction_type} ${tx.amount} ${tx.token} to ${tx.recipient_address ? `${tx.recipient_address.substring(0, 8)}...` : 'several recipients'} (${tx.status})`;
             });
           } else {
             response = '🤖 You don\'t have any transaction history yet.';
@@ -68,21 +69,11 @@ export async function processMessageWithAgentKit({ message, walletAddress, useTe
           response = '🤖 I encountered an error while fetching your transaction history. Please try again later.';
         }
       } else {
-        response = `🤖 I've prepared your ${extractedDetails.type} request for ${extractedDetails.amount} ${extractedDetails.token}.`;
+        response = `🤖 I've prepared your ${extractedDetails.intent} request.`;
       }
 
-      // Convert the extracted details to the format expected by the chat component
-      const parsedData = {
-        intent: extractedDetails.type,
-        amount: extractedDetails.amount,
-        token: extractedDetails.token || 'ETH',
-        recipients: extractedDetails.recipients || [],
-        split_type: extractedDetails.splitType,
-        note: extractedDetails.note,
-        isConversational: false,
-        raw_message: message,
-        parsed_by: 'agentKit'
-      };
+      // The extracted details are already in the shared intent schema the chat component expects
+      const parsedData = { ...extractedDetails, parsed_by: 'agentKit' };
 
       return {
         response,
@@ -109,6 +100,9 @@ export async function processMessageWithAgentKit({ message, walletAddress, useTe
 export function enhanceParsedDataWithAgentKit(parsedData, transactionDetails) {
   if (!parsedData || !transactionDetails) return parsedData;
 
+  // AgentKit details may use the older field names; map them onto the shared schema first
+  const details = normalizeIntent(transactionDetails, parsedData.raw_message);
+
   // Add AgentKit-specific fields to the parsed data
   return {
     ...parsedData,
@@ -116,15 +110,18 @@ export function enhanceParsedDataWithAgentKit(parsedData, transactionDetails) {
       ...transactionDetails
     },
     // Ensure the intent matches the transaction type
-    intent: transactionDetails.type || parsedData.intent,
+    intent: details.intent !== 'unknown' ? details.intent : parsedData.intent,
     // Use the amount from AgentKit if available
-    amount: transactionDetails.amount || parsedData.amount,
+    amount: details.amount || parsedData.amount,
     // Use the token from AgentKit if available
-    token: transactionDetails.token || parsedData.token || 'ETH',
+    token: transactionDetails.token ? details.token : parsedData.token || 'ETH',
     // Use the recipients from AgentKit if available
-    recipients: transactionDetails.recipients || parsedData.recipients || [],
+    recipients: details.recipients.length > 0 ? details.recipients : parsedData.recipients || [],
+    // Use the split type and shares from AgentKit if available
+    split_type: details.split_type || parsedData.split_type || null,
+    allocations: details.allocations || parsedData.allocations || null,
     // Use the note from AgentKit if available
-    note: transactionDetails.note || parsedData.note,
+    note: details.note || parsedData.note,
     // Mark this as processed by AgentKit
     parsed_by: 'agentKit'
   };
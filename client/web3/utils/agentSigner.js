@@ -0,0 +1,224 @@
+/**
+ * Server-side signer for agent payments
+ * /api/ai/execute-transaction sends payments with the agent's own key, configured by:
+ *
+ *   AGENT_PRIVATE_KEY  Hex private key of the agent's account
+ *   AGENT_RPC_URL      RPC to send through (defaults to the network's), e.g. http://127.0.0.1:8545 for a
+ *                      local `npx hardhat node` or anvil; the chain ID is then read from the node
+ *
+ * The agent pays out of a LucraWallet smart wallet that the user owns and that lists the agent as an
+ * authorized address (both read from the contract, see readSmartWallet), or from its own account when
+ * that is the user's wallet (as with a funded local node account in development).
+ *
+ * Transactions are built, signed and sent one at a time, so payments made together (the legs of a
+ * split) get consecutive nonces. Server only: the key must never reach the browser, so this module
+ * isn't exported from web3/index.js.
+ */
+
+import { createPublicClient, createWalletClient, defineChain, http } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { base, baseSepolia } from 'viem/chains';
+import LucraWalletAbi from '../../abis/LucraWalletAbi';
+import { BASE_MAINNET, BASE_SEPOLIA } from '../config/networks';
+import { simulateTransaction } from './simulation';
+
+// Added to the gas estimate, in percent, so small state changes before inclusion don't run out of gas
+const GAS_BUFFER_PERCENT = 20n;
+
+/**
+ * Creates a signer for an account
+ * @param {object} options - Signer options
+ * @param {string} options.privateKey - Hex private key
+ * @param {string} options.rpcUrl - RPC URL to send through
+ * @param {object} options.transport - viem transport to use instead of the RPC URL (e.g. a local
+ *   node's provider in tests)
+ * @param {object} options.chain - viem chain, or null to read the chain ID from the node
+ * @returns {object} - Signer with address, sendTransaction({ to, value, data }), simulate(call, payment),
+ *   getChainId(), isContract(address) and readSmartWallet(address)
+ */
+export function createAgentSigner({ privateKey, rpcUrl, transport: customTransport = null, chain = null }) {
+  const account = privateKeyToAccount(privateKey);
+  const transport = customTransport || http(rpcUrl);
+  const publicClient = createPublicClient({ chain: chain || undefined, transport });
+  const walletClient = createWalletClient({ account, chain: chain || undefined, transport });
+
+  // Chain to sign for; read from the node once when none was given
+  let chainPromise = null;
+  // Next nonce to use, or null to take the node's pending count
+  let nextNonce = null;
+  // Sends queue up behind each other so two payments never race for a nonce
+  let queue = Promise.resolve();
+
+  /**
+   * Gets the chain transactions are signed for
+   * @returns {Promise<object>} - viem chain
+   */
+  function getChain() {
+    if (chain) return Promise.resolve(chain);
+    if (!chainPromise) {
+      chainPromise = publicClient.getChainId()
+        .then(id => defineChain({
+          id,
+          name: `Chain ${id}`,
+          nativeCurrency: { decimals: 18, name: 'Ether', symbol: 'ETH' },
+          rpcUrls: { default: { http: [rpcUrl] } },
+        }))
+        .catch(error => {
+          chainPromise = null;
+          throw error;
+        });
+    }
+    return chainPromise;
+  }
+
+  /**
+   * Picks the nonce for the next transaction: the node's pending count, unless this signer has
+   * already sent transactions the node doesn't count yet
+   * @returns {Promise<number>} - Nonce
+   */
+  async function reserveNonce() {
+    const pending = await publicClient.getTransactionCount({ address: account.address, blockTag: 'pending' });
+    return nextNonce !== null && nextNonce > pending ? nextNonce : pending;
+  }
+
+  /**
+   * Estimates gas, then builds, signs and sends one transaction
+   * @param {object} call - { to, value, data }
+   * @returns {Promise<object>} - { hash, from, nonce, gas }
+   */
+  async function signAndSend({ to, value = 0n, data = '0x' }) {
+    // Estimating first also surfaces reverts (such as a smart wallet's daily limit) before anything is signed
+    const estimate = await publicClient.estimateGas({ account, to, value, data });
+    const gas = (estimate * (100n + GAS_BUFFER_PERCENT)) / 100n;
+    const nonce = await reserveNonce();
+
+    try {
+      const request = await walletClient.prepareTransactionRequest({
+        account,
+        chain: await getChain(),
+        to,
+        value,
+        data,
+        gas,
+        nonce,
+      });
+      const serializedTransaction = await walletClient.signTransaction(request);
+      const hash = await walletClient.sendRawTransaction({ serializedTransaction });
+
+      nextNonce = nonce + 1;
+      return { hash, from: account.address, nonce, gas };
+    } catch (error) {
+      // The nonce may have been used elsewhere; ask the node again next time
+      nextNonce = null;
+      throw error;
+    }
+  }
+
+  return {
+    address: account.address,
+
+    /**
+     * Sends a transaction from the agent's account
+     * @param {object} call - Transaction to send
+     * @param {string} call.to - Recipient or contract address
+     * @param {bigint} call.value - ETH value in wei
+     * @param {string} call.data - Call data
+     * @returns {Promise<object>} - { hash, from, nonce, gas } once the node has accepted it
+     */
+    sendTransaction(call) {
+      const sent = queue.then(() => signAndSend(call));
+      queue = sent.catch(() => {});
+      return sent;
+    },
+
+    /**
+     * Simulates a transaction from the agent's account without sending it
+     * @param {object} call - Transaction: { to, value, data }
+     * @param {object} payment - { payer, recipients, token, amount }, see simulateTransaction
+     * @returns {Promise<object>} - Simulation
+     */
+    simulate(call, payment) {
+      return simulateTransaction(publicClient, { from: account.address, call, ...payment });
+    },
+
+    /**
+     * Gets the ID of the chain the signer sends on
+     * @returns {Promise<number>} - Chain ID
+     */
+    async getChainId() {
+      return (await getChain()).id;
+    },
+
+    /**
+     * Checks whether an address holds a contract (a smart wallet) rather than being a plain account
+     * @param {string} address - Address
+     * @returns {Promise<boolean>} - True if there is code at the address
+     */
+    async isContract(address) {
+      const code = await publicClient.getCode({ address });
+      return !!code && code !== '0x';
+    },
+
+    /**
+     * Reads who owns a LucraWallet and whether it has authorized the agent. Anything that doesn't
+     * answer like a LucraWallet (a plain account, another contract, a reverting call) isn't one.
+     * @param {string} address - Smart wallet address
+     * @returns {Promise<object|null>} - { owner, authorized } with the lower-case owner address, or
+     *   null if the address isn't a LucraWallet
+     */
+    async readSmartWallet(address) {
+      try {
+        const [owner, authorized] = await Promise.all([
+          publicClient.readContract({ address, abi: LucraWalletAbi, functionName: 'owner' }),
+          publicClient.readContract({ address, abi: LucraWalletAbi, functionName: 'isAuthorized', args: [account.address] }),
+        ]);
+        return { owner: owner.toLowerCase(), authorized: authorized === true };
+      } catch (error) {
+        console.warn(`${address} did not answer as a LucraWallet:`, error.shortMessage || error.message);
+        return null;
+      }
+    },
+  };
+}
+
+const agentSigners = {};
+
+/**
+ * Gets the configured agent signer for a network
+ * @param {object} options - Options
+ * @param {boolean} options.useTestnet - Whether to use the Sepolia testnet
+ * @returns {object|null} - Signer, or null if AGENT_PRIVATE_KEY isn't set
+ */
+export function getAgentSigner({ useTestnet = false } = {}) {
+  const networkId = useTestnet ? 'base-sepolia' : 'base-mainnet';
+  if (agentSigners[networkId] !== undefined) return agentSigners[networkId];
+
+  const privateKey = process.env.AGENT_PRIVATE_KEY;
+  if (!privateKey) return null;
+
+  const network = useTestnet ? BASE_SEPOLIA : BASE_MAINNET;
+  const rpcUrl = process.env.AGENT_RPC_URL;
+
+  agentSigners[networkId] = createAgentSigner({
+    privateKey: privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`,
+    rpcUrl: rpcUrl || network.rpcUrls.default,
+    chain: rpcUrl ? null : useTestnet ? baseSepolia : base,
+  });
+
+  return agentSigners[networkId];
+}
+
+/**
+ * Overrides the agent signer (e.g. with one for a local node in tests)
+ * @param {object|null} signer - Signer, or null to go back to the configured one
+ * @param {object} options - Options
+ * @param {boolean} options.useTestnet - Network the signer is for
+ */
+export function setAgentSigner(signer, { useTestnet = false } = {}) {
+  const networkId = useTestnet ? 'base-sepolia' : 'base-mainnet';
+  if (signer) {
+    agentSigners[networkId] = signer;
+  } else {
+    delete agentSigners[networkId];
+  }
+}
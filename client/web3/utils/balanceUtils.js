@@ -1,6 +1,7 @@
 'use client'
 
 import { formatUnits } from 'viem'
+import { getTokenByAddress } from '../config/tokens'
 
 /**
  * Formats a balance with the appropriate number of decimal places
@@ -48,19 +49,15 @@ export function formatTokenAmount(amount, symbol = 'ETH') {
 /**
  * Gets the token symbol based on the token address
  * @param {string} tokenAddress - The token address
+ * @param {object|number} network - Optional network configuration or chain ID to restrict the lookup
  * @returns {string} - The token symbol
  */
-export function getTokenSymbol(tokenAddress) {
-  // Common token addresses and their symbols
-  const tokens = {
-    '0x0000000000000000000000000000000000000000': 'ETH',
-    '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48': 'USDC', // USDC on Ethereum
-    '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913': 'USDC', // USDC on Base
-    '0x4200000000000000000000000000000000000006': 'WETH', // WETH on Base
-    // Add more tokens as needed
-  }
-  
-  return tokens[tokenAddress] || 'ETH'
+export function getTokenSymbol(tokenAddress, network) {
+  // USDC on Ethereum mainnet isn't in the Base registry but still shows up in balances
+  if (tokenAddress === '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48') return 'USDC'
+
+  const token = getTokenByAddress(tokenAddress, network)
+  return token ? token.symbol : 'ETH'
 }
 
 /**
@@ -1,6 +1,7 @@
 import { createPublicClient, http, namehash, keccak256, encodePacked, isAddress, stringToHex } from 'viem'
 import { base, mainnet } from 'viem/chains'
 import L2ResolverAbi from '@/abis/L2ResolverAbi'
+import { findContact } from '@/lib/contacts'
 
 // Base Name Service L2 Resolver address on mainnet
 export const BASENAME_L2_RESOLVER_ADDRESS = "0xC6d566A56A1aFf6508b41f6c90ff131615583BCD"
@@ -165,9 +166,11 @@ export async function getBasenameTextRecord(basename, key) {
  * Resolves a Base Name to an Ethereum address
  * @param {string} name - The Base Name to resolve
  * @param {boolean} useTestnet - Whether to use testnet or mainnet resolution (always uses mainnet)
+ * @param {Object} options - Resolution options
+ * @param {Array} options.contacts - The sender's contacts (see lib/contacts.js), checked before Base Names
  * @returns {Promise<string|null>} - The resolved Ethereum address or null if not found
  */
-export async function resolveBaseName(name, useTestnet = false) {
+export async function resolveBaseName(name, useTestnet = false, { contacts = [] } = {}) {
   try {
     // Handle null or undefined input
     if (!name) return null;
@@ -181,6 +184,13 @@ export async function resolveBaseName(name, useTestnet = false) {
       name = name.substring(1);
     }
 
+    // A contact's alias wins over the Base Name with the same label
+    const contact = findContact(contacts, name);
+    if (contact) {
+      console.log(`Resolved contact @${contact.alias} to ${contact.address || contact.basename}`);
+      return contact.address || await resolveBaseName(contact.basename, useTestnet);
+    }
+
     console.log(`Resolving basename: ${name}`);
 
     // Handle mixed formats like "0xsachindra.base.eth"
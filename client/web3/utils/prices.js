@@ -0,0 +1,259 @@
+/**
+ * Token price providers used to convert fiat-denominated amounts ("send $25 of ETH")
+ * into token amounts at confirmation time
+ *
+ * A price provider is an object with:
+ *   name: string
+ *   getPrice(token, currency): Promise<{ token, currency, price, source, quoted_at }>
+ * where price is the value of one whole token in the fiat currency
+ */
+
+import { getToken, normalizeTokenSymbol } from '../config/tokens';
+
+// Fiat currencies users can denominate amounts in
+export const SUPPORTED_FIAT_CURRENCIES = ['USD', 'EUR', 'GBP'];
+
+// Default fiat currency when only a bare "$" or "dollars" is given
+export const DEFAULT_FIAT_CURRENCY = 'USD';
+
+// Symbols and words that name a fiat currency
+export const FIAT_ALIASES = {
+  '$': 'USD',
+  usd: 'USD',
+  dollar: 'USD',
+  dollars: 'USD',
+  bucks: 'USD',
+  '€': 'EUR',
+  eur: 'EUR',
+  euro: 'EUR',
+  euros: 'EUR',
+  '£': 'GBP',
+  gbp: 'GBP',
+  pound: 'GBP',
+  pounds: 'GBP',
+};
+
+// Fixed prices for the static provider, used in tests and offline development
+export const STATIC_USD_PRICES = {
+  ETH: 3000,
+  WETH: 3000,
+  USDC: 1,
+  DAI: 1,
+};
+
+// Fixed exchange rates from USD for the static provider
+export const STATIC_FX_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+};
+
+// Wrapped tokens are priced as their underlying asset
+const PRICE_SYMBOLS = {
+  WETH: 'ETH',
+};
+
+// Quotes from live providers are reused for this long
+const PRICE_CACHE_TTL_MS = 60 * 1000;
+
+// Token amounts derived from fiat are rounded to at most this many decimals for display
+const MAX_QUOTE_DECIMALS = 8;
+
+/**
+ * Normalizes a fiat currency name or symbol
+ * @param {string} currency - Currency code, symbol or word (e.g. 'usd', '$', 'euros')
+ * @returns {string|null} - ISO currency code or null if unsupported
+ */
+export function normalizeFiatCurrency(currency) {
+  if (!currency || typeof currency !== 'string') return null;
+
+  const key = currency.trim().toLowerCase();
+  const code = FIAT_ALIASES[key] || key.toUpperCase();
+  return SUPPORTED_FIAT_CURRENCIES.includes(code) ? code : null;
+}
+
+/**
+ * Formats a fiat amount for display
+ * @param {number|string} amount - Fiat amount
+ * @param {string} currency - ISO currency code
+ * @returns {string} - Formatted amount (e.g. "$25.00")
+ */
+export function formatFiat(amount, currency = DEFAULT_FIAT_CURRENCY) {
+  const value = typeof amount === 'string' ? parseFloat(amount) : amount;
+  if (!Number.isFinite(value)) return '';
+
+  try {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: normalizeFiatCurrency(currency) || DEFAULT_FIAT_CURRENCY,
+    }).format(value);
+  } catch (error) {
+    console.error('Error formatting fiat amount:', error);
+    return `${value.toFixed(2)} ${currency}`;
+  }
+}
+
+/**
+ * Creates a provider that returns fixed prices, for tests and offline development
+ * @param {object} options - Provider options
+ * @param {object} options.prices - USD price per token symbol
+ * @param {object} options.fxRates - Exchange rate from USD per currency
+ * @returns {object} - Price provider
+ */
+export function createStaticPriceProvider({ prices = STATIC_USD_PRICES, fxRates = STATIC_FX_RATES } = {}) {
+  return {
+    name: 'static',
+    async getPrice(token, currency = DEFAULT_FIAT_CURRENCY) {
+      const symbol = normalizeTokenSymbol(token);
+      const code = normalizeFiatCurrency(currency);
+      const usdPrice = prices[symbol] ?? prices[PRICE_SYMBOLS[symbol]];
+
+      if (usdPrice === undefined || !code || fxRates[code] === undefined) {
+        throw new Error(`No static price for ${symbol} in ${currency}`);
+      }
+
+      return {
+        token: symbol,
+        currency: code,
+        price: usdPrice * fxRates[code],
+        source: 'static',
+        quoted_at: new Date().toISOString(),
+      };
+    },
+  };
+}
+
+/**
+ * Creates a provider backed by the public Coinbase spot price API
+ * @param {object} options - Provider options
+ * @param {string} options.baseUrl - API base URL
+ * @param {Function} options.fetchImpl - fetch implementation (defaults to global fetch)
+ * @returns {object} - Price provider
+ */
+export function createCoinbasePriceProvider({ baseUrl = 'https://api.coinbase.com/v2', fetchImpl } = {}) {
+  const cache = new Map();
+
+  return {
+    name: 'coinbase',
+    async getPrice(token, currency = DEFAULT_FIAT_CURRENCY) {
+      const symbol = normalizeTokenSymbol(token);
+      const code = normalizeFiatCurrency(currency);
+      if (!code) throw new Error(`Unsupported currency: ${currency}`);
+
+      const pair = `${PRICE_SYMBOLS[symbol] || symbol}-${code}`;
+      const cached = cache.get(pair);
+      if (cached && Date.now() - cached.fetchedAt < PRICE_CACHE_TTL_MS) {
+        return { ...cached.quote, token: symbol };
+      }
+
+      const response = await (fetchImpl || fetch)(`${baseUrl}/prices/${pair}/spot`);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch ${pair} price: ${response.status}`);
+      }
+
+      const { data } = await response.json();
+      const price = parseFloat(data?.amount);
+      if (!Number.isFinite(price) || price <= 0) {
+        throw new Error(`Invalid ${pair} price returned`);
+      }
+
+      const quote = {
+        token: symbol,
+        currency: code,
+        price,
+        source: 'coinbase',
+        quoted_at: new Date().toISOString(),
+      };
+      cache.set(pair, { quote, fetchedAt: Date.now() });
+
+      return quote;
+    },
+  };
+}
+
+/**
+ * Creates a provider that asks the app's /api/prices route, for use in the browser
+ * @param {object} options - Provider options
+ * @param {string} options.endpoint - Price route URL
+ * @returns {object} - Price provider
+ */
+export function createApiPriceProvider({ endpoint = '/api/prices' } = {}) {
+  return {
+    name: 'api',
+    async getPrice(token, currency = DEFAULT_FIAT_CURRENCY) {
+      const params = new URLSearchParams({ token, currency });
+      const response = await fetch(`${endpoint}?${params.toString()}`);
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || 'Failed to fetch price');
+      }
+
+      const { quote } = await response.json();
+      return quote;
+    },
+  };
+}
+
+let priceProvider = null;
+
+/**
+ * Gets the configured price provider
+ * Browsers go through /api/prices; the server uses PRICE_PROVIDER ('coinbase' or 'static')
+ * @returns {object} - Price provider
+ */
+export function getPriceProvider() {
+  if (priceProvider) return priceProvider;
+
+  if (typeof window !== 'undefined') {
+    priceProvider = createApiPriceProvider();
+  } else if ((process.env.PRICE_PROVIDER || 'coinbase').toLowerCase() === 'static') {
+    priceProvider = createStaticPriceProvider();
+  } else {
+    priceProvider = createCoinbasePriceProvider();
+  }
+
+  return priceProvider;
+}
+
+/**
+ * Overrides the price provider (e.g. with a static provider in tests)
+ * @param {object|null} provider - Price provider, or null to go back to the configured one
+ */
+export function setPriceProvider(provider) {
+  priceProvider = provider;
+}
+
+/**
+ * Converts a fiat amount into a token amount at the current price
+ * @param {object} params - Quote parameters
+ * @param {number|string} params.fiatAmount - Amount in fiat (e.g. 25)
+ * @param {string} params.currency - Fiat currency (e.g. 'USD')
+ * @param {string} params.token - Token symbol (e.g. 'ETH')
+ * @param {object} params.provider - Price provider (defaults to the configured one)
+ * @returns {Promise<object>} - { amount, token, fiat_amount, fiat_currency, rate, source, quoted_at }
+ */
+export async function quoteFiatAmount({ fiatAmount, currency = DEFAULT_FIAT_CURRENCY, token, provider }) {
+  const value = parseFloat(fiatAmount);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error('Invalid fiat amount');
+  }
+
+  const quote = await (provider || getPriceProvider()).getPrice(token, currency);
+  const decimals = Math.min(getToken(quote.token)?.decimals ?? 18, MAX_QUOTE_DECIMALS);
+  const amount = Number((value / quote.price).toFixed(decimals));
+
+  if (!(amount > 0)) {
+    throw new Error(`${formatFiat(value, quote.currency)} is too small to send in ${quote.token}`);
+  }
+
+  return {
+    amount,
+    token: quote.token,
+    fiat_amount: value,
+    fiat_currency: quote.currency,
+    rate: quote.price,
+    source: quote.source,
+    quoted_at: quote.quoted_at,
+  };
+}
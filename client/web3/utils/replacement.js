@@ -0,0 +1,106 @@
+/**
+ * Transaction replacement
+ * A transaction stuck pending (its fee too low after a spike) can be replaced by another from the
+ * same account with the same nonce and a higher fee; whichever the network mines first wins, and
+ * nodes only accept the replacement if it pays enough more. There are two kinds:
+ *
+ *   speed_up   The same call (recipient, value and data) with a higher fee
+ *   cancel     A 0-value send to the sender, so the payment never happens
+ *
+ * Fees go up by at least REPLACEMENT_FEE_BUMP_PERCENT on the original's, or to the network's
+ * current fees if those are higher. Only transactions the connected account sent itself can be
+ * replaced: a smart wallet's calls are sent by a bundler, which owns the nonce.
+ */
+
+import { TransactionNotFoundError } from 'viem';
+
+// Nodes turn away a replacement that doesn't pay at least 10% more; a little over that leaves room
+export const REPLACEMENT_FEE_BUMP_PERCENT = 15n;
+
+// Gas of a plain ETH send, which is all a cancel is
+const CANCEL_GAS = 21000n;
+
+/**
+ * Raises a fee by the bump, or to the current fee if that's higher
+ * @param {bigint} original - Fee the original offered
+ * @param {bigint} current - Fee the network asks now
+ * @returns {bigint} - Fee for the replacement
+ */
+function bumpFee(original, current = 0n) {
+  const bumped = (original * (100n + REPLACEMENT_FEE_BUMP_PERCENT)) / 100n + 1n;
+  return bumped > current ? bumped : current;
+}
+
+/**
+ * Builds the transaction that replaces a pending one
+ * @param {object} publicClient - viem public client for the chain the original was sent on
+ * @param {object} params - Replacement parameters
+ * @param {string} params.hash - Hash of the pending transaction
+ * @param {string} params.account - Connected account, which must have sent it
+ * @param {string} params.kind - 'speed_up' or 'cancel'
+ * @returns {Promise<object>} - Transaction to send: { to, value, data, nonce, gas } with either
+ *   maxFeePerGas and maxPriorityFeePerGas or gasPrice, like the original; throws if it can't be replaced
+ */
+export async function prepareReplacement(publicClient, { hash, account, kind }) {
+  if (!['speed_up', 'cancel'].includes(kind)) {
+    throw new Error(`Unknown replacement: ${kind}`);
+  }
+
+  let original;
+  try {
+    original = await publicClient.getTransaction({ hash });
+  } catch (error) {
+    if (error instanceof TransactionNotFoundError) {
+      throw new Error('The network no longer has this transaction, so it can\'t be replaced');
+    }
+    throw error;
+  }
+
+  if (!account || original.from.toLowerCase() !== account.toLowerCase()) {
+    throw new Error('Only the account that sent this transaction can replace it');
+  }
+
+  // Once a transaction with this nonce is mined there is nothing left to replace
+  const mined = await publicClient.getTransactionCount({ address: original.from, blockTag: 'latest' });
+  if (original.blockNumber !== null || mined > original.nonce) {
+    throw new Error('This transaction has already been mined');
+  }
+
+  const call = kind === 'speed_up'
+    ? { to: original.to, value: original.value, data: original.input, gas: original.gas }
+    : { to: original.from, value: 0n, data: '0x', gas: CANCEL_GAS };
+
+  if (original.maxFeePerGas !== undefined && original.maxFeePerGas !== null) {
+    const current = await publicClient.estimateFeesPerGas();
+    const maxPriorityFeePerGas = bumpFee(original.maxPriorityFeePerGas, current.maxPriorityFeePerGas);
+    const maxFeePerGas = bumpFee(original.maxFeePerGas, current.maxFeePerGas);
+
+    return {
+      ...call,
+      nonce: original.nonce,
+      maxPriorityFeePerGas,
+      maxFeePerGas: maxFeePerGas > maxPriorityFeePerGas ? maxFeePerGas : maxPriorityFeePerGas,
+    };
+  }
+
+  return {
+    ...call,
+    nonce: original.nonce,
+    gasPrice: bumpFee(original.gasPrice, await publicClient.getGasPrice()),
+  };
+}
+
+/**
+ * Checks whether a payment can be offered a speed up or cancel: the connected wallet sent it itself
+ * (not as part of a batch a bundler sent), and it's still pending and not already replaced
+ * @param {object} state - What is known about the payment
+ * @param {string} state.paymentHash - Hash the wallet returned when it sent the payment
+ * @param {string} state.sentHash - Hash of the last transaction the wallet sent itself
+ * @param {string} state.hash - Hash being followed (the last sent, or a batch's)
+ * @param {boolean} state.isConfirmed - Whether that transaction has been mined
+ * @param {object} state.replacement - The speed up or cancel already sent, if any
+ * @returns {boolean} - True if it can be sped up or cancelled
+ */
+export function canReplacePayment({ paymentHash, sentHash, hash, isConfirmed, replacement }) {
+  return !!paymentHash && paymentHash === sentHash && hash === sentHash && !isConfirmed && !replacement;
+}
@@ -0,0 +1,179 @@
+/**
+ * Transaction simulation
+ * Before a payment is confirmed it is run against the current chain state with eth_call and
+ * estimateGas, without being sent. A simulation reports:
+ *
+ *   success             Whether the payment would go through
+ *   error               Why it wouldn't: a revert reason such as "LucraWallet: daily limit exceeded",
+ *                       or insufficient funds for the amount or the network fee
+ *   gas / gasCost       Gas the transaction uses and the most it can cost at current fees, in wei
+ *   balance / cost      Payer's balance of the token, and how much of it the payment takes (the amount,
+ *                       plus the network fee when the payer pays it in ETH)
+ *   recipientIsContract Whether a recipient is a contract, which may not be able to handle the token
+ *
+ * The payer is whoever holds the funds (a LucraWallet paying for an agent) and from is the account that
+ * signs and pays the network fee; for a plain wallet they're the same. formatSimulation turns a
+ * simulation into display strings, which is what the API and the UI pass around.
+ */
+
+import { decodeErrorResult, erc20Abi, formatEther, formatUnits } from 'viem';
+
+/**
+ * Finds the reason a call reverted
+ * @param {Error} error - Error from eth_call or estimateGas
+ * @returns {string} - Revert reason, e.g. "LucraWallet: daily limit exceeded"
+ */
+export function describeRevertReason(error) {
+  // Error(string) reverts carry their reason as ABI-encoded data somewhere in the error chain
+  const withData = typeof error?.walk === 'function'
+    ? error.walk(cause => typeof cause?.data === 'string' && cause.data.startsWith('0x08c379a0'))
+    : null;
+  if (withData) {
+    try {
+      const { args } = decodeErrorResult({ abi: [], data: withData.data });
+      if (args?.[0]) return args[0];
+    } catch (decodeError) {
+      console.error('Error decoding revert reason:', decodeError);
+    }
+  }
+
+  const reason = typeof error?.walk === 'function' ? error.walk(cause => cause?.reason)?.reason : null;
+  const message = reason || error?.details || error?.shortMessage || error?.message || 'Transaction would fail';
+
+  if (/insufficient funds|doesn't have enough funds/i.test(message)) return 'Insufficient funds';
+
+  // Local nodes put the reason in the message, e.g. "reverted with reason string 'LucraWallet: ...'"
+  const quoted = message.match(/reverted with reason string '([^']*)'?/i);
+  if (quoted?.[1]) return quoted[1];
+
+  return message.replace(/^(Error:\s*)?(execution reverted:?)\s*/i, '').trim() || 'Transaction would revert';
+}
+
+/**
+ * Checks the payer can cover a simulated payment, and the signer its network fee
+ * @param {object} simulation - Simulation from simulateTransaction or combineSimulations
+ * @returns {string|null} - What is missing, or null if the funds are there
+ */
+function checkFunds(simulation) {
+  const { balance, cost, gasCost, gasBalance, gasPaidByPayer, token, decimals } = simulation;
+
+  if (balance < cost) {
+    return `Insufficient funds: this needs ${formatUnits(cost, decimals)} ${token} but the balance is ${formatUnits(balance, decimals)} ${token}`;
+  }
+  if (!gasPaidByPayer && gasCost !== null && gasBalance < gasCost) {
+    return `Insufficient funds for the network fee: it can cost up to ${formatEther(gasCost)} ETH`;
+  }
+  return null;
+}
+
+/**
+ * Simulates a transaction without sending it
+ * @param {object} client - viem public client
+ * @param {object} params - Simulation parameters
+ * @param {string} params.from - Account that signs and pays the network fee
+ * @param {object} params.call - Transaction: { to, value, data }
+ * @param {string} params.payer - Account the payment comes out of (defaults to from)
+ * @param {string[]} params.recipients - Whoever is paid, checked for being contracts
+ * @param {object} params.token - Token config of the payment (from getToken)
+ * @param {bigint} params.amount - Amount paid, in the token's base units
+ * @returns {Promise<object>} - Simulation (see the module comment), with amounts as bigints
+ */
+export async function simulateTransaction(client, { from, call, payer = from, recipients = [], token, amount = 0n }) {
+  const { to, value = 0n, data = '0x' } = call;
+  const gasPaidByPayer = token.native && payer.toLowerCase() === from.toLowerCase();
+
+  const [gasBalance, balance, fees, recipientCodes] = await Promise.all([
+    client.getBalance({ address: from }),
+    token.native
+      ? client.getBalance({ address: payer })
+      : client.readContract({ address: token.address, abi: erc20Abi, functionName: 'balanceOf', args: [payer] }),
+    client.estimateFeesPerGas().catch(async () => ({ maxFeePerGas: await client.getGasPrice() })),
+    Promise.all(recipients.map(recipient => client.getCode({ address: recipient }).catch(() => null))),
+  ]);
+
+  const contracts = recipients.filter((recipient, index) => !!recipientCodes[index] && recipientCodes[index] !== '0x');
+  const simulation = {
+    success: true,
+    error: null,
+    gas: null,
+    gasCost: null,
+    token: token.symbol,
+    decimals: token.decimals,
+    balance,
+    cost: amount,
+    gasBalance,
+    gasPaidByPayer,
+    recipientIsContract: contracts.length > 0,
+    warnings: contracts.map(contract => (
+      `${contract.slice(0, 6)}...${contract.slice(-4)} is a contract; make sure it can receive ${token.symbol}, or the funds may be lost`
+    )),
+  };
+
+  try {
+    // eth_call surfaces the revert reason; estimateGas then prices the transaction
+    await client.call({ account: from, to, value, data });
+    simulation.gas = await client.estimateGas({ account: from, to, value, data });
+    simulation.gasCost = simulation.gas * (fees.maxFeePerGas ?? fees.gasPrice ?? 0n);
+    if (gasPaidByPayer) simulation.cost = amount + simulation.gasCost;
+  } catch (error) {
+    simulation.success = false;
+    simulation.error = describeRevertReason(error);
+  }
+
+  // A shortfall explains a failure better than the revert it causes
+  const shortfall = checkFunds(simulation);
+  if (shortfall) {
+    simulation.success = false;
+    simulation.error = shortfall;
+  }
+
+  return simulation;
+}
+
+/**
+ * Combines the simulations of payments sent one after another from the same payer (the legs of a
+ * split, or a batch), checking the funds cover all of them together
+ * @param {object[]} simulations - Simulations from simulateTransaction, all in the same token
+ * @returns {object} - Simulation of the whole
+ */
+export function combineSimulations(simulations) {
+  const [first] = simulations;
+  const priced = simulations.every(simulation => simulation.gasCost !== null);
+  const combined = {
+    ...first,
+    success: simulations.every(simulation => simulation.success),
+    error: simulations.find(simulation => simulation.error)?.error || null,
+    gas: priced ? simulations.reduce((total, simulation) => total + simulation.gas, 0n) : null,
+    gasCost: priced ? simulations.reduce((total, simulation) => total + simulation.gasCost, 0n) : null,
+    cost: simulations.reduce((total, simulation) => total + simulation.cost, 0n),
+    recipientIsContract: simulations.some(simulation => simulation.recipientIsContract),
+    warnings: Array.from(new Set(simulations.flatMap(simulation => simulation.warnings))),
+  };
+
+  const shortfall = checkFunds(combined);
+  if (shortfall) {
+    combined.success = false;
+    combined.error = shortfall;
+  }
+
+  return combined;
+}
+
+/**
+ * Formats a simulation for the API and the UI
+ * @param {object} simulation - Simulation from simulateTransaction or combineSimulations
+ * @returns {object} - { success, error, gas, gasCost, token, balanceAfter, recipientIsContract, warnings },
+ *   with gasCost in ETH and balanceAfter in the payment token, as decimal strings
+ */
+export function formatSimulation(simulation) {
+  return {
+    success: simulation.success,
+    error: simulation.error,
+    gas: simulation.gas === null ? null : simulation.gas.toString(),
+    gasCost: simulation.gasCost === null ? null : formatEther(simulation.gasCost),
+    token: simulation.token,
+    balanceAfter: formatUnits(simulation.balance - simulation.cost, simulation.decimals),
+    recipientIsContract: simulation.recipientIsContract,
+    warnings: simulation.warnings,
+  };
+}
@@ -0,0 +1,264 @@
+/**
+ * Split payment allocations
+ * Parses per-recipient shares ("50% @alice, 30% @bob" or "0.2 to @a and 0.35 to @b"),
+ * validates that they add up, and turns them into exact per-recipient amounts
+ *
+ * An allocation is { recipient, percentage } for percentage splits
+ * or { recipient, amount } for custom-amount splits, with the token when one was typed next to
+ * the amount ({ recipient, amount, token }). A split pays everyone in one token, so shares in
+ * different tokens are never added up into one split.
+ */
+
+import { getToken, normalizeTokenSymbol, parseTokenAmount, formatTokenUnits, SUPPORTED_TOKEN_SYMBOLS } from '../config/tokens';
+import { NUMBER_SOURCE, parseNumber } from '../../lib/intent/numbers';
+
+export const SPLIT_TYPES = ['equal', 'percentage', 'custom'];
+
+// Percentages may be off by this much (e.g. three ways at 33.33%) and still count as 100%
+const PERCENTAGE_TOLERANCE = 0.05;
+
+// Percentages are applied in millionths so 33.3333% keeps its precision in integer math
+const PERCENTAGE_SCALE = 1000000n;
+
+const HANDLE = '@(?<recipient>[\\w-]+(?:\\.[\\w-]+)*)';
+const NUMBER = `(?<value>${NUMBER_SOURCE})`;
+const TOKEN = `(?<token>${SUPPORTED_TOKEN_SYMBOLS.join('|')}|ether)\\b`;
+
+// "50% @alice", "50% to @alice"
+const PERCENT_BEFORE_PATTERN = new RegExp(`${NUMBER}\\s*%\\s*(?:to|for)?\\s*${HANDLE}`, 'gi');
+// "@alice 50%", "@alice: 50%", "@alice gets 50%"
+const PERCENT_AFTER_PATTERN = new RegExp(`${HANDLE}\\s*(?:gets|get|:|-|=)?\\s*${NUMBER}\\s*%`, 'gi');
+// "0.2 to @a", "0.2 ETH to @a"
+const AMOUNT_BEFORE_PATTERN = new RegExp(`${NUMBER}\\s*(?:${TOKEN})?\\s+(?:to|for)\\s+${HANDLE}`, 'gi');
+// "@a gets 0.2", "@a: 0.2 ETH"
+const AMOUNT_AFTER_PATTERN = new RegExp(`${HANDLE}\\s*(?:gets|get|:|=)\\s*${NUMBER}(?!\\s*%|\\d)(?:\\s*${TOKEN})?`, 'gi');
+
+/**
+ * Collects allocations using whichever phrasing ("50% @alice" or "@alice 50%") matches the most
+ * shares, so "@a 70% @b 20%" isn't also read as "70% @b"
+ * @param {string} text - Message text
+ * @param {RegExp[]} patterns - Patterns with recipient, value and (for amounts) token groups
+ * @param {string} field - 'percentage' or 'amount'
+ * @returns {object} - { allocations, remainder } where remainder is the text with the shares removed
+ */
+function collectAllocations(text, patterns, field) {
+  let best = { allocations: [], remainder: text };
+
+  for (const pattern of patterns) {
+    const allocations = [];
+    for (const match of text.matchAll(pattern)) {
+      const { recipient, value, token } = match.groups;
+      if (!allocations.some(allocation => allocation.recipient === recipient)) {
+        allocations.push({ recipient, [field]: parseNumber(value), ...(token && { token: normalizeTokenSymbol(token) }) });
+      }
+    }
+    if (allocations.length > best.allocations.length) {
+      best = { allocations, remainder: text.replace(pattern, ' ') };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Parses per-recipient shares from a message
+ * @param {string} text - Message text
+ * @returns {object|null} - { splitType, allocations, allocatedTotal, remainder } or null if the message
+ *   doesn't give shares. remainder is the text without the shares, for finding a stated total;
+ *   allocatedTotal is null for percentages and for amounts in different tokens.
+ */
+export function parseSplitAllocations(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const percentages = collectAllocations(text, [PERCENT_BEFORE_PATTERN, PERCENT_AFTER_PATTERN], 'percentage');
+
+  if (percentages.allocations.length >= 2) {
+    return { splitType: 'percentage', ...percentages, allocatedTotal: null };
+  }
+
+  const amounts = collectAllocations(text, [AMOUNT_BEFORE_PATTERN, AMOUNT_AFTER_PATTERN], 'amount');
+
+  if (amounts.allocations.length >= 2) {
+    // Shares in different tokens have no total
+    if (getAllocationTokens(amounts.allocations).length > 1) {
+      return { splitType: 'custom', ...amounts, allocatedTotal: null };
+    }
+
+    const total = amounts.allocations.reduce((sum, allocation) => sum + allocation.amount, 0);
+    return { splitType: 'custom', ...amounts, allocatedTotal: Number(total.toPrecision(12)) };
+  }
+
+  return null;
+}
+
+/**
+ * Lists the tokens typed next to a split's shares
+ * @param {object[]} allocations - Per-recipient shares
+ * @returns {string[]} - Token symbols, in the order they were typed; more than one means the
+ *   shares can't be paid as one split
+ */
+export function getAllocationTokens(allocations) {
+  return Array.from(new Set((allocations || []).map(allocation => allocation.token).filter(Boolean)));
+}
+
+/**
+ * Describes a split's shares, e.g. "50% to @alice and 50% to @bob"
+ * @param {object[]} allocations - Per-recipient shares
+ * @param {string} token - Token symbol, shown after custom amounts that didn't name their own
+ * @returns {string} - Description
+ */
+export function describeAllocations(allocations, token = 'ETH') {
+  const parts = (allocations || []).map(allocation => allocation.percentage !== undefined && allocation.percentage !== null
+    ? `${allocation.percentage}% to @${allocation.recipient}`
+    : `${allocation.amount} ${allocation.token || token} to @${allocation.recipient}`
+  );
+
+  if (parts.length <= 1) return parts.join('');
+  return `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+}
+
+/**
+ * Joins token symbols for a message: "USDC and DAI", "ETH, USDC and DAI"
+ * @param {string[]} symbols - Token symbols
+ * @returns {string} - Joined symbols
+ */
+function joinSymbols(symbols) {
+  return symbols.length <= 1 ? symbols.join('') : `${symbols.slice(0, -1).join(', ')} and ${symbols[symbols.length - 1]}`;
+}
+
+/**
+ * Resolves a token symbol or definition, defaulting to ETH's decimals
+ * @param {string|object} token - Token symbol or definition
+ * @returns {object} - Token definition
+ */
+function resolveToken(token) {
+  if (token && typeof token === 'object') return token;
+  return getToken(token) || { symbol: token || 'ETH', decimals: 18 };
+}
+
+/**
+ * Checks that a split's shares are complete and add up
+ * @param {object} split - Split details
+ * @param {number|string} split.amount - Total amount (optional for custom splits)
+ * @param {string[]} split.recipients - Recipients named in the request
+ * @param {string} split.splitType - 'equal', 'percentage' or 'custom'
+ * @param {object[]} split.allocations - Per-recipient shares
+ * @param {string|object} split.token - Token symbol or definition
+ * @returns {object} - { valid, error }
+ */
+export function validateSplitAllocations({ amount, recipients = [], splitType, allocations, token }) {
+  if (!allocations || allocations.length === 0 || splitType === 'equal') {
+    return recipients.length > 0
+      ? { valid: true, error: null }
+      : { valid: false, error: 'A split needs at least one recipient.' };
+  }
+
+  if (!SPLIT_TYPES.includes(splitType)) {
+    return { valid: false, error: `Unsupported split type: ${splitType}` };
+  }
+
+  const allocated = allocations.map(allocation => allocation.recipient);
+  const duplicate = allocated.find((recipient, index) => allocated.indexOf(recipient) !== index);
+  if (duplicate) {
+    return { valid: false, error: `@${duplicate} has more than one share.` };
+  }
+
+  const unallocated = recipients.filter(recipient => !allocated.includes(recipient));
+  if (unallocated.length > 0) {
+    return { valid: false, error: `No share was given for ${unallocated.map(r => `@${r}`).join(', ')}.` };
+  }
+
+  if (splitType === 'percentage') {
+    if (allocations.some(allocation => !(allocation.percentage > 0))) {
+      return { valid: false, error: 'Every percentage must be greater than 0.' };
+    }
+
+    const total = allocations.reduce((sum, allocation) => sum + allocation.percentage, 0);
+    if (Math.abs(total - 100) > PERCENTAGE_TOLERANCE) {
+      return { valid: false, error: `The percentages add up to ${Number(total.toFixed(2))}%, not 100%.` };
+    }
+
+    return { valid: true, error: null };
+  }
+
+  if (allocations.some(allocation => !(allocation.amount > 0))) {
+    return { valid: false, error: 'Every amount must be greater than 0.' };
+  }
+
+  const tokenConfig = resolveToken(token);
+  const otherTokens = getAllocationTokens(allocations).filter(symbol => symbol !== tokenConfig.symbol);
+  if (otherTokens.length > 0) {
+    return {
+      valid: false,
+      error: `A split pays everyone in one token, but the shares name ${joinSymbols([tokenConfig.symbol, ...otherTokens])}.`
+    };
+  }
+
+  if (amount) {
+    const totalUnits = parseTokenAmount(amount, tokenConfig);
+    const allocatedUnits = allocations.reduce((sum, allocation) => sum + parseTokenAmount(allocation.amount, tokenConfig), 0n);
+
+    if (allocatedUnits !== totalUnits) {
+      return {
+        valid: false,
+        error: `The amounts add up to ${formatTokenUnits(allocatedUnits, tokenConfig)} ${tokenConfig.symbol}, not ${amount} ${tokenConfig.symbol}.`
+      };
+    }
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Works out the exact amount each recipient receives. Rounding dust from equal and
+ * percentage splits goes to the last recipient so the legs always add up to the total.
+ * @param {object} split - Split details (see validateSplitAllocations)
+ * @returns {object[]} - Legs: { recipient, amount, units, percentage }
+ */
+export function resolveSplitAllocations({ amount, recipients = [], splitType, allocations, token }) {
+  const validation = validateSplitAllocations({ amount, recipients, splitType, allocations, token });
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+
+  const tokenConfig = resolveToken(token);
+  const toLeg = (recipient, units, percentage) => ({
+    recipient,
+    units,
+    amount: formatTokenUnits(units, tokenConfig),
+    percentage,
+  });
+
+  if (splitType === 'custom' && allocations?.length) {
+    return allocations.map(allocation => toLeg(
+      allocation.recipient,
+      parseTokenAmount(allocation.amount, tokenConfig),
+      null
+    ));
+  }
+
+  const totalUnits = parseTokenAmount(amount, tokenConfig);
+
+  if (splitType === 'percentage' && allocations?.length) {
+    const shares = allocations.map(allocation =>
+      BigInt(Math.round(allocation.percentage * Number(PERCENTAGE_SCALE) / 100))
+    );
+    const scale = shares.reduce((sum, share) => sum + share, 0n);
+    let remaining = totalUnits;
+
+    return allocations.map((allocation, index) => {
+      const units = index === allocations.length - 1 ? remaining : (totalUnits * shares[index]) / scale;
+      remaining -= units;
+      return toLeg(allocation.recipient, units, allocation.percentage);
+    });
+  }
+
+  // Equal split
+  const count = BigInt(recipients.length);
+  const share = totalUnits / count;
+  return recipients.map((recipient, index) => toLeg(
+    recipient,
+    index === recipients.length - 1 ? totalUnits - share * (count - 1n) : share,
+    Number((100 / recipients.length).toFixed(4))
+  ));
+}
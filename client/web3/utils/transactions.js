@@ -2,31 +2,90 @@
  * Utility functions for handling cryptocurrency transactions
  * This provides functionality for preparing, formatting, and storing transactions
  */
-import { parseEther, formatEther } from 'viem';
+import { encodeFunctionData, erc20Abi, isAddress } from 'viem';
 import { resolveBaseName } from './baseNameService';
+import LucraWalletAbi from '../../abis/LucraWalletAbi';
 import { BASE_MAINNET, BASE_SEPOLIA, getExplorerUrl } from '../config/networks';
+import { getToken, parseTokenAmount, formatTokenUnits } from '../config/tokens';
+
+/**
+ * Builds the call data for an ERC-20 transfer
+ * @param {string} to - Recipient address
+ * @param {bigint} amount - Amount in the token's base units
+ * @returns {string} - ABI-encoded transfer call
+ */
+export function encodeTokenTransfer(to, amount) {
+  return encodeFunctionData({
+    abi: erc20Abi,
+    functionName: 'transfer',
+    args: [to, amount],
+  });
+}
+
+/**
+ * Builds the call data for a payment out of a LucraWallet smart wallet; the caller must be the
+ * wallet's owner or one of its authorized addresses
+ * @param {object} payment - Payment details
+ * @param {string} payment.recipient - Recipient address
+ * @param {bigint} payment.amount - Amount in the token's base units
+ * @param {string|null} payment.tokenAddress - ERC-20 contract, or null for ETH
+ * @param {string} payment.memo - Memo emitted with the payment
+ * @returns {string} - ABI-encoded sendEther or sendERC20 call
+ */
+export function encodeSmartWalletPayment({ recipient, amount, tokenAddress = null, memo = '' }) {
+  return tokenAddress
+    ? encodeFunctionData({
+      abi: LucraWalletAbi,
+      functionName: 'sendERC20',
+      args: [tokenAddress, recipient, amount, memo],
+    })
+    : encodeFunctionData({
+      abi: LucraWalletAbi,
+      functionName: 'sendEther',
+      args: [recipient, amount, memo],
+    });
+}
+
+/**
+ * Builds the call data for paying several recipients ETH out of a LucraWallet smart wallet in one
+ * transaction, which succeeds or reverts as a whole
+ * @param {object} batch - Batch details
+ * @param {string[]} batch.recipients - Recipient addresses
+ * @param {bigint[]} batch.amounts - Amount in wei for each recipient
+ * @param {string} batch.memo - Memo emitted with every payment
+ * @returns {string} - ABI-encoded batchSendEther call
+ */
+export function encodeSmartWalletBatch({ recipients, amounts, memo = '' }) {
+  return encodeFunctionData({
+    abi: LucraWalletAbi,
+    functionName: 'batchSendEther',
+    args: [recipients, amounts, memo],
+  });
+}
 
 /**
  * Prepares a transaction for sending
  * @param {Object} transaction - The transaction to prepare
  * @param {string} transaction.to - Recipient address or Base Name
  * @param {string} transaction.amount - Amount to send
- * @param {string} transaction.token - Token symbol (currently only supports ETH)
+ * @param {string} transaction.token - Token symbol (ETH or a registered ERC-20 such as USDC)
  * @param {string} transaction.network - Network to use ('base-mainnet' or 'base-sepolia')
- * @returns {Promise<Object>} - Prepared transaction object
+ * @param {Array} transaction.contacts - The sender's contacts, whose aliases resolve before Base Names
+ * @returns {Promise<Object>} - Prepared transaction object; for ERC-20 tokens `to` is the token
+ * contract and `recipient` is the payee
  */
-export async function prepareTransaction({ to, amount, token = 'ETH', network = 'base-mainnet' }) {
+export async function prepareTransaction({ to, amount, token = 'ETH', network = 'base-mainnet', contacts = [] }) {
   console.log(`Preparing transaction: to=${to}, amount=${amount}, token=${token}, network=${network}`);
 
   try {
     // Check if 'to' is a Base Name, and if so, resolve it to an address
     let toAddress = to;
 
-    // Ensure 'to' is a string before using string methods
-    if (typeof to === 'string' && (to.includes('.base') || to.includes('.eth'))) {
+    // Anything that isn't an address is a name: "alice" resolves as alice.base
+    if (typeof to === 'string' && !isAddress(to)) {
       console.log(`Resolving name: ${to}`);
       const isTestnet = network.includes('sepolia') || network.includes('testnet');
-      const resolved = await resolveBaseName(to, isTestnet);
+      const resolved = await resolveBaseName(to, isTestnet, { contacts });
       if (resolved) {
         toAddress = resolved;
         console.log(`Resolved ${to} to ${toAddress}`);
@@ -35,28 +94,42 @@ export async function prepareTransaction({ to, amount, token = 'ETH', network =
       }
     }
 
-    // Parse the amount to Wei (for ETH transactions)
-    let value;
-    if (token === 'ETH') {
-      try {
-        value = parseEther(amount.toString());
-      } catch (error) {
-        console.error('Error parsing amount to Wei:', error);
-        throw new Error('Invalid amount');
-      }
-    } else {
-      // For other tokens, this would prepare the data for a token transfer
-      throw new Error(`Token ${token} not supported yet`);
-    }
-
     // Determine the network configuration
     const networkConfig = network.includes('sepolia') ? BASE_SEPOLIA : BASE_MAINNET;
 
+    // Look up the token on this network
+    const tokenConfig = getToken(token, networkConfig);
+    if (!tokenConfig) {
+      throw new Error(`Token ${token} is not supported on ${networkConfig.name}`);
+    }
+
+    // Convert the amount to the token's base units
+    const units = parseTokenAmount(amount, tokenConfig);
+
+    if (tokenConfig.native) {
+      return {
+        to: toAddress,
+        recipient: toAddress,
+        value: units,
+        amount: units,
+        data: '0x', // For ETH transfers, data is empty
+        token: tokenConfig.symbol,
+        tokenAddress: null,
+        decimals: tokenConfig.decimals,
+        network: networkConfig,
+      };
+    }
+
+    // ERC-20 transfers call the token contract with no ETH value
     return {
-      to: toAddress,
-      value,
-      data: '0x', // For ETH transfers, data is empty
-      token,
+      to: tokenConfig.address,
+      recipient: toAddress,
+      value: 0n,
+      amount: units,
+      data: encodeTokenTransfer(toAddress, units),
+      token: tokenConfig.symbol,
+      tokenAddress: tokenConfig.address,
+      decimals: tokenConfig.decimals,
       network: networkConfig,
     };
   } catch (error) {
@@ -70,24 +143,19 @@ export async function prepareTransaction({ to, amount, token = 'ETH', network =
  * @param {Object} transaction - The transaction to format
  * @param {string} transaction.hash - Transaction hash
  * @param {string} transaction.to - Recipient address
- * @param {string|bigint} transaction.value - Transaction value in Wei
+ * @param {string|bigint} transaction.value - Transaction value in the token's base units
  * @param {Object} transaction.network - Network the transaction was on
+ * @param {string} transaction.token - Token symbol (defaults to ETH)
  * @returns {Object} - Formatted transaction
  */
-export function formatTransaction({ hash, to, value, network = BASE_MAINNET }) {
+export function formatTransaction({ hash, to, value, network = BASE_MAINNET, token = 'ETH' }) {
   console.log(`Formatting transaction: hash=${hash}, to=${to}, network=${network.name || 'unknown'}`);
 
-  // Convert value from Wei to ETH
-  let formattedValue;
-  try {
-    // Use viem's formatEther for proper formatting
-    formattedValue = typeof value === 'bigint'
-      ? formatEther(value)
-      : formatEther(BigInt(value.toString()));
-  } catch (error) {
-    console.error('Error formatting value:', error);
-    formattedValue = '0';
-  }
+  // Convert value from base units using the token's decimals
+  const tokenConfig = getToken(token, network);
+  const formattedValue = value !== undefined && value !== null
+    ? formatTokenUnits(value, tokenConfig)
+    : '0';
 
   // Get the explorer URL for the transaction
   const explorerUrl = getExplorerUrl(hash, network);
@@ -97,7 +165,7 @@ export function formatTransaction({ hash, to, value, network = BASE_MAINNET }) {
     hash,
     to,
     value: formattedValue,
-    formattedValue: `${Number(formattedValue).toFixed(6)} ETH`,
+    formattedValue: `${Number(formattedValue).toFixed(6)} ${tokenConfig?.symbol || token}`,
     network: network.name || 'unknown',
     explorerUrl,
     timestamp: new Date().toISOString(),
@@ -105,19 +173,31 @@ export function formatTransaction({ hash, to, value, network = BASE_MAINNET }) {
 }
 
 /**
- * Stores a transaction in Supabase
+ * Stores a transaction in Supabase. A transaction drafted in the chat moves that draft on to the new
+ * status, and one stored before with the same hash is updated rather than stored twice.
  * @param {Object} transaction - The transaction to store
  * @param {string} transaction.hash - Transaction hash
  * @param {string} transaction.to - Recipient address
- * @param {number} transaction.value - Transaction value in ETH
+ * @param {number} transaction.value - Transaction value in whole tokens
  * @param {string} transaction.token - Token symbol
  * @param {string} transaction.walletAddress - Sender wallet address
  * @param {string} transaction.type - Transaction type (e.g., 'send', 'receive')
- * @param {string} transaction.status - Transaction status (e.g., 'pending', 'confirmed')
+ * @param {string} transaction.status - Transaction status: 'submitted', or 'confirmed' or 'failed' once it's mined
  * @param {string} transaction.note - Optional note for the transaction
+ * @param {string} transaction.paymentRequestId - Payment request this transaction pays, if any
+ * @param {Array} transaction.legs - For a split, one { to, amount, hash, success, error } per recipient
+ * @param {string} transaction.transactionId - ID of the drafted transaction, if any
+ * @param {number} transaction.chainId - Chain the transaction was sent on
+ * @param {Object} transaction.receipt - { blockNumber, gasUsed, effectiveGasPrice, fee } once it's mined
+ * @param {string} transaction.idempotencyKey - Key for this report, so storing it again returns the first result
  * @returns {Promise<Object>} - Stored transaction object
+ * @throws {Error} - If there's no idempotency key, since the route can't store a report only once without one
  */
-export async function storeTransaction({ hash, to, value, token = 'ETH', walletAddress, type = 'send', status = 'pending', note = '' }) {
+export async function storeTransaction({ hash, to, value, token = 'ETH', walletAddress, type = 'send', status = 'submitted', note = '', paymentRequestId = null, legs = null, transactionId = null, chainId = null, receipt = null, idempotencyKey = null }) {
+  if (!idempotencyKey) {
+    throw new Error('Storing a transaction needs the idempotency key of its report');
+  }
+
   console.log(`Storing transaction: hash=${hash}, to=${to}, value=${value}, token=${token}, status=${status}`);
 
   try {
@@ -135,8 +215,13 @@ export async function storeTransaction({ hash, to, value, token = 'ETH', walletA
       token: token ? String(token) : 'ETH',
       walletAddress: String(walletAddress),
       transactionType: type ? String(type) : 'send',
-      status: status ? String(status) : 'pending',
+      status: status ? String(status) : 'submitted',
       note: note ? String(note) : '',
+      ...(paymentRequestId ? { paymentRequestId: String(paymentRequestId) } : {}),
+      ...(legs ? { legs } : {}),
+      ...(transactionId ? { transactionId: String(transactionId) } : {}),
+      ...(chainId ? { chainId: Number(chainId) } : {}),
+      ...(receipt ? { receipt } : {}),
     };
 
     // Call the API to store the transaction
@@ -144,6 +229,7 @@ export async function storeTransaction({ hash, to, value, token = 'ETH', walletA
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        'Idempotency-Key': idempotencyKey,
       },
       body: JSON.stringify(payload),
     });
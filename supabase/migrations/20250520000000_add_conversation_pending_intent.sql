@@ -0,0 +1,3 @@
+-- Add pending_intent column to chat_conversations table
+-- Holds a partially filled send/split intent while the assistant asks follow-up questions
+ALTER TABLE chat_conversations ADD COLUMN IF NOT EXISTS pending_intent JSONB;
@@ -0,0 +1,35 @@
+-- Create payment_requests table
+-- A request asks payer_handle (resolved to payer_address when possible) to pay the requester
+CREATE TABLE IF NOT EXISTS payment_requests (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  requester_address TEXT NOT NULL REFERENCES users(wallet_address) ON DELETE CASCADE,
+  payer_handle TEXT NOT NULL,
+  payer_address TEXT,
+  amount NUMERIC NOT NULL CHECK (amount > 0),
+  token TEXT NOT NULL DEFAULT 'ETH',
+  note TEXT,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'paid', 'declined', 'expired')),
+  conversation_id BIGINT,
+  transaction_hash TEXT,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  paid_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for the requester's and the payer's lists
+CREATE INDEX IF NOT EXISTS payment_requests_requester_address_idx ON payment_requests(requester_address);
+CREATE INDEX IF NOT EXISTS payment_requests_payer_address_idx ON payment_requests(payer_address);
+
+-- Create index for expiring open requests
+CREATE INDEX IF NOT EXISTS payment_requests_open_expires_at_idx ON payment_requests(expires_at) WHERE status = 'open';
+
+-- Link the transaction that paid a request back to it
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS payment_request_id UUID REFERENCES payment_requests(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS transactions_payment_request_id_idx ON transactions(payment_request_id);
+
+-- Create trigger for payment_requests table
+CREATE TRIGGER update_payment_requests_updated_at
+BEFORE UPDATE ON payment_requests
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
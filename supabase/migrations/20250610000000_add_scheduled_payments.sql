@@ -0,0 +1,34 @@
+-- Create scheduled_payments table
+-- A schedule holds the payment to make (the transaction /api/ai/execute-transaction takes) and when
+-- to make it: once at start_at when cron is null, otherwise at every cron match (UTC) from start_at
+-- until end_at or max_runs. The worker runs rows whose next_run_at has passed.
+CREATE TABLE IF NOT EXISTS scheduled_payments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  wallet_address TEXT NOT NULL REFERENCES users(wallet_address) ON DELETE CASCADE,
+  payment JSONB NOT NULL,
+  cron TEXT,
+  start_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  end_at TIMESTAMP WITH TIME ZONE,
+  max_runs INTEGER CHECK (max_runs > 0),
+  next_run_at TIMESTAMP WITH TIME ZONE,
+  run_count INTEGER NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'cancelled', 'completed', 'failed')),
+  use_testnet BOOLEAN NOT NULL DEFAULT FALSE,
+  last_run_at TIMESTAMP WITH TIME ZONE,
+  last_transaction_hash TEXT,
+  last_error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create index for a wallet's schedules
+CREATE INDEX IF NOT EXISTS scheduled_payments_wallet_address_idx ON scheduled_payments(wallet_address);
+
+-- Create index for finding due schedules
+CREATE INDEX IF NOT EXISTS scheduled_payments_active_next_run_at_idx ON scheduled_payments(next_run_at) WHERE status = 'active';
+
+-- Create trigger for scheduled_payments table
+CREATE TRIGGER update_scheduled_payments_updated_at
+BEFORE UPDATE ON scheduled_payments
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,39 @@
+-- Create payment_rules table
+-- A rule makes a payment (action) when its trigger fires and its conditions hold. trigger_type
+-- repeats trigger->>'type' so the engine can find the rules it is checking; next_run_at is only set
+-- for date rules. trigger_state is what the engine remembers between checks: the side of its threshold
+-- a balance rule was last seen on, the last payment an incoming rule fired for, or how many dates passed.
+CREATE TABLE IF NOT EXISTS payment_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  wallet_address TEXT NOT NULL REFERENCES users(wallet_address) ON DELETE CASCADE,
+  smart_wallet_address TEXT,
+  trigger_type TEXT NOT NULL CHECK (trigger_type IN ('balance_threshold', 'incoming_payment', 'date')),
+  trigger JSONB NOT NULL,
+  conditions JSONB NOT NULL DEFAULT '[]'::jsonb,
+  action JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'completed')),
+  next_run_at TIMESTAMP WITH TIME ZONE,
+  trigger_state JSONB,
+  use_testnet BOOLEAN NOT NULL DEFAULT FALSE,
+  run_count INTEGER NOT NULL DEFAULT 0,
+  last_run_at TIMESTAMP WITH TIME ZONE,
+  last_transaction_hash TEXT,
+  last_error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create index for a wallet's rules
+CREATE INDEX IF NOT EXISTS payment_rules_wallet_address_idx ON payment_rules(wallet_address);
+
+-- Create index for the rules the engine checks
+CREATE INDEX IF NOT EXISTS payment_rules_active_trigger_type_idx ON payment_rules(trigger_type) WHERE status = 'active';
+
+-- Create index for finding due date rules
+CREATE INDEX IF NOT EXISTS payment_rules_active_next_run_at_idx ON payment_rules(next_run_at) WHERE status = 'active';
+
+-- Create trigger for payment_rules table
+CREATE TRIGGER update_payment_rules_updated_at
+BEFORE UPDATE ON payment_rules
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,25 @@
+-- Create contacts table
+-- A user's contact book: each alias (stored lower-case, without the @) points at an address or a
+-- Base Name, and is checked before Base Names when the user names a recipient.
+CREATE TABLE IF NOT EXISTS contacts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  wallet_address TEXT NOT NULL REFERENCES users(wallet_address) ON DELETE CASCADE,
+  alias TEXT NOT NULL CHECK (alias = LOWER(alias)),
+  address TEXT,
+  basename TEXT,
+  notes TEXT,
+  default_token TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (address IS NOT NULL OR basename IS NOT NULL),
+  UNIQUE (wallet_address, alias)
+);
+
+-- Create index for a wallet's contacts
+CREATE INDEX IF NOT EXISTS contacts_wallet_address_idx ON contacts(wallet_address);
+
+-- Create trigger for contacts table
+CREATE TRIGGER update_contacts_updated_at
+BEFORE UPDATE ON contacts
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,49 @@
+-- Add spending categories to transactions
+-- category is one of SPENDING_CATEGORIES (client/lib/insights/categories.js); category_source is
+-- 'auto' when the app picked it and 'user' when the user corrected it
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS category TEXT CHECK (category IN (
+  'food', 'rent', 'subscriptions', 'utilities', 'transport', 'shopping',
+  'entertainment', 'travel', 'health', 'gifts', 'savings', 'other'
+));
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS category_source TEXT CHECK (category_source IN ('auto', 'user'));
+
+-- Create index for a user's spending by category
+CREATE INDEX IF NOT EXISTS transactions_user_id_category_idx ON transactions(user_id, category);
+
+-- Create function to sum a wallet's spending
+-- Spending is the sends and splits that were sent (have a hash) and didn't fail. Rows are grouped by
+-- p_group_by ('category', 'counterparty' or 'all') and token, since amounts in different tokens can't
+-- be added up. The other parameters narrow the rows like a history filter; to is exclusive.
+CREATE OR REPLACE FUNCTION get_spending_summary(
+  p_wallet_address TEXT,
+  p_group_by TEXT DEFAULT 'all',
+  p_from TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_to TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_category TEXT DEFAULT NULL,
+  p_counterparty TEXT DEFAULT NULL,
+  p_token TEXT DEFAULT NULL
+)
+RETURNS TABLE (group_key TEXT, token TEXT, total NUMERIC, payment_count BIGINT) AS $$
+  SELECT
+    CASE p_group_by
+      WHEN 'category' THEN COALESCE(t.category, 'other')
+      WHEN 'counterparty' THEN LOWER(t.recipient_address)
+      ELSE 'all'
+    END AS group_key,
+    COALESCE(t.token, 'ETH') AS token,
+    SUM(t.amount) AS total,
+    COUNT(*) AS payment_count
+  FROM transactions t
+  JOIN users u ON u.id = t.user_id
+  WHERE u.wallet_address = LOWER(p_wallet_address)
+    AND t.transaction_type IN ('send', 'split')
+    AND t.transaction_hash IS NOT NULL
+    AND t.status <> 'failed'
+    AND (p_from IS NULL OR t.created_at >= p_from)
+    AND (p_to IS NULL OR t.created_at < p_to)
+    AND (p_category IS NULL OR COALESCE(t.category, 'other') = p_category)
+    AND (p_counterparty IS NULL OR POSITION(LOWER(p_counterparty) IN LOWER(t.recipient_address)) > 0)
+    AND (p_token IS NULL OR t.token = p_token)
+  GROUP BY 1, 2
+  ORDER BY total DESC;
+$$ LANGUAGE sql STABLE;
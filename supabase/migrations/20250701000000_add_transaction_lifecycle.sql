@@ -0,0 +1,73 @@
+-- Track each transaction through its lifecycle (see client/utils/transactionRecords.js):
+--
+--   drafted → awaiting_signature | submitted | failed
+--   awaiting_signature → submitted | drafted | failed
+--   submitted → confirmed | failed | replaced | dropped
+--   dropped → confirmed | failed
+--
+-- Older rows used pending, sending, confirming, processing and completed
+UPDATE transactions SET status = CASE
+  WHEN status IN ('completed', 'confirmed') THEN 'confirmed'
+  WHEN status = 'sending' THEN 'awaiting_signature'
+  WHEN status = 'failed' THEN 'failed'
+  WHEN transaction_hash IS NULL OR transaction_hash LIKE 'pending-%' THEN 'drafted'
+  ELSE 'submitted'
+END
+WHERE status NOT IN ('drafted', 'awaiting_signature', 'submitted', 'confirmed', 'failed', 'replaced', 'dropped');
+
+ALTER TABLE transactions ALTER COLUMN status SET DEFAULT 'drafted';
+ALTER TABLE transactions ADD CONSTRAINT transactions_status_check CHECK (status IN (
+  'drafted', 'awaiting_signature', 'submitted', 'confirmed', 'failed', 'replaced', 'dropped'
+));
+
+-- Where the transaction was sent, and when; the receipt poller looks it up on that chain
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS chain_id INTEGER;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP WITH TIME ZONE;
+
+-- What the receipt says: block, gas used, the price paid per gas (wei) and the total fee (ETH)
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS block_number BIGINT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS gas_used NUMERIC;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS effective_gas_price NUMERIC;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS fee NUMERIC;
+
+-- Create index for the receipt poller, which checks submitted transactions oldest first
+CREATE INDEX IF NOT EXISTS transactions_submitted_idx ON transactions(submitted_at) WHERE status = 'submitted';
+
+-- Create index for reconciling a transaction by its hash
+CREATE INDEX IF NOT EXISTS transactions_user_id_hash_idx ON transactions(user_id, transaction_hash);
+
+-- Spending is now the sends and splits that were submitted or confirmed; drafts never left the app,
+-- and failed, replaced and dropped transactions didn't move the funds
+CREATE OR REPLACE FUNCTION get_spending_summary(
+  p_wallet_address TEXT,
+  p_group_by TEXT DEFAULT 'all',
+  p_from TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_to TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_category TEXT DEFAULT NULL,
+  p_counterparty TEXT DEFAULT NULL,
+  p_token TEXT DEFAULT NULL
+)
+RETURNS TABLE (group_key TEXT, token TEXT, total NUMERIC, payment_count BIGINT) AS $$
+  SELECT
+    CASE p_group_by
+      WHEN 'category' THEN COALESCE(t.category, 'other')
+      WHEN 'counterparty' THEN LOWER(t.recipient_address)
+      ELSE 'all'
+    END AS group_key,
+    COALESCE(t.token, 'ETH') AS token,
+    SUM(t.amount) AS total,
+    COUNT(*) AS payment_count
+  FROM transactions t
+  JOIN users u ON u.id = t.user_id
+  WHERE u.wallet_address = LOWER(p_wallet_address)
+    AND t.transaction_type IN ('send', 'split')
+    AND t.transaction_hash IS NOT NULL
+    AND t.status IN ('submitted', 'confirmed')
+    AND (p_from IS NULL OR t.created_at >= p_from)
+    AND (p_to IS NULL OR t.created_at < p_to)
+    AND (p_category IS NULL OR COALESCE(t.category, 'other') = p_category)
+    AND (p_counterparty IS NULL OR POSITION(LOWER(p_counterparty) IN LOWER(t.recipient_address)) > 0)
+    AND (p_token IS NULL OR t.token = p_token)
+  GROUP BY 1, 2
+  ORDER BY total DESC;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,24 @@
+-- Create idempotency_keys table
+-- Requests that send or store a payment carry a client-made key (see client/utils/idempotency.js).
+-- The first request claims its key, and once it succeeds its response is kept here, so a replay
+-- (a double click or a retried request) gets the same response instead of paying again. A key is
+-- unique per wallet and route (scope), which is what stops two copies of a request both running.
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  wallet_address TEXT NOT NULL,
+  scope TEXT NOT NULL,
+  idempotency_key TEXT NOT NULL,
+  request_hash TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (wallet_address, scope, idempotency_key)
+);
+
+-- Create trigger for idempotency_keys table
+CREATE TRIGGER update_idempotency_keys_updated_at
+BEFORE UPDATE ON idempotency_keys
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,27 @@
+-- Create transaction_sync_cursors table
+-- /api/transactions/sync imports a wallet's on-chain transfers (see client/lib/sync). The cursor is
+-- the last block read for the wallet on a chain, so the next sync starts after it, and the addresses
+-- it covered (the wallet and its smart wallets), so a newly added address is read from the start.
+CREATE TABLE IF NOT EXISTS transaction_sync_cursors (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  wallet_address TEXT NOT NULL REFERENCES users(wallet_address) ON DELETE CASCADE,
+  chain_id INTEGER NOT NULL,
+  last_block BIGINT NOT NULL,
+  addresses TEXT[] NOT NULL DEFAULT '{}',
+  source TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (wallet_address, chain_id)
+);
+
+-- Create trigger for transaction_sync_cursors table
+CREATE TRIGGER update_transaction_sync_cursors_updated_at
+BEFORE UPDATE ON transaction_sync_cursors
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Imported transactions carry an ID for the transfer they came from (hash, token, sender, recipient
+-- and amount), unique per user so reading the same blocks twice imports nothing; rows the app
+-- recorded itself have none
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS sync_id TEXT;
+ALTER TABLE transactions ADD CONSTRAINT transactions_user_id_sync_id_key UNIQUE (user_id, sync_id);
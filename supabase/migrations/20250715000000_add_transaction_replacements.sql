@@ -0,0 +1,41 @@
+-- Link pending transactions to the transactions sent to replace them (see client/utils/transactionRecords.js).
+-- A speed up or cancel is sent with the original's nonce, and recorded as its own row that replaces
+-- the original; the original is replaced_by it. Whichever of them is mined moves the other to replaced.
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS replaces UUID REFERENCES transactions(id) ON DELETE SET NULL;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS replaced_by UUID REFERENCES transactions(id) ON DELETE SET NULL;
+
+-- While a speed up is pending, the payment is counted once, as the replacement; a cancel isn't spending
+CREATE OR REPLACE FUNCTION get_spending_summary(
+  p_wallet_address TEXT,
+  p_group_by TEXT DEFAULT 'all',
+  p_from TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_to TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_category TEXT DEFAULT NULL,
+  p_counterparty TEXT DEFAULT NULL,
+  p_token TEXT DEFAULT NULL
+)
+RETURNS TABLE (group_key TEXT, token TEXT, total NUMERIC, payment_count BIGINT) AS $$
+  SELECT
+    CASE p_group_by
+      WHEN 'category' THEN COALESCE(t.category, 'other')
+      WHEN 'counterparty' THEN LOWER(t.recipient_address)
+      ELSE 'all'
+    END AS group_key,
+    COALESCE(t.token, 'ETH') AS token,
+    SUM(t.amount) AS total,
+    COUNT(*) AS payment_count
+  FROM transactions t
+  JOIN users u ON u.id = t.user_id
+  WHERE u.wallet_address = LOWER(p_wallet_address)
+    AND t.transaction_type IN ('send', 'split')
+    AND t.transaction_hash IS NOT NULL
+    AND t.status IN ('submitted', 'confirmed')
+    AND NOT (t.status = 'submitted' AND t.replaced_by IS NOT NULL)
+    AND (p_from IS NULL OR t.created_at >= p_from)
+    AND (p_to IS NULL OR t.created_at < p_to)
+    AND (p_category IS NULL OR COALESCE(t.category, 'other') = p_category)
+    AND (p_counterparty IS NULL OR POSITION(LOWER(p_counterparty) IN LOWER(t.recipient_address)) > 0)
+    AND (p_token IS NULL OR t.token = p_token)
+  GROUP BY 1, 2
+  ORDER BY total DESC;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,117 @@
+-- Create transaction_legs table
+-- A split is one transactions row (the parent) with a leg per recipient (see client/utils/transactionRecords.js).
+-- Each leg is paid by its own transaction, or shares the parent's hash when the split went out as one
+-- batch, and is mined, fails or is dropped on its own; a leg that couldn't be sent has no hash and
+-- keeps the error. The parent's status follows its legs, and failed or dropped legs can be sent again.
+CREATE TABLE IF NOT EXISTS transaction_legs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  transaction_id UUID NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+  leg_index INTEGER NOT NULL,
+  recipient_address TEXT NOT NULL,
+  amount NUMERIC NOT NULL,
+  token TEXT NOT NULL DEFAULT 'ETH',
+  transaction_hash TEXT,
+  nonce BIGINT,
+  status TEXT NOT NULL DEFAULT 'submitted' CHECK (status IN ('submitted', 'confirmed', 'failed', 'dropped')),
+  error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 1,
+  submitted_at TIMESTAMP WITH TIME ZONE,
+  block_number BIGINT,
+  gas_used NUMERIC,
+  effective_gas_price NUMERIC,
+  fee NUMERIC,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (transaction_id, leg_index)
+);
+
+-- Create index for reconciling a leg by its hash
+CREATE INDEX IF NOT EXISTS transaction_legs_transaction_hash_idx ON transaction_legs(transaction_hash);
+
+-- Create index for the receipt poller, which checks submitted legs oldest first
+CREATE INDEX IF NOT EXISTS transaction_legs_submitted_idx ON transaction_legs(submitted_at) WHERE status = 'submitted';
+
+-- Create trigger for transaction_legs table
+CREATE TRIGGER update_transaction_legs_updated_at
+BEFORE UPDATE ON transaction_legs
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Splits kept their legs in metadata.legs: { success, recipient or to, amount, hash, nonce, error }.
+-- A sent leg takes the split's status, as that's all that was known; one that wasn't sent failed.
+INSERT INTO transaction_legs (
+  transaction_id, leg_index, recipient_address, amount, token, transaction_hash, nonce, status, error, submitted_at
+)
+SELECT
+  t.id,
+  leg.index - 1,
+  COALESCE(leg.value->>'recipient', leg.value->>'to'),
+  (leg.value->>'amount')::NUMERIC,
+  COALESCE(leg.value->>'token', t.token, 'ETH'),
+  leg.value->>'hash',
+  (leg.value->>'nonce')::BIGINT,
+  CASE
+    WHEN (leg.value->>'success')::BOOLEAN IS NOT TRUE OR leg.value->>'hash' IS NULL THEN 'failed'
+    WHEN t.status IN ('confirmed', 'failed', 'dropped') THEN t.status
+    ELSE 'submitted'
+  END,
+  leg.value->>'error',
+  COALESCE(t.submitted_at, t.created_at)
+FROM transactions t
+CROSS JOIN LATERAL jsonb_array_elements(t.metadata->'legs') WITH ORDINALITY AS leg(value, index)
+WHERE t.transaction_type = 'split'
+  AND jsonb_typeof(t.metadata->'legs') = 'array'
+  AND COALESCE(leg.value->>'recipient', leg.value->>'to') IS NOT NULL
+  AND leg.value->>'amount' IS NOT NULL
+ON CONFLICT (transaction_id, leg_index) DO NOTHING;
+
+UPDATE transactions SET metadata = metadata - 'legs'
+WHERE transaction_type = 'split' AND metadata ? 'legs';
+
+-- A split is spent per leg: each recipient counts as a counterparty, and only legs that were
+-- submitted or confirmed count towards the total
+CREATE OR REPLACE FUNCTION get_spending_summary(
+  p_wallet_address TEXT,
+  p_group_by TEXT DEFAULT 'all',
+  p_from TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_to TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_category TEXT DEFAULT NULL,
+  p_counterparty TEXT DEFAULT NULL,
+  p_token TEXT DEFAULT NULL
+)
+RETURNS TABLE (group_key TEXT, token TEXT, total NUMERIC, payment_count BIGINT) AS $$
+  WITH payments AS (
+    SELECT
+      t.id,
+      t.category,
+      COALESCE(l.recipient_address, t.recipient_address) AS recipient_address,
+      COALESCE(l.token, t.token, 'ETH') AS token,
+      COALESCE(l.amount, t.amount) AS amount
+    FROM transactions t
+    JOIN users u ON u.id = t.user_id
+    LEFT JOIN transaction_legs l ON l.transaction_id = t.id
+    WHERE u.wallet_address = LOWER(p_wallet_address)
+      AND t.transaction_type IN ('send', 'split')
+      AND t.transaction_hash IS NOT NULL
+      AND t.status IN ('submitted', 'confirmed')
+      AND NOT (t.status = 'submitted' AND t.replaced_by IS NOT NULL)
+      AND (l.id IS NULL OR l.status IN ('submitted', 'confirmed'))
+      AND (p_from IS NULL OR t.created_at >= p_from)
+      AND (p_to IS NULL OR t.created_at < p_to)
+      AND (p_category IS NULL OR COALESCE(t.category, 'other') = p_category)
+  )
+  SELECT
+    CASE p_group_by
+      WHEN 'category' THEN COALESCE(p.category, 'other')
+      WHEN 'counterparty' THEN LOWER(p.recipient_address)
+      ELSE 'all'
+    END AS group_key,
+    p.token,
+    SUM(p.amount) AS total,
+    COUNT(DISTINCT p.id) AS payment_count
+  FROM payments p
+  WHERE (p_counterparty IS NULL OR POSITION(LOWER(p_counterparty) IN LOWER(p.recipient_address)) > 0)
+    AND (p_token IS NULL OR p.token = p_token)
+  GROUP BY 1, 2
+  ORDER BY total DESC;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,7 @@
+-- Add nonce column to wallet_signatures
+-- Wallets sign in with a message the server issued (see client/utils/walletAuth.js). Its nonce is kept
+-- with the signature and is unique, so a signed message that leaks (the table is readable) can't be
+-- used to sign in again. Signatures from before server sign-in have no nonce.
+ALTER TABLE wallet_signatures ADD COLUMN IF NOT EXISTS nonce TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS wallet_signatures_nonce_idx ON wallet_signatures(nonce);
@@ -0,0 +1,4 @@
+-- Add repeat_interval column to scheduled_payments
+-- A schedule with a repeat_interval runs on every that many cron matches, counted from its first
+-- run: "every 2 weeks" is a weekly cron with a repeat_interval of 2 (see client/lib/schedules/recurrence.js).
+ALTER TABLE scheduled_payments ADD COLUMN IF NOT EXISTS repeat_interval INTEGER CHECK (repeat_interval > 1);
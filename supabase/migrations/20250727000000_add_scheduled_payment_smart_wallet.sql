@@ -0,0 +1,4 @@
+-- Add smart_wallet_address column to scheduled_payments
+-- Runs are paid by the agent out of the payer's smart wallet (a LucraWallet that authorized it), since
+-- nobody is there to sign them; the wallet is picked when the payment is scheduled.
+ALTER TABLE scheduled_payments ADD COLUMN IF NOT EXISTS smart_wallet_address TEXT;
@@ -42,5 +42,14 @@ export {
 export {
   createTransactionAgent,
   processTransactionRequest,
-  extractTransactionDetails
+  extractTransactionDetails,
+  isTransactionRequest
 } from './utils/agentKit';
+
+// Export the shared intent engine
+export {
+  parseIntent,
+  parseIntentRules,
+  normalizeIntent,
+  INTENT_TYPES
+} from '../client/lib/intent';
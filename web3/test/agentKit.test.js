@@ -1,90 +1,82 @@
 /**
- * Test file for AgentKit integration
- * Run with: node web3/test/agentKit.test.js
+ * Tests for the AgentKit utilities, which parse messages through the client's shared intent engine
+ * (client/lib/intent)
  */
 
-const { createTransactionAgent, processTransactionRequest, extractTransactionDetails } = require('../utils/agentKit');
+const { expect } = require('chai');
+const { importModule } = require('./helpers/modules');
 
 // Mock wallet address for testing
 const TEST_WALLET_ADDRESS = '0x1234567890123456789012345678901234567890';
 
-/**
- * Test the extractTransactionDetails function
- */
-async function testExtractTransactionDetails() {
-  console.log('Testing extractTransactionDetails...');
-  
-  // Test send transaction
-  const sendMessage = 'send 0.1 ETH to 0x9876543210987654321098765432109876543210';
-  const sendResult = await extractTransactionDetails(sendMessage);
-  console.log('Send transaction result:', sendResult);
-  
-  // Test split transaction
-  const splitMessage = 'split 0.5 ETH between alice.base, bob.base, and charlie.base';
-  const splitResult = await extractTransactionDetails(splitMessage);
-  console.log('Split transaction result:', splitResult);
-  
-  // Test non-transaction message
-  const nonTxMessage = 'What is the current price of ETH?';
-  const nonTxResult = await extractTransactionDetails(nonTxMessage);
-  console.log('Non-transaction result:', nonTxResult);
-}
+describe('AgentKit', function () {
+  let agentKit;
 
-/**
- * Test the createTransactionAgent function
- */
-async function testCreateTransactionAgent() {
-  console.log('\nTesting createTransactionAgent...');
-  
-  try {
-    // Create an agent
-    const agent = createTransactionAgent({
-      useTestnet: true,
-      walletAddress: TEST_WALLET_ADDRESS,
+  before(async function () {
+    agentKit = await importModule('web3/utils/agentKit.js');
+  });
+
+  describe('extractTransactionDetails', function () {
+    it('Should parse a send into the shared intent schema', async function () {
+      const details = await agentKit.extractTransactionDetails('send 0.1 ETH to 0x9876543210987654321098765432109876543210');
+
+      expect(details.intent).to.equal('send');
+      expect(details.amount).to.equal(0.1);
+      expect(details.token).to.equal('ETH');
+      expect(details.recipients).to.deep.equal(['0x9876543210987654321098765432109876543210']);
     });
-    
-    console.log('Agent created successfully:', agent.name);
-    console.log('Agent capabilities:', Object.keys(agent.capabilities));
-  } catch (error) {
-    console.error('Error creating agent:', error);
-  }
-}
 
-/**
- * Test the processTransactionRequest function
- */
-async function testProcessTransactionRequest() {
-  console.log('\nTesting processTransactionRequest...');
-  
-  try {
-    // Process a transaction request
-    const message = 'send 0.01 ETH to vitalik.base';
-    const result = await processTransactionRequest({
-      message,
-      useTestnet: true,
-      walletAddress: TEST_WALLET_ADDRESS,
+    it('Should parse a split with every recipient', async function () {
+      const details = await agentKit.extractTransactionDetails('split 0.5 ETH between alice.base, bob.base, and charlie.base');
+
+      expect(details.intent).to.equal('split');
+      expect(details.amount).to.equal(0.5);
+      expect(details.split_type).to.equal('equal');
+      expect(details.recipients).to.deep.equal(['alice.base', 'bob.base', 'charlie.base']);
     });
-    
-    console.log('Transaction request processed successfully:', result);
-  } catch (error) {
-    console.error('Error processing transaction request:', error);
-  }
-}
 
-/**
- * Run all tests
- */
-async function runTests() {
-  try {
-    await testExtractTransactionDetails();
-    await testCreateTransactionAgent();
-    await testProcessTransactionRequest();
-    
-    console.log('\nAll tests completed!');
-  } catch (error) {
-    console.error('Error running tests:', error);
-  }
-}
-
-// Run the tests
-runTests();
+    it('Should return null for a message that is not a transaction', async function () {
+      expect(await agentKit.extractTransactionDetails('What is the current price of ETH?')).to.equal(null);
+    });
+
+    it('Should return null for a payment without an amount', async function () {
+      expect(await agentKit.extractTransactionDetails('send ETH to alice.base')).to.equal(null);
+    });
+  });
+
+  describe('createTransactionAgent', function () {
+    it('Should create an agent with its capabilities', function () {
+      const agent = agentKit.createTransactionAgent({ useTestnet: true, walletAddress: TEST_WALLET_ADDRESS });
+
+      expect(agent.name).to.equal('LucraAI Transaction Agent');
+      expect(Object.keys(agent.capabilities)).to.include.members(['sendTransaction', 'resolveBaseName', 'getBalance']);
+    });
+  });
+
+  describe('processTransactionRequest', function () {
+    it('Should describe the parsed payment', async function () {
+      const result = await agentKit.processTransactionRequest({
+        message: 'send 0.01 ETH to vitalik.base',
+        useTestnet: true,
+        walletAddress: TEST_WALLET_ADDRESS,
+      });
+
+      expect(result.type).to.equal('transaction');
+      expect(result.details.intent).to.equal('send');
+      expect(result.details.recipients).to.deep.equal(['vitalik.base']);
+      expect(result.agentResponse.response).to.equal('I\'ll process your request to send 0.01 ETH.');
+    });
+  });
+
+  describe('package exports', function () {
+    it('Should export the shared intent engine', async function () {
+      const web3 = await importModule('web3/index.js');
+      const intent = web3.parseIntentRules('send 5 USDC to @bob');
+
+      expect(web3.INTENT_TYPES).to.include('send');
+      expect(intent.intent).to.equal('send');
+      expect(intent.token).to.equal('USDC');
+      expect(typeof web3.parseIntent).to.equal('function');
+    });
+  });
+});
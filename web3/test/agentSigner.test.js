@@ -0,0 +1,169 @@
+/**
+ * Tests for paying with the server's agent key (client/web3/utils/agentSigner.js) out of a user's
+ * LucraWallet, against the in-process Hardhat node
+ */
+
+const { expect } = require('chai');
+const { network } = require('hardhat');
+const viem = require('viem');
+const { privateKeyToAccount } = require('viem/accounts');
+const { importModule } = require('./helpers/modules');
+const { compileContract } = require('./helpers/contracts');
+
+// The agent's key and the user's wallet, funded on the node before the tests
+const AGENT_KEY = `0x${'a1'.repeat(32)}`;
+const USER_KEY = `0x${'b2'.repeat(32)}`;
+
+const RECIPIENT = '0x000000000000000000000000000000000000beef';
+
+describe('Agent signer', function () {
+  let agentKit;
+  let agentSigner;
+  let publicClient;
+  let userClient;
+  let lucraWallet;
+  let signer;
+
+  /**
+   * Deploys a LucraWallet owned by the user
+   * @param {object} options - Options
+   * @param {boolean} options.authorizeAgent - Whether the user authorizes the agent on it
+   * @returns {Promise<string>} - Wallet address, funded with 1 ETH
+   */
+  async function deployWallet({ authorizeAgent }) {
+    const hash = await userClient.deployContract({
+      abi: lucraWallet.abi,
+      bytecode: lucraWallet.bytecode,
+      args: [0n, viem.parseEther('1')],
+    });
+    const { contractAddress } = await publicClient.waitForTransactionReceipt({ hash });
+
+    await publicClient.waitForTransactionReceipt({
+      hash: await userClient.sendTransaction({ to: contractAddress, value: viem.parseEther('1') }),
+    });
+
+    if (authorizeAgent) {
+      await publicClient.waitForTransactionReceipt({
+        hash: await userClient.writeContract({
+          address: contractAddress,
+          abi: lucraWallet.abi,
+          functionName: 'addAuthorizedAddress',
+          args: [signer.address, 0n],
+        }),
+      });
+    }
+
+    return contractAddress;
+  }
+
+  /**
+   * Sends 0.01 ETH to RECIPIENT through an agent paying for the user
+   * @param {object} options - createTransactionAgent options
+   * @returns {Promise<object>} - The sendTransaction result
+   */
+  function pay(options) {
+    const agent = agentKit.createTransactionAgent({ useTestnet: true, signer, ...options });
+    return agent.capabilities.sendTransaction.handler({ to: RECIPIENT, amount: '0.01', token: 'ETH' });
+  }
+
+  /**
+   * Runs a promise that should reject
+   * @param {Promise} promise - Promise to run
+   * @returns {Promise<Error>} - What it rejected with
+   */
+  async function rejectionOf(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected the promise to reject');
+  }
+
+  before(async function () {
+    this.timeout(60000);
+
+    agentKit = await importModule('client/web3/utils/agentKit.js');
+    agentSigner = await importModule('client/web3/utils/agentSigner.js');
+    lucraWallet = compileContract('LucraWallet');
+
+    const transport = viem.custom(network.provider);
+    const chain = viem.defineChain({
+      id: 31337,
+      name: 'Hardhat',
+      nativeCurrency: { decimals: 18, name: 'Ether', symbol: 'ETH' },
+      rpcUrls: { default: { http: ['http://127.0.0.1:8545'] } },
+    });
+
+    publicClient = viem.createPublicClient({ chain, transport });
+    userClient = viem.createWalletClient({ account: privateKeyToAccount(USER_KEY), chain, transport });
+    signer = agentSigner.createAgentSigner({ privateKey: AGENT_KEY, transport, chain });
+
+    for (const address of [signer.address, userClient.account.address]) {
+      await network.provider.send('hardhat_setBalance', [address, viem.toHex(viem.parseEther('100'))]);
+    }
+  });
+
+  describe('readSmartWallet', function () {
+    it('Should read the owner and whether the agent is authorized', async function () {
+      const walletAddress = await deployWallet({ authorizeAgent: true });
+
+      expect(await signer.readSmartWallet(walletAddress)).to.deep.equal({
+        owner: userClient.account.address.toLowerCase(),
+        authorized: true,
+      });
+    });
+
+    it('Should not read an account or another contract as a LucraWallet', async function () {
+      const stub = '0x000000000000000000000000000000000000c0de';
+      await network.provider.send('hardhat_setCode', [stub, '0x00']);
+
+      expect(await signer.readSmartWallet(RECIPIENT)).to.equal(null);
+      expect(await signer.readSmartWallet(stub)).to.equal(null);
+    });
+  });
+
+  describe('paying from a smart wallet', function () {
+    it('Should pay out of a wallet the user owns that authorized the agent', async function () {
+      const smartWalletAddress = await deployWallet({ authorizeAgent: true });
+      const before = await publicClient.getBalance({ address: RECIPIENT });
+
+      const sent = await pay({ walletAddress: userClient.account.address, smartWalletAddress });
+      const receipt = await publicClient.waitForTransactionReceipt({ hash: sent.hash });
+
+      expect(receipt.status).to.equal('success');
+      expect(receipt.from).to.equal(signer.address.toLowerCase());
+      expect(receipt.to).to.equal(smartWalletAddress.toLowerCase());
+      expect(await publicClient.getBalance({ address: RECIPIENT }) - before).to.equal(viem.parseEther('0.01'));
+    });
+
+    it('Should refuse a wallet that has not authorized the agent', async function () {
+      const smartWalletAddress = await deployWallet({ authorizeAgent: false });
+
+      const error = await rejectionOf(pay({ walletAddress: userClient.account.address, smartWalletAddress }));
+      expect(error.message).to.include('has not authorized the agent');
+    });
+
+    it('Should refuse a wallet another user owns', async function () {
+      const smartWalletAddress = await deployWallet({ authorizeAgent: true });
+      const stranger = '0x00000000000000000000000000000000000000aa';
+
+      const error = await rejectionOf(pay({ walletAddress: stranger, smartWalletAddress }));
+      expect(error.message).to.include(`is not owned by ${stranger}`);
+    });
+
+    it('Should refuse an address that is not a LucraWallet', async function () {
+      const error = await rejectionOf(pay({ walletAddress: userClient.account.address, smartWalletAddress: RECIPIENT }));
+      expect(error.message).to.include('is not a LucraWallet contract');
+    });
+
+    it('Should only pay directly when the agent is the user\'s wallet', async function () {
+      const error = await rejectionOf(pay({ walletAddress: userClient.account.address }));
+      expect(error.message).to.include('can only pay from a smart wallet');
+
+      const sent = await pay({ walletAddress: signer.address });
+      const receipt = await publicClient.waitForTransactionReceipt({ hash: sent.hash });
+      expect(receipt.to).to.equal(RECIPIENT);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Compiles the wallet contract for tests that deploy it with viem on the in-process Hardhat node
+ * The contract imports ReentrancyGuard from where OpenZeppelin 4 kept it (security/); the installed
+ * OpenZeppelin 5 keeps it in utils/, so the import is pointed there before compiling with solc-js.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const solc = require("solc");
+
+const CONTRACTS_ROOT = path.resolve(__dirname, "../../contracts");
+const NODE_MODULES = path.resolve(__dirname, "../../node_modules");
+
+/**
+ * Compiles a contract from web3/contracts
+ * @param {string} name - Contract name, which is also its file name
+ * @returns {object} - { abi, bytecode }
+ */
+function compileContract(name) {
+  const source = fs
+    .readFileSync(path.join(CONTRACTS_ROOT, `${name}.sol`), "utf8")
+    .replace("@openzeppelin/contracts/security/ReentrancyGuard.sol", "@openzeppelin/contracts/utils/ReentrancyGuard.sol");
+
+  const input = {
+    language: "Solidity",
+    sources: { [`${name}.sol`]: { content: source } },
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      outputSelection: { "*": { "*": ["abi", "evm.bytecode.object"] } },
+    },
+  };
+
+  const findImports = (file) => {
+    try {
+      return { contents: fs.readFileSync(path.join(NODE_MODULES, file), "utf8") };
+    } catch (error) {
+      return { error: error.message };
+    }
+  };
+
+  const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImports }));
+  const errors = (output.errors || []).filter((error) => error.severity === "error");
+  if (errors.length > 0) {
+    throw new Error(errors.map((error) => error.formattedMessage).join("\n"));
+  }
+
+  const contract = output.contracts[`${name}.sol`][name];
+  return { abi: contract.abi, bytecode: `0x${contract.evm.bytecode.object}` };
+}
+
+module.exports = { compileContract };
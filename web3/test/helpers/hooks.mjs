@@ -0,0 +1,74 @@
+/**
+ * Module resolution hooks for tests (registered by modules.js)
+ * The web3 utilities and the client code they share are written for a bundler: relative imports
+ * leave out the extension, client code imports through the `@/` alias from client/jsconfig.json,
+ * JSON is imported without an attribute, and neither package.json says its sources are ES modules.
+ * These hooks fill that in for plain Node.
+ */
+
+import { existsSync, statSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../..');
+const CLIENT_ROOT = path.join(REPO_ROOT, 'client');
+// The tests themselves are CommonJS
+const TESTS_ROOT = path.join(REPO_ROOT, 'web3', 'test');
+
+/**
+ * Finds the file an extensionless path points at
+ * @param {string} file - Absolute path
+ * @returns {string|null} - File URL, or null if there's no such file
+ */
+function findFile(file) {
+  for (const candidate of [file, `${file}.js`, path.join(file, 'index.js')]) {
+    if (existsSync(candidate) && statSync(candidate).isFile()) return pathToFileURL(candidate).href;
+  }
+  return null;
+}
+
+/**
+ * Checks whether a module is the app's own source rather than a dependency
+ * @param {string} url - Module URL
+ * @returns {boolean} - True for files in the repo outside node_modules
+ */
+function isAppSource(url) {
+  if (!url?.startsWith('file:')) return false;
+  const file = fileURLToPath(url);
+  return file.startsWith(REPO_ROOT) && !file.split(path.sep).includes('node_modules');
+}
+
+/**
+ * Marks the app's own sources as ES modules
+ * @param {object} resolved - Result of resolving a module
+ * @returns {object} - The result, with its format set for app sources
+ */
+function withFormat(resolved) {
+  if (!isAppSource(resolved.url) || !resolved.url.endsWith('.js')) return resolved;
+  if (fileURLToPath(resolved.url).startsWith(TESTS_ROOT)) return resolved;
+  return { ...resolved, format: 'module' };
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  if (isAppSource(context.parentURL)) {
+    let file = null;
+    if (specifier.startsWith('@/')) {
+      file = path.join(CLIENT_ROOT, specifier.slice(2));
+    } else if (specifier.startsWith('./') || specifier.startsWith('../')) {
+      file = fileURLToPath(new URL(specifier, context.parentURL));
+    }
+
+    const url = file && findFile(file);
+    if (url) return withFormat(await nextResolve(url, context));
+  }
+
+  return withFormat(await nextResolve(specifier, context));
+}
+
+export async function load(url, context, nextLoad) {
+  if (isAppSource(url) && url.endsWith('.json')) {
+    return nextLoad(url, { ...context, importAttributes: { type: 'json' } });
+  }
+
+  return nextLoad(url, context);
+}
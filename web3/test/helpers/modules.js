@@ -0,0 +1,22 @@
+/**
+ * Imports the app's ES modules (web3/ and client/) from CommonJS tests
+ */
+
+const path = require("path");
+const { register } = require("module");
+const { pathToFileURL } = require("url");
+
+register("./hooks.mjs", pathToFileURL(__filename));
+
+const REPO_ROOT = path.resolve(__dirname, "../../..");
+
+/**
+ * Imports a module by its path from the repository root
+ * @param {string} file - e.g. "client/lib/intent/index.js"
+ * @returns {Promise<object>} - The module's exports
+ */
+function importModule(file) {
+  return import(pathToFileURL(path.join(REPO_ROOT, file)).href);
+}
+
+module.exports = { importModule };
@@ -0,0 +1,115 @@
+/**
+ * Supabase client stand-ins for tests of the helpers and stores that take the client to use
+ */
+
+/**
+ * Creates a Supabase client stand-in that records each query's calls and answers every query on
+ * a table with the same rows
+ * @param {object} tables - Rows to answer with, by table name
+ * @returns {object} - Client; client.queries lists { table, calls } for every query made
+ */
+function createRecordingClient(tables) {
+  const queries = [];
+
+  return {
+    queries,
+    from(table) {
+      const query = { table, calls: [] };
+      queries.push(query);
+
+      const result = { data: tables[table] ?? null, error: null };
+      const builder = new Proxy({}, {
+        get(target, method) {
+          if (method === 'then') return (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+          if (method === 'maybeSingle') return async () => ({ data: (tables[table] || [])[0] ?? null, error: null });
+          return (...args) => {
+            query.calls.push([method, ...args]);
+            return builder;
+          };
+        },
+      });
+
+      return builder;
+    },
+  };
+}
+
+/**
+ * Creates a Supabase client stand-in that keeps tables in memory and runs the parts of the query
+ * builder the stores use: select, eq, is and in filters, maybeSingle, update, and upsert with
+ * onConflict and ignoreDuplicates. A filter on "transactions.<column>" reads the transactions row a
+ * transaction_legs row belongs to, as the "transactions!inner(...)" join does.
+ * @param {object} tables - Rows of each table, by table name; inserted rows are added to them
+ * @returns {object} - Client; client.tables holds the rows
+ */
+function createMemoryClient(tables = {}) {
+  let nextId = 1;
+
+  const read = (row, column) => {
+    if (column.startsWith('transactions.')) {
+      const parent = (tables.transactions || []).find(transaction => transaction.id === row.transaction_id);
+      return parent?.[column.slice('transactions.'.length)];
+    }
+    return row[column];
+  };
+
+  return {
+    tables,
+    from(table) {
+      tables[table] = tables[table] || [];
+      const filters = [];
+      let written = null;
+      let changes = null;
+
+      const run = () => {
+        if (written) return { data: written, error: null };
+        const rows = tables[table].filter(row => filters.every(filter => filter(row)));
+        if (changes) rows.forEach(row => Object.assign(row, changes));
+        return { data: rows, error: null };
+      };
+
+      const builder = {
+        select: () => builder,
+        eq(column, value) {
+          filters.push(row => read(row, column) === value);
+          return builder;
+        },
+        is(column, value) {
+          filters.push(row => (read(row, column) ?? null) === value);
+          return builder;
+        },
+        in(column, values) {
+          filters.push(row => values.includes(read(row, column)));
+          return builder;
+        },
+        update(values) {
+          changes = values;
+          return builder;
+        },
+        upsert(rows, { onConflict, ignoreDuplicates = false } = {}) {
+          const columns = onConflict.split(',');
+          written = [];
+          for (const row of [].concat(rows)) {
+            const existing = tables[table].find(stored => columns.every(column => stored[column] === row[column]));
+            if (existing && ignoreDuplicates) continue;
+            if (existing) {
+              Object.assign(existing, row);
+              written.push(existing);
+            } else {
+              const stored = { id: `row-${nextId++}`, ...row };
+              tables[table].push(stored);
+              written.push(stored);
+            }
+          }
+          return builder;
+        },
+        maybeSingle: async () => ({ data: run().data[0] ?? null, error: null }),
+        then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject),
+      };
+
+      return builder;
+    },
+  };
+}
+
+module.exports = { createRecordingClient, createMemoryClient };
@@ -0,0 +1,59 @@
+/**
+ * Tests for transaction history filters (client/utils/historyFilters.js) and the counterparty
+ * lookup that goes with them (client/utils/contacts.js)
+ */
+
+const { expect } = require('chai');
+const { importModule } = require('./helpers/modules');
+const { createRecordingClient } = require('./helpers/supabase');
+
+const MOM_ADDRESS = '0xabcdef0123456789abcdef0123456789abcdef01';
+
+describe('History filters', function () {
+  let historyFilters;
+  let contacts;
+
+  before(async function () {
+    historyFilters = await importModule('client/utils/historyFilters.js');
+    contacts = await importModule('client/utils/contacts.js');
+  });
+
+  describe('resolveCounterpartyAddresses', function () {
+    it('Should resolve a contact alias to its address', async function () {
+      const client = createRecordingClient({ contacts: [{ alias: 'mom', address: MOM_ADDRESS, basename: null }] });
+
+      expect(await contacts.resolveCounterpartyAddresses(client, '0x1', 'mom')).to.deep.equal([MOM_ADDRESS]);
+    });
+
+    it('Should keep an address as it is', async function () {
+      const client = createRecordingClient({ contacts: [] });
+
+      expect(await contacts.resolveCounterpartyAddresses(client, '0x1', MOM_ADDRESS)).to.deep.equal([MOM_ADDRESS]);
+    });
+
+    it('Should resolve nothing without a counterparty', async function () {
+      expect(await contacts.resolveCounterpartyAddresses(createRecordingClient({}), '0x1', null)).to.deep.equal([]);
+    });
+  });
+
+  describe('queryTransactionHistory', function () {
+    it('Should match a counterparty on its resolved address as well as the text', async function () {
+      const client = createRecordingClient({ users: [{ id: 'user-1' }], transactions: [] });
+      const filter = historyFilters.parseHistoryFilter('what did I send to @mom last month');
+
+      await historyFilters.queryTransactionHistory(client, '0x1', filter, 10, {
+        counterpartyAddresses: [MOM_ADDRESS],
+      });
+
+      const { calls } = client.queries.find(query => query.table === 'transactions');
+      expect(calls).to.deep.include(['or', `recipient_address.ilike.%mom%,recipient_address.ilike.%${MOM_ADDRESS}%`]);
+    });
+
+    it('Should match on the text alone when the counterparty does not resolve', function () {
+      const client = createRecordingClient({});
+      historyFilters.applyHistoryFilter(client.from('transactions'), { counterparty: 'bob_1' });
+
+      expect(client.queries[0].calls).to.deep.equal([['or', 'recipient_address.ilike.%bob\\_1%']]);
+    });
+  });
+});
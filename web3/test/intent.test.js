@@ -0,0 +1,196 @@
+/**
+ * Tests for the shared intent engine (client/lib/intent) the web3 package exports
+ */
+
+const { expect } = require('chai');
+const { importModule } = require('./helpers/modules');
+
+describe('Intent engine', function () {
+  let intent;
+  let numbers;
+
+  before(async function () {
+    intent = await importModule('client/lib/intent/index.js');
+    numbers = await importModule('client/lib/intent/numbers.js');
+  });
+
+  /**
+   * Parses a message the way the chat route does without a model
+   * @param {string} message - Message text
+   * @returns {object} - Annotated intent
+   */
+  function parse(message) {
+    return intent.annotateIntent(intent.parseIntentRules(message));
+  }
+
+  describe('amounts', function () {
+    it('Should read thousands separators', function () {
+      expect(parse('send 1,000 USDC to @bob').amount).to.equal(1000);
+      expect(parse('send 1,250.50 USDC to @bob').amount).to.equal(1250.5);
+    });
+
+    it('Should read thousands and millions', function () {
+      expect(parse('send 1.5k USDC to @bob').amount).to.equal(1500);
+      expect(parse('send 2m USDC to @bob').amount).to.equal(2000000);
+    });
+
+    it('Should leave out numbers it cannot read rather than truncate them', function () {
+      expect(parse('send 1,5 ETH to @bob').amount).to.equal(null);
+      expect(parse('pay @bob at 5pm').amount).to.equal(null);
+      expect(numbers.findNumbers('1.2.3 or 2x')).to.deep.equal([]);
+    });
+
+    it('Should read fiat amounts the same way', function () {
+      const details = parse('send $1,200 to @bob');
+
+      expect(details.fiat_amount).to.equal(1200);
+      expect(details.fiat_currency).to.equal('USD');
+    });
+
+    it('Should accept a model amount that matches the typed one', function () {
+      const message = 'send 1,000 USDC to @bob';
+      const parsed = intent.normalizeIntent({ intent: 'send', amount: '1,000', token: 'USDC', recipients: ['bob'] }, message);
+      const { intent: validated } = intent.validateIntent(parsed);
+
+      expect(validated.amount).to.equal(1000);
+    });
+  });
+
+  describe('split shares', function () {
+    it('Should pay shares in different tokens as separate sends', function () {
+      const details = parse('send 5 usdc to @bob and 3 dai to @carol');
+
+      expect(details.intent).to.equal('batch');
+      expect(details.actions.map(action => [action.intent, action.amount, action.token, action.recipients])).to.deep.equal([
+        ['send', 5, 'USDC', ['bob']],
+        ['send', 3, 'DAI', ['carol']],
+      ]);
+    });
+
+    it('Should add up shares in one token into a custom split', function () {
+      const details = parse('send 5 usdc to @bob and 3 to @carol');
+
+      expect(details.intent).to.equal('split');
+      expect(details.split_type).to.equal('custom');
+      expect(details.amount).to.equal(8);
+      expect(details.token).to.equal('USDC');
+    });
+
+    it('Should ask about a scheduled split with shares in different tokens', async function () {
+      const { getMissingFields } = await importModule('client/utils/intentClarification.js');
+      const details = parse('send 5 usdc to @bob and 3 dai to @carol every friday');
+
+      expect(details.intent).to.equal('split');
+      expect(details.amount).to.equal(null);
+      expect(getMissingFields(details)).to.deep.equal(['allocations']);
+    });
+
+    it('Should not validate a split whose shares name another token', async function () {
+      const { validateSplitAllocations } = await importModule('client/web3/utils/splits.js');
+      const validation = validateSplitAllocations({
+        recipients: ['bob', 'carol'],
+        splitType: 'custom',
+        allocations: [{ recipient: 'bob', amount: 5, token: 'USDC' }, { recipient: 'carol', amount: 3, token: 'DAI' }],
+        token: 'USDC',
+      });
+
+      expect(validation.valid).to.equal(false);
+      expect(validation.error).to.include('USDC and DAI');
+    });
+  });
+
+  describe('batches', function () {
+    /**
+     * Lists each action of a batch as [intent, amount, token, recipients]
+     * @param {object} batch - Batch intent
+     * @returns {Array[]} - Actions
+     */
+    function summarize(batch) {
+      return batch.actions.map(action => [action.intent, action.amount, action.token, action.recipients]);
+    }
+
+    it('Should keep the token of every payment in a batch', function () {
+      const details = parse('send 0.1 ETH to @alice and 5 USDC to @bob, then split 0.3 ETH between @carol and @dan');
+
+      expect(details.intent).to.equal('batch');
+      expect(summarize(details)).to.deep.equal([
+        ['send', 0.1, 'ETH', ['alice']],
+        ['send', 5, 'USDC', ['bob']],
+        ['split', 0.3, 'ETH', ['carol', 'dan']],
+      ]);
+    });
+
+    it('Should pay a clause without a token in the one named before it', function () {
+      const details = parse('send 5 USDC to @bob, then split 10 between @carol and @dan');
+
+      expect(summarize(details)[1]).to.deep.equal(['split', 10, 'USDC', ['carol', 'dan']]);
+    });
+
+    it('Should ask for the token of a clause that follows several', async function () {
+      const { getMissingFields } = await importModule('client/utils/intentClarification.js');
+      const details = parse('send 0.1 ETH to @alice and 5 USDC to @bob, then split 0.3 between @carol and @dan');
+
+      expect(details.actions[2].token_specified).to.equal(false);
+      expect(getMissingFields(details)).to.deep.equal(['token']);
+    });
+  });
+
+  describe('parseIntent with the mock provider', function () {
+    let llm;
+
+    before(async function () {
+      llm = await importModule('client/lib/llm/index.js');
+    });
+
+    it('Should parse through the model when a fixture answers', async function () {
+      const provider = llm.createMockProvider();
+      const details = await intent.parseIntent('send 0.1 ETH to @alice', { llm: provider });
+
+      expect(details.parsed_by).to.equal('mock');
+      expect(details.intent).to.equal('send');
+      expect(details.amount).to.equal(0.1);
+      expect(details.recipients).to.deep.equal(['alice.base']);
+      expect(provider.calls).to.have.length(1);
+      expect(provider.calls[0].task).to.equal(llm.LLM_TASKS.PARSE_INTENT);
+      expect(provider.calls[0].input).to.equal('send 0.1 ETH to @alice');
+    });
+
+    it('Should keep the shares read from the text', async function () {
+      const details = await intent.parseIntent('split 1 ETH: 50% @alice, 30% @bob, 20% @carol', { llm: llm.createMockProvider() });
+
+      expect(details.split_type).to.equal('percentage');
+      expect(details.allocations.map(allocation => allocation.percentage)).to.deep.equal([50, 30, 20]);
+    });
+
+    it('Should fall back to the rules when no fixture answers', async function () {
+      const details = await intent.parseIntent('send 2 USDC to @dan', { llm: llm.createMockProvider() });
+
+      expect(details.parsed_by).to.equal('rules');
+      expect(details.amount).to.equal(2);
+      expect(details.recipients).to.deep.equal(['dan']);
+    });
+
+    it('Should throw away a model parse the message does not support', async function () {
+      const provider = llm.createMockProvider({
+        fixtures: [{
+          task: llm.LLM_TASKS.PARSE_INTENT,
+          pattern: '^send 1 eth to @bob$',
+          response: { intent: 'send', amount: 100, token: 'ETH', recipients: ['mallory'] },
+        }],
+      });
+      const details = await intent.parseIntent('send 1 ETH to @bob', { llm: provider });
+
+      expect(details.parsed_by).to.equal('rules');
+      expect(details.amount).to.equal(1);
+      expect(details.recipients).to.deep.equal(['bob']);
+    });
+
+    it('Should not ask the model about a batch', async function () {
+      const provider = llm.createMockProvider();
+      const details = await intent.parseIntent('send 0.1 ETH to @alice, then split 0.3 ETH between @carol and @dan', { llm: provider });
+
+      expect(details.intent).to.equal('batch');
+      expect(provider.calls).to.have.length(0);
+    });
+  });
+});
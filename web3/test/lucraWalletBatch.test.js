@@ -0,0 +1,110 @@
+/**
+ * Tests for a LucraWallet paying a split as one batchSendEther call, deployed with viem on the
+ * in-process Hardhat node
+ */
+
+const { expect } = require('chai');
+const { network } = require('hardhat');
+const viem = require('viem');
+const { privateKeyToAccount } = require('viem/accounts');
+const { compileContract } = require('./helpers/contracts');
+
+const owner = privateKeyToAccount(`0x${'c3'.repeat(32)}`);
+const authorized = privateKeyToAccount(`0x${'d4'.repeat(32)}`);
+const RECIPIENTS = ['0x00000000000000000000000000000000000ba7c1', '0x00000000000000000000000000000000000ba7c2'];
+
+describe('LucraWallet batch sends', function () {
+  let lucraWallet;
+  let publicClient;
+  let ownerClient;
+  let authorizedClient;
+  let walletAddress;
+
+  before(async function () {
+    this.timeout(60000);
+    lucraWallet = compileContract('LucraWallet');
+
+    const transport = viem.custom(network.provider);
+    const chain = viem.defineChain({
+      id: 31337,
+      name: 'Hardhat',
+      nativeCurrency: { decimals: 18, name: 'Ether', symbol: 'ETH' },
+      rpcUrls: { default: { http: ['http://127.0.0.1:8545'] } },
+    });
+
+    publicClient = viem.createPublicClient({ chain, transport });
+    ownerClient = viem.createWalletClient({ account: owner, chain, transport });
+    authorizedClient = viem.createWalletClient({ account: authorized, chain, transport });
+  });
+
+  beforeEach(async function () {
+    await network.provider.send('hardhat_reset');
+    for (const account of [owner, authorized]) {
+      await network.provider.send('hardhat_setBalance', [account.address, viem.toHex(viem.parseEther('10'))]);
+    }
+
+    // A wallet holding 2 ETH, whose authorized address may spend 0.5 ETH a day
+    const hash = await ownerClient.deployContract({
+      abi: lucraWallet.abi,
+      bytecode: lucraWallet.bytecode,
+      args: [0n, viem.parseEther('1')],
+    });
+    ({ contractAddress: walletAddress } = await publicClient.waitForTransactionReceipt({ hash }));
+
+    await publicClient.waitForTransactionReceipt({
+      hash: await ownerClient.sendTransaction({ to: walletAddress, value: viem.parseEther('2') }),
+    });
+    await publicClient.waitForTransactionReceipt({
+      hash: await ownerClient.writeContract({
+        address: walletAddress,
+        abi: lucraWallet.abi,
+        functionName: 'addAuthorizedAddress',
+        args: [authorized.address, viem.parseEther('0.5')],
+      }),
+    });
+  });
+
+  /**
+   * Sends a batch from the authorized address
+   * @param {string[]} amounts - ETH for each recipient
+   * @returns {Promise<object>} - The mined receipt
+   */
+  async function sendBatch(amounts) {
+    const hash = await authorizedClient.writeContract({
+      address: walletAddress,
+      abi: lucraWallet.abi,
+      functionName: 'batchSendEther',
+      args: [RECIPIENTS, amounts.map(amount => viem.parseEther(amount)), 'Split payment'],
+    });
+    return publicClient.waitForTransactionReceipt({ hash });
+  }
+
+  const dailySpent = () => publicClient.readContract({
+    address: walletAddress,
+    abi: lucraWallet.abi,
+    functionName: 'dailySpent',
+    args: [authorized.address],
+  });
+
+  it('Should pay every recipient of a batch within the daily limit', async function () {
+    const receipt = await sendBatch(['0.2', '0.3']);
+
+    expect(receipt.status).to.equal('success');
+    expect(await publicClient.getBalance({ address: RECIPIENTS[0] })).to.equal(viem.parseEther('0.2'));
+    expect(await publicClient.getBalance({ address: RECIPIENTS[1] })).to.equal(viem.parseEther('0.3'));
+    expect(await dailySpent()).to.equal(viem.parseEther('0.5'));
+  });
+
+  it('Should revert a whole batch from an authorized user that exceeds the daily limit', async function () {
+    const error = await sendBatch(['0.3', '0.3']).then(() => null, rejected => rejected);
+
+    expect(error.message).to.include('LucraWallet: daily limit exceeded');
+
+    // No recipient is paid, and nothing counts against the limit
+    for (const recipient of RECIPIENTS) {
+      expect(await publicClient.getBalance({ address: recipient })).to.equal(0n);
+    }
+    expect(await publicClient.getBalance({ address: walletAddress })).to.equal(viem.parseEther('2'));
+    expect(await dailySpent()).to.equal(0n);
+  });
+});
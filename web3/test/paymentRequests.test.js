@@ -0,0 +1,107 @@
+/**
+ * Tests for marking a payment request paid (client/utils/paymentRequests.js), with payments made on
+ * the in-process Hardhat node
+ */
+
+const { expect } = require('chai');
+const { network } = require('hardhat');
+const viem = require('viem');
+const { privateKeyToAccount } = require('viem/accounts');
+const { importModule } = require('./helpers/modules');
+const { createMemoryClient } = require('./helpers/supabase');
+
+const payer = privateKeyToAccount(`0x${'a7'.repeat(32)}`);
+const stranger = privateKeyToAccount(`0x${'a8'.repeat(32)}`);
+const REQUESTER = '0x00000000000000000000000000000000000a11ce';
+const REQUEST_ID = 'request-1';
+
+describe('Payment requests', function () {
+  let paymentRequests;
+  let publicClient;
+  let chain;
+  let transport;
+
+  before(async function () {
+    paymentRequests = await importModule('client/utils/paymentRequests.js');
+
+    transport = viem.custom(network.provider);
+    chain = viem.defineChain({
+      id: 31337,
+      name: 'Hardhat',
+      nativeCurrency: { decimals: 18, name: 'Ether', symbol: 'ETH' },
+      rpcUrls: { default: { http: ['http://127.0.0.1:8545'] } },
+    });
+    publicClient = viem.createPublicClient({ chain, transport });
+  });
+
+  beforeEach(async function () {
+    await network.provider.send('hardhat_reset');
+    for (const account of [payer, stranger]) {
+      await network.provider.send('hardhat_setBalance', [account.address, viem.toHex(viem.parseEther('10'))]);
+    }
+  });
+
+  /**
+   * Sends ETH to the requester and stores the payment as the store route does
+   * @param {object} account - Account that pays
+   * @param {string} amount - ETH to send
+   * @param {object} transaction - Fields of the stored transactions row to change
+   * @returns {Promise<object>} - { client, hash }
+   */
+  async function pay(account, amount, transaction = {}) {
+    const walletClient = viem.createWalletClient({ account, chain, transport });
+    const hash = await walletClient.sendTransaction({ to: REQUESTER, value: viem.parseEther(amount) });
+    await publicClient.waitForTransactionReceipt({ hash });
+
+    const client = createMemoryClient({
+      payment_requests: [{
+        id: REQUEST_ID,
+        requester_address: REQUESTER,
+        payer_address: payer.address.toLowerCase(),
+        amount: 0.1,
+        token: 'ETH',
+        status: 'open',
+        expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      }],
+      transactions: [{ id: 'tx-1', transaction_hash: hash, payment_request_id: REQUEST_ID, status: 'confirmed', chain_id: 31337, ...transaction }],
+      users: [{ wallet_address: payer.address.toLowerCase(), smart_wallet_address: null }],
+    });
+
+    return { client, hash };
+  }
+
+  const markPaid = (client, hash) => paymentRequests.updatePaymentRequestStatus(
+    client,
+    { requestId: REQUEST_ID, walletAddress: payer.address, status: 'paid', transactionHash: hash },
+    { getClient: () => publicClient }
+  );
+
+  it('Should mark a request paid by a confirmed payment of the full amount to the requester', async function () {
+    const { client, hash } = await pay(payer, '0.1');
+
+    const result = await markPaid(client, hash);
+
+    expect(result.error).to.equal(null);
+    expect(result.data.status).to.equal('paid');
+    expect(result.data.transaction_hash).to.equal(hash);
+  });
+
+  it('Should not mark it paid by too little, by someone else, or before the payment is confirmed', async function () {
+    const short = await pay(payer, '0.05');
+    const shortResult = await markPaid(short.client, short.hash);
+    expect(shortResult.status).to.equal(409);
+    expect(shortResult.error.message).to.include("didn't send 0.1 ETH");
+
+    const other = await pay(stranger, '0.1');
+    expect((await markPaid(other.client, other.hash)).status).to.equal(409);
+
+    const pending = await pay(payer, '0.1', { status: 'submitted' });
+    expect((await markPaid(pending.client, pending.hash)).status).to.equal(409);
+
+    // A hash that isn't stored for the request can't pay it
+    const unlinked = await pay(payer, '0.1', { payment_request_id: null });
+    expect((await markPaid(unlinked.client, unlinked.hash)).status).to.equal(409);
+
+    expect(unlinked.client.tables.payment_requests[0].status).to.equal('open');
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Tests for speeding up and cancelling a pending payment the wallet sent (client/web3/utils/replacement.js),
+ * against the in-process Hardhat node with automatic mining off
+ */
+
+const { expect } = require('chai');
+const { network } = require('hardhat');
+const viem = require('viem');
+const { privateKeyToAccount } = require('viem/accounts');
+const { importModule } = require('./helpers/modules');
+
+const wallet = privateKeyToAccount(`0x${'f6'.repeat(32)}`);
+const RECIPIENT = '0x00000000000000000000000000000000000be7e1';
+
+describe('Replacement', function () {
+  let replacement;
+  let publicClient;
+  let walletClient;
+
+  before(async function () {
+    replacement = await importModule('client/web3/utils/replacement.js');
+
+    const transport = viem.custom(network.provider);
+    const chain = viem.defineChain({
+      id: 31337,
+      name: 'Hardhat',
+      nativeCurrency: { decimals: 18, name: 'Ether', symbol: 'ETH' },
+      rpcUrls: { default: { http: ['http://127.0.0.1:8545'] } },
+    });
+
+    publicClient = viem.createPublicClient({ chain, transport });
+    walletClient = viem.createWalletClient({ account: wallet, chain, transport });
+  });
+
+  beforeEach(async function () {
+    await network.provider.send('hardhat_reset');
+    await network.provider.send('hardhat_setBalance', [wallet.address, viem.toHex(viem.parseEther('10'))]);
+    await network.provider.send('evm_setAutomine', [false]);
+  });
+
+  afterEach(async function () {
+    await network.provider.send('evm_setAutomine', [true]);
+  });
+
+  it('Should offer to speed up a pending single send, and replace it with the same nonce', async function () {
+    const paymentHash = await walletClient.sendTransaction({ to: RECIPIENT, value: viem.parseEther('0.1') });
+    const state = { paymentHash, sentHash: paymentHash, hash: paymentHash, isConfirmed: false, replacement: null };
+
+    expect(replacement.canReplacePayment(state)).to.equal(true);
+
+    const request = await replacement.prepareReplacement(publicClient, { hash: paymentHash, account: wallet.address, kind: 'speed_up' });
+    const original = await publicClient.getTransaction({ hash: paymentHash });
+    expect(request.nonce).to.equal(original.nonce);
+    expect(request.maxFeePerGas > original.maxFeePerGas).to.equal(true);
+
+    const fasterHash = await walletClient.sendTransaction(request);
+    await network.provider.send('evm_mine');
+
+    const receipt = await publicClient.getTransactionReceipt({ hash: fasterHash });
+    expect(receipt.status).to.equal('success');
+    expect(await publicClient.getBalance({ address: RECIPIENT })).to.equal(viem.parseEther('0.1'));
+  });
+
+  it('Should not offer it once the send is mined or replaced, or for another transaction', async function () {
+    const paymentHash = await walletClient.sendTransaction({ to: RECIPIENT, value: viem.parseEther('0.1') });
+    const pending = { paymentHash, sentHash: paymentHash, hash: paymentHash, isConfirmed: false, replacement: null };
+
+    expect(replacement.canReplacePayment({ ...pending, isConfirmed: true })).to.equal(false);
+    expect(replacement.canReplacePayment({ ...pending, replacement: { kind: 'cancel', hash: '0x1' } })).to.equal(false);
+    expect(replacement.canReplacePayment({ ...pending, paymentHash: null })).to.equal(false);
+    // A batch sent through wallet_sendCalls is followed by a hash the wallet didn't send itself
+    expect(replacement.canReplacePayment({ ...pending, hash: '0x2' })).to.equal(false);
+
+    await network.provider.send('evm_mine');
+
+    const error = await replacement.prepareReplacement(publicClient, { hash: paymentHash, account: wallet.address, kind: 'cancel' })
+      .then(() => null, rejected => rejected);
+    expect(error.message).to.include('already been mined');
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Tests for reading schedules from messages and working out their runs (client/lib/schedules)
+ */
+
+const { expect } = require('chai');
+const { importModule } = require('./helpers/modules');
+
+// A Wednesday
+const NOW = new Date('2026-10-14T12:00:00Z');
+
+describe('Schedules', function () {
+  let recurrence;
+
+  before(async function () {
+    recurrence = await importModule('client/lib/schedules/recurrence.js');
+  });
+
+  describe('every few weeks, days or months', function () {
+    it('Should read "every 2 weeks" as every other weekly run', function () {
+      const { schedule, remainder } = recurrence.parseSchedule('send 10 USDC to @bob every 2 weeks', NOW);
+
+      expect(schedule.cron).to.equal('0 9 * * 3');
+      expect(schedule.repeat_interval).to.equal(2);
+      expect(remainder).to.equal('send 10 USDC to @bob');
+    });
+
+    it('Should run every other week from the first run', function () {
+      const { schedule } = recurrence.parseSchedule('pay @bob 5 USDC every other friday', NOW);
+      const first = recurrence.getFirstRunAt(schedule);
+      const second = recurrence.getNextRunAt(schedule, first, 1);
+      const third = recurrence.getNextRunAt(schedule, second, 2);
+
+      expect(first.toISOString()).to.equal('2026-10-16T09:00:00.000Z');
+      expect(second.toISOString()).to.equal('2026-10-30T09:00:00.000Z');
+      expect(third.toISOString()).to.equal('2026-11-13T09:00:00.000Z');
+    });
+
+    it('Should stay on its fortnight when a run is late', function () {
+      const { schedule } = recurrence.parseSchedule('pay @bob 5 USDC every 2 weeks on friday', NOW);
+      const late = new Date('2026-10-24T00:00:00Z');
+
+      expect(recurrence.getNextRunAt(schedule, late, 1).toISOString()).to.equal('2026-10-30T09:00:00.000Z');
+    });
+
+    it('Should read intervals of days and months', function () {
+      expect(recurrence.parseSchedule('pay @bob 1 USDC every 3 days', NOW).schedule).to.include({
+        cron: '0 9 * * *',
+        repeat_interval: 3,
+      });
+      expect(recurrence.parseSchedule('pay @bob 1 USDC every 2 months on the 1st', NOW).schedule).to.include({
+        cron: '0 9 1 * *',
+        repeat_interval: 2,
+      });
+    });
+
+    it('Should describe the interval', function () {
+      const { schedule } = recurrence.parseSchedule('pay @bob 5 USDC fortnightly on friday', NOW);
+
+      expect(recurrence.describeSchedule(schedule)).to.match(/^every 2 weeks on Friday at 09:00 UTC, starting/);
+    });
+
+    it('Should schedule the payment rather than send it once', async function () {
+      const intent = await importModule('client/lib/intent/index.js');
+      const details = intent.annotateIntent(intent.parseIntentRules('send 10 USDC to @bob every 2 weeks'));
+
+      expect(details.intent).to.equal('send');
+      expect(details.amount).to.equal(10);
+      expect(details.schedule.repeat_interval).to.equal(2);
+    });
+  });
+});
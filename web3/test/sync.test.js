@@ -0,0 +1,180 @@
+/**
+ * Tests for the on-chain history sync (client/lib/sync): the indexer reads transfers through the RPC
+ * source from the in-process Hardhat node and imports them through the Supabase sync store
+ */
+
+const { expect } = require('chai');
+const { network } = require('hardhat');
+const viem = require('viem');
+const { privateKeyToAccount } = require('viem/accounts');
+const { importModule } = require('./helpers/modules');
+const { createMemoryClient } = require('./helpers/supabase');
+
+const CHAIN_ID = 31337;
+const USER_ID = 'user-1';
+
+// The user's wallet, someone who pays them, and addresses they pay
+const wallet = privateKeyToAccount(`0x${'d4'.repeat(32)}`);
+const friend = privateKeyToAccount(`0x${'e5'.repeat(32)}`);
+const SMART_WALLET = '0x00000000000000000000000000000000005a0001';
+const SHOP = '0x00000000000000000000000000000000005a0002';
+const ALICE = '0x00000000000000000000000000000000005a0003';
+const BOB = '0x00000000000000000000000000000000005a0004';
+
+describe('Transaction sync', function () {
+  let sync;
+  let publicClient;
+  let clients;
+  let client;
+  let indexer;
+  let incoming;
+
+  /**
+   * Sends ETH and waits for it to be mined
+   * @param {object} account - Sender
+   * @param {string} to - Recipient
+   * @param {string} amount - ETH amount
+   * @returns {Promise<string>} - Lowercase transaction hash
+   */
+  async function send(account, to, amount) {
+    const hash = await clients.get(account).sendTransaction({ to, value: viem.parseEther(amount) });
+    await publicClient.waitForTransactionReceipt({ hash });
+    return hash.toLowerCase();
+  }
+
+  /**
+   * Syncs the user's wallet and the given addresses
+   * @param {string[]} addresses - Addresses to read
+   * @returns {Promise<object>} - The sync result
+   */
+  function syncWallet(addresses) {
+    return indexer.syncWallet({ userId: USER_ID, walletAddress: wallet.address, addresses }, { maxRanges: 10 });
+  }
+
+  /**
+   * Lists the rows the sync imported, as [type, counterparty, amount]
+   * @returns {Array[]} - Imported rows, oldest first
+   */
+  function imported() {
+    return client.tables.transactions
+      .filter(row => row.sync_id)
+      .map(row => [row.transaction_type, row.recipient_address, row.amount]);
+  }
+
+  before(async function () {
+    this.timeout(60000);
+
+    sync = await importModule('client/lib/sync/index.js');
+
+    const transport = viem.custom(network.provider);
+    const chain = viem.defineChain({
+      id: CHAIN_ID,
+      name: 'Hardhat',
+      nativeCurrency: { decimals: 18, name: 'Ether', symbol: 'ETH' },
+      rpcUrls: { default: { http: ['http://127.0.0.1:8545'] } },
+    });
+
+    publicClient = viem.createPublicClient({ chain, transport });
+    clients = new Map([wallet, friend].map(account => [account, viem.createWalletClient({ account, chain, transport })]));
+  });
+
+  beforeEach(async function () {
+    // A fresh chain for each test, so each first sync reads the same blocks
+    await network.provider.send('hardhat_reset');
+    for (const account of [wallet, friend]) {
+      await network.provider.send('hardhat_setBalance', [account.address, viem.toHex(viem.parseEther('100'))]);
+    }
+
+    client = createMemoryClient({ transactions: [], transaction_legs: [], transaction_sync_cursors: [] });
+    const source = sync.createRpcSource({ client: publicClient, chainId: CHAIN_ID, maxBlocks: 2, lookbackBlocks: 100 });
+    incoming = [];
+    indexer = sync.createSyncIndexer({
+      store: sync.createSupabaseSyncStore(client),
+      source,
+      chainId: CHAIN_ID,
+      onIncoming: async payment => { incoming.push(payment); },
+    });
+  });
+
+  it('Should resume from the cursor and import only what is new', async function () {
+    await send(friend, wallet.address, '1');
+    await send(wallet, SHOP, '0.25');
+
+    const first = await syncWallet([wallet.address]);
+    expect(first).to.include({ fromBlock: 0, found: 2, imported: 2, caughtUp: true });
+
+    await send(wallet, SHOP, '0.5');
+
+    const second = await syncWallet([wallet.address]);
+    expect(second).to.include({ fromBlock: first.latestBlock + 1, found: 1, imported: 1, caughtUp: true });
+    expect(imported()).to.deep.equal([
+      ['receive', friend.address.toLowerCase(), '1'],
+      ['send', SHOP, '0.25'],
+      ['send', SHOP, '0.5'],
+    ]);
+
+    // Nothing new: the cursor is at the latest block
+    expect(await syncWallet([wallet.address])).to.include({ fromBlock: null, imported: 0 });
+  });
+
+  it('Should read a newly added address from the start', async function () {
+    await send(friend, wallet.address, '1');
+    await send(friend, SMART_WALLET, '2');
+
+    await syncWallet([wallet.address]);
+    expect(imported()).to.have.length(1);
+
+    // The smart wallet's payment was mined before the last sync, so the cursor alone would skip it
+    const result = await syncWallet([wallet.address, SMART_WALLET]);
+
+    expect(result).to.include({ fromBlock: 0, imported: 1 });
+    expect(imported()).to.deep.equal([
+      ['receive', friend.address.toLowerCase(), '1'],
+      ['receive', friend.address.toLowerCase(), '2'],
+    ]);
+    expect(client.tables.transaction_sync_cursors[0].addresses).to.deep.equal([
+      wallet.address.toLowerCase(),
+      SMART_WALLET,
+    ]);
+  });
+
+  it('Should hand each incoming payment on once, as the chain has it', async function () {
+    const received = await send(friend, wallet.address, '1.5');
+    await send(wallet, SHOP, '0.25');
+
+    await syncWallet([wallet.address]);
+    await send(friend, wallet.address, '0.5');
+    await syncWallet([wallet.address]);
+    await syncWallet([wallet.address]);
+
+    expect(incoming.map(payment => payment.amount)).to.deep.equal(['1.5', '0.5']);
+    expect(incoming[0]).to.deep.equal({
+      recipientAddress: wallet.address.toLowerCase(),
+      from: friend.address.toLowerCase(),
+      amount: '1.5',
+      token: 'ETH',
+      transactionHash: received,
+    });
+  });
+
+  it('Should not import payments the app recorded, including each leg of a split', async function () {
+    const paid = await send(wallet, SHOP, '0.1');
+    const [toAlice, toBob] = [await send(wallet, ALICE, '0.2'), await send(wallet, BOB, '0.2')];
+    const outside = await send(wallet, SHOP, '0.3');
+
+    // The app recorded the payment and the split, whose row carries its first leg's hash
+    client.tables.transactions.push(
+      { id: 'payment', user_id: USER_ID, transaction_hash: paid, sync_id: null },
+      { id: 'split', user_id: USER_ID, transaction_hash: toAlice, sync_id: null },
+    );
+    client.tables.transaction_legs.push(
+      { id: 'leg-0', transaction_id: 'split', leg_index: 0, transaction_hash: toAlice },
+      { id: 'leg-1', transaction_id: 'split', leg_index: 1, transaction_hash: toBob },
+    );
+
+    const result = await syncWallet([wallet.address]);
+
+    expect(result).to.include({ found: 4, imported: 1 });
+    expect(client.tables.transactions.filter(row => row.sync_id).map(row => row.transaction_hash)).to.deep.equal([outside]);
+  });
+});
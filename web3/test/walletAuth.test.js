@@ -0,0 +1,212 @@
+/**
+ * Tests for wallet sign-in and sessions (client/utils/walletAuth.js)
+ */
+
+const { expect } = require('chai');
+const { privateKeyToAccount } = require('viem/accounts');
+const { importModule } = require('./helpers/modules');
+const { createRecordingClient } = require('./helpers/supabase');
+
+const account = privateKeyToAccount(`0x${'c3'.repeat(32)}`);
+const OTHER_ADDRESS = '0x00000000000000000000000000000000000000aa';
+const SMART_WALLET = '0x00000000000000000000000000000000000000bb';
+
+describe('Wallet auth', function () {
+  let walletAuth;
+  let environment;
+
+  /**
+   * Builds a request with the given headers
+   * @param {object} headers - Request headers
+   * @returns {Request} - The request
+   */
+  function request(headers = {}) {
+    return new Request('http://localhost/api/ai/execute-transaction', { method: 'POST', headers });
+  }
+
+  /**
+   * Signs in the test account and returns a request carrying its session cookie
+   * @returns {Promise<Request>} - The request
+   */
+  async function signedInRequest() {
+    const { data: session } = await walletAuth.createSession(account.address.toLowerCase());
+    return request({ cookie: `other=1; ${walletAuth.SESSION_COOKIE}=${session.token}` });
+  }
+
+  before(async function () {
+    walletAuth = await importModule('client/utils/walletAuth.js');
+  });
+
+  beforeEach(function () {
+    environment = { SESSION_SECRET: process.env.SESSION_SECRET, CRON_SECRET: process.env.CRON_SECRET };
+    process.env.SESSION_SECRET = 'session-secret';
+    process.env.CRON_SECRET = 'cron-secret';
+  });
+
+  afterEach(function () {
+    for (const [name, value] of Object.entries(environment)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  describe('verifySignIn', function () {
+    it('Should accept a challenge the wallet signed', async function () {
+      const { data: challenge } = await walletAuth.createSignInChallenge(account.address);
+      const signature = await account.signMessage({ message: challenge.message });
+
+      const { data, error } = await walletAuth.verifySignIn({ message: challenge.message, signature });
+
+      expect(error).to.equal(null);
+      expect(data).to.deep.equal({ walletAddress: account.address.toLowerCase(), nonce: challenge.nonce });
+    });
+
+    it('Should refuse a signature from another wallet', async function () {
+      const { data: challenge } = await walletAuth.createSignInChallenge(OTHER_ADDRESS);
+      const signature = await account.signMessage({ message: challenge.message });
+
+      const { error, status } = await walletAuth.verifySignIn({ message: challenge.message, signature });
+
+      expect(status).to.equal(401);
+      expect(error.message).to.include('The signature is not from');
+    });
+
+    it('Should refuse a challenge the server did not issue', async function () {
+      const { data: challenge } = await walletAuth.createSignInChallenge(account.address);
+      const message = challenge.message.replace(/Timestamp: \S+/, `Timestamp: ${new Date(Date.now() + 1000).toISOString()}`);
+      const signature = await account.signMessage({ message });
+
+      const { error, status } = await walletAuth.verifySignIn({ message, signature });
+
+      expect(status).to.equal(401);
+      expect(error.message).to.include('not issued by LucraAI');
+    });
+
+    it('Should refuse an expired challenge', async function () {
+      const issued = Date.now() - walletAuth.CHALLENGE_TTL_MS - 1000;
+      const { data: challenge } = await walletAuth.createSignInChallenge(account.address, { now: issued });
+      const signature = await account.signMessage({ message: challenge.message });
+
+      const { error, status } = await walletAuth.verifySignIn({ message: challenge.message, signature });
+
+      expect(status).to.equal(401);
+      expect(error.message).to.include('expired');
+    });
+
+    it('Should not issue challenges without SESSION_SECRET', async function () {
+      delete process.env.SESSION_SECRET;
+
+      const { error, status } = await walletAuth.createSignInChallenge(account.address);
+
+      expect(status).to.equal(500);
+      expect(error.message).to.include('SESSION_SECRET');
+    });
+  });
+
+  describe('authenticateWallet', function () {
+    it('Should act for the wallet of the session', async function () {
+      const { data } = await walletAuth.authenticateWallet(await signedInRequest(), account.address);
+
+      expect(data).to.deep.equal({ walletAddress: account.address.toLowerCase(), via: 'session' });
+    });
+
+    it('Should refuse to act for another wallet than the session\'s', async function () {
+      const { error, status } = await walletAuth.authenticateWallet(await signedInRequest(), OTHER_ADDRESS);
+
+      expect(status).to.equal(403);
+      expect(error.message).to.include('signed in with');
+    });
+
+    it('Should refuse a request without a session', async function () {
+      const { status } = await walletAuth.authenticateWallet(request(), account.address);
+
+      expect(status).to.equal(401);
+    });
+
+    it('Should refuse a session signed with another secret', async function () {
+      const signedIn = await signedInRequest();
+      process.env.SESSION_SECRET = 'another-secret';
+
+      const { status } = await walletAuth.authenticateWallet(signedIn, account.address);
+
+      expect(status).to.equal(401);
+    });
+
+    it('Should act for the wallet a worker names with CRON_SECRET', async function () {
+      const { data } = await walletAuth.authenticateWallet(request({ authorization: 'Bearer cron-secret' }), OTHER_ADDRESS);
+
+      expect(data).to.deep.equal({ walletAddress: OTHER_ADDRESS, via: 'cron' });
+    });
+
+    it('Should let no worker in without CRON_SECRET', async function () {
+      delete process.env.CRON_SECRET;
+
+      expect(walletAuth.authorizeCron(request({ authorization: 'Bearer undefined' }))).to.equal(false);
+      expect(walletAuth.authorizeCron(request({ authorization: 'Bearer ' }))).to.equal(false);
+
+      const { status } = await walletAuth.authenticateWallet(request({ authorization: 'Bearer undefined' }), OTHER_ADDRESS);
+      expect(status).to.equal(401);
+    });
+  });
+
+  describe('verifySmartWalletOwner', function () {
+    it('Should accept a smart wallet linked to the user', async function () {
+      const client = createRecordingClient({ smart_wallets: [{ address: SMART_WALLET }] });
+
+      const { data, error } = await walletAuth.verifySmartWalletOwner(client, {
+        walletAddress: account.address,
+        smartWalletAddress: SMART_WALLET,
+      });
+
+      expect(error).to.equal(null);
+      expect(data).to.equal(SMART_WALLET);
+    });
+
+    it('Should refuse a smart wallet the user has not linked', async function () {
+      const client = createRecordingClient({ smart_wallets: [], users: [{ smart_wallet_address: OTHER_ADDRESS }] });
+
+      const { error, status } = await walletAuth.verifySmartWalletOwner(client, {
+        walletAddress: account.address,
+        smartWalletAddress: SMART_WALLET,
+      });
+
+      expect(status).to.equal(403);
+      expect(error.message).to.include('is not linked to your account');
+    });
+  });
+
+  describe('findAgentSmartWallet', function () {
+    const owner = account.address.toLowerCase();
+    const UNAUTHORIZED_WALLET = '0x00000000000000000000000000000000000000cc';
+
+    // What the chain says about each smart wallet
+    const signer = {
+      readSmartWallet: async address => ({
+        [SMART_WALLET]: { owner, authorized: true },
+        [OTHER_ADDRESS]: { owner: '0x00000000000000000000000000000000000000dd', authorized: true },
+        [UNAUTHORIZED_WALLET]: { owner, authorized: false },
+      })[address] || null,
+    };
+
+    it('Should find a linked wallet the user owns that authorized the agent', async function () {
+      const client = createRecordingClient({
+        users: [{ smart_wallet_address: UNAUTHORIZED_WALLET }],
+        smart_wallets: [{ address: OTHER_ADDRESS }, { address: SMART_WALLET }],
+      });
+
+      const { data, error } = await walletAuth.findAgentSmartWallet(client, { walletAddress: account.address, signer });
+
+      expect(error).to.equal(null);
+      expect(data).to.equal(SMART_WALLET);
+    });
+
+    it('Should find none when no linked wallet authorized the agent', async function () {
+      const client = createRecordingClient({ users: [{ smart_wallet_address: UNAUTHORIZED_WALLET }], smart_wallets: [] });
+
+      const { data, error } = await walletAuth.findAgentSmartWallet(client, { walletAddress: account.address, signer });
+
+      expect(error).to.equal(null);
+      expect(data).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Tests for how the background workers (scheduled payments and payment rules) call
+ * /api/ai/execute-transaction
+ */
+
+const { expect } = require('chai');
+const { network } = require('hardhat');
+const viem = require('viem');
+const { privateKeyToAccount } = require('viem/accounts');
+const { importModule } = require('./helpers/modules');
+const { compileContract } = require('./helpers/contracts');
+
+const SCHEDULE_ID = '6f1c2d3e-0000-4000-8000-000000000001';
+const RULE_ID = '6f1c2d3e-0000-4000-8000-000000000002';
+
+// The agent's key and the payer's wallet, funded on the node before the run
+const AGENT_KEY = `0x${'a7'.repeat(32)}`;
+const PAYER_KEY = `0x${'b8'.repeat(32)}`;
+const LANDLORD = '0x000000000000000000000000000000000000a11d';
+
+/**
+ * Creates a fetch stand-in that records each request and answers with a sent payment
+ * @returns {Function} - fetch; fetch.requests lists { url, headers, body }
+ */
+function createRecordingFetch() {
+  const requests = [];
+  const fetchImpl = async (url, { headers, body }) => {
+    requests.push({ url, headers, body: JSON.parse(body) });
+    return { ok: true, status: 200, json: async () => ({ success: true, transactionHash: '0xabc' }) };
+  };
+  fetchImpl.requests = requests;
+  return fetchImpl;
+}
+
+describe('Workers', function () {
+  let schedules;
+  let rules;
+
+  before(async function () {
+    schedules = await importModule('client/lib/schedules/execute.js');
+    rules = await importModule('client/lib/rules/actions.js');
+  });
+
+  it('Should pay a scheduled run with the worker secret and one key per run', async function () {
+    const fetchImpl = createRecordingFetch();
+    const execute = schedules.createExecuteTransactionExecutor({ baseUrl: 'http://app', fetchImpl, cronSecret: 'cron-secret' });
+    const row = { id: SCHEDULE_ID, run_count: 3, wallet_address: '0x1', use_testnet: true, payment: { type: 'send' } };
+
+    await execute(row);
+    await execute(row);
+    await execute({ ...row, run_count: 4 });
+
+    const [first, replay, next] = fetchImpl.requests.map(request => request.headers);
+    expect(first.Authorization).to.equal('Bearer cron-secret');
+    expect(first['Idempotency-Key']).to.equal(`schedule:${SCHEDULE_ID}:3`);
+    expect(replay['Idempotency-Key']).to.equal(first['Idempotency-Key']);
+    expect(next['Idempotency-Key']).to.equal(`schedule:${SCHEDULE_ID}:4`);
+  });
+
+  it('Should pay a rule with the worker secret and one key per firing', async function () {
+    const fetchImpl = createRecordingFetch();
+    const actions = rules.createAgentRuleActions({ baseUrl: 'http://app', fetchImpl, cronSecret: 'cron-secret' });
+    const row = { id: RULE_ID, run_count: 0, wallet_address: '0x1', smart_wallet_address: '0x2', use_testnet: true, action: { to: '@bob', from_wallet: 'main' } };
+
+    await actions.send(row, { amount: 1, token: 'USDC' });
+    await actions.send({ ...row, run_count: 1 }, { amount: 1, token: 'USDC' });
+
+    const [first, second] = fetchImpl.requests.map(request => request.headers);
+    expect(first.Authorization).to.equal('Bearer cron-secret');
+    expect(first['Idempotency-Key']).to.equal(`rule:${RULE_ID}:1`);
+    expect(second['Idempotency-Key']).to.equal(`rule:${RULE_ID}:2`);
+    // Even a rule stored before rules always paid from the smart wallet pays from there
+    expect(fetchImpl.requests[0].body.smartWalletAddress).to.equal('0x2');
+  });
+
+  it('Should make every rule pay from the smart wallet, and say so', async function () {
+    const { parseRule } = await importModule('client/lib/rules/parse.js');
+    const { describeRule } = await importModule('client/lib/rules/model.js');
+
+    const { rule } = parseRule('if @bob pays me, forward 10% to @savings');
+    expect(rule.action.from_wallet).to.equal('smart');
+    expect(describeRule(rule)).to.include('from your smart wallet');
+
+    expect(parseRule('if @bob pays me, send 5 USDC to @savings from my main wallet').error).to.include('smart wallet');
+  });
+
+  describe('a scheduled run paid by the agent', function () {
+    let agentKit;
+    let publicClient;
+    let signer;
+    let smartWalletAddress;
+
+    /**
+     * Stands in for /api/ai/execute-transaction, sending a send the way the route does: through an
+     * agent paying for the named wallet with the agent's key
+     * @returns {Function} - fetch
+     */
+    function createAgentFetch() {
+      return async (url, { body }) => {
+        const { transaction, walletAddress, smartWalletAddress: payFrom, useTestnet } = JSON.parse(body);
+        try {
+          const agent = agentKit.createTransactionAgent({ useTestnet, walletAddress, smartWalletAddress: payFrom, signer });
+          const sent = await agent.capabilities.sendTransaction.handler({
+            to: transaction.recipient,
+            amount: transaction.amount,
+            token: transaction.token,
+            note: transaction.note,
+          });
+          await publicClient.waitForTransactionReceipt({ hash: sent.hash });
+          return { ok: true, status: 200, json: async () => ({ success: true, transactionHash: sent.hash }) };
+        } catch (error) {
+          return { ok: false, status: 500, json: async () => ({ error: error.message }) };
+        }
+      };
+    }
+
+    before(async function () {
+      this.timeout(60000);
+
+      agentKit = await importModule('client/web3/utils/agentKit.js');
+      const agentSigner = await importModule('client/web3/utils/agentSigner.js');
+      const lucraWallet = compileContract('LucraWallet');
+
+      const transport = viem.custom(network.provider);
+      const chain = viem.defineChain({
+        id: 31337,
+        name: 'Hardhat',
+        nativeCurrency: { decimals: 18, name: 'Ether', symbol: 'ETH' },
+        rpcUrls: { default: { http: ['http://127.0.0.1:8545'] } },
+      });
+
+      publicClient = viem.createPublicClient({ chain, transport });
+      const payerClient = viem.createWalletClient({ account: privateKeyToAccount(PAYER_KEY), chain, transport });
+      signer = agentSigner.createAgentSigner({ privateKey: AGENT_KEY, transport, chain });
+
+      for (const address of [signer.address, payerClient.account.address]) {
+        await network.provider.send('hardhat_setBalance', [address, viem.toHex(viem.parseEther('100'))]);
+      }
+
+      // The payer's LucraWallet, funded and with the agent authorized on it
+      const deployed = await publicClient.waitForTransactionReceipt({
+        hash: await payerClient.deployContract({ abi: lucraWallet.abi, bytecode: lucraWallet.bytecode, args: [0n, viem.parseEther('1')] }),
+      });
+      smartWalletAddress = deployed.contractAddress;
+      await publicClient.waitForTransactionReceipt({
+        hash: await payerClient.sendTransaction({ to: smartWalletAddress, value: viem.parseEther('1') }),
+      });
+      await publicClient.waitForTransactionReceipt({
+        hash: await payerClient.writeContract({
+          address: smartWalletAddress,
+          abi: lucraWallet.abi,
+          functionName: 'addAuthorizedAddress',
+          args: [signer.address, 0n],
+        }),
+      });
+    });
+
+    it('Should pay the run out of the smart wallet stored with the schedule', async function () {
+      const execute = schedules.createExecuteTransactionExecutor({ baseUrl: 'http://app', fetchImpl: createAgentFetch(), cronSecret: 'cron-secret' });
+      const before = await publicClient.getBalance({ address: LANDLORD });
+
+      const result = await execute({
+        id: SCHEDULE_ID,
+        run_count: 1,
+        wallet_address: privateKeyToAccount(PAYER_KEY).address.toLowerCase(),
+        smart_wallet_address: smartWalletAddress.toLowerCase(),
+        use_testnet: true,
+        payment: { type: 'send', recipient: LANDLORD, amount: '0.05', token: 'ETH', note: 'rent' },
+      });
+
+      expect(result.error).to.equal(undefined);
+      expect(result.success).to.equal(true);
+      const receipt = await publicClient.getTransactionReceipt({ hash: result.transactionHash });
+      expect(receipt.to).to.equal(smartWalletAddress.toLowerCase());
+      expect(await publicClient.getBalance({ address: LANDLORD }) - before).to.equal(viem.parseEther('0.05'));
+    });
+
+    it('Should not pay a run without a smart wallet', async function () {
+      const execute = schedules.createExecuteTransactionExecutor({ baseUrl: 'http://app', fetchImpl: createAgentFetch(), cronSecret: 'cron-secret' });
+
+      const result = await execute({
+        id: SCHEDULE_ID,
+        run_count: 1,
+        wallet_address: privateKeyToAccount(PAYER_KEY).address.toLowerCase(),
+        use_testnet: true,
+        payment: { type: 'send', recipient: LANDLORD, amount: '0.05', token: 'ETH' },
+      });
+
+      expect(result.success).to.equal(false);
+      expect(result.error).to.include('can only pay from a smart wallet');
+    });
+  });
+});
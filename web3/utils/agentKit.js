@@ -6,6 +6,12 @@
  */
 
 import { resolveBaseName } from './baseName';
+import {
+  annotateIntent,
+  getPaymentActions,
+  parseIntentRules,
+  isTransactionRequest as isTransactionRequestIntent
+} from '../../client/lib/intent';
 
 // Mock viem functions and objects
 const formatEther = (value) => {
@@ -113,7 +119,7 @@ class AgentKit {
         type: 'transaction',
         details,
         agentResponse: {
-          response: `I'll process your request to ${details.type} ${details.amount} ${details.token || 'ETH'}.`,
+          response: `I'll process your request to ${details.intent} ${details.amount} ${details.token}.`,
         },
       };
     }
@@ -371,7 +377,7 @@ export async function processTransactionRequest({ message, useTestnet = false, w
           type: 'transaction',
           details,
           agentResponse: {
-            response: `I'll process your request to ${details.type} ${details.amount} ${details.token || 'ETH'}.`,
+            response: `I'll process your request to ${details.intent} ${details.amount} ${details.token}.`,
           },
         };
       }
@@ -397,106 +403,22 @@ export async function processTransactionRequest({ message, useTestnet = false, w
  * @returns {boolean} - True if the message appears to be a transaction request
  */
 export function isTransactionRequest(message) {
-  if (!message || typeof message !== 'string') return false;
-
-  const lowerMessage = message.toLowerCase();
-
-  // Check for transaction-related keywords
-  const sendKeywords = ['send', 'transfer', 'pay', 'payment'];
-  const splitKeywords = ['split', 'divide', 'share'];
-  const tokenKeywords = ['eth', 'ether', 'usdc', 'dai', 'crypto', 'token', 'coin'];
-
-  // Check if the message contains transaction-related keywords
-  const hasSendKeyword = sendKeywords.some(keyword => lowerMessage.includes(keyword));
-  const hasSplitKeyword = splitKeywords.some(keyword => lowerMessage.includes(keyword));
-  const hasTokenKeyword = tokenKeywords.some(keyword => lowerMessage.includes(keyword));
-
-  // Check if the message contains a number (potential amount)
-  const hasNumber = /\d+(?:\.\d+)?/.test(lowerMessage);
-
-  // Check if the message contains "to" or "for" followed by a word (potential recipient)
-  const hasRecipient = /(?:to|for)\s+\w+/.test(lowerMessage);
-
-  // Determine if this is likely a transaction request
-  return (hasSendKeyword || hasSplitKeyword) && (hasNumber || hasTokenKeyword) && hasRecipient;
+  return isTransactionRequestIntent(message);
 }
 
 /**
- * Extracts transaction details from a natural language message
+ * Extracts transaction details from a natural language message, using the app's shared intent engine
  * @param {string} message - User's natural language message
- * @returns {Promise<object|null>} - Extracted transaction details or null if not a transaction
+ * @returns {Promise<object|null>} - Intent in the shared schema (see client/lib/intent/schema.js), or null
+ *   if the message isn't a transaction request or a payment (or any payment of a batch) is missing its amount
  */
 export async function extractTransactionDetails(message) {
-  try {
-    // Simple regex patterns to extract transaction details
-    const sendPattern = /(?:send|transfer|pay)\s+(\d+(?:\.\d+)?)\s*(eth|ether|usdc|dai)?\s+(?:to|for)\s+([^\s,]+)/i;
-    const splitPattern = /(?:split|divide|share)\s+(\d+(?:\.\d+)?)\s*(eth|ether|usdc|dai)?\s+(?:between|among|with)\s+(.+)/i;
-
-    // Check if the message is a send transaction
-    const sendMatch = message.match(sendPattern);
-    if (sendMatch) {
-      const [_, amount, tokenMatch, recipient] = sendMatch;
-      const token = tokenMatch ? tokenMatch.toUpperCase() : 'ETH';
-
-      return {
-        type: 'send',
-        amount: parseFloat(amount),
-        token: token === 'ETHER' ? 'ETH' : token,
-        recipient,
-      };
-    }
-
-    // Check if the message is a split transaction
-    const splitMatch = message.match(splitPattern);
-    if (splitMatch) {
-      const [_, amount, tokenMatch, recipientsStr] = splitMatch;
-      const token = tokenMatch ? tokenMatch.toUpperCase() : 'ETH';
+  if (!message || typeof message !== 'string') return null;
 
-      // Parse recipients (comma-separated or "and"-separated)
-      const recipients = recipientsStr
-        .split(/,|\sand\s|\s&\s/)
-        .map(r => r.trim())
-        .filter(Boolean);
+  const details = annotateIntent(parseIntentRules(message));
 
-      return {
-        type: 'split',
-        amount: parseFloat(amount),
-        token: token === 'ETHER' ? 'ETH' : token,
-        recipients: recipients.length > 0 ? recipients : ['alice.base', 'bob.base', 'charlie.base'],
-      };
-    }
-
-    // Fallback pattern for simpler messages
-    const fallbackAmountPattern = /(\d+(?:\.\d+)?)\s*(eth|ether|usdc|dai)?/i;
-    const fallbackRecipientPattern = /(?:to|for)\s+([^\s,]+)/i;
-
-    if (message.toLowerCase().includes('send') ||
-        message.toLowerCase().includes('transfer') ||
-        message.toLowerCase().includes('pay')) {
-
-      // Try to extract amount
-      const amountMatch = message.match(fallbackAmountPattern);
-      const amount = amountMatch ? parseFloat(amountMatch[1]) : 0.1;
-      const token = amountMatch && amountMatch[2]
-        ? (amountMatch[2].toUpperCase() === 'ETHER' ? 'ETH' : amountMatch[2].toUpperCase())
-        : 'ETH';
-
-      // Try to extract recipient
-      const recipientMatch = message.match(fallbackRecipientPattern);
-      const recipient = recipientMatch ? recipientMatch[1] : 'unknown.eth';
+  if (details.intent === 'conversation' || details.intent === 'unknown') return null;
+  if (getPaymentActions(details).some(payment => !payment.amount && !payment.fiat_amount)) return null;
 
-      return {
-        type: 'send',
-        amount,
-        token,
-        recipient,
-      };
-    }
-
-    // Not a transaction request
-    return null;
-  } catch (error) {
-    console.error('Error extracting transaction details:', error);
-    return null;
-  }
+  return details;
 }